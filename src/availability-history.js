@@ -0,0 +1,261 @@
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { sectionKey } from './change-log.js';
+import { logger } from './logger.js';
+
+/**
+ * Append-only seat-availability history
+ *
+ * Every schedule run records available_slots, max_capacity and enrolled_count for
+ * each scraped section, so seat availability can be charted over time instead of
+ * only seeing the latest numbers.
+ *
+ * Storage is one JSON Lines file per term, appended to on every run and never
+ * rewritten:
+ *   logs/history/availability-{term}.jsonl
+ *
+ * Each line is one observation:
+ *   { scraped_at, key, term, department, subject_code, section,
+ *     max_capacity, available_slots, enrolled_count }
+ *
+ * key is the change-log section key (term|department|subject_code|section).
+ *
+ * Configuration environment variables:
+ * - AVAILABILITY_HISTORY_DIR: History directory (default: logs/history)
+ */
+
+export const DEFAULT_HISTORY_DIR = 'logs/history';
+
+// Column order for CSV export
+const CSV_COLUMNS = [
+  'scraped_at', 'term', 'department', 'subject_code', 'section',
+  'max_capacity', 'available_slots', 'enrolled_count'
+];
+
+/**
+ * Check whether an observation matches a section filter
+ *
+ * @param {Object} observation - History observation
+ * @param {Object} filter - { department, subject_code, section } (each optional)
+ * @returns {boolean} True if every given filter field matches
+ */
+function matchesFilter(observation, filter = {}) {
+  return ['department', 'subject_code', 'section'].every(
+    field => filter[field] === undefined || filter[field] === null || observation[field] === filter[field]
+  );
+}
+
+/**
+ * Quote a value for CSV output
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Check whether a file is missing, empty or ends with a newline
+ * @param {string} filePath - File to check
+ * @returns {boolean} True if appending can start directly
+ */
+function endsWithNewline(filePath) {
+  if (!fs.existsSync(filePath)) return true;
+  const { size } = fs.statSync(filePath);
+  if (size === 0) return true;
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const lastByte = Buffer.alloc(1);
+    fs.readSync(fd, lastByte, 0, 1, size - 1);
+    return lastByte[0] === 0x0a;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+export class AvailabilityHistory {
+  constructor(historyDir = process.env.AVAILABILITY_HISTORY_DIR || DEFAULT_HISTORY_DIR) {
+    this.historyDir = historyDir;
+  }
+
+  /**
+   * Get the history file path for a term
+   */
+  getHistoryPath(term) {
+    return path.join(this.historyDir, `availability-${term}.jsonl`);
+  }
+
+  /**
+   * Append one observation per section for a scrape
+   *
+   * @param {string} term - Term code (e.g., '2025-1')
+   * @param {Array<Object>} courses - Courses from _parseCourses ({ department, subject_code, section, max_capacity, available_slots, enrolled_count, ... })
+   * @param {Date} scrapedAt - Scrape time (default: now)
+   * @returns {number} Number of observations appended
+   */
+  recordScrape(term, courses, scrapedAt = new Date()) {
+    const timestamp = scrapedAt.toISOString();
+    const seen = new Set();
+    const lines = [];
+
+    for (const course of courses) {
+      const key = sectionKey(term, course);
+      // AISIS occasionally lists a section twice; one observation per section per scrape
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      lines.push(JSON.stringify({
+        scraped_at: timestamp,
+        key,
+        term,
+        department: course.department,
+        subject_code: course.subject_code,
+        section: course.section,
+        max_capacity: course.max_capacity ?? null,
+        available_slots: course.available_slots ?? null,
+        enrolled_count: course.enrolled_count ?? null
+      }));
+    }
+
+    if (lines.length === 0) {
+      return 0;
+    }
+
+    fs.mkdirSync(this.historyDir, { recursive: true });
+    const historyPath = this.getHistoryPath(term);
+    // Start on a fresh line if a previous run was killed mid-append
+    const prefix = endsWithNewline(historyPath) ? '' : '\n';
+    fs.appendFileSync(historyPath, `${prefix}${lines.join('\n')}\n`);
+    return lines.length;
+  }
+
+  /**
+   * Read observations for a term, optionally filtered to matching sections
+   *
+   * Streams the history file line by line; a term's history grows with every run.
+   *
+   * @param {string} term - Term code
+   * @param {Object} filter - { department, subject_code, section } (each optional)
+   * @returns {Promise<Array<Object>>} Observations in recorded order
+   */
+  async readHistory(term, filter = {}) {
+    const historyPath = this.getHistoryPath(term);
+    if (!fs.existsSync(historyPath)) {
+      return [];
+    }
+
+    const observations = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(historyPath, 'utf-8'),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let observation;
+      try {
+        observation = JSON.parse(line);
+      } catch (error) {
+        // A run killed mid-append can leave a truncated last line
+        logger.warn(`   ⚠️ Skipping unreadable history line ${lineNumber} in ${historyPath}`);
+        continue;
+      }
+
+      if (matchesFilter(observation, filter)) {
+        observations.push(observation);
+      }
+    }
+
+    return observations;
+  }
+
+  /**
+   * Get a section's fill curve (seat availability over time)
+   *
+   * @param {string} term - Term code
+   * @param {{department: string, subject_code: string, section: string}} section - Section to look up
+   * @returns {Promise<Array<{scraped_at: string, max_capacity: number|null, available_slots: number|null, enrolled_count: number|null, fill_ratio: number|null}>>}
+   *   Points sorted by scrape time; fill_ratio is enrolled_count / max_capacity (null if unknown)
+   *
+   * @example
+   * await history.getFillCurve('2025-1', { department: 'DISCS', subject_code: 'CSCI 21', section: 'A' })
+   * // returns [{ scraped_at: '2025-07-01T00:00:00.000Z', max_capacity: 40, available_slots: 12, enrolled_count: 28, fill_ratio: 0.7 }, ...]
+   */
+  async getFillCurve(term, section) {
+    const observations = await this.readHistory(term, section);
+
+    return observations
+      .sort((a, b) => a.scraped_at.localeCompare(b.scraped_at))
+      .map(({ scraped_at, max_capacity, available_slots, enrolled_count }) => ({
+        scraped_at,
+        max_capacity,
+        available_slots,
+        enrolled_count,
+        fill_ratio: max_capacity > 0 && enrolled_count !== null
+          ? Math.round((enrolled_count / max_capacity) * 1000) / 1000
+          : null
+      }));
+  }
+
+  /**
+   * Find when a section filled up
+   *
+   * Returns the first scrape of the section's most recent full streak, so a
+   * section that filled, reopened (e.g., a slot was dropped) and filled again
+   * reports the second fill. A section that is not currently full reports null.
+   *
+   * @param {string} term - Term code
+   * @param {{department: string, subject_code: string, section: string}} section - Section to look up
+   * @returns {Promise<string|null>} ISO timestamp of the scrape that first saw the section full, or null
+   */
+  async findFilledAt(term, section) {
+    const curve = await this.getFillCurve(term, section);
+    const isFull = point => point.max_capacity > 0 && point.available_slots !== null && point.available_slots <= 0;
+
+    let filledAt = null;
+    for (const point of curve) {
+      if (isFull(point)) {
+        filledAt = filledAt || point.scraped_at;
+      } else if (point.available_slots !== null) {
+        filledAt = null;
+      }
+    }
+    return filledAt;
+  }
+
+  /**
+   * Export a term's history as CSV or JSON
+   *
+   * @param {string} term - Term code
+   * @param {string} format - 'csv' or 'json'
+   * @param {Object} filter - { department, subject_code, section } (each optional)
+   * @returns {Promise<string>} Exported data
+   * @throws {Error} If format is not 'csv' or 'json'
+   */
+  async exportHistory(term, format = 'csv', filter = {}) {
+    const observations = (await this.readHistory(term, filter))
+      .sort((a, b) => a.scraped_at.localeCompare(b.scraped_at) || a.key.localeCompare(b.key));
+
+    if (format === 'json') {
+      return JSON.stringify(observations.map(observation => {
+        const row = {};
+        for (const column of CSV_COLUMNS) row[column] = observation[column] ?? null;
+        return row;
+      }), null, 2);
+    }
+
+    if (format === 'csv') {
+      const rows = observations.map(observation => CSV_COLUMNS.map(column => csvCell(observation[column])).join(','));
+      return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+    }
+
+    throw new Error(`Invalid export format: ${format}. Valid values: csv, json`);
+  }
+}
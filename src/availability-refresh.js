@@ -0,0 +1,111 @@
+/**
+ * Availability-only fast refresh (AISIS_SCRAPE_MODE=availability)
+ *
+ * During enlistment, seat counts change by the minute while everything else in
+ * the schedule stays put. This mode fetches only the listed subjects (using
+ * AISIS's subjCode filter instead of scraping whole departments) and sends a
+ * partial update that touches available_slots / enrolled_count of existing
+ * rows. The term is never replaced, baselines and change logs are left alone,
+ * and Google Sheets is not synced; the next full run picks up anything else.
+ *
+ * Seat observations are still appended to the availability history and the
+ * watchlist is still checked, so fill curves and "section opened" alerts keep
+ * their resolution between full runs.
+ *
+ * Configuration environment variables:
+ * - AISIS_AVAILABILITY_SUBJECTS: Comma-separated DEPT:SUBJECT list, where SUBJECT is
+ *   a subject prefix or a full subject code (e.g., "DISCS:CSCI 21,MA:MATH")
+ * - AISIS_TERM: Term to refresh (default: the term currently selected in AISIS)
+ */
+
+import { AvailabilityHistory } from './availability-history.js';
+import { Watchlist } from './watchlist.js';
+import { logger } from './logger.js';
+
+/**
+ * Parse the AISIS_AVAILABILITY_SUBJECTS list
+ *
+ * @param {string} value - Comma-separated DEPT:SUBJECT entries
+ * @returns {Array<{department: string, subject: string}>} Subjects, duplicates removed
+ * @throws {Error} If the list is empty or an entry has no department or subject
+ *
+ * @example
+ * parseAvailabilitySubjects('DISCS:CSCI 21, MA:MATH')
+ * // returns [{ department: 'DISCS', subject: 'CSCI 21' }, { department: 'MA', subject: 'MATH' }]
+ */
+export function parseAvailabilitySubjects(value) {
+  const subjects = [];
+  const seen = new Set();
+
+  for (const entry of (value || '').split(',')) {
+    if (!entry.trim()) continue;
+
+    const separator = entry.indexOf(':');
+    const department = separator === -1 ? '' : entry.slice(0, separator).trim().toUpperCase();
+    const subject = separator === -1 ? '' : entry.slice(separator + 1).trim().replace(/\s+/g, ' ').toUpperCase();
+    if (!department || !subject) {
+      throw new Error(`Invalid AISIS_AVAILABILITY_SUBJECTS entry: "${entry.trim()}". Expected DEPT:SUBJECT (e.g., DISCS:CSCI 21)`);
+    }
+
+    const key = `${department}:${subject}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    subjects.push({ department, subject });
+  }
+
+  if (subjects.length === 0) {
+    throw new Error('AISIS_SCRAPE_MODE=availability requires AISIS_AVAILABILITY_SUBJECTS (e.g., DISCS:CSCI 21,MA:MATH)');
+  }
+
+  return subjects;
+}
+
+/**
+ * Refresh seat availability for a few subjects
+ *
+ * @param {Object} options
+ * @param {AISISScraper} options.scraper - Logged-in scraper
+ * @param {SupabaseManager|null} options.supabase - Supabase client (null skips the sync)
+ * @param {string} options.term - Term code
+ * @param {Array<{department: string, subject: string}>} options.subjects - Subjects to refresh
+ * @param {AvailabilityHistory} options.history - History store (default: AVAILABILITY_HISTORY_DIR)
+ * @param {Watchlist|null|undefined} options.watchlist - Watchlist (default: Watchlist.load(); null disables)
+ * @returns {Promise<{term: string, courses: Array, departments: Array, synced: boolean|null}>}
+ *   synced is null when Supabase is not configured
+ */
+export async function runAvailabilityRefresh({
+  scraper,
+  supabase,
+  term,
+  subjects,
+  history = new AvailabilityHistory(),
+  watchlist
+}) {
+  const result = await scraper.scrapeSubjects(term, subjects);
+  const failed = result.departments.filter(d => d.status === 'failed');
+
+  logger.info(`\n📊 Availability refresh: ${result.courses.length} section(s) from ${subjects.length - failed.length}/${subjects.length} subject(s)`);
+
+  const observationCount = history.recordScrape(term, result.courses);
+  logger.info(`   📈 Recorded availability for ${observationCount} sections in ${history.getHistoryPath(term)}`);
+
+  // A broken watchlist config or channel must not fail the refresh
+  try {
+    const activeWatchlist = watchlist === undefined ? Watchlist.load() : watchlist;
+    if (activeWatchlist) {
+      await activeWatchlist.process([{ term, scheduleData: result.courses }]);
+    }
+  } catch (error) {
+    logger.error(`\n❌ Watchlist notifications failed: ${error.message}`);
+  }
+
+  let synced = null;
+  if (supabase) {
+    logger.info(`\n🚀 Sending partial availability update for term ${term}...`);
+    synced = await supabase.syncAvailability(term, result.courses);
+  } else {
+    logger.info('\n   ⚠️ Supabase sync skipped (no DATA_INGEST_TOKEN)');
+  }
+
+  return { ...result, synced };
+}
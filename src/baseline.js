@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { logger } from './logger.js';
 
 /**
  * Baseline Manager for tracking scrape record counts across runs
@@ -27,8 +28,8 @@ export class BaselineManager {
 
     // Validate threshold is within reasonable bounds (0-100%)
     if (isNaN(rawThreshold) || rawThreshold < BaselineManager.MIN_THRESHOLD || rawThreshold > BaselineManager.MAX_THRESHOLD) {
-      console.warn(`   ⚠️ Invalid BASELINE_DROP_THRESHOLD: ${process.env.BASELINE_DROP_THRESHOLD}`);
-      console.warn(`   Using default: ${BaselineManager.DEFAULT_DROP_THRESHOLD}%`);
+      logger.warn(`   ⚠️ Invalid BASELINE_DROP_THRESHOLD: ${process.env.BASELINE_DROP_THRESHOLD}`);
+      logger.warn(`   Using default: ${BaselineManager.DEFAULT_DROP_THRESHOLD}%`);
       this.dropThresholdPercent = BaselineManager.DEFAULT_DROP_THRESHOLD;
     } else {
       this.dropThresholdPercent = rawThreshold;
@@ -82,10 +83,10 @@ export class BaselineManager {
 
       if (this.warnOnly) {
         // Bootstrap mode: warn but continue
-        console.warn(`\n⚠️ WARNING: ${message}`);
-        console.warn(`   Proceeding in bootstrap mode (BASELINE_WARN_ONLY=true).`);
-        console.warn(`   New baselines will be created and uploaded for future regression detection.`);
-        console.warn(`   To enable strict mode, set BASELINE_WARN_ONLY=false.\n`);
+        logger.warn(`\n⚠️ WARNING: ${message}`);
+        logger.warn(`   Proceeding in bootstrap mode (BASELINE_WARN_ONLY=true).`);
+        logger.warn(`   New baselines will be created and uploaded for future regression detection.`);
+        logger.warn(`   To enable strict mode, set BASELINE_WARN_ONLY=false.\n`);
         return;
       } else {
         // Strict mode: throw error
@@ -95,13 +96,13 @@ export class BaselineManager {
           `2. Manually download and restore baselines from a known good run\n` +
           `3. Set REQUIRE_BASELINES=false to allow first-time runs (not recommended for production)`;
 
-        console.error(`\n❌ ${errorMessage}`);
+        logger.error(`\n❌ ${errorMessage}`);
         throw new Error(errorMessage);
       }
     }
 
     if (this.requireBaselines) {
-      console.log(`   ✅ Baselines validation passed: baseline files exist`);
+      logger.info(`   ✅ Baselines validation passed: baseline files exist`);
     }
   }
 
@@ -128,7 +129,7 @@ export class BaselineManager {
       const data = fs.readFileSync(baselinePath, 'utf-8');
       return JSON.parse(data);
     } catch (error) {
-      console.warn(`   ⚠️ Failed to load baseline for ${term}: ${error.message}`);
+      logger.warn(`   ⚠️ Failed to load baseline for ${term}: ${error.message}`);
       return null;
     }
   }
@@ -148,14 +149,14 @@ export class BaselineManager {
     const trackSubjectPrefixes = process.env.TRACK_SUBJECT_PREFIXES === 'true';
 
     if (trackSubjectPrefixes && data.subjectPrefixCounts) {
-      console.log(`   📊 Saving subject prefix tracking for ${term}`);
+      logger.info(`   📊 Saving subject prefix tracking for ${term}`);
     }
 
     try {
       fs.writeFileSync(baselinePath, JSON.stringify(data, null, 2));
-      console.log(`   💾 Saved new baseline for ${term} to ${baselinePath}`);
+      logger.info(`   💾 Saved new baseline for ${term} to ${baselinePath}`);
     } catch (error) {
-      console.error(`   ❌ Failed to save baseline for ${term}: ${error.message}`);
+      logger.error(`   ❌ Failed to save baseline for ${term}: ${error.message}`);
     }
   }
 
@@ -170,10 +171,10 @@ export class BaselineManager {
     const previous = this.loadBaseline(term);
 
     if (!previous) {
-      console.log(`\n📊 Baseline Comparison:`);
-      console.log(`   No previous baseline found for term ${term}`);
-      console.log(`   This is the first run or baseline file was not saved.`);
-      console.log(`   Current total: ${currentTotal} records`);
+      logger.info(`\n📊 Baseline Comparison:`);
+      logger.info(`   No previous baseline found for term ${term}`);
+      logger.info(`   This is the first run or baseline file was not saved.`);
+      logger.info(`   Current total: ${currentTotal} records`);
 
       return {
         hasPrevious: false,
@@ -193,27 +194,27 @@ export class BaselineManager {
 
     const isSignificantDrop = diff < 0 && Math.abs(parseFloat(percentChange)) > this.dropThresholdPercent;
 
-    console.log(`\n📊 Baseline Comparison:`);
-    console.log(`   Term: ${term}`);
-    console.log(`   Previous run: ${previous.timestamp}`);
-    console.log(`   Previous total: ${previousTotal} records`);
-    console.log(`   Current total: ${currentTotal} records`);
-    console.log(`   Change: ${diff >= 0 ? '+' : ''}${diff} records (${percentChange >= 0 ? '+' : ''}${percentChange}%)`);
+    logger.info(`\n📊 Baseline Comparison:`);
+    logger.info(`   Term: ${term}`);
+    logger.info(`   Previous run: ${previous.timestamp}`);
+    logger.info(`   Previous total: ${previousTotal} records`);
+    logger.info(`   Current total: ${currentTotal} records`);
+    logger.info(`   Change: ${diff >= 0 ? '+' : ''}${diff} records (${percentChange >= 0 ? '+' : ''}${percentChange}%)`);
 
     if (isSignificantDrop) {
-      console.log(`   ⚠️ WARNING: Record count dropped by ${Math.abs(diff)} records (${Math.abs(percentChange)}%)`);
-      console.log(`   This exceeds the configured threshold of ${this.dropThresholdPercent}%`);
+      logger.info(`   ⚠️ WARNING: Record count dropped by ${Math.abs(diff)} records (${Math.abs(percentChange)}%)`);
+      logger.info(`   This exceeds the configured threshold of ${this.dropThresholdPercent}%`);
 
       // Show per-department comparison if available
       if (previous.departmentCounts && currentDeptCounts) {
         this.compareDepartmentCounts(previous.departmentCounts, currentDeptCounts);
       }
     } else if (diff < 0) {
-      console.log(`   ℹ️  Record count decreased slightly (${Math.abs(percentChange)}%) - within threshold`);
+      logger.info(`   ℹ️  Record count decreased slightly (${Math.abs(percentChange)}%) - within threshold`);
     } else if (diff > 0) {
-      console.log(`   ✅ Record count increased`);
+      logger.info(`   ✅ Record count increased`);
     } else {
-      console.log(`   ✅ Record count unchanged`);
+      logger.info(`   ✅ Record count unchanged`);
     }
 
     return {
@@ -238,7 +239,7 @@ export class BaselineManager {
    * @param {object} currentDepts - Current department counts
    */
   compareDepartmentCounts(previousDepts, currentDepts) {
-    console.log(`\n   📋 Per-Department Changes:`);
+    logger.info(`\n   📋 Per-Department Changes:`);
 
     const allDepts = new Set([
       ...Object.keys(previousDepts),
@@ -264,11 +265,11 @@ export class BaselineManager {
     const topChanges = changes.slice(0, 10);
     for (const { dept, prev, curr, diff } of topChanges) {
       const symbol = diff > 0 ? '+' : '';
-      console.log(`      ${dept.padEnd(15)}: ${curr.toString().padStart(4)} (${symbol}${diff.toString().padStart(4)} from ${prev})`);
+      logger.info(`      ${dept.padEnd(15)}: ${curr.toString().padStart(4)} (${symbol}${diff.toString().padStart(4)} from ${prev})`);
     }
 
     if (changes.length > 10) {
-      console.log(`      ... and ${changes.length - 10} more departments with changes`);
+      logger.info(`      ... and ${changes.length - 10} more departments with changes`);
     }
   }
 
@@ -308,11 +309,11 @@ export class BaselineManager {
     }
 
     if (this.warnOnly) {
-      console.log(`\n   ℹ️  BASELINE_WARN_ONLY is true - not failing job`);
+      logger.info(`\n   ℹ️  BASELINE_WARN_ONLY is true - not failing job`);
       return false;
     }
 
-    console.log(`\n   ⚠️ BASELINE_WARN_ONLY is false - job will fail due to regression`);
+    logger.info(`\n   ⚠️ BASELINE_WARN_ONLY is false - job will fail due to regression`);
     return true;
   }
 
@@ -355,11 +356,11 @@ export class BaselineManager {
     }
 
     if (!previousCounts) {
-      console.log(`\n📊 Subject Prefix Tracking: No previous data for comparison`);
+      logger.info(`\n📊 Subject Prefix Tracking: No previous data for comparison`);
       return { enabled: true, hasPrevious: false };
     }
 
-    console.log(`\n📊 Subject Prefix Comparison:`);
+    logger.info(`\n📊 Subject Prefix Comparison:`);
 
     const warnings = [];
     const criticalDepts = ['PE', 'NSTP']; // Departments where missing subjects are critical
@@ -376,16 +377,16 @@ export class BaselineManager {
         if (prevCount > 0 && currCount === 0) {
           const warning = `${dept}: ${prefix} dropped to zero (was ${prevCount})`;
           warnings.push(warning);
-          console.log(`   ⚠️ ${warning}`);
+          logger.info(`   ⚠️ ${warning}`);
         } else if (prevCount > 0 && currCount < prevCount) {
           const percentDrop = ((prevCount - currCount) / prevCount * 100).toFixed(1);
-          console.log(`   ℹ️  ${dept}: ${prefix} decreased from ${prevCount} to ${currCount} (-${percentDrop}%)`);
+          logger.info(`   ℹ️  ${dept}: ${prefix} decreased from ${prevCount} to ${currCount} (-${percentDrop}%)`);
         }
       }
     }
 
     if (warnings.length === 0) {
-      console.log(`   ✅ No critical subject prefix regressions detected`);
+      logger.info(`   ✅ No critical subject prefix regressions detected`);
     }
 
     return {
@@ -421,7 +422,7 @@ export class BaselineManager {
       const data = fs.readFileSync(baselinePath, 'utf-8');
       return JSON.parse(data);
     } catch (error) {
-      console.warn(`   ⚠️ Failed to load department baseline for ${term}: ${error.message}`);
+      logger.warn(`   ⚠️ Failed to load department baseline for ${term}: ${error.message}`);
       return null;
     }
   }
@@ -447,9 +448,9 @@ export class BaselineManager {
 
     try {
       fs.writeFileSync(baselinePath, JSON.stringify(baseline, null, 2));
-      console.log(`   💾 Saved per-department baseline for ${term} to ${baselinePath}`);
+      logger.info(`   💾 Saved per-department baseline for ${term} to ${baselinePath}`);
     } catch (error) {
-      console.error(`   ❌ Failed to save department baseline for ${term}: ${error.message}`);
+      logger.error(`   ❌ Failed to save department baseline for ${term}: ${error.message}`);
     }
   }
 
@@ -466,9 +467,9 @@ export class BaselineManager {
     const previous = this.loadDepartmentBaseline(term);
 
     if (!previous) {
-      console.log(`\n📊 Per-Department Baseline Comparison:`);
-      console.log(`   No previous per-department baseline found for term ${term}`);
-      console.log(`   This is the first run or baseline file was not saved.`);
+      logger.info(`\n📊 Per-Department Baseline Comparison:`);
+      logger.info(`   No previous per-department baseline found for term ${term}`);
+      logger.info(`   This is the first run or baseline file was not saved.`);
 
       return {
         hasPrevious: false,
@@ -482,10 +483,10 @@ export class BaselineManager {
     // Get configured drop threshold (fraction, 0.0-1.0)
     const dropThreshold = parseFloat(process.env.BASELINE_DEPT_DROP_THRESHOLD || '0.5');
 
-    console.log(`\n📊 Per-Department Baseline Comparison:`);
-    console.log(`   Term: ${term}`);
-    console.log(`   Previous run: ${previous.timestamp}`);
-    console.log(`   Drop threshold: ${(dropThreshold * 100).toFixed(0)}%`);
+    logger.info(`\n📊 Per-Department Baseline Comparison:`);
+    logger.info(`   Term: ${term}`);
+    logger.info(`   Previous run: ${previous.timestamp}`);
+    logger.info(`   Drop threshold: ${(dropThreshold * 100).toFixed(0)}%`);
 
     const regressions = [];
     const warnings = [];
@@ -500,7 +501,7 @@ export class BaselineManager {
 
       if (!prevData) {
         // New department appeared - this is fine
-        console.log(`   ℹ️  [${deptCode}] New department: ${currentData.row_count} rows`);
+        logger.info(`   ℹ️  [${deptCode}] New department: ${currentData.row_count} rows`);
         continue;
       }
 
@@ -527,9 +528,9 @@ export class BaselineManager {
         regressions.push(regression);
 
         if (isCritical) {
-          console.error(`   ❌ [${deptCode}] CRITICAL REGRESSION: ${regression.reason}`);
+          logger.error(`   ❌ [${deptCode}] CRITICAL REGRESSION: ${regression.reason}`);
         } else {
-          console.warn(`   ⚠️  [${deptCode}] Regression: ${regression.reason}`);
+          logger.warn(`   ⚠️  [${deptCode}] Regression: ${regression.reason}`);
         }
 
         // Check prefix breakdown for additional insights
@@ -539,16 +540,16 @@ export class BaselineManager {
           const missingPrefixes = prevPrefixes.filter(p => !currPrefixes.includes(p));
 
           if (missingPrefixes.length > 0) {
-            console.warn(`      Missing subject prefixes: ${missingPrefixes.join(', ')}`);
+            logger.warn(`      Missing subject prefixes: ${missingPrefixes.join(', ')}`);
             regression.missingPrefixes = missingPrefixes;
           }
         }
       } else if (diff < 0) {
         // Small drop - log as info
         const percentDrop = (dropFraction * 100).toFixed(1);
-        console.log(`   ℹ️  [${deptCode}] Small drop: ${percentDrop}% (${prevCount} → ${currCount})`);
+        logger.info(`   ℹ️  [${deptCode}] Small drop: ${percentDrop}% (${prevCount} → ${currCount})`);
       } else if (diff > 0) {
-        console.log(`   ✅ [${deptCode}] Increase: +${diff} rows (${prevCount} → ${currCount})`);
+        logger.info(`   ✅ [${deptCode}] Increase: +${diff} rows (${prevCount} → ${currCount})`);
       }
     }
 
@@ -562,19 +563,19 @@ export class BaselineManager {
           reason: 'Department disappeared entirely'
         };
         warnings.push(warning);
-        console.warn(`   ⚠️  [${deptCode}] WARNING: ${warning.reason} (had ${warning.previousCount} rows)`);
+        logger.warn(`   ⚠️  [${deptCode}] WARNING: ${warning.reason} (had ${warning.previousCount} rows)`);
       }
     }
 
     // Summary
     if (regressions.length > 0) {
-      console.log(`\n   ⚠️  Found ${regressions.length} department regression(s)`);
+      logger.info(`\n   ⚠️  Found ${regressions.length} department regression(s)`);
       const criticalCount = regressions.filter(r => r.isCritical).length;
       if (criticalCount > 0) {
-        console.error(`      ${criticalCount} critical department(s) affected: ${regressions.filter(r => r.isCritical).map(r => r.department).join(', ')}`);
+        logger.error(`      ${criticalCount} critical department(s) affected: ${regressions.filter(r => r.isCritical).map(r => r.department).join(', ')}`);
       }
     } else {
-      console.log(`\n   ✅ No significant per-department regressions detected`);
+      logger.info(`\n   ✅ No significant per-department regressions detected`);
     }
 
     return {
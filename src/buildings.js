@@ -0,0 +1,55 @@
+/**
+ * Building registry for AISIS room codes
+ *
+ * Maps the building code at the start of an AISIS room (the "CTC" in
+ * "CTC-304") to the building's full name. Used by src/room-parser.js.
+ *
+ * To add a building, add its code (uppercase, as it appears in AISIS) and
+ * name below. Codes may contain a dash ("SEC-A"); the longest matching code
+ * wins, so "SEC-A201" is room 201 of SEC-A. Rooms whose building code is
+ * not listed here are still split into building code and room number, with
+ * no building name.
+ *
+ * @module buildings
+ */
+
+/**
+ * Building code -> full name (Ateneo de Manila University, Loyola Heights campus)
+ */
+export const BUILDINGS = {
+  'BEL': 'Bellarmine Hall',
+  'CTC': 'PLDT Convergent Technologies Center',
+  'DLC': 'Dela Costa Hall',
+  'F': 'Faura Hall',
+  'G': 'Gonzaga Hall',
+  'K': 'Kostka Hall',
+  'LH': 'Leong Hall',
+  'SEC-A': 'Science Education Complex Building A',
+  'SEC-B': 'Science Education Complex Building B',
+  'SEC-C': 'Science Education Complex Building C',
+  'SS': 'Social Sciences Building',
+  'JGSOM': 'John Gokongwei School of Management',
+  'MVP': 'Manuel V. Pangilinan Center for Student Leadership'
+};
+
+/**
+ * Building codes, longest first, so "SEC-A" is tried before a shorter code
+ */
+export const BUILDING_CODES = Object.keys(BUILDINGS).sort((a, b) => b.length - a.length);
+
+/**
+ * Look up a building's full name
+ *
+ * @param {string} code - Building code (case-insensitive)
+ * @returns {string|null} Full name, or null for codes not in the registry
+ *
+ * @example
+ * getBuildingName('CTC')   // returns 'PLDT Convergent Technologies Center'
+ * getBuildingName('XYZ')   // returns null
+ */
+export function getBuildingName(code) {
+  if (!code || typeof code !== 'string') {
+    return null;
+  }
+  return BUILDINGS[code.toUpperCase()] || null;
+}
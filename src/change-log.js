@@ -0,0 +1,391 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Section-level change log between consecutive scrape runs
+ *
+ * BaselineManager only tracks record counts ("EC dropped by 12 rows"). This module
+ * keeps a snapshot of every section scraped for a term and diffs the next run
+ * against it, so downstream apps can announce changes like
+ * "CSCI 21 A got a new instructor".
+ *
+ * Sections are keyed by (term, department, subject_code, section). For each term
+ * the change log reports:
+ * - added:   sections not in the previous snapshot
+ * - removed: sections in the previous snapshot that are gone
+ * - changed: sections whose TRACKED_FIELDS differ, with before/after values
+ *
+ * Departments that failed to scrape this run are not diffed; their previous
+ * sections are carried over to the new snapshot so they don't show up as removed.
+ * A previous copy of a section now kept under another department (its
+ * department is in the kept copy's also_listed_in, see src/cross-listings.js)
+ * is listed under collapsed instead of removed.
+ *
+ * Files:
+ * - logs/baselines/sections-{term}.json   Section snapshot (uploaded with the baselines artifact)
+ * - logs/changes/changes-{term}.json      Change log for the run
+ * - logs/changes/changes-{term}.md        Markdown summary (also appended to $GITHUB_STEP_SUMMARY)
+ *
+ * Configuration environment variables:
+ * - CHANGE_LOG_MAX_ROWS: Max sections listed per category in the Markdown summary (default: 50)
+ */
+
+/**
+ * Section fields compared between runs
+ */
+export const TRACKED_FIELDS = ['instructor', 'room', 'time_pattern', 'max_capacity', 'remarks'];
+
+const DEFAULT_MAX_MARKDOWN_ROWS = 50;
+
+/**
+ * Build the change-log key for a section
+ *
+ * @param {string} term - Term code (e.g., '2025-1')
+ * @param {Object} course - Scraped course ({ department, subject_code, section, ... })
+ * @returns {string} Key (e.g., "2025-1|DISCS|CSCI 21|A")
+ */
+export function sectionKey(term, course) {
+  return [term, course.department, course.subject_code, course.section].join('|');
+}
+
+/**
+ * Reduce a course to the fields kept in the section snapshot
+ *
+ * @param {Object} course - Scraped course
+ * @returns {Object} { department, subject_code, section, course_title, ...TRACKED_FIELDS }
+ */
+function snapshotEntry(course) {
+  const entry = {
+    department: course.department,
+    subject_code: course.subject_code,
+    section: course.section,
+    course_title: course.course_title
+  };
+  for (const field of TRACKED_FIELDS) {
+    entry[field] = course[field] ?? null;
+  }
+  return entry;
+}
+
+/**
+ * Build a section snapshot from scraped courses
+ * If AISIS lists the same section twice, the first row wins
+ *
+ * @param {string} term - Term code
+ * @param {Array<Object>} courses - Scraped courses
+ * @returns {Object<string, Object>} Snapshot entries keyed by sectionKey()
+ */
+export function buildSectionSnapshot(term, courses) {
+  const sections = {};
+  for (const course of courses) {
+    const key = sectionKey(term, course);
+    if (!sections[key]) {
+      sections[key] = snapshotEntry(course);
+    }
+  }
+  return sections;
+}
+
+/**
+ * Diff two section snapshots
+ *
+ * @param {Object<string, Object>} previous - Previous snapshot (buildSectionSnapshot)
+ * @param {Object<string, Object>} current - Current snapshot
+ * @returns {{added: Array<Object>, removed: Array<Object>, changed: Array<Object>}}
+ *   changed entries are { key, department, subject_code, section, course_title, changes: [{ field, before, after }] }
+ *
+ * @example
+ * diffSections(
+ *   { 'k': { subject_code: 'CSCI 21', section: 'A', instructor: 'DOE, JANE', ... } },
+ *   { 'k': { subject_code: 'CSCI 21', section: 'A', instructor: 'SMITH, JOHN', ... } }
+ * ).changed[0].changes
+ * // returns [{ field: 'instructor', before: 'DOE, JANE', after: 'SMITH, JOHN' }]
+ */
+export function diffSections(previous, current) {
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [key, entry] of Object.entries(current)) {
+    const before = previous[key];
+    if (!before) {
+      added.push({ key, ...entry });
+      continue;
+    }
+
+    const changes = [];
+    for (const field of TRACKED_FIELDS) {
+      const oldValue = before[field] ?? null;
+      const newValue = entry[field] ?? null;
+      if (oldValue !== newValue) {
+        changes.push({ field, before: oldValue, after: newValue });
+      }
+    }
+
+    if (changes.length > 0) {
+      changed.push({
+        key,
+        department: entry.department,
+        subject_code: entry.subject_code,
+        section: entry.section,
+        course_title: entry.course_title,
+        changes
+      });
+    }
+  }
+
+  for (const [key, entry] of Object.entries(previous)) {
+    if (!current[key]) {
+      removed.push({ key, ...entry });
+    }
+  }
+
+  const byKey = (a, b) => a.key.localeCompare(b.key);
+  return {
+    added: added.sort(byKey),
+    removed: removed.sort(byKey),
+    changed: changed.sort(byKey)
+  };
+}
+
+/**
+ * Render change logs as Markdown (for logs/changes/*.md and the GitHub step summary)
+ *
+ * @param {Array<Object>} changeLogs - Change logs from ChangeLogManager.buildChangeLog()
+ * @param {number} maxRows - Max sections listed per category
+ * @returns {string} Markdown summary
+ */
+export function renderChangeLogMarkdown(changeLogs, maxRows = DEFAULT_MAX_MARKDOWN_ROWS) {
+  const lines = [];
+  const formatValue = value => (value === null || value === '' ? '_(empty)_' : `\`${value}\``);
+  const sectionLabel = entry => `**${entry.subject_code} ${entry.section}** (${entry.department})`;
+
+  const listRows = (entries, render) => {
+    for (const entry of entries.slice(0, maxRows)) {
+      lines.push(render(entry));
+    }
+    if (entries.length > maxRows) {
+      lines.push(`- …and ${entries.length - maxRows} more`);
+    }
+    lines.push('');
+  };
+
+  for (const log of changeLogs) {
+    lines.push(`## 📋 Section changes for ${log.term}`);
+    lines.push('');
+
+    if (!log.previous_snapshot_at) {
+      lines.push(`No previous snapshot for ${log.term}; recorded ${log.summary.total_sections} sections as the starting point.`);
+      lines.push('');
+      continue;
+    }
+
+    lines.push(`Compared with the snapshot from ${log.previous_snapshot_at}.`);
+    lines.push('');
+    lines.push('| Added | Removed | Changed | Unchanged |');
+    lines.push('| ---: | ---: | ---: | ---: |');
+    lines.push(`| ${log.summary.added} | ${log.summary.removed} | ${log.summary.changed} | ${log.summary.unchanged} |`);
+    lines.push('');
+
+    if (log.skipped_departments.length > 0) {
+      lines.push(`⚠️ Not compared (department failed to scrape): ${log.skipped_departments.join(', ')}`);
+      lines.push('');
+    }
+
+    if (log.changed.length > 0) {
+      lines.push('### Changed sections');
+      lines.push('');
+      listRows(log.changed, entry => {
+        const details = entry.changes
+          .map(change => `${change.field} ${formatValue(change.before)} → ${formatValue(change.after)}`)
+          .join('; ');
+        return `- ${sectionLabel(entry)}: ${details}`;
+      });
+    }
+
+    if (log.added.length > 0) {
+      lines.push('### Added sections');
+      lines.push('');
+      listRows(log.added, entry => `- ${sectionLabel(entry)} ${entry.course_title || ''}`.trimEnd());
+    }
+
+    if (log.removed.length > 0) {
+      lines.push('### Removed sections');
+      lines.push('');
+      listRows(log.removed, entry => `- ${sectionLabel(entry)} ${entry.course_title || ''}`.trimEnd());
+    }
+
+    if (log.summary.added + log.summary.removed + log.summary.changed === 0) {
+      lines.push('No section changes since the last run.');
+      lines.push('');
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Change Log Manager for section snapshots and per-run change logs
+ */
+export class ChangeLogManager {
+  constructor(snapshotDir = 'logs/baselines', outputDir = 'logs/changes') {
+    this.snapshotDir = snapshotDir;
+    this.outputDir = outputDir;
+
+    const rawMaxRows = parseInt(process.env.CHANGE_LOG_MAX_ROWS || DEFAULT_MAX_MARKDOWN_ROWS.toString(), 10);
+    this.maxMarkdownRows = isNaN(rawMaxRows) || rawMaxRows < 0 ? DEFAULT_MAX_MARKDOWN_ROWS : rawMaxRows;
+  }
+
+  /**
+   * Get the section snapshot path for a term
+   */
+  getSnapshotPath(term) {
+    return path.join(this.snapshotDir, `sections-${term}.json`);
+  }
+
+  /**
+   * Load the previous section snapshot for a term
+   * @param {string} term - Term code
+   * @returns {{term: string, timestamp: string, sections: Object}|null} Snapshot or null
+   */
+  loadSnapshot(term) {
+    const snapshotPath = this.getSnapshotPath(term);
+
+    if (!fs.existsSync(snapshotPath)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(snapshotPath, 'utf-8'));
+    } catch (error) {
+      logger.warn(`   ⚠️ Failed to load section snapshot for ${term}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Save the section snapshot for a term
+   * @param {string} term - Term code
+   * @param {Object<string, Object>} sections - Snapshot entries keyed by sectionKey()
+   */
+  saveSnapshot(term, sections) {
+    fs.mkdirSync(this.snapshotDir, { recursive: true });
+    fs.writeFileSync(this.getSnapshotPath(term), JSON.stringify({
+      term,
+      timestamp: new Date().toISOString(),
+      section_count: Object.keys(sections).length,
+      sections
+    }, null, 2));
+  }
+
+  /**
+   * Compare this run's departments with the previous snapshot and record the new snapshot
+   *
+   * @param {string} term - Term code
+   * @param {Array<{department: string, courses: Array, status?: string}>} deptResults - Per-department scrape results
+   * @returns {Object} Change log ({ term, generated_at, previous_snapshot_at, summary, skipped_departments, added, removed, changed, collapsed })
+   */
+  buildChangeLog(term, deptResults) {
+    const previous = this.loadSnapshot(term);
+    const previousSections = previous?.sections || {};
+
+    // Failed departments keep their previous sections instead of showing as removed
+    const skippedDepartments = deptResults
+      .filter(result => result.status === 'failed')
+      .map(result => result.department);
+
+    const courses = deptResults
+      .filter(result => result.status !== 'failed')
+      .flatMap(result => result.courses);
+    const current = buildSectionSnapshot(term, courses);
+
+    // Copies of cross-listed sections dropped in favor of the owning department
+    const collapsedKeys = new Set(courses.flatMap(course => (course.also_listed_in || [])
+      .map(department => sectionKey(term, { ...course, department }))));
+
+    const comparable = {};
+    const carriedOver = {};
+    const collapsed = [];
+    for (const [key, entry] of Object.entries(previousSections)) {
+      if (collapsedKeys.has(key) && !current[key]) {
+        collapsed.push({ key, ...entry });
+      } else if (skippedDepartments.includes(entry.department)) {
+        carriedOver[key] = entry;
+      } else {
+        comparable[key] = entry;
+      }
+    }
+
+    const diff = previous ? diffSections(comparable, current) : { added: [], removed: [], changed: [] };
+    const comparedSections = Object.keys(current).filter(key => comparable[key]).length;
+
+    const snapshot = { ...carriedOver, ...current };
+    this.saveSnapshot(term, snapshot);
+
+    const totalSections = Object.keys(snapshot).length;
+    return {
+      term,
+      generated_at: new Date().toISOString(),
+      previous_snapshot_at: previous?.timestamp || null,
+      summary: {
+        total_sections: totalSections,
+        added: diff.added.length,
+        removed: diff.removed.length,
+        changed: diff.changed.length,
+        unchanged: previous ? comparedSections - diff.changed.length : 0
+      },
+      skipped_departments: skippedDepartments,
+      ...diff,
+      collapsed: collapsed.sort((a, b) => a.key.localeCompare(b.key))
+    };
+  }
+
+  /**
+   * Write a change log as JSON and Markdown, and append the Markdown to the
+   * GitHub Actions step summary when running in CI
+   *
+   * @param {Object} changeLog - Result of buildChangeLog()
+   * @returns {{jsonPath: string, markdownPath: string}} Written file paths
+   */
+  writeChangeLog(changeLog) {
+    fs.mkdirSync(this.outputDir, { recursive: true });
+
+    const jsonPath = path.join(this.outputDir, `changes-${changeLog.term}.json`);
+    const markdownPath = path.join(this.outputDir, `changes-${changeLog.term}.md`);
+    const markdown = renderChangeLogMarkdown([changeLog], this.maxMarkdownRows);
+
+    fs.writeFileSync(jsonPath, JSON.stringify(changeLog, null, 2));
+    fs.writeFileSync(markdownPath, markdown);
+
+    if (process.env.GITHUB_STEP_SUMMARY) {
+      try {
+        fs.appendFileSync(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`);
+      } catch (error) {
+        logger.warn(`   ⚠️ Failed to write GitHub step summary: ${error.message}`);
+      }
+    }
+
+    return { jsonPath, markdownPath };
+  }
+
+  /**
+   * Print a one-line summary of a change log
+   * @param {Object} changeLog - Result of buildChangeLog()
+   */
+  logSummary(changeLog) {
+    if (!changeLog.previous_snapshot_at) {
+      logger.info(`   📋 Section snapshot created for ${changeLog.term}: ${changeLog.summary.total_sections} sections (no previous run to compare)`);
+      return;
+    }
+
+    const { added, removed, changed } = changeLog.summary;
+    logger.info(`   📋 Section changes for ${changeLog.term}: +${added} added, -${removed} removed, ~${changed} changed`);
+    if (changeLog.skipped_departments.length > 0) {
+      logger.info(`      ⚠️ Not compared (failed departments): ${changeLog.skipped_departments.join(', ')}`);
+    }
+    if (changeLog.collapsed.length > 0) {
+      logger.info(`      🔀 Not counted as removed (kept under another department): ${changeLog.collapsed.length} cross-listed copies`);
+    }
+  }
+}
@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Checkpoint Manager for resuming interrupted scrapes
+ *
+ * Each finished unit of work is written to disk as soon as it completes, so a
+ * crash or CI timeout halfway through a run doesn't lose what was already scraped.
+ * A later run started with `--resume <run-id>` skips everything checkpointed and
+ * only scrapes the rest.
+ *
+ * Layout under logs/checkpoints/{run-id}/:
+ * - manifest.json                      Run metadata (run_id, kind, created_at, updated_at)
+ * - schedule/{term}/{dept}.json        Finished department: status + parsed courses
+ * - curriculum/{degCode}.json          Finished program: degCode, label, html, raw_text
+ *
+ * Only successful units are checkpointed (including departments with no offerings);
+ * failed departments and programs are scraped again on resume.
+ */
+export class CheckpointManager {
+  constructor(runId, kind, checkpointDir = 'logs/checkpoints') {
+    if (!runId || !CheckpointManager.isValidRunId(runId)) {
+      throw new Error(`Invalid checkpoint run id: ${runId}`);
+    }
+
+    this.runId = runId;
+    this.kind = kind;
+    this.runDir = path.join(checkpointDir, runId);
+    this.manifestPath = path.join(this.runDir, 'manifest.json');
+  }
+
+  /**
+   * Generate a new run id (timestamp + random suffix)
+   * @returns {string} Run id, e.g. "20251019-142233-a1b2c3"
+   */
+  static generateRunId() {
+    const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').split('.')[0];
+    return `${timestamp}-${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * Check that a run id is safe to use as a directory name
+   * @param {string} runId - Run id from the command line
+   * @returns {boolean} True if the run id only contains letters, digits, '-' and '_'
+   */
+  static isValidRunId(runId) {
+    return typeof runId === 'string' && /^[A-Za-z0-9_-]+$/.test(runId);
+  }
+
+  /**
+   * Start a new checkpointed run, or reopen an existing one for resuming
+   *
+   * @param {string} kind - 'schedule' or 'curriculum'
+   * @param {string|null} resumeRunId - Run id to resume, or null for a fresh run
+   * @param {string} checkpointDir - Base checkpoint directory
+   * @returns {CheckpointManager} Checkpoint manager for the run
+   * @throws {Error} If resumeRunId doesn't exist or belongs to a different kind of run
+   */
+  static open(kind, resumeRunId = null, checkpointDir = 'logs/checkpoints') {
+    if (!resumeRunId) {
+      const checkpoint = new CheckpointManager(CheckpointManager.generateRunId(), kind, checkpointDir);
+      checkpoint.writeManifest();
+      return checkpoint;
+    }
+
+    const checkpoint = new CheckpointManager(resumeRunId, kind, checkpointDir);
+    const manifest = checkpoint.readManifest();
+
+    if (!manifest) {
+      throw new Error(`No checkpoint found for run ${resumeRunId} in ${checkpointDir}`);
+    }
+    if (manifest.kind !== kind) {
+      throw new Error(`Checkpoint ${resumeRunId} is a ${manifest.kind} run, cannot resume it as ${kind}`);
+    }
+
+    checkpoint.resumed = true;
+    return checkpoint;
+  }
+
+  /**
+   * Read the run manifest
+   * @returns {Object|null} Manifest, or null if the run doesn't exist
+   */
+  readManifest() {
+    return this._readJson(this.manifestPath);
+  }
+
+  /**
+   * Create or refresh the run manifest
+   */
+  writeManifest() {
+    const existing = this.readManifest();
+    const now = new Date().toISOString();
+    this._writeJson(this.manifestPath, {
+      run_id: this.runId,
+      kind: this.kind,
+      created_at: existing?.created_at || now,
+      updated_at: now
+    });
+  }
+
+  /**
+   * Record a finished department
+   *
+   * @param {string} term - Term code (e.g., '2025-1')
+   * @param {string} deptCode - Department code
+   * @param {Array} courses - Parsed courses for the department
+   * @param {Object} status - Department status entry ({ status, row_count, ... })
+   */
+  saveDepartment(term, deptCode, courses, status) {
+    this._writeJson(this._departmentPath(term, deptCode), {
+      term,
+      department: deptCode,
+      status,
+      courses,
+      completed_at: new Date().toISOString()
+    });
+    this.writeManifest();
+  }
+
+  /**
+   * Load a checkpointed department
+   *
+   * @param {string} term - Term code
+   * @param {string} deptCode - Department code
+   * @returns {{term: string, department: string, status: Object, courses: Array}|null}
+   *   Checkpointed department, or null if it still needs to be scraped
+   */
+  loadDepartment(term, deptCode) {
+    return this._readJson(this._departmentPath(term, deptCode));
+  }
+
+  /**
+   * Record a finished curriculum program
+   *
+   * @param {Object} program - Curriculum record ({ degCode, label, html, raw_text })
+   */
+  saveProgram(program) {
+    this._writeJson(this._programPath(program.degCode), {
+      ...program,
+      completed_at: new Date().toISOString()
+    });
+    this.writeManifest();
+  }
+
+  /**
+   * Load a checkpointed curriculum program
+   *
+   * @param {string} degCode - Degree program code
+   * @returns {Object|null} Curriculum record, or null if it still needs to be scraped
+   */
+  loadProgram(degCode) {
+    const record = this._readJson(this._programPath(degCode));
+    if (!record) return null;
+    const { completed_at, ...program } = record;
+    return program;
+  }
+
+  /**
+   * Delete this run's checkpoints (called after a run completes with nothing failed)
+   */
+  clear() {
+    fs.rmSync(this.runDir, { recursive: true, force: true });
+  }
+
+  _departmentPath(term, deptCode) {
+    return path.join(this.runDir, 'schedule', safeFileName(term), `${safeFileName(deptCode)}.json`);
+  }
+
+  _programPath(degCode) {
+    return path.join(this.runDir, 'curriculum', `${safeFileName(degCode)}.json`);
+  }
+
+  _readJson(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      logger.warn(`   ⚠️ Ignoring unreadable checkpoint ${filePath}: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Write via a temp file + rename so a crash mid-write never leaves a truncated checkpoint
+  _writeJson(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(data));
+    fs.renameSync(tmpPath, filePath);
+  }
+}
+
+/**
+ * Encode a department/program code as a file name
+ * Codes like "NSTP (ADAST)" or "BS MGT-H_2025_1" contain spaces and parentheses
+ *
+ * @param {string} value - Code to encode
+ * @returns {string} File-name-safe string
+ */
+function safeFileName(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * Read the `--resume <run-id>` option from command line arguments
+ *
+ * @param {Array<string>} argv - Arguments (usually process.argv.slice(2))
+ * @returns {string|null} Run id to resume, or null if not resuming
+ * @throws {Error} If --resume is given without a run id
+ *
+ * @example
+ * parseResumeArg(['--resume', '20251019-142233-a1b2c3'])  // returns '20251019-142233-a1b2c3'
+ * parseResumeArg(['--resume=20251019-142233-a1b2c3'])     // returns '20251019-142233-a1b2c3'
+ * parseResumeArg([])                                       // returns null
+ */
+export function parseResumeArg(argv) {
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--resume=')) {
+      const runId = arg.slice('--resume='.length);
+      if (!runId) throw new Error('--resume requires a run id');
+      return runId;
+    }
+    if (arg === '--resume') {
+      const runId = argv[i + 1];
+      if (!runId || runId.startsWith('--')) throw new Error('--resume requires a run id');
+      return runId;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,258 @@
+import { getSubjectPrefix } from './constants.js';
+import { logger } from './logger.js';
+
+/**
+ * Cross-department duplicate section resolution
+ *
+ * AISIS lists some classes under more than one department (deptCode): a
+ * CSCI section offered with the math department can appear in both the DISCS
+ * and MA listings. Each department page returns its own copy, so a term
+ * scrape ends up with the same section twice, and the ingest key
+ * (term_code, subject_code, section, department) keeps both.
+ *
+ * This module finds sections (same subject_code and section) listed under
+ * several departments, keeps one copy under a canonical owning department and
+ * records the other departments in `also_listed_in` on that copy. The owner is
+ * chosen by, in order:
+ * 1. An explicit override for the subject code or its prefix (AISIS_CROSSLIST_OVERRIDES)
+ * 2. With the 'registry' policy, the department SUBJECT_DEPARTMENTS gives for the prefix
+ * 3. The first department listing the section, in department order ('first-seen')
+ *
+ * An override or registry department only wins when it actually lists the
+ * section; otherwise the next rule is used.
+ *
+ * Configuration environment variables:
+ * - AISIS_CROSSLIST_POLICY: 'registry' (default) or 'first-seen'
+ * - AISIS_CROSSLIST_OVERRIDES: Comma-separated SUBJECT=DEPT pairs, by subject
+ *   code or prefix (e.g., "CSCI 30=MA,ENGG=ECE")
+ *
+ * @module cross-listings
+ */
+
+/**
+ * Owning-department policies
+ * - registry: the department SUBJECT_DEPARTMENTS gives for the subject prefix, else first-seen
+ * - first-seen: the first department (in department order) listing the section
+ */
+export const CROSSLIST_POLICIES = ['registry', 'first-seen'];
+
+/**
+ * Default owning-department policy
+ */
+export const DEFAULT_CROSSLIST_POLICY = 'registry';
+
+/**
+ * Subject prefix -> department offering it
+ *
+ * To settle a new cross-listed subject, add its prefix (as getSubjectPrefix()
+ * returns it) and the department code (as it appears in the deptCode dropdown).
+ */
+export const SUBJECT_DEPARTMENTS = {
+  'BIO': 'BIO',
+  'CHEM': 'CH',
+  'COMM': 'COM',
+  'CSCI': 'DISCS',
+  'ECE': 'ECE',
+  'ECON': 'EC',
+  'ENGL': 'EN',
+  'FILI': 'FIL',
+  'HISTO': 'HI',
+  'MATH': 'MA',
+  'PEPC': 'PE',
+  'PHILO': 'PH',
+  'PHYS': 'PS',
+  'POLSC': 'POS',
+  'PSYC': 'PSY',
+  'THEO': 'TH'
+};
+
+/**
+ * Get the owning-department policy
+ * @returns {string} One of CROSSLIST_POLICIES (invalid values fall back to the default)
+ */
+export function getCrossListPolicy() {
+  const policy = (process.env.AISIS_CROSSLIST_POLICY || DEFAULT_CROSSLIST_POLICY).trim().toLowerCase();
+  if (!CROSSLIST_POLICIES.includes(policy)) {
+    logger.warn(`   ⚠️  Invalid AISIS_CROSSLIST_POLICY "${process.env.AISIS_CROSSLIST_POLICY}", using '${DEFAULT_CROSSLIST_POLICY}'`);
+    return DEFAULT_CROSSLIST_POLICY;
+  }
+  return policy;
+}
+
+/**
+ * Parse owning-department overrides
+ *
+ * @param {string} value - Comma-separated SUBJECT=DEPT pairs (subject code or prefix)
+ * @returns {Object<string, string>} Subject code or prefix -> department
+ *
+ * @example
+ * parseCrossListOverrides('CSCI 30=MA, ENGG=ECE')
+ * // returns { 'CSCI 30': 'MA', 'ENGG': 'ECE' }
+ */
+export function parseCrossListOverrides(value) {
+  const overrides = {};
+  for (const pair of (value || '').split(',')) {
+    const [subject, department] = pair.split('=').map(part => (part || '').trim());
+    if (subject && department) {
+      overrides[subject] = department;
+    }
+  }
+  return overrides;
+}
+
+/**
+ * Get the owning-department overrides from AISIS_CROSSLIST_OVERRIDES
+ * @returns {Object<string, string>} Subject code or prefix -> department (empty when unset)
+ */
+export function getCrossListOverrides() {
+  return parseCrossListOverrides(process.env.AISIS_CROSSLIST_OVERRIDES);
+}
+
+/**
+ * Key identifying one section across departments
+ * @param {Object} course - Parsed course
+ * @returns {string} "SUBJECT CODE|SECTION"
+ */
+function sectionKey(course) {
+  return `${course.subject_code}|${course.section}`;
+}
+
+/**
+ * Pick the owning department of a section listed under several departments
+ *
+ * @param {string} subjectCode - Section's subject code
+ * @param {Array<string>} listedIn - Departments listing the section, in department order
+ * @param {Object} options
+ * @param {string} options.policy - One of CROSSLIST_POLICIES
+ * @param {Object<string, string>} options.overrides - Subject code or prefix -> department
+ * @param {Object<string, string>} options.registry - Subject prefix -> department
+ * @returns {{department: string, reason: string}} Owner and the rule that chose it ('override', 'registry' or 'first-seen')
+ */
+export function chooseOwningDepartment(subjectCode, listedIn, { policy, overrides, registry }) {
+  const prefix = getSubjectPrefix(subjectCode);
+
+  const override = overrides[subjectCode] || overrides[prefix];
+  if (override && listedIn.includes(override)) {
+    return { department: override, reason: 'override' };
+  }
+
+  if (policy === 'registry' && listedIn.includes(registry[prefix])) {
+    return { department: registry[prefix], reason: 'registry' };
+  }
+
+  return { department: listedIn[0], reason: 'first-seen' };
+}
+
+/**
+ * Departments that may own sections of a subject, other than by being listed first
+ *
+ * These are the override and registry departments chooseOwningDepartment()
+ * would pick if they list the section. Used when only part of the term is
+ * scraped (scrapeSubjects), to know which other department listings to fetch.
+ *
+ * @param {string} subject - Subject prefix ('CSCI') or full subject code ('CSCI 21')
+ * @param {Object} options
+ * @param {string} options.policy - One of CROSSLIST_POLICIES (default: AISIS_CROSSLIST_POLICY)
+ * @param {Object<string, string>} options.overrides - Subject code or prefix -> department (default: AISIS_CROSSLIST_OVERRIDES)
+ * @param {Object<string, string>} options.registry - Subject prefix -> department (default: SUBJECT_DEPARTMENTS)
+ * @returns {Array<string>} Candidate owning departments, without repeats
+ *
+ * @example
+ * findOwnerCandidates('CSCI', { policy: 'registry', overrides: { 'CSCI 30': 'MA' }, registry: SUBJECT_DEPARTMENTS })
+ * // returns ['MA', 'DISCS']
+ */
+export function findOwnerCandidates(subject, {
+  policy = getCrossListPolicy(),
+  overrides = getCrossListOverrides(),
+  registry = SUBJECT_DEPARTMENTS
+} = {}) {
+  const prefix = getSubjectPrefix(subject);
+  const candidates = Object.entries(overrides)
+    .filter(([key]) => key === subject || key === prefix || (subject === prefix && getSubjectPrefix(key) === prefix))
+    .map(([, department]) => department);
+
+  if (policy === 'registry' && registry[prefix]) {
+    candidates.push(registry[prefix]);
+  }
+
+  return [...new Set(candidates)];
+}
+
+/**
+ * Collapse sections listed under more than one department
+ *
+ * Every returned course has `also_listed_in`: the other departments listing
+ * it (empty for sections listed once). Copies in the non-owning departments
+ * are dropped from their department's courses. Repeats within one department
+ * are left alone.
+ *
+ * @param {Array<{department: string, courses: Array<Object>}>} departmentResults - Courses per department, in department order
+ * @param {Object} options
+ * @param {string} options.policy - One of CROSSLIST_POLICIES (default: AISIS_CROSSLIST_POLICY)
+ * @param {Object<string, string>} options.overrides - Subject code or prefix -> department (default: AISIS_CROSSLIST_OVERRIDES)
+ * @param {Object<string, string>} options.registry - Subject prefix -> department (default: SUBJECT_DEPARTMENTS)
+ * @returns {{departments: Array<{department: string, courses: Array<Object>}>, collapsed: number, sections: Array<{subject_code: string, section: string, department: string, also_listed_in: Array<string>, reason: string}>}}
+ *   departments: the input with duplicates removed; collapsed: dropped copies;
+ *   sections: one entry per cross-listed section
+ *
+ * @example
+ * resolveCrossListings([
+ *   { department: 'MA', courses: [csci30A] },
+ *   { department: 'DISCS', courses: [csci30A, csci21B] }
+ * ])
+ * // returns {
+ * //   departments: [{ department: 'MA', courses: [] }, { department: 'DISCS', courses: [csci30A (also_listed_in: ['MA']), csci21B] }],
+ * //   collapsed: 1,
+ * //   sections: [{ subject_code: 'CSCI 30', section: 'A', department: 'DISCS', also_listed_in: ['MA'], reason: 'registry' }]
+ * // }
+ */
+export function resolveCrossListings(departmentResults, {
+  policy = getCrossListPolicy(),
+  overrides = getCrossListOverrides(),
+  registry = SUBJECT_DEPARTMENTS
+} = {}) {
+  // Departments listing each section, in department order
+  const listings = new Map();
+  for (const { department, courses } of departmentResults) {
+    for (const course of courses) {
+      const key = sectionKey(course);
+      const listedIn = listings.get(key) || [];
+      if (!listedIn.includes(department)) {
+        listedIn.push(department);
+      }
+      listings.set(key, listedIn);
+    }
+  }
+
+  const owners = new Map();
+  const sections = [];
+  for (const { department: listingDepartment, courses } of departmentResults) {
+    for (const course of courses) {
+      const key = sectionKey(course);
+      const listedIn = listings.get(key);
+      if (listedIn.length < 2 || owners.has(key) || listingDepartment !== listedIn[0]) {
+        continue;
+      }
+      const { department, reason } = chooseOwningDepartment(course.subject_code, listedIn, { policy, overrides, registry });
+      const alsoListedIn = listedIn.filter(dept => dept !== department);
+      owners.set(key, department);
+      sections.push({ subject_code: course.subject_code, section: course.section, department, also_listed_in: alsoListedIn, reason });
+    }
+  }
+
+  let collapsed = 0;
+  const departments = departmentResults.map(({ department, courses }) => ({
+    department,
+    courses: courses.flatMap(course => {
+      const key = sectionKey(course);
+      const owner = owners.get(key);
+      if (owner && owner !== department) {
+        collapsed++;
+        return [];
+      }
+      return [{ ...course, also_listed_in: owner ? listings.get(key).filter(dept => dept !== owner) : [] }];
+    })
+  }));
+
+  return { departments, collapsed, sections };
+}
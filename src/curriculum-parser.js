@@ -1,4 +1,6 @@
 import * as cheerio from 'cheerio';
+import { CurriculumMismatchError } from './errors.js';
+import { logger } from './logger.js';
 
 /**
  * Parse curriculum HTML into structured course rows
@@ -266,9 +268,9 @@ export function isProgramMatch(degCode, label, programTitle) {
 
     if (yearMismatch || semMismatch) {
       // VERSION MISMATCH DETECTED - this is session bleed
-      console.error(`   🚨 Version mismatch detected!`);
-      console.error(`      Expected: Year=${degCodeVersion.year}, Sem=${degCodeVersion.sem} (from degCode: ${degCode})`);
-      console.error(`      Found in title: Year=${titleVersion.year}, Sem=${titleVersion.sem} (from programTitle: "${programTitle}")`);
+      logger.error(`   🚨 Version mismatch detected!`);
+      logger.error(`      Expected: Year=${degCodeVersion.year}, Sem=${degCodeVersion.sem} (from degCode: ${degCode})`);
+      logger.error(`      Found in title: Year=${titleVersion.year}, Sem=${titleVersion.sem} (from programTitle: "${programTitle}")`);
       return false;  // Reject immediately
     }
   }
@@ -369,7 +371,7 @@ export function isProgramMatch(degCode, label, programTitle) {
  * @param {string} degCode - Degree code (e.g., 'BS CS_2024_1')
  * @param {string} label - Program label (e.g., 'BS Computer Science (2024-1)')
  * @returns {Array<Object>} Array of structured course row objects
- * @throws {Error} If HTML program title doesn't match requested degCode/label (session bleed)
+ * @throws {CurriculumMismatchError} If HTML program title doesn't match requested degCode/label (session bleed)
  */
 export function parseCurriculumHtml(html, degCode, label) {
   const $ = cheerio.load(html);
@@ -381,12 +383,15 @@ export function parseCurriculumHtml(html, degCode, label) {
   // CIRCUIT BREAKER: Validate that HTML matches requested program
   // This prevents contamination from AISIS session bleed / race conditions
   if (!isProgramMatch(degCode, label, programTitle)) {
-    console.error(`   🚨 CRITICAL: Curriculum HTML mismatch detected!`);
-    console.error(`      Requested degCode: ${degCode}`);
-    console.error(`      Requested label: ${label}`);
-    console.error(`      HTML program_title: ${programTitle}`);
-    console.error(`      This indicates AISIS session bleed - refusing to parse contaminated data`);
-    throw new Error(`Curriculum HTML mismatch for ${degCode}: got "${programTitle}" but expected "${label}"`);
+    logger.error(`   🚨 CRITICAL: Curriculum HTML mismatch detected!`);
+    logger.error(`      Requested degCode: ${degCode}`);
+    logger.error(`      Requested label: ${label}`);
+    logger.error(`      HTML program_title: ${programTitle}`);
+    logger.error(`      This indicates AISIS session bleed - refusing to parse contaminated data`);
+    throw new CurriculumMismatchError(
+      `Curriculum HTML mismatch for ${degCode}: got "${programTitle}" but expected "${label}"`,
+      { degCode, expected: label, actual: programTitle }
+    );
   }
 
   // State tracking for current context
@@ -482,7 +487,7 @@ export function parseAllCurricula(curriculumPrograms) {
     const { degCode, label, html } = program;
 
     if (!html) {
-      console.warn(`   ⚠️ No HTML for ${degCode} - skipping`);
+      logger.warn(`   ⚠️ No HTML for ${degCode} - skipping`);
       continue;
     }
 
@@ -504,17 +509,17 @@ export function parseAllCurricula(curriculumPrograms) {
         // Add to flattened list
         allRows.push(...rows);
       } else {
-        console.warn(`   ⚠️ No courses found for ${degCode}`);
+        logger.warn(`   ⚠️ No courses found for ${degCode}`);
       }
     } catch (error) {
       // Catch mismatch errors and skip this program to prevent contamination
-      if (error.message.includes('Curriculum HTML mismatch')) {
-        console.warn(`   ⚠️ Skipping ${degCode} due to HTML mismatch (session bleed detected)`);
-        console.warn(`      Error: ${error.message}`);
+      if (error instanceof CurriculumMismatchError) {
+        logger.warn(`   ⚠️ Skipping ${degCode} due to HTML mismatch (session bleed detected)`);
+        logger.warn(`      Error: ${error.message}`);
         // Do not push any rows for this program - prevent contamination
       } else {
         // Re-throw unexpected errors
-        console.error(`   ❌ Unexpected error parsing ${degCode}: ${error.message}`);
+        logger.error(`   ❌ Unexpected error parsing ${degCode}: ${error.message}`);
         throw error;
       }
     }
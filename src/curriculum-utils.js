@@ -1,3 +1,5 @@
+import { logger } from './logger.js';
+
 /**
  * Curriculum data utilities for deduplication, validation, and grouping
  * 
@@ -146,7 +148,7 @@ export function groupByProgramVersion(courses) {
     const degCode = course.deg_code;
     
     if (!degCode) {
-      console.warn('Course without deg_code encountered, skipping grouping:', course);
+      logger.warn('Course without deg_code encountered, skipping grouping:', { course });
       continue;
     }
 
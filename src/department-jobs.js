@@ -0,0 +1,174 @@
+import { runWorkQueue } from './rate-limiter.js';
+import { errorCode } from './errors.js';
+import { getRetryPolicies } from './retry-policy.js';
+import { logger, withLogContext } from './logger.js';
+
+/**
+ * Department job runner shared by schedule scraping and verification
+ *
+ * A job is one { term, department } pair. Every job goes through the same
+ * steps, whichever caller queued it:
+ * 1. Resume: reuse a checkpointed result if the caller provides one
+ * 2. Run: call the caller's job function, retrying failures the retry policy
+ *    allows with its backoff (department profile of src/retry-policy.js:
+ *    3 attempts, 1s, 2s, ... with jitter by default)
+ * 3. Record: build the department status entry and hand successful results
+ *    to onResult (e.g., to write a checkpoint)
+ *
+ * An optional canary phase runs the first job(s) on their own, with the same
+ * retries, before the rest are put on the work queue. If a canary job still
+ * fails (e.g., the session or term is broken), the remaining jobs are not run
+ * and are reported as failed instead of each hammering AISIS with retries.
+ *
+ * Each job runs with { term, dept } log context, so lines logged by concurrent
+ * jobs (including inside the job function) say which department they belong to.
+ */
+
+/**
+ * Canary that scrapes the first department alone to verify the session and term
+ */
+export const FIRST_DEPARTMENT_CANARY = { count: 1 };
+
+// error_code of jobs skipped because their canary failed
+export const CANARY_FAILED_CODE = 'CANARY_FAILED';
+
+/**
+ * Default label for log lines
+ * @param {{term: string, department: string}} job
+ * @returns {string} Department code
+ */
+function departmentLabel(job) {
+  return job.department;
+}
+
+/**
+ * Run department jobs with retries, an optional canary phase and a work queue
+ *
+ * @param {Array<{term: string, department: string}>} jobs - Jobs in result order
+ * @param {Object} options
+ * @param {Function} options.run - async (job, attempt, lastError) => Array of courses (or any array of rows);
+ *   lastError is the previous attempt's error (null on the first attempt)
+ * @param {number} options.concurrency - Work-queue workers
+ * @param {Object|null} options.canary - Canary phase, or null to queue every job at once
+ * @param {number} options.canary.count - Leading jobs run first, one at a time (default: 1)
+ * @param {RetryPolicy} options.policy - Attempts, backoff and retryable errors (default: department profile)
+ * @param {number} options.maxRetries - Retries after the first attempt (default: policy.attempts - 1)
+ * @param {Function} options.delay - async (ms) => void used for retry backoff
+ * @param {Function} options.resume - (job) => {courses, status}|null for jobs finished in an earlier run
+ * @param {Function} options.onResult - (job, courses, status) => void, called for successful jobs
+ * @param {Function} options.label - (job) => string used in log lines (default: department code)
+ * @returns {Promise<{results: Array<{job: Object, courses: Array, status: Object}>, canaryFailed: boolean}>}
+ *   status is { status: 'success'|'success_empty'|'failed', row_count, error, attempts, resumed? },
+ *   plus error_code (see src/errors.js, or CANARY_FAILED_CODE) for failed jobs
+ *
+ * @example
+ * const { results } = await runDepartmentJobs(
+ *   [{ term: '2025-1', department: 'DISCS' }, { term: '2025-1', department: 'MA' }],
+ *   { run: job => scraper._scrapeDepartment(job.term, job.department), concurrency: 8, canary: FIRST_DEPARTMENT_CANARY }
+ * );
+ */
+export async function runDepartmentJobs(jobs, {
+  run,
+  concurrency = 1,
+  canary = null,
+  policy = getRetryPolicies().department,
+  maxRetries = policy.attempts - 1,
+  delay = ms => new Promise(resolve => setTimeout(resolve, ms)),
+  resume = null,
+  onResult = null,
+  label = departmentLabel
+}) {
+  const formatTime = (ms) => `${(ms / 1000).toFixed(1)}s`;
+  const results = new Array(jobs.length);
+
+  const runJobAttempts = async (job) => {
+    const resumed = resume ? resume(job) : null;
+    if (resumed) {
+      return { job, courses: resumed.courses, status: resumed.status };
+    }
+
+    const name = label(job);
+    logger.info(`   📚 Scraping ${name}...`);
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      try {
+        const courses = (await run(job, attempt, lastError)) || [];
+
+        if (courses.length > 0) {
+          logger.info(`   ✅ ${name}: ${courses.length} courses`);
+        }
+        // 0 courses is valid (no offerings or explicit no-results);
+        // detailed logging already happened in the job itself
+        const status = {
+          status: courses.length > 0 ? 'success' : 'success_empty',
+          row_count: courses.length,
+          error: null,
+          attempts: attempt + 1
+        };
+        if (onResult) onResult(job, courses, status);
+        return { job, courses, status };
+      } catch (error) {
+        lastError = error;
+        if (policy.isRetryable(error) && attempt < maxRetries) {
+          const backoffMs = policy.delayMs(attempt + 1);
+          logger.info(`   ⚠️  ${name}: Retry ${attempt + 1}/${maxRetries} after ${backoffMs}ms - ${error.message}`);
+          await delay(backoffMs);
+        } else {
+          logger.error(`   ❌ ${name}: Failed after ${attempt + 1} attempt(s) - ${error.message}`);
+          return {
+            job,
+            courses: [],
+            status: { status: 'failed', row_count: 0, error: error.message, error_code: errorCode(error), attempts: attempt + 1 }
+          };
+        }
+      }
+    }
+  };
+
+  const runJob = job => withLogContext({ term: job.term, dept: job.department }, () => runJobAttempts(job));
+
+  // Canary phase: verify the session and term on the first job(s) before fanning out
+  let queueStartIndex = 0;
+  if (canary && jobs.length > 0) {
+    const canaryCount = Math.min(canary.count || 1, jobs.length);
+    logger.info(`   🧪 Canary: ${jobs.slice(0, canaryCount).map(label).join(', ')}`);
+    const canaryStart = Date.now();
+
+    for (let i = 0; i < canaryCount; i++) {
+      results[i] = await runJob(jobs[i]);
+
+      if (results[i].status.status === 'failed') {
+        const reason = `Not scraped: canary ${label(jobs[i])} failed (${results[i].status.error})`;
+        logger.error(`   💥 Canary failed for ${label(jobs[i])} - skipping ${jobs.length - i - 1} remaining job(s)`);
+        for (let j = i + 1; j < jobs.length; j++) {
+          results[j] = {
+            job: jobs[j],
+            courses: [],
+            status: { status: 'failed', row_count: 0, error: reason, error_code: CANARY_FAILED_CODE, attempts: 0 }
+          };
+        }
+        return { results, canaryFailed: true };
+      }
+    }
+
+    logger.info(`   ⏱  Canary: ${formatTime(Date.now() - canaryStart)}`);
+    queueStartIndex = canaryCount;
+  }
+
+  const queued = jobs.slice(queueStartIndex);
+  if (queued.length > 0) {
+    logger.info(`   🚦 Work queue: ${queued.length} job(s), ${Math.min(concurrency, queued.length)} workers`);
+    const queueStart = Date.now();
+
+    // Workers pull the next job as soon as they finish one
+    const queueResults = await runWorkQueue(queued, runJob, { concurrency });
+    queueResults.forEach((result, index) => {
+      results[queueStartIndex + index] = result;
+    });
+
+    logger.info(`   ⏱  Work queue: ${formatTime(Date.now() - queueStart)}`);
+  }
+
+  return { results, canaryFailed: false };
+}
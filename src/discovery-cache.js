@@ -0,0 +1,141 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Cache for the AISIS Schedule of Classes discovery data
+ *
+ * Terms, the currently selected term and departments all come from the same
+ * J_VCSC.do page. The cache fetches that page once and serves all three until
+ * the TTL runs out or it is invalidated (the scraper invalidates it whenever it
+ * logs in, so each session fetches at most once per TTL). Concurrent callers
+ * share one in-flight fetch.
+ *
+ * Every successful fetch is also written to disk. If a later fetch fails
+ * (AISIS down, error page, unparseable dropdowns), the last saved discovery is
+ * used instead, whatever its age, with a warning showing when it was fetched.
+ *
+ * Configuration environment variables:
+ * - AISIS_DISCOVERY_TTL_MS: How long a fetched discovery is reused (default: 900000 = 15 minutes, 0 disables reuse)
+ * - AISIS_DISCOVERY_CACHE_FILE: Disk fallback file (default: logs/discovery-cache.json)
+ */
+
+export const DEFAULT_DISCOVERY_TTL_MS = 15 * 60 * 1000;
+export const DEFAULT_DISCOVERY_CACHE_FILE = 'logs/discovery-cache.json';
+
+/**
+ * Get the discovery TTL from environment variables or defaults
+ * @returns {number} TTL in milliseconds
+ */
+export function getDiscoveryTtlMs() {
+  const ttlEnv = parseInt(process.env.AISIS_DISCOVERY_TTL_MS, 10);
+  return isNaN(ttlEnv) || ttlEnv < 0 ? DEFAULT_DISCOVERY_TTL_MS : ttlEnv;
+}
+
+export class DiscoveryCache {
+  /**
+   * @param {Object} options
+   * @param {Function} options.fetch - async () => { terms, selectedTerm, departments }
+   * @param {number} options.ttlMs - How long a fetched discovery is reused
+   * @param {string|null} options.cacheFile - Disk fallback file (null disables it)
+   * @param {Function} options.now - () => milliseconds (default: Date.now; used by tests)
+   */
+  constructor({
+    fetch,
+    ttlMs = getDiscoveryTtlMs(),
+    cacheFile = process.env.AISIS_DISCOVERY_CACHE_FILE || DEFAULT_DISCOVERY_CACHE_FILE,
+    now = Date.now
+  }) {
+    this.fetch = fetch;
+    this.ttlMs = ttlMs;
+    this.cacheFile = cacheFile;
+    this.now = now;
+
+    this.entry = null;
+    this.pending = null;
+  }
+
+  /**
+   * Get discovery data, fetching it if the cached copy is missing or expired
+   *
+   * @param {Object} options
+   * @param {boolean} options.forceRefresh - Ignore the cached copy
+   * @returns {Promise<{terms: Array, selectedTerm: string, departments: Array, fetched_at: string, source: string}>}
+   *   source is 'live' (just fetched), 'cache' (reused) or 'disk' (fallback after a failed fetch)
+   * @throws {Error} If the fetch fails and there is no disk fallback
+   */
+  async get({ forceRefresh = false } = {}) {
+    if (!forceRefresh && this.entry && this.now() - this.entry.fetchedAtMs < this.ttlMs) {
+      return { ...this.entry.data, source: 'cache' };
+    }
+
+    if (!this.pending) {
+      this.pending = this._refresh().finally(() => {
+        this.pending = null;
+      });
+    }
+    return this.pending;
+  }
+
+  /**
+   * Drop the in-memory copy so the next get() fetches again
+   * The disk fallback is kept.
+   */
+  invalidate() {
+    this.entry = null;
+  }
+
+  async _refresh() {
+    try {
+      const discovery = await this.fetch();
+      const fetchedAtMs = this.now();
+      const data = { ...discovery, fetched_at: new Date(fetchedAtMs).toISOString() };
+
+      this.entry = { data, fetchedAtMs };
+      this._save(data);
+      return { ...data, source: 'live' };
+    } catch (error) {
+      const saved = this._load();
+      if (!saved) {
+        throw error;
+      }
+
+      logger.warn(`   ⚠️  Discovery failed (${error.message}) - using last saved discovery from ${saved.fetched_at}`);
+      // Not cached in memory, so the next call tries AISIS again
+      return { ...saved, source: 'disk' };
+    }
+  }
+
+  /**
+   * Persist a discovery result as the disk fallback
+   * Write failures are logged but never fail discovery
+   */
+  _save(data) {
+    if (!this.cacheFile) return;
+
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      fs.writeFileSync(this.cacheFile, JSON.stringify(data, null, 2));
+    } catch (error) {
+      logger.warn(`   ⚠️  Failed to save discovery cache: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load the disk fallback
+   * @returns {Object|null} Saved discovery, or null if missing or unreadable
+   */
+  _load() {
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) {
+      return null;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.cacheFile, 'utf-8'));
+      return Array.isArray(saved.terms) && Array.isArray(saved.departments) ? saved : null;
+    } catch (error) {
+      logger.warn(`   ⚠️  Failed to load discovery cache: ${error.message}`);
+      return null;
+    }
+  }
+}
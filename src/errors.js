@@ -0,0 +1,130 @@
+/**
+ * Error classes for scraper and ingest failures
+ *
+ * Control flow (retries, unavailable curricula, skipped programs, summaries)
+ * branches on the error class or its code, never on message text. Every error
+ * carries a stable code plus whatever context applies (term, deptCode,
+ * degCode, attempt), so summaries and logs can group failures by cause.
+ *
+ * @example
+ * try {
+ *   await scraper._scrapeDegreeWithValidation(degCode, label);
+ * } catch (error) {
+ *   if (error instanceof AisisErrorPageError) { ... mark unavailable ... }
+ * }
+ */
+
+/**
+ * Base class for all scraper errors
+ */
+export class ScraperError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} context - Structured fields copied onto the error
+   * @param {string} context.term - Term code (e.g., '2025-1')
+   * @param {string} context.deptCode - Department code (e.g., 'DISCS')
+   * @param {string} context.degCode - Curriculum version (e.g., 'BS CS_2024_1')
+   * @param {number} context.attempt - Attempt that failed (1-based)
+   * @param {Error} context.cause - Underlying error, if any
+   */
+  constructor(message, context = {}) {
+    const { cause, ...fields } = context;
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = this.constructor.code;
+    for (const [key, value] of Object.entries(fields)) {
+      if (value !== undefined) {
+        this[key] = value;
+      }
+    }
+  }
+}
+
+/**
+ * AISIS rejected the credentials or no session could be established
+ */
+export class LoginFailedError extends ScraperError {
+  static code = 'LOGIN_FAILED';
+}
+
+/**
+ * AISIS answered with the login page and the session could not be recovered
+ */
+export class SessionExpiredError extends ScraperError {
+  static code = 'SESSION_EXPIRED';
+}
+
+/**
+ * AISIS returned its "Your Request Cannot Be Processed At This Time" page
+ */
+export class AisisErrorPageError extends ScraperError {
+  static code = 'AISIS_ERROR_PAGE';
+}
+
+/**
+ * Curriculum HTML belongs to a different program than requested (session bleed)
+ * Extra fields: expected (requested label), actual (program title in the HTML),
+ * session (pooled session that produced it, see src/session-pool.js)
+ */
+export class CurriculumMismatchError extends ScraperError {
+  static code = 'CURRICULUM_MISMATCH';
+}
+
+/**
+ * Schedule table headers no longer match the known columns
+ * Extra fields: headers (header cell texts seen)
+ */
+export class SchemaDriftError extends ScraperError {
+  static code = 'SCHEMA_DRIFT';
+}
+
+/**
+ * Scraped department failed its sanity checks (e.g., AISIS misrouting)
+ */
+export class SanityCheckError extends ScraperError {
+  static code = 'SANITY_CHECK_FAILED';
+}
+
+/**
+ * Non-2xx HTTP response from AISIS
+ * Extra fields: status
+ */
+export class HttpStatusError extends ScraperError {
+  static code = 'HTTP_STATUS';
+}
+
+/**
+ * AISIS did not answer within the request timeout
+ */
+export class RequestTimeoutError extends ScraperError {
+  static code = 'REQUEST_TIMEOUT';
+}
+
+/**
+ * The response body ended before the whole page arrived (e.g., a page too
+ * large for AISIS to finish sending)
+ */
+export class TruncatedPageError extends ScraperError {
+  static code = 'TRUNCATED_PAGE';
+}
+
+/**
+ * Supabase sync refused to replace a term's data (failed health check)
+ * Extra fields: reason, failedDepartments
+ */
+export class SyncAbortedError extends ScraperError {
+  static code = 'SYNC_ABORTED';
+}
+
+/**
+ * Stable code for any error, for summaries and logs
+ * @param {Error} error - Any thrown error
+ * @returns {string} The error's code, or 'UNKNOWN' for errors without one
+ *
+ * @example
+ * errorCode(new HttpStatusError('HTTP 503', { status: 503 })) // returns 'HTTP_STATUS'
+ * errorCode(new TypeError('x'))                                // returns 'UNKNOWN'
+ */
+export function errorCode(error) {
+  return (error && typeof error.code === 'string' && error.code) || 'UNKNOWN';
+}
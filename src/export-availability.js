@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { AvailabilityHistory } from './availability-history.js';
+import { logger } from './logger.js';
+
+/**
+ * Export seat-availability history recorded by the schedule scraper
+ *
+ * Writes every observation for a term (optionally narrowed to a department,
+ * subject or section) as CSV or JSON. When a single section is selected,
+ * also prints its fill curve summary and when it filled up.
+ *
+ * Usage:
+ *   node src/export-availability.js 2025-1
+ *   node src/export-availability.js 2025-1 --format json --out data/availability-2025-1.json
+ *   node src/export-availability.js 2025-1 --dept DISCS --subject "CSCI 21" --section A
+ */
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - Arguments (process.argv.slice(2))
+ * @returns {{term: string|null, format: string, out: string|null, filter: Object}}
+ */
+function parseArgs(argv) {
+  const options = { term: null, format: 'csv', out: null, filter: {} };
+  const flags = {
+    '--format': value => { options.format = value; },
+    '--out': value => { options.out = value; },
+    '--dept': value => { options.filter.department = value; },
+    '--subject': value => { options.filter.subject_code = value; },
+    '--section': value => { options.filter.section = value; }
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (flags[arg]) {
+      flags[arg](argv[++i]);
+    } else if (!options.term) {
+      options.term = arg;
+    }
+  }
+
+  return options;
+}
+
+async function exportAvailability() {
+  const { term, format, out, filter } = parseArgs(process.argv.slice(2));
+
+  if (!term) {
+    logger.error('❌ Usage: node src/export-availability.js <term> [--format csv|json] [--out file] [--dept D] [--subject "S 11"] [--section A]');
+    process.exit(1);
+  }
+
+  const history = new AvailabilityHistory();
+  if (!fs.existsSync(history.getHistoryPath(term))) {
+    logger.error(`❌ No availability history for ${term} in ${history.historyDir}`);
+    logger.error('   Run the schedule scraper first to record availability.\n');
+    process.exit(1);
+  }
+
+  const output = await history.exportHistory(term, format, filter);
+  const outPath = out || path.join('data', `availability-${term}.${format}`);
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  fs.writeFileSync(outPath, output);
+  logger.info(`📁 Exported ${term} availability history to ${outPath}`);
+
+  // Single section selected: summarize its fill curve
+  if (filter.department && filter.subject_code && filter.section) {
+    const curve = await history.getFillCurve(term, filter);
+    const filledAt = await history.findFilledAt(term, filter);
+    const label = `${filter.subject_code} ${filter.section} (${filter.department})`;
+
+    logger.info(`\n📈 ${label}: ${curve.length} observations`);
+    if (curve.length > 0) {
+      const first = curve[0];
+      const last = curve[curve.length - 1];
+      logger.info(`   First: ${first.scraped_at} - ${first.available_slots ?? '?'}/${first.max_capacity ?? '?'} free`);
+      logger.info(`   Last:  ${last.scraped_at} - ${last.available_slots ?? '?'}/${last.max_capacity ?? '?'} free`);
+    }
+    logger.info(filledAt ? `   🔴 Filled up at ${filledAt}` : '   🟢 Not currently full');
+  }
+}
+
+exportAvailability().catch(error => {
+  logger.error(`❌ Export failed: ${error.message}`);
+  process.exit(1);
+});
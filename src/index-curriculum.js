@@ -9,6 +9,8 @@ import {
   buildBatchMetadata 
 } from './curriculum-utils.js';
 import { normalizeCourseCode, applyCourseMappings } from './constants.js';
+import { CheckpointManager, parseResumeArg } from './checkpoint.js';
+import { logger, setLogContext } from './logger.js';
 import fs from 'fs';
 import 'dotenv/config';
 
@@ -35,11 +37,11 @@ import 'dotenv/config';
  */
 
 async function main() {
-  console.log('═══════════════════════════════════════════════════════');
-  console.log('🎓 AISIS Curriculum Scraper');
-  console.log('   ⚠️  NOTE: Curriculum scraping uses experimental J_VOFC.do endpoint');
-  console.log('   This feature may break if AISIS changes its UI structure');
-  console.log('═══════════════════════════════════════════════════════\n');
+  logger.info('═══════════════════════════════════════════════════════');
+  logger.info('🎓 AISIS Curriculum Scraper');
+  logger.info('   ⚠️  NOTE: Curriculum scraping uses experimental J_VOFC.do endpoint');
+  logger.info('   This feature may break if AISIS changes its UI structure');
+  logger.info('═══════════════════════════════════════════════════════\n');
 
   const { 
     AISIS_USERNAME, 
@@ -50,109 +52,128 @@ async function main() {
   } = process.env;
   
   if (!AISIS_USERNAME || !AISIS_PASSWORD) {
-    console.error('❌ FATAL: Missing AISIS credentials in environment variables');
-    console.error('   Please set AISIS_USERNAME and AISIS_PASSWORD');
+    logger.error('❌ FATAL: Missing AISIS credentials in environment variables');
+    logger.error('   Please set AISIS_USERNAME and AISIS_PASSWORD');
     process.exit(1);
   }
 
+  // Checkpoint each finished program's HTML so an interrupted run can be resumed
+  // with: npm run curriculum -- --resume <run-id>
+  let checkpoint;
+  try {
+    checkpoint = CheckpointManager.open('curriculum', parseResumeArg(process.argv.slice(2)));
+  } catch (error) {
+    logger.error(`❌ FATAL: ${error.message}`);
+    process.exit(1);
+  }
+  if (checkpoint.resumed) {
+    logger.info(`   ♻️  Resuming run ${checkpoint.runId} (checkpointed programs will be skipped)`);
+  } else {
+    logger.info(`   💾 Checkpoint run id: ${checkpoint.runId} (resume with --resume ${checkpoint.runId})`);
+  }
+
   const scraper = new AISISScraper(AISIS_USERNAME, AISIS_PASSWORD);
+  scraper.checkpoint = checkpoint;
   const supabase = DATA_INGEST_TOKEN ? new SupabaseManager(DATA_INGEST_TOKEN) : null;
   
   let sheets = null;
   if (GOOGLE_SERVICE_ACCOUNT && SPREADSHEET_ID) {
     try {
       sheets = new GoogleSheetsManager(GOOGLE_SERVICE_ACCOUNT);
-      console.log('   ✅ Google Sheets Enabled');
+      logger.info('   ✅ Google Sheets Enabled');
     } catch (e) {
-      console.warn('   ⚠️ Google Sheets Init Failed:', e.message);
+      logger.warn(`   ⚠️ Google Sheets Init Failed: ${e.message}`);
     }
   }
 
   try {
-    console.log('🚀 Initializing scraper...');
+    setLogContext({ phase: 'login' });
+    logger.info('🚀 Initializing scraper...');
     await scraper.init();
 
-    console.log('🔐 Logging in...');
+    logger.info('🔐 Logging in...');
     const loginSuccess = await scraper.login();
     
     if (!loginSuccess) {
       throw new Error('Login failed - check credentials');
     }
 
-    console.log('📥 Scraping curriculum data...');
+    setLogContext({ phase: 'curriculum' });
+    logger.info('📥 Scraping curriculum data...');
     const curriculumData = await scraper.scrapeCurriculum();
 
     if (!fs.existsSync('data')) fs.mkdirSync('data');
     if (!fs.existsSync('debug')) fs.mkdirSync('debug');
 
     if (curriculumData.length > 0) {
-      console.log(`\n💾 Processing ${curriculumData.length} curriculum programs...`);
+      setLogContext({ phase: 'process' });
+      logger.info(`\n💾 Processing ${curriculumData.length} curriculum programs...`);
       
       // Filter out unavailable curricula (those with AISIS error page)
       const unavailableCurricula = curriculumData.filter(p => p.status === 'unavailable');
       const availableCurricula = curriculumData.filter(p => p.status !== 'unavailable');
       
       if (unavailableCurricula.length > 0) {
-        console.log(`   ⚠️  ${unavailableCurricula.length} curricula marked as unavailable (AISIS error page):`);
+        logger.info(`   ⚠️  ${unavailableCurricula.length} curricula marked as unavailable (AISIS error page):`);
         unavailableCurricula.forEach(p => {
-          console.log(`      - ${p.degCode}: ${p.label}`);
+          logger.info(`      - ${p.degCode}: ${p.label}`);
         });
-        console.log(`   ✅ ${availableCurricula.length} curricula available for processing\n`);
+        logger.info(`   ✅ ${availableCurricula.length} curricula available for processing\n`);
       }
       
       // Debug instrumentation: dump raw HTML for specific degCode before parsing
       const debugDegCode = process.env.DEBUG_DEGCODE || 'BS MGT-H_2025_1';
       const debugProgram = availableCurricula.find(p => p.degCode === debugDegCode);
       if (debugProgram) {
-        console.log(`   🐛 Debug: Found ${debugDegCode} in scraped data, saving raw HTML...`);
+        logger.info(`   🐛 Debug: Found ${debugDegCode} in scraped data, saving raw HTML...`);
         fs.writeFileSync(`debug/${debugDegCode.replace(/[/\\:*?"<>|]/g, '_')}-raw.html`, debugProgram.html || '');
         fs.writeFileSync(`debug/${debugDegCode.replace(/[/\\:*?"<>|]/g, '_')}-raw.json`, JSON.stringify(debugProgram, null, 2));
-        console.log(`   ✅ Debug: Saved ${debugDegCode} raw HTML and JSON to debug/`);
+        logger.info(`   ✅ Debug: Saved ${debugDegCode} raw HTML and JSON to debug/`);
       } else if (process.env.DEBUG_DEGCODE) {
-        console.log(`   ⚠️  Debug: ${debugDegCode} not found in scraped data`);
+        logger.info(`   ⚠️  Debug: ${debugDegCode} not found in scraped data`);
       }
       
       // Only parse available curricula
       if (availableCurricula.length === 0) {
-        console.warn(`   ⚠️  No available curricula to parse (all returned AISIS error page)`);
-        console.log('\n✅ Curriculum scraping completed (no data to process)!');
+        logger.warn(`   ⚠️  No available curricula to parse (all returned AISIS error page)`);
+        logger.info('\n✅ Curriculum scraping completed (no data to process)!');
         process.exit(0);
       }
       
       // Parse curriculum HTML into structured course rows
-      console.log('   🔍 Parsing curriculum HTML into structured course rows...');
+      logger.info('   🔍 Parsing curriculum HTML into structured course rows...');
       let parseErrors = 0;
       const { programs, allRows } = parseAllCurricula(availableCurricula);
       
       // Check if debug program had a mismatch error during parsing
       if (debugProgram && !programs.find(p => p.degCode === debugDegCode)) {
-        console.log(`   🐛 Debug: ${debugDegCode} was filtered during parsing (possible mismatch)`);
+        logger.info(`   🐛 Debug: ${debugDegCode} was filtered during parsing (possible mismatch)`);
         // Dump mismatch HTML for inspection
         fs.writeFileSync(`debug/${debugDegCode.replace(/[/\\:*?"<>|]/g, '_')}-mismatch.html`, debugProgram.html || '');
-        console.log(`   ✅ Debug: Saved ${debugDegCode} mismatch HTML to debug/`);
+        logger.info(`   ✅ Debug: Saved ${debugDegCode} mismatch HTML to debug/`);
       }
       
-      console.log(`   ✅ Parsed ${programs.length} programs into ${allRows.length} course rows`);
+      logger.info(`   ✅ Parsed ${programs.length} programs into ${allRows.length} course rows`);
       
       // Debug instrumentation: dump parsed rows for specific degCode after parsing
       if (debugProgram) {
         const debugRows = allRows.filter(row => row.deg_code === debugDegCode);
-        console.log(`   🐛 Debug: Found ${debugRows.length} parsed rows for ${debugDegCode}, saving...`);
+        logger.info(`   🐛 Debug: Found ${debugRows.length} parsed rows for ${debugDegCode}, saving...`);
         fs.writeFileSync(`debug/${debugDegCode.replace(/[/\\:*?"<>|]/g, '_')}-rows.json`, JSON.stringify(debugRows, null, 2));
         if (debugRows.length > 0) {
-          console.log(`   🐛 Debug: Sample row program_title: "${debugRows[0].program_title}"`);
+          logger.info(`   🐛 Debug: Sample row program_title: "${debugRows[0].program_title}"`);
         }
-        console.log(`   ✅ Debug: Saved ${debugDegCode} parsed rows to debug/`);
+        logger.info(`   ✅ Debug: Saved ${debugDegCode} parsed rows to debug/`);
       }
       
       // ========================================================================
       // NEW REFACTORED PIPELINE: Normalize, Deduplicate, Validate, and Batch
       // ========================================================================
       
-      console.log('\n📊 Processing curriculum data pipeline...');
+      logger.info('\n📊 Processing curriculum data pipeline...');
       
       // Step 1: Normalize course codes and apply canonical mappings
-      console.log('   1️⃣  Normalizing course codes and applying canonical mappings...');
+      logger.info('   1️⃣  Normalizing course codes and applying canonical mappings...');
       const normalizedRows = allRows.map(row => {
         const normalized = normalizeCourseCode(row.course_code);
         const canonical = applyCourseMappings(normalized);
@@ -161,17 +182,17 @@ async function main() {
           course_code: canonical
         };
       });
-      console.log(`      ✅ Normalized ${normalizedRows.length} course codes`);
+      logger.info(`      ✅ Normalized ${normalizedRows.length} course codes`);
       
       // Step 2: Deduplicate courses
-      console.log('   2️⃣  Deduplicating courses...');
+      logger.info('   2️⃣  Deduplicating courses...');
       const beforeDedupeCount = normalizedRows.length;
       const dedupedRows = dedupeCourses(normalizedRows);
       const duplicatesRemoved = beforeDedupeCount - dedupedRows.length;
-      console.log(`      ✅ Removed ${duplicatesRemoved} duplicate courses (${beforeDedupeCount} → ${dedupedRows.length})`);
+      logger.info(`      ✅ Removed ${duplicatesRemoved} duplicate courses (${beforeDedupeCount} → ${dedupedRows.length})`);
       
       if (duplicatesRemoved > 0) {
-        console.log(`      ℹ️  Duplicates removed per program:`);
+        logger.info(`      ℹ️  Duplicates removed per program:`);
         // Count duplicates per program
         const dupsByProgram = {};
         const normalizedByProgram = {};
@@ -188,38 +209,38 @@ async function main() {
           }
         });
         Object.entries(dupsByProgram).slice(0, 5).forEach(([deg, count]) => {
-          console.log(`         ${deg}: ${count} duplicates`);
+          logger.info(`         ${deg}: ${count} duplicates`);
         });
         if (Object.keys(dupsByProgram).length > 5) {
-          console.log(`         ... and ${Object.keys(dupsByProgram).length - 5} more programs`);
+          logger.info(`         ... and ${Object.keys(dupsByProgram).length - 5} more programs`);
         }
       }
       
       // Step 3: Validate and filter courses
-      console.log('   3️⃣  Validating courses...');
+      logger.info('   3️⃣  Validating courses...');
       const { valid: validRows, invalid: invalidRows } = filterValidCourses(dedupedRows);
-      console.log(`      ✅ Validated ${validRows.length} courses, filtered ${invalidRows.length} invalid`);
+      logger.info(`      ✅ Validated ${validRows.length} courses, filtered ${invalidRows.length} invalid`);
       
       if (invalidRows.length > 0) {
-        console.log(`      ⚠️  Sample invalid courses (showing up to 5):`);
+        logger.info(`      ⚠️  Sample invalid courses (showing up to 5):`);
         invalidRows.slice(0, 5).forEach(({ course, errors }) => {
-          console.log(`         - ${course.deg_code} / ${course.course_code || '(missing)'}: ${errors.join(', ')}`);
+          logger.info(`         - ${course.deg_code} / ${course.course_code || '(missing)'}: ${errors.join(', ')}`);
         });
       }
       
       // Step 4: Group by program/version
-      console.log('   4️⃣  Grouping by program/version...');
+      logger.info('   4️⃣  Grouping by program/version...');
       const groupedByProgram = groupByProgramVersion(validRows);
-      console.log(`      ✅ Grouped into ${groupedByProgram.size} program/version groups`);
+      logger.info(`      ✅ Grouped into ${groupedByProgram.size} program/version groups`);
       
       // Log summary stats per program
-      console.log('\n   📋 Per-Program Summary:');
+      logger.info('\n   📋 Per-Program Summary:');
       const summaryEntries = Array.from(groupedByProgram.entries());
       summaryEntries.slice(0, 10).forEach(([degCode, courses]) => {
-        console.log(`      ${degCode}: ${courses.length} courses`);
+        logger.info(`      ${degCode}: ${courses.length} courses`);
       });
       if (summaryEntries.length > 10) {
-        console.log(`      ... and ${summaryEntries.length - 10} more programs`);
+        logger.info(`      ... and ${summaryEntries.length - 10} more programs`);
       }
       
       // 1. Local backup - save both detailed programs and flattened rows
@@ -237,17 +258,18 @@ async function main() {
       };
       
       fs.writeFileSync('data/curriculum.json', JSON.stringify(curriculumOutput, null, 2));
-      console.log(`\n   💾 Saved ${programs.length} programs (${validRows.length} valid courses) to data/curriculum.json`);
+      logger.info(`\n   💾 Saved ${programs.length} programs (${validRows.length} valid courses) to data/curriculum.json`);
 
       // 2. Supabase Sync - OPTIMIZED WITH GROUPING AND CONCURRENCY
       if (supabase && validRows.length > 0) {
-        console.log('\n   🚀 Starting Supabase Sync (Optimized with Grouping and Concurrency)...');
+        setLogContext({ phase: 'ingest' });
+        logger.info('\n   🚀 Starting Supabase Sync (Optimized with Grouping and Concurrency)...');
         
         // Parse configuration from environment
         const CURRICULUM_SEND_GROUP_SIZE = parseInt(process.env.CURRICULUM_SEND_GROUP_SIZE || '10', 10);
         const CURRICULUM_SEND_CONCURRENCY = parseInt(process.env.CURRICULUM_SEND_CONCURRENCY || '2', 10);
         
-        console.log(`      Configuration: group_size=${CURRICULUM_SEND_GROUP_SIZE}, concurrency=${CURRICULUM_SEND_CONCURRENCY}`);
+        logger.info(`      Configuration: group_size=${CURRICULUM_SEND_GROUP_SIZE}, concurrency=${CURRICULUM_SEND_CONCURRENCY}`);
         
         // Build all curriculum batches
         const curriculumBatches = [];
@@ -282,7 +304,7 @@ async function main() {
         
         // Group batches into chunks for grouped sending
         const groups = chunkArray(curriculumBatches, CURRICULUM_SEND_GROUP_SIZE);
-        console.log(`      Grouped ${curriculumBatches.length} program(s) into ${groups.length} group(s)\n`);
+        logger.info(`      Grouped ${curriculumBatches.length} program(s) into ${groups.length} group(s)\n`);
         
         let successCount = 0;
         let failureCount = 0;
@@ -296,7 +318,7 @@ async function main() {
             const programCount = group.length;
             const totalCourses = group.reduce((sum, batch) => sum + batch.courses.length, 0);
             
-            console.log(`   📤 [${totalGroupIndex}/${groups.length}] Sending curriculum group: programs=${programCount}, courses=${totalCourses}`);
+            logger.info(`   📤 [${totalGroupIndex}/${groups.length}] Sending curriculum group: programs=${programCount}, courses=${totalCourses}`);
             
             // Send the group (either single batch or grouped batches)
             const success = await supabase.sendCurriculumBatch(group);
@@ -312,37 +334,39 @@ async function main() {
         );
         
         // Summary
-        console.log(`\n   📊 Supabase Sync Summary:`);
-        console.log(`      Total programs: ${curriculumBatches.length}`);
-        console.log(`      Total groups: ${groups.length}`);
-        console.log(`      ✅ Successful programs: ${successCount}`);
-        console.log(`      ❌ Failed programs: ${failureCount}`);
-        console.log(`      Total courses synced: ${validRows.length}`);
+        logger.info(`\n   📊 Supabase Sync Summary:`);
+        logger.info(`      Total programs: ${curriculumBatches.length}`);
+        logger.info(`      Total groups: ${groups.length}`);
+        logger.info(`      ✅ Successful programs: ${successCount}`);
+        logger.info(`      ❌ Failed programs: ${failureCount}`);
+        logger.info(`      Total courses synced: ${validRows.length}`);
         
         if (failureCount === 0) {
-          console.log(`\n   ✅ All programs synced successfully!`);
+          logger.info(`\n   ✅ All programs synced successfully!`);
         } else if (successCount > 0) {
-          console.log(`\n   ⚠️  Partial success - some programs failed`);
+          logger.info(`\n   ⚠️  Partial success - some programs failed`);
         } else {
-          console.log(`\n   ❌ All programs failed`);
+          logger.info(`\n   ❌ All programs failed`);
         }
       } else {
-        console.log('\n   ⚠️ Supabase sync skipped (no DATA_INGEST_TOKEN or no rows)');
+        logger.info('\n   ⚠️ Supabase sync skipped (no DATA_INGEST_TOKEN or no rows)');
       }
 
       // 3. Google Sheets Sync - use flattened rows (like schedules)
       if (sheets && allRows.length > 0) {
-        console.log('   📊 Syncing to Google Sheets...');
+        setLogContext({ phase: 'sheets' });
+        logger.info('   📊 Syncing to Google Sheets...');
         try {
           // Sync flattened rows to Sheets, similar to how schedules are synced
           await sheets.syncData(SPREADSHEET_ID, 'Curriculum', allRows);
-          console.log('   ✅ Google Sheets sync completed');
+          logger.info('   ✅ Google Sheets sync completed');
         } catch (error) {
-          console.error('   ❌ Google Sheets sync failed:', error.message);
+          logger.error(`   ❌ Google Sheets sync failed: ${error.message}`);
         }
       }
 
       // 4. Save curriculum summary to logs (similar to schedule summaries)
+      setLogContext({ phase: 'summary' });
       if (!fs.existsSync('logs')) fs.mkdirSync('logs');
       
       // Count unique programs from validRows
@@ -359,35 +383,43 @@ async function main() {
       
       const summaryPath = `logs/curriculum_summary-${Date.now()}.json`;
       fs.writeFileSync(summaryPath, JSON.stringify(curriculumSummary, null, 2));
-      console.log(`\n📋 Curriculum summary saved to ${summaryPath}`);
+      logger.info(`\n📋 Curriculum summary saved to ${summaryPath}`);
+
+    } else {
+      logger.warn('\n⚠️ No curriculum data scraped.');
+      logger.info("   Possible reasons:");
+      logger.info("   - No curriculum versions found via J_VOFC.do degCode dropdown");
+      logger.info("   - All curriculum scraping attempts failed (check logs above)");
+      logger.info("   - AISIS may have changed the J_VOFC.do page structure");
+      logger.info("   - See README.md for alternative solutions");
+    }
 
+    // Run finished - checkpoints are only needed to resume interrupted or partly failed runs
+    const failedPrograms = scraper.lastCurriculumStats?.failed || 0;
+    if (failedPrograms === 0) {
+      checkpoint.clear();
     } else {
-      console.warn('\n⚠️ No curriculum data scraped.');
-      console.log("   Possible reasons:");
-      console.log("   - No curriculum versions found via J_VOFC.do degCode dropdown");
-      console.log("   - All curriculum scraping attempts failed (check logs above)");
-      console.log("   - AISIS may have changed the J_VOFC.do page structure");
-      console.log("   - See README.md for alternative solutions");
+      logger.info(`\n💾 ${failedPrograms} program(s) failed; checkpoints kept (retry them with --resume ${checkpoint.runId})`);
     }
 
-    console.log('\n✅ Curriculum scraping completed!');
+    logger.info('\n✅ Curriculum scraping completed!');
     process.exit(0);
 
   } catch (error) {
-    console.error('\n❌ Scraping failed:', error.message);
-    console.error('Stack trace:', error.stack);
+    logger.error(`\n❌ Scraping failed: ${error.message}`);
+    logger.error(`Stack trace: ${error.stack}`);
     process.exit(1);
   }
 }
 
 // Handle uncaught errors
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled Rejection:', { reason });
   process.exit(1);
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught Exception:', { error });
   process.exit(1);
 });
 
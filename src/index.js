@@ -2,8 +2,17 @@ import { AISISScraper, compareTermCodes } from './scraper.js';
 import { SupabaseManager, ALL_DEPARTMENTS_LABEL } from './supabase.js';
 import { GoogleSheetsManager } from './sheets.js';
 import { BaselineManager } from './baseline.js';
+import { ChangeLogManager } from './change-log.js';
+import { AvailabilityHistory } from './availability-history.js';
+import { Watchlist } from './watchlist.js';
+import { summarizeRemarkCoverage, logRemarkCoverage, writeRemarkCoverage } from './remarks-parser.js';
+import { summarizeParseWarnings, logParseWarnings, writeParseWarnings } from './parse-provenance.js';
+import { parseAvailabilitySubjects, runAvailabilityRefresh } from './availability-refresh.js';
+import { CheckpointManager, parseResumeArg } from './checkpoint.js';
+import { SyncAbortedError, errorCode } from './errors.js';
 import { getTermYear } from './constants.js';
 import { getNextTerm, findNextAvailableTerm, formatTermLabel } from './term-utils.js';
+import { logger, setLogContext } from './logger.js';
 import fs from 'fs';
 import 'dotenv/config';
 
@@ -17,9 +26,9 @@ function formatTime(ms) {
 }
 
 async function main() {
-  console.log('═══════════════════════════════════════════════════════');
-  console.log('🎓 AISIS Schedule Scraper');
-  console.log('═══════════════════════════════════════════════════════\n');
+  logger.info('═══════════════════════════════════════════════════════');
+  logger.info('🎓 AISIS Schedule Scraper');
+  logger.info('═══════════════════════════════════════════════════════\n');
 
   const {
     AISIS_USERNAME,
@@ -32,8 +41,8 @@ async function main() {
   } = process.env;
 
   if (!AISIS_USERNAME || !AISIS_PASSWORD) {
-    console.error('❌ FATAL: Missing AISIS credentials in environment variables');
-    console.error('   Please set AISIS_USERNAME and AISIS_PASSWORD');
+    logger.error('❌ FATAL: Missing AISIS credentials in environment variables');
+    logger.error('   Please set AISIS_USERNAME and AISIS_PASSWORD');
     process.exit(1);
   }
 
@@ -41,21 +50,54 @@ async function main() {
   // AISIS_TERM takes precedence over APPLICABLE_PERIOD for clarity
   const termOverride = AISIS_TERM || APPLICABLE_PERIOD || null;
   if (termOverride) {
-    console.log(`   📌 Term override from environment: ${termOverride}`);
+    logger.info(`   📌 Term override from environment: ${termOverride}`);
   } else {
-    console.log('   🔍 Term will be auto-detected from AISIS');
+    logger.info('   🔍 Term will be auto-detected from AISIS');
+  }
+
+  // Determine scraping mode
+  // 'current' - scrape only current term
+  // 'current_next' (default) - scrape current term + next term
+  // 'future' - scrape only future terms (after current)
+  // 'all' - scrape both current and future terms
+  // 'year' - scrape all terms in the current term's academic year
+  // 'availability' - refresh seat counts of AISIS_AVAILABILITY_SUBJECTS only (partial update)
+  const scrapeMode = process.env.AISIS_SCRAPE_MODE || 'current_next';
+  const resumeRunId = parseResumeArg(process.argv.slice(2));
+
+  // Checkpoint each finished department so an interrupted run can be resumed
+  // with: npm start -- --resume <run-id>
+  // Availability refreshes don't scrape whole departments, so they never checkpoint
+  let checkpoint = null;
+  if (scrapeMode === 'availability') {
+    if (resumeRunId) {
+      logger.warn(`   ⚠️  Ignoring --resume ${resumeRunId}: availability refreshes are not checkpointed`);
+    }
+  } else {
+    try {
+      checkpoint = CheckpointManager.open('schedule', resumeRunId);
+    } catch (error) {
+      logger.error(`❌ FATAL: ${error.message}`);
+      process.exit(1);
+    }
+    if (checkpoint.resumed) {
+      logger.info(`   ♻️  Resuming run ${checkpoint.runId} (checkpointed departments will be skipped)`);
+    } else {
+      logger.info(`   💾 Checkpoint run id: ${checkpoint.runId} (resume with --resume ${checkpoint.runId})`);
+    }
   }
 
   const scraper = new AISISScraper(AISIS_USERNAME, AISIS_PASSWORD);
+  scraper.checkpoint = checkpoint;
   const supabase = DATA_INGEST_TOKEN ? new SupabaseManager(DATA_INGEST_TOKEN) : null;
 
   let sheets = null;
   if (GOOGLE_SERVICE_ACCOUNT && SPREADSHEET_ID) {
     try {
       sheets = new GoogleSheetsManager(GOOGLE_SERVICE_ACCOUNT);
-      console.log('   ✅ Google Sheets Enabled');
+      logger.info('   ✅ Google Sheets Enabled');
     } catch (e) {
-      console.warn('   ⚠️ Google Sheets Init Failed:', e.message);
+      logger.warn(`   ⚠️ Google Sheets Init Failed: ${e.message}`);
     }
   }
 
@@ -63,12 +105,13 @@ async function main() {
     const startTime = Date.now();
     const phaseTimings = {};
 
-    console.log('🚀 Initializing scraper...');
+    setLogContext({ phase: 'login' });
+    logger.info('🚀 Initializing scraper...');
     const initStart = Date.now();
     await scraper.init();
     phaseTimings.init = Date.now() - initStart;
 
-    console.log('🔐 Logging in...');
+    logger.info('🔐 Logging in...');
     const loginStart = Date.now();
     const loginSuccess = await scraper.login();
 
@@ -76,37 +119,68 @@ async function main() {
       throw new Error('Login failed - check credentials');
     }
     phaseTimings.login = Date.now() - loginStart;
-    console.log(`   ⏱  Login & validation: ${formatTime(phaseTimings.login)}`);
+    logger.info(`   ⏱  Login & validation: ${formatTime(phaseTimings.login)}`);
+
+    setLogContext({ phase: scrapeMode === 'availability' ? 'availability' : 'schedule' });
+    logger.info(`\n📋 Scrape mode: ${scrapeMode}`);
+
+    if (scrapeMode === 'availability') {
+      // Fast refresh for enlistment periods: no baselines, change log, Sheets or term replacement
+      const subjects = parseAvailabilitySubjects(process.env.AISIS_AVAILABILITY_SUBJECTS);
+
+      let term = termOverride;
+      if (!term) {
+        const availableTerms = await scraper.getAvailableTerms();
+        const currentTermObj = availableTerms.find(t => t.selected) || availableTerms[0];
+        term = currentTermObj ? currentTermObj.value : null;
+      }
+      if (!term) {
+        throw new Error('Could not determine current term from available terms');
+      }
+
+      const scrapeStart = Date.now();
+      const refresh = await runAvailabilityRefresh({ scraper, supabase, term, subjects });
+      phaseTimings.scraping = Date.now() - scrapeStart;
+
+      const failedSubjects = refresh.departments.filter(d => d.status === 'failed');
+      logger.info(`\n⏱  Availability refresh: ${formatTime(phaseTimings.scraping)} (total ${formatTime(Date.now() - startTime)})`);
+
+      if (failedSubjects.length === subjects.length || refresh.synced === false) {
+        logger.info('\n❌ Availability refresh failed!');
+        process.exit(1);
+      }
+      if (failedSubjects.length > 0) {
+        logger.warn(`\n⚠️ ${failedSubjects.length} subject(s) failed: ${failedSubjects.map(d => `${d.department}:${d.subject}`).join(', ')}`);
+      }
 
-    // Determine scraping mode
-    // 'current' - scrape only current term
-    // 'current_next' (default) - scrape current term + next term
-    // 'future' - scrape only future terms (after current)
-    // 'all' - scrape both current and future terms
-    // 'year' - scrape all terms in the current term's academic year
-    const scrapeMode = process.env.AISIS_SCRAPE_MODE || 'current_next';
-    console.log(`\n📋 Scrape mode: ${scrapeMode}`);
+      logger.info('\n✅ Availability refresh completed!');
+      if (supabase) {
+        await supabase.logEvent('info', 'Availability refresh finished successfully', 'availability_refresh_complete');
+      }
+      process.exit(0);
+    }
 
     let termsToScrape = [];
     let multiTermResults = [];
 
     if (scrapeMode === 'current') {
       // Single-term mode (existing behavior)
-      console.log('📥 Scraping schedule data (current term only)...');
+      logger.info('📥 Scraping schedule data (current term only)...');
       const scrapeStart = Date.now();
       const scrapeResult = await scraper.scrapeSchedule(termOverride);
       phaseTimings.scraping = Date.now() - scrapeStart;
-      console.log(`   ⏱  AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
+      logger.info(`   ⏱  AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
 
       // Wrap in array for unified processing
       multiTermResults = [scrapeResult];
     } else {
       // Multi-term mode (current_next, future, all, or year)
-      console.log('🔍 Discovering available terms...');
+      setLogContext({ phase: 'discovery' });
+      logger.info('🔍 Discovering available terms...');
       const termsDiscoveryStart = Date.now();
       const availableTerms = await scraper.getAvailableTerms();
       phaseTimings.termDiscovery = Date.now() - termsDiscoveryStart;
-      console.log(`   ⏱  Term discovery: ${formatTime(phaseTimings.termDiscovery)}`);
+      logger.info(`   ⏱  Term discovery: ${formatTime(phaseTimings.termDiscovery)}`);
 
       // Find current term
       const currentTermObj = availableTerms.find(t => t.selected) || availableTerms[0];
@@ -116,7 +190,7 @@ async function main() {
         throw new Error('Could not determine current term from available terms');
       }
 
-      console.log(`   📌 Current term: ${currentTerm} (${currentTermObj.label})`);
+      logger.info(`   📌 Current term: ${currentTerm} (${currentTermObj.label})`);
 
       // Filter terms based on mode
       if (scrapeMode === 'current_next') {
@@ -130,28 +204,28 @@ async function main() {
         // Add next term if it exists in AISIS
         if (nextTermInAisis) {
           termsToScrape.push(nextTermInAisis);
-          console.log(`   🔮 Next term: ${nextTermInAisis} (${formatTermLabel(nextTermInAisis)})`);
+          logger.info(`   🔮 Next term: ${nextTermInAisis} (${formatTermLabel(nextTermInAisis)})`);
         } else {
           // Check if calculated next term might be expected but not yet available
           const expectedNextTerm = getNextTerm(currentTerm);
           if (expectedNextTerm) {
-            console.log(`   ℹ️  Next term ${expectedNextTerm} not yet available in AISIS (will be scraped when published)`);
+            logger.info(`   ℹ️  Next term ${expectedNextTerm} not yet available in AISIS (will be scraped when published)`);
           }
         }
 
-        console.log(`   📅 Current + Next terms to scrape: ${termsToScrape.join(', ')}`);
+        logger.info(`   📅 Current + Next terms to scrape: ${termsToScrape.join(', ')}`);
       } else if (scrapeMode === 'future') {
         termsToScrape = availableTerms
           .filter(t => compareTermCodes(t.value, currentTerm) > 0)
           .map(t => t.value)
           .sort(compareTermCodes);
-        console.log(`   🔮 Future terms to scrape: ${termsToScrape.join(', ')}`);
+        logger.info(`   🔮 Future terms to scrape: ${termsToScrape.join(', ')}`);
       } else if (scrapeMode === 'all') {
         termsToScrape = availableTerms
           .filter(t => compareTermCodes(t.value, currentTerm) >= 0)
           .map(t => t.value)
           .sort(compareTermCodes);
-        console.log(`   📅 All terms to scrape (current + future): ${termsToScrape.join(', ')}`);
+        logger.info(`   📅 All terms to scrape (current + future): ${termsToScrape.join(', ')}`);
       } else if (scrapeMode === 'year') {
         // Year mode: scrape all terms in the current term's academic year
         const currentYear = getTermYear(currentTerm);
@@ -162,24 +236,25 @@ async function main() {
           .filter(t => getTermYear(t.value) === currentYear)
           .map(t => t.value)
           .sort(compareTermCodes);
-        console.log(`   📆 Year mode: scraping all terms in academic year ${currentYear}`);
-        console.log(`   📅 Terms in year ${currentYear} to scrape: ${termsToScrape.join(', ')}`);
+        logger.info(`   📆 Year mode: scraping all terms in academic year ${currentYear}`);
+        logger.info(`   📅 Terms in year ${currentYear} to scrape: ${termsToScrape.join(', ')}`);
       } else {
-        throw new Error(`Invalid AISIS_SCRAPE_MODE: ${scrapeMode}. Valid values: current, current_next, future, all, year`);
+        throw new Error(`Invalid AISIS_SCRAPE_MODE: ${scrapeMode}. Valid values: current, current_next, future, all, year, availability`);
       }
 
       if (termsToScrape.length === 0) {
-        console.warn(`   ⚠️ No terms to scrape based on mode '${scrapeMode}'`);
-        console.log('\n✅ No schedule data to process');
+        logger.warn(`   ⚠️ No terms to scrape based on mode '${scrapeMode}'`);
+        logger.info('\n✅ No schedule data to process');
         process.exit(0);
       }
 
       // Scrape multiple terms
-      console.log('📥 Scraping schedule data (multi-term mode)...');
+      setLogContext({ phase: 'schedule' });
+      logger.info('📥 Scraping schedule data (multi-term mode)...');
       const scrapeStart = Date.now();
       multiTermResults = await scraper.scrapeMultipleTerms(termsToScrape);
       phaseTimings.scraping = Date.now() - scrapeStart;
-      console.log(`   ⏱  AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
+      logger.info(`   ⏱  AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
     }
 
     // Process results for each term
@@ -192,10 +267,11 @@ async function main() {
     // Initialize baseline manager for regression detection
     const baselineManager = new BaselineManager();
     const baselineConfig = baselineManager.getConfigSummary();
-    console.log(`\n🔍 Baseline tracking enabled:`);
-    console.log(`   Drop threshold: ${baselineConfig.dropThresholdPercent}%`);
-    console.log(`   Warn-only mode: ${baselineConfig.warnOnly ? 'Yes' : 'No (will fail on regression)'}`);
-    console.log(`   Require baselines: ${baselineConfig.requireBaselines ? 'Yes (will fail if missing)' : 'No'}`);
+    setLogContext({ phase: 'baseline' });
+    logger.info(`\n🔍 Baseline tracking enabled:`);
+    logger.info(`   Drop threshold: ${baselineConfig.dropThresholdPercent}%`);
+    logger.info(`   Warn-only mode: ${baselineConfig.warnOnly ? 'Yes' : 'No (will fail on regression)'}`);
+    logger.info(`   Require baselines: ${baselineConfig.requireBaselines ? 'Yes (will fail if missing)' : 'No'}`);
 
     // Validate baselines exist BEFORE processing if required
     // This prevents data loss by failing fast when baselines are missing
@@ -203,6 +279,13 @@ async function main() {
       baselineManager.validateBaselinesExist();
     }
 
+    // Section-level change log (added/removed/changed sections since the last run)
+    const changeLogManager = new ChangeLogManager();
+
+    // Append-only seat availability history (one observation per section per run)
+    const availabilityHistory = new AvailabilityHistory();
+    const scrapedAt = new Date();
+
     if (!fs.existsSync('data')) fs.mkdirSync('data');
 
     // Process each term's data
@@ -211,13 +294,14 @@ async function main() {
 
     for (const termResult of multiTermResults) {
       const { term, courses: scheduleData, departments: deptResults } = termResult;
+      setLogContext({ phase: 'process', term });
 
       if (scheduleData.length === 0) {
-        console.warn(`\n⚠️ No schedule data found for term ${term}.`);
+        logger.warn(`\n⚠️ No schedule data found for term ${term}.`);
         continue;
       }
 
-      console.log(`\n💾 Processing ${scheduleData.length} courses from term ${term}...`);
+      logger.info(`\n💾 Processing ${scheduleData.length} courses from term ${term}...`);
 
       // Add term_code to each course record before transformation
       const enrichedSchedule = scheduleData.map(course => ({
@@ -265,15 +349,48 @@ async function main() {
       const deptBaselineData = baselineManager.buildDepartmentBaselineData(deptResults);
       baselineManager.saveDepartmentBaseline(term, deptBaselineData);
 
+      // Diff sections against the previous run's snapshot
+      const changeLog = changeLogManager.buildChangeLog(term, deptResults);
+      changeLogManager.logSummary(changeLog);
+      const { jsonPath } = changeLogManager.writeChangeLog(changeLog);
+      logger.info(`   📝 Change log saved to ${jsonPath}`);
+
+      // Report how much of the remarks text the remarks rules understood
+      const remarkCoverage = summarizeRemarkCoverage(term, scheduleData);
+      logRemarkCoverage(remarkCoverage);
+      logger.info(`   🏷️  Remarks coverage saved to ${writeRemarkCoverage(remarkCoverage)}`);
+
+      // Report values the parser defaulted or could not read, per department
+      const parseWarnings = summarizeParseWarnings(term, scheduleData);
+      logParseWarnings(parseWarnings);
+      logger.info(`   🧾 Parse warnings saved to ${writeParseWarnings(parseWarnings)}`);
+
+      // Record seat availability for fill curves
+      const observationCount = availabilityHistory.recordScrape(term, scheduleData, scrapedAt);
+      logger.info(`   📈 Recorded availability for ${observationCount} sections in ${availabilityHistory.getHistoryPath(term)}`);
+
       // Check if we should fail the job due to regression
       if (baselineManager.shouldFailJob(comparisonResult)) {
-        console.error(`\n❌ REGRESSION DETECTED for term ${term}: Total record count dropped significantly`);
-        console.error(`   This likely indicates data loss during scraping`);
-        console.error(`   Set BASELINE_WARN_ONLY=true to make this a warning instead of failure`);
+        logger.error(`\n❌ REGRESSION DETECTED for term ${term}: Total record count dropped significantly`);
+        logger.error(`   This likely indicates data loss during scraping`);
+        logger.error(`   Set BASELINE_WARN_ONLY=true to make this a warning instead of failure`);
         regressionFailed = true;
       }
     }
 
+    setLogContext({ phase: 'output', term: null });
+
+    // Watchlist notifications for watched sections that opened up (all terms at once)
+    // A broken watchlist config or channel must not fail the scrape
+    try {
+      const watchlist = Watchlist.load();
+      if (watchlist) {
+        await watchlist.process(allTermsData);
+      }
+    } catch (error) {
+      logger.error(`\n❌ Watchlist notifications failed: ${error.message}`);
+    }
+
     // Save local backups (combined for all terms in multi-term mode)
     if (allTermsData.length > 0) {
       if (multiTermResults.length === 1) {
@@ -281,7 +398,7 @@ async function main() {
         const { cleanSchedule, term, deptResults } = allTermsData[0];
 
         fs.writeFileSync('data/courses.json', JSON.stringify(cleanSchedule, null, 2));
-        console.log(`\n📁 Saved ${cleanSchedule.length} courses to data/courses.json`);
+        logger.info(`\n📁 Saved ${cleanSchedule.length} courses to data/courses.json`);
 
         // Save per-department structure for debugging and analysis
         const perDeptArtifact = {
@@ -293,7 +410,7 @@ async function main() {
           }))
         };
         fs.writeFileSync('data/schedules-per-department.json', JSON.stringify(perDeptArtifact, null, 2));
-        console.log(`   ✅ Saved per-department structure to data/schedules-per-department.json`);
+        logger.info(`   ✅ Saved per-department structure to data/schedules-per-department.json`);
       } else {
         // Multi-term mode: save per-term files
         const allCourses = [];
@@ -316,10 +433,10 @@ async function main() {
         }
 
         fs.writeFileSync('data/courses.json', JSON.stringify(allCourses, null, 2));
-        console.log(`\n📁 Saved ${allCourses.length} total courses to data/courses.json`);
+        logger.info(`\n📁 Saved ${allCourses.length} total courses to data/courses.json`);
 
         fs.writeFileSync('data/schedules-per-department.json', JSON.stringify(multiTermArtifact, null, 2));
-        console.log(`   ✅ Saved multi-term per-department structure to data/schedules-per-department.json`);
+        logger.info(`   ✅ Saved multi-term per-department structure to data/schedules-per-department.json`);
       }
     }
 
@@ -330,7 +447,8 @@ async function main() {
     // to prevent data loss from race conditions.
     // See docs/ingestion.md for details on the chunking protocol.
     if (supabase && allTermsData.length > 0) {
-      console.log('\n🚀 Starting Supabase Sync (Sequential per-term)...');
+      setLogContext({ phase: 'ingest' });
+      logger.info('\n🚀 Starting Supabase Sync (Sequential per-term)...');
 
       const supabaseStart = Date.now();
 
@@ -340,7 +458,8 @@ async function main() {
       // Process each term separately to maintain term isolation in Supabase
       // Each term is synced as a single unit - syncToSupabase handles batching internally
       for (const { term, deptResults } of allTermsData) {
-        console.log(`\n   📅 Syncing term: ${term}`);
+        setLogContext({ term });
+        logger.info(`\n   📅 Syncing term: ${term}`);
 
         // Perform pre-sync health check to validate department data
         // This prevents data loss from AISIS misrouting or HTML quirks
@@ -354,7 +473,7 @@ async function main() {
           allCleanCourses.push(...cleanCourses);
         }
 
-        console.log(`   Total courses for term ${term}: ${allCleanCourses.length}`);
+        logger.info(`   Total courses for term ${term}: ${allCleanCourses.length}`);
 
         // Sync all courses for this term in a single call
         // syncToSupabase handles batching internally and ensures:
@@ -367,14 +486,18 @@ async function main() {
 
           if (success) {
             totalSuccessCount += allCleanCourses.length;
-            console.log(`   ✅ Term ${term} sync complete: ${allCleanCourses.length} records synced`);
+            logger.info(`   ✅ Term ${term} sync complete: ${allCleanCourses.length} records synced`);
           } else {
             totalFailureCount += allCleanCourses.length;
-            console.error(`   ❌ Term ${term} sync failed`);
+            logger.error(`   ❌ Term ${term} sync failed`);
           }
         } catch (error) {
-          // Health check aborted sync - log and continue
-          console.error(`   ❌ Term ${term} sync aborted: ${error.message}`);
+          // Log and continue with the next term either way
+          if (error instanceof SyncAbortedError) {
+            logger.error(`   ❌ Term ${term} sync aborted by health check: ${error.reason}`);
+          } else {
+            logger.error(`   ❌ Term ${term} sync failed: ${error.message}`);
+          }
           totalFailureCount += allCleanCourses.length;
         }
       }
@@ -382,90 +505,101 @@ async function main() {
       phaseTimings.supabase = Date.now() - supabaseStart;
 
       // Final summary log
-      console.log('\n✅ SCHEDULE SUPABASE SYNC COMPLETE', {
+      logger.info('\n✅ SCHEDULE SUPABASE SYNC COMPLETE', {
         total_terms: allTermsData.length,
         successful_records: totalSuccessCount,
         failed_records: totalFailureCount,
         duration_ms: phaseTimings.supabase
       });
-      console.log(`   ⏱  Supabase sync: ${formatTime(phaseTimings.supabase)}`);
+      logger.info(`   ⏱  Supabase sync: ${formatTime(phaseTimings.supabase)}`);
     } else if (!supabase) {
-      console.log('\n   ⚠️ Supabase sync skipped (no DATA_INGEST_TOKEN)');
+      logger.info('\n   ⚠️ Supabase sync skipped (no DATA_INGEST_TOKEN)');
       phaseTimings.supabase = 0;
     }
 
     // 3. Google Sheets Sync
+    setLogContext({ phase: 'sheets', term: null });
     if (sheets && allTermsData.length > 0) {
-      console.log('\n📊 Syncing to Google Sheets...');
+      logger.info('\n📊 Syncing to Google Sheets...');
       const sheetsStart = Date.now();
       try {
         if (multiTermResults.length === 1) {
           // Single-term mode: use single tab (backward compatible)
           const { cleanSchedule } = allTermsData[0];
           await sheets.syncData(SPREADSHEET_ID, 'Schedules', cleanSchedule);
-          console.log(`   ✅ Google Sheets sync completed (single tab: Schedules)`);
+          logger.info(`   ✅ Google Sheets sync completed (single tab: Schedules)`);
         } else {
           // Multi-term mode: create one tab per term
           for (const { term, cleanSchedule } of allTermsData) {
             const tabName = term; // Use term code as tab name (e.g., "2024-1", "2025-0")
             await sheets.syncData(SPREADSHEET_ID, tabName, cleanSchedule);
-            console.log(`   ✅ Synced ${cleanSchedule.length} courses to tab: ${tabName}`);
+            logger.info(`   ✅ Synced ${cleanSchedule.length} courses to tab: ${tabName}`);
           }
-          console.log(`   ✅ Google Sheets sync completed (${allTermsData.length} tabs)`);
+          logger.info(`   ✅ Google Sheets sync completed (${allTermsData.length} tabs)`);
         }
         phaseTimings.sheets = Date.now() - sheetsStart;
-        console.log(`   ⏱  Sheets sync: ${formatTime(phaseTimings.sheets)}`);
+        logger.info(`   ⏱  Sheets sync: ${formatTime(phaseTimings.sheets)}`);
       } catch (error) {
         phaseTimings.sheets = Date.now() - sheetsStart;
-        console.error('   ❌ Google Sheets sync failed:', error.message);
+        logger.error(`   ❌ Google Sheets sync failed: ${error.message}`);
       }
     } else {
       phaseTimings.sheets = 0;
     }
 
     // Print summary timing
+    setLogContext({ phase: 'summary' });
     const totalTime = Date.now() - startTime;
-    console.log('\n⏱  Performance Summary:');
-    console.log(`   Initialization: ${formatTime(phaseTimings.init)}`);
-    console.log(`   Login & validation: ${formatTime(phaseTimings.login)}`);
+    logger.info('\n⏱  Performance Summary:');
+    logger.info(`   Initialization: ${formatTime(phaseTimings.init)}`);
+    logger.info(`   Login & validation: ${formatTime(phaseTimings.login)}`);
     if (phaseTimings.termDiscovery) {
-      console.log(`   Term discovery: ${formatTime(phaseTimings.termDiscovery)}`);
+      logger.info(`   Term discovery: ${formatTime(phaseTimings.termDiscovery)}`);
     }
-    console.log(`   AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
+    logger.info(`   AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
     if (phaseTimings.supabase > 0) {
-      console.log(`   Supabase sync: ${formatTime(phaseTimings.supabase)}`);
+      logger.info(`   Supabase sync: ${formatTime(phaseTimings.supabase)}`);
     }
     if (phaseTimings.sheets > 0) {
-      console.log(`   Sheets sync: ${formatTime(phaseTimings.sheets)}`);
+      logger.info(`   Sheets sync: ${formatTime(phaseTimings.sheets)}`);
     }
-    console.log(`   Total time: ${formatTime(totalTime)}`);
+    logger.info(`   Total time: ${formatTime(totalTime)}`);
 
     // Exit with error if regression detected and not in warn-only mode
     if (regressionFailed) {
-      console.log('\n❌ Scraping completed with REGRESSION ERROR!');
+      logger.info('\n❌ Scraping completed with REGRESSION ERROR!');
       process.exit(1);
     }
 
     if (allTermsData.length === 0) {
-      console.warn(`\n⚠️ No schedule data found for any terms.`);
-      console.log("   This could be because:");
-      console.log("   - No courses are available for the selected terms");
-      console.log("   - The terms have not been published yet in AISIS");
-      console.log("   - The session expired during scraping");
-      console.log("   - There are issues with the AISIS system");
+      logger.warn(`\n⚠️ No schedule data found for any terms.`);
+      logger.info("   This could be because:");
+      logger.info("   - No courses are available for the selected terms");
+      logger.info("   - The terms have not been published yet in AISIS");
+      logger.info("   - The session expired during scraping");
+      logger.info("   - There are issues with the AISIS system");
+    }
+
+    // Run finished - checkpoints are only needed to resume interrupted or partly failed runs
+    const failedDepartments = multiTermResults.reduce(
+      (count, { departments }) => count + departments.filter(d => d.status === 'failed').length, 0);
+    if (failedDepartments === 0) {
+      checkpoint.clear();
+    } else {
+      logger.info(`\n💾 ${failedDepartments} department(s) failed; checkpoints kept (retry them with --resume ${checkpoint.runId})`);
     }
 
-    console.log('\n✅ Schedule scraping completed!');
+    logger.info('\n✅ Schedule scraping completed!');
     if (supabase) {
       await supabase.logEvent('info', 'Scraper finished successfully', 'scrape_complete');
     }
     process.exit(0);
 
   } catch (error) {
-    console.error('\n❌ Scraping failed:', error.message);
-    console.error('Stack trace:', error.stack);
+    logger.error(`\n❌ Scraping failed: ${error.message}`);
+    logger.error(`Stack trace: ${error.stack}`);
     if (supabase) {
-      await supabase.logEvent('error', error.message, 'scraper_fatal_error', { stack: error.stack });
+      await supabase.logEvent('error', error.message, 'scraper_fatal_error', { code: errorCode(error), stack: error.stack });
     }
     process.exit(1);
   }
@@ -473,12 +607,12 @@ async function main() {
 
 // Handle uncaught errors
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled Rejection:', { reason });
   process.exit(1);
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught Exception:', { error });
   process.exit(1);
 });
 
@@ -0,0 +1,175 @@
+/**
+ * Instructor parser for the AISIS schedule Instructor column
+ *
+ * AISIS renders a section's instructors as one string, for example:
+ * - "REYES, PEDRO"
+ * - "SUAREZ, ELINETH ELIZABETH L."
+ * - "MONTENEGRO, MARIA CONCEPCION B., SUAREZ, ELINETH ELIZABETH L." (team-taught)
+ * - "SANTOS, JUAN<br>CRUZ, MARIA" (team-taught, one name per line)
+ * - "TBA, -" or "STAFF" (no instructor assigned yet)
+ *
+ * This module turns such strings into one entry per instructor, with a key
+ * that stays the same across terms so downstream apps can follow an
+ * instructor without re-parsing the instructor string themselves.
+ *
+ * @module instructor-parser
+ */
+
+/**
+ * Names AISIS shows when no instructor is assigned
+ */
+export const INSTRUCTOR_PLACEHOLDERS = ['TBA', 'TBD', 'TO BE ANNOUNCED', 'STAFF', 'FACULTY', 'NONE', '-'];
+
+/**
+ * Name suffixes that AISIS may put after their own comma ("CRUZ, JUAN, JR.")
+ */
+const NAME_SUFFIXES = ['JR', 'SR', 'II', 'III', 'IV', 'V'];
+
+// Separators between instructors: line breaks (from <br>), semicolons, slashes and ampersands
+const INSTRUCTOR_SEPARATOR_PATTERN = /\n|;|\/|&/;
+
+/**
+ * Collapse whitespace and drop stray separators around a name part
+ * @param {string} text - Name part
+ * @returns {string}
+ */
+function cleanNamePart(text) {
+  return text.replace(/\s+/g, ' ').replace(/^[\s,.-]+|[\s,]+$/g, '').trim();
+}
+
+/**
+ * Check whether an instructor string (or one part of it) is a placeholder
+ *
+ * @param {string} text - Instructor string or name part
+ * @returns {boolean} True for empty strings and placeholders like "TBA" or "TBA, -"
+ *
+ * @example
+ * isInstructorPlaceholder('TBA, -')        // returns true
+ * isInstructorPlaceholder('REYES, PEDRO')  // returns false
+ */
+export function isInstructorPlaceholder(text) {
+  if (!text || typeof text !== 'string') {
+    return true;
+  }
+  return text
+    .split(',')
+    .map(part => part.replace(/\s+/g, ' ').trim().toUpperCase())
+    .every(part => part === '' || INSTRUCTOR_PLACEHOLDERS.includes(part) || INSTRUCTOR_PLACEHOLDERS.includes(part.replace(/\.$/, '')));
+}
+
+/**
+ * Build the stable key for an instructor
+ *
+ * Keys are lowercase ASCII, with accents, periods and extra spaces removed, so
+ * "Peña, José M." and "PENA, JOSE M" share a key. The last name is separated
+ * from the first name by a colon.
+ *
+ * @param {string} lastName - Last name
+ * @param {string|null} firstName - First name(s) and middle initial, if known
+ * @returns {string} Key such as 'suarez:elineth-elizabeth-l'
+ *
+ * @example
+ * instructorKey('DELA CRUZ', 'MARIA L.')  // returns 'dela-cruz:maria-l'
+ * instructorKey('STAFF NURSE', null)      // returns 'staff-nurse'
+ */
+export function instructorKey(lastName, firstName) {
+  const slug = (text) => (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+  const last = slug(lastName);
+  const first = slug(firstName);
+  return first ? `${last}:${first}` : last;
+}
+
+/**
+ * Parse one instructor group (text between separators) into instructors
+ *
+ * AISIS writes names as "LAST, FIRST M." and joins team-taught instructors
+ * with another comma, so comma-separated parts are read in last/first pairs.
+ *
+ * @param {string} group - Text between separators
+ * @returns {Array<Object>} Instructors
+ */
+function parseInstructorGroup(group) {
+  const rawParts = group.split(',').map(part => part.replace(/\s+/g, ' ').trim()).filter(part => part !== '');
+  const instructors = [];
+
+  for (let i = 0; i < rawParts.length; i += 2) {
+    let end = Math.min(i + 2, rawParts.length);
+
+    // "CRUZ, JUAN, JR." - the suffix belongs to the name before it
+    const suffix = rawParts[i + 2];
+    if (end === i + 2 && suffix && NAME_SUFFIXES.includes(suffix.toUpperCase().replace(/\.$/, ''))) {
+      end++;
+    }
+
+    const raw = rawParts.slice(i, end).join(', ');
+    const lastName = cleanNamePart(rawParts[i]);
+    const firstName = cleanNamePart(rawParts.slice(i + 1, end).join(' ')) || null;
+    i = end - 2;
+
+    if (!lastName || isInstructorPlaceholder(raw)) {
+      continue;
+    }
+    instructors.push({
+      last_name: lastName,
+      first_name: firstName,
+      raw,
+      key: instructorKey(lastName, firstName)
+    });
+  }
+
+  return instructors;
+}
+
+/**
+ * Parse an AISIS instructor string into individual instructors
+ *
+ * Handles:
+ * - Single instructors ("REYES, PEDRO")
+ * - Team-taught sections joined by commas ("MONTENEGRO, MARIA B., SUAREZ, ELINETH L."),
+ *   line breaks (<br> in the cell), semicolons, slashes or ampersands
+ * - Placeholders ("TBA", "TBA, -", "STAFF"), which give no instructors
+ * - Names without a comma, kept whole as the last name
+ *
+ * Duplicate names (same key) are listed once.
+ *
+ * @param {string} instructorText - Raw instructor string, with <br> turned into line breaks
+ * @returns {Array<{last_name: string, first_name: string|null, raw: string, key: string}>}
+ *   Instructors in the order AISIS lists them; empty when no instructor is assigned
+ *
+ * @example
+ * parseInstructors('MONTENEGRO, MARIA CONCEPCION B., SUAREZ, ELINETH ELIZABETH L.')
+ * // returns [
+ * //   { last_name: 'MONTENEGRO', first_name: 'MARIA CONCEPCION B.', raw: 'MONTENEGRO, MARIA CONCEPCION B.',
+ * //     key: 'montenegro:maria-concepcion-b' },
+ * //   { last_name: 'SUAREZ', first_name: 'ELINETH ELIZABETH L.', raw: 'SUAREZ, ELINETH ELIZABETH L.',
+ * //     key: 'suarez:elineth-elizabeth-l' }
+ * // ]
+ *
+ * parseInstructors('TBA, -')  // returns []
+ */
+export function parseInstructors(instructorText) {
+  if (!instructorText || typeof instructorText !== 'string' || isInstructorPlaceholder(instructorText)) {
+    return [];
+  }
+
+  const instructors = [];
+  const seen = new Set();
+
+  for (const group of instructorText.split(INSTRUCTOR_SEPARATOR_PATTERN)) {
+    for (const instructor of parseInstructorGroup(group)) {
+      if (!seen.has(instructor.key)) {
+        seen.add(instructor.key);
+        instructors.push(instructor);
+      }
+    }
+  }
+
+  return instructors;
+}
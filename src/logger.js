@@ -0,0 +1,244 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+/**
+ * Leveled logger with pretty and JSON-lines output
+ *
+ * One logger is shared by the scraper, ingest and entry points. In pretty mode
+ * (the default) lines print exactly as they are written, emoji and
+ * indentation included. In JSON mode each line is one JSON object on stdout:
+ *
+ *   {"ts":"2025-06-01T02:00:00.000Z","level":"info","msg":"✅ DISCS: 412 courses","run_id":"9876543210-1","term":"2025-1","dept":"DISCS","phase":"schedule"}
+ *
+ * Every line carries the run_id, plus context fields (term, dept, degCode,
+ * phase) from two places:
+ * - setLogContext: run-wide fields set by the sequential entry points
+ *   (e.g. { phase: 'ingest', term: '2025-1' })
+ * - withLogContext: fields for one piece of concurrent work (a department job,
+ *   a curriculum program); they follow async calls, so concurrent workers
+ *   each log their own department, and override run-wide fields
+ * Blank and separator-only lines (═══...) are left out of JSON output.
+ *
+ * Configuration environment variables:
+ * - AISIS_LOG_LEVEL: debug, info, warn, error or silent (default: info; debug when DEBUG_SCRAPER=true)
+ * - AISIS_LOG_FORMAT: pretty or json (default: pretty)
+ * - AISIS_RUN_ID: run_id on every line (default: GITHUB_RUN_ID-GITHUB_RUN_ATTEMPT in
+ *   GitHub Actions, otherwise random)
+ * - DEBUG_SCRAPER: Legacy switch for debug-level logs (same as AISIS_LOG_LEVEL=debug)
+ */
+
+export const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+export const LOG_FORMATS = ['pretty', 'json'];
+export const DEFAULT_LOG_LEVEL = 'info';
+export const DEFAULT_LOG_FORMAT = 'pretty';
+
+const contextStorage = new AsyncLocalStorage();
+let runContext = {};
+
+/**
+ * Get the log level from environment variables or defaults
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {string} One of LOG_LEVELS
+ */
+export function getLogLevel(env = process.env) {
+  const level = (env.AISIS_LOG_LEVEL || '').trim().toLowerCase();
+  if (level) {
+    if (LOG_LEVELS[level] !== undefined) {
+      return level;
+    }
+    console.warn(`   ⚠️  Unknown AISIS_LOG_LEVEL "${env.AISIS_LOG_LEVEL}" (use ${Object.keys(LOG_LEVELS).join(', ')}) - using ${DEFAULT_LOG_LEVEL}`);
+  }
+  return env.DEBUG_SCRAPER === 'true' ? 'debug' : DEFAULT_LOG_LEVEL;
+}
+
+/**
+ * Get the log format from environment variables or defaults
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {string} 'pretty' or 'json'
+ */
+export function getLogFormat(env = process.env) {
+  const format = (env.AISIS_LOG_FORMAT || '').trim().toLowerCase();
+  if (format && !LOG_FORMATS.includes(format)) {
+    console.warn(`   ⚠️  Unknown AISIS_LOG_FORMAT "${env.AISIS_LOG_FORMAT}" (use pretty or json) - using ${DEFAULT_LOG_FORMAT}`);
+    return DEFAULT_LOG_FORMAT;
+  }
+  return format || DEFAULT_LOG_FORMAT;
+}
+
+/**
+ * Get the run ID that correlates every line of one run
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {string} e.g. '9876543210-1' in GitHub Actions, 'a1b2c3d4' locally
+ */
+export function getRunId(env = process.env) {
+  if (env.AISIS_RUN_ID) {
+    return env.AISIS_RUN_ID;
+  }
+  if (env.GITHUB_RUN_ID) {
+    return `${env.GITHUB_RUN_ID}-${env.GITHUB_RUN_ATTEMPT || 1}`;
+  }
+  return crypto.randomBytes(4).toString('hex');
+}
+
+/**
+ * Set run-wide log context (fields set to undefined or null are removed)
+ *
+ * @param {Object} context - Fields such as phase, term
+ *
+ * @example
+ * setLogContext({ phase: 'ingest', term: '2025-1' });
+ */
+export function setLogContext(context) {
+  runContext = { ...runContext, ...context };
+  for (const [key, value] of Object.entries(runContext)) {
+    if (value === undefined || value === null) {
+      delete runContext[key];
+    }
+  }
+}
+
+/**
+ * Run a function with extra log context
+ *
+ * Everything logged while fn runs (including in awaited calls and other
+ * modules) carries the context, merged over any outer context.
+ *
+ * @param {Object} context - Fields such as term, dept, degCode, phase
+ * @param {Function} fn - Function to run (sync or async)
+ * @returns {*} fn's return value
+ *
+ * @example
+ * await withLogContext({ term: '2025-1', dept: 'DISCS' }, () => scraper._scrapeDepartment('2025-1', 'DISCS'));
+ */
+export function withLogContext(context, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...context }, fn);
+}
+
+/**
+ * Current log context (run-wide fields merged with withLogContext fields)
+ * @returns {Object}
+ */
+export function getLogContext() {
+  return { ...runContext, ...contextStorage.getStore() };
+}
+
+/**
+ * Make fields JSON-safe (errors become { name, message, code })
+ * @param {Object} fields - Extra fields passed to a log call
+ * @returns {Object}
+ */
+function serializeFields(fields) {
+  const serialized = {};
+  for (const [key, value] of Object.entries(fields)) {
+    if (value instanceof Error) {
+      serialized[key] = { name: value.name, message: value.message, code: value.code };
+    } else if (value !== undefined) {
+      serialized[key] = value;
+    }
+  }
+  return serialized;
+}
+
+export class Logger {
+  /**
+   * @param {Object} options
+   * @param {string} options.level - Minimum level (default: getLogLevel(), read on first use)
+   * @param {string} options.format - 'pretty' or 'json' (default: getLogFormat(), read on first use)
+   * @param {string} options.runId - run_id on every line (default: getRunId(), read on first use)
+   * @param {Function} options.write - (line) => void for JSON lines (default: stdout)
+   * @param {Function} options.now - () => Date (default: current time; used by tests)
+   */
+  constructor({ level = null, format = null, runId = null, write = null, now = () => new Date() } = {}) {
+    // Settings left unset are read from the environment on first use, so the
+    // shared logger picks up variables loaded by dotenv after import
+    this._level = level;
+    this._format = format;
+    this._runId = runId;
+    this.write = write || (line => process.stdout.write(`${line}\n`));
+    this.now = now;
+  }
+
+  get level() {
+    return this._level ??= getLogLevel();
+  }
+
+  set level(level) {
+    this._level = level;
+  }
+
+  get format() {
+    return this._format ??= getLogFormat();
+  }
+
+  set format(format) {
+    this._format = format;
+  }
+
+  get runId() {
+    return this._runId ??= getRunId();
+  }
+
+  /**
+   * @param {string} level - Level to check
+   * @returns {boolean} True if lines at this level are written
+   */
+  isLevelEnabled(level) {
+    return LOG_LEVELS[level] >= LOG_LEVELS[this.level];
+  }
+
+  debug(message = '', fields) {
+    this._log('debug', message, fields);
+  }
+
+  info(message = '', fields) {
+    this._log('info', message, fields);
+  }
+
+  warn(message = '', fields) {
+    this._log('warn', message, fields);
+  }
+
+  error(message = '', fields) {
+    this._log('error', message, fields);
+  }
+
+  /**
+   * @param {string} level - Line level
+   * @param {string} message - Message as printed in pretty mode
+   * @param {Object} fields - Extra structured fields (printed after the message in pretty mode)
+   */
+  _log(level, message, fields) {
+    if (!this.isLevelEnabled(level)) {
+      return;
+    }
+
+    if (this.format !== 'json') {
+      const print = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+      if (fields === undefined) {
+        print(message);
+      } else {
+        print(message, fields);
+      }
+      return;
+    }
+
+    const msg = String(message).trim();
+    if (fields === undefined && !/[\p{L}\p{N}]/u.test(msg)) {
+      return;
+    }
+
+    const reserved = { ts: this.now().toISOString(), level, msg, run_id: this.runId };
+    this.write(JSON.stringify({
+      ...reserved,
+      ...getLogContext(),
+      ...(fields && serializeFields(fields)),
+      // Context and fields can't overwrite the reserved keys (which stay first in the line)
+      ...reserved
+    }));
+  }
+}
+
+/**
+ * Shared logger used across the scraper, ingest and entry points
+ */
+export const logger = new Logger();
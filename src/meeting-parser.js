@@ -0,0 +1,338 @@
+/**
+ * Meeting parser for AISIS schedule time patterns
+ *
+ * AISIS renders each section's schedule as a single human-readable string in the
+ * Time column, for example:
+ * - "MWF 09:00-10:00"
+ * - "T-TH 13:00-14:30 (FULLY ONLINE)"
+ * - "T-F 1400-1530 (FULLY ONSITE)"
+ * - "M 08:00-10:00 W 13:00-15:00" (multi-slot, originally separated by <br>)
+ * - "TBA (~)" (no fixed schedule, terminal/special course)
+ *
+ * This module turns such strings into structured meetings so downstream apps
+ * don't have to re-parse time_pattern themselves.
+ *
+ * Day numbering follows docs/DATA_GUIDE.md: SU=0, M=1, T=2, W=3, TH=4, F=5, SAT=6.
+ *
+ * @module meeting-parser
+ */
+
+/**
+ * Day tokens recognised in AISIS day strings, mapped to day numbers
+ * Order matters: longer tokens must be matched before their prefixes
+ * (e.g., TH before T, SAT/SU before S)
+ */
+const DAY_TOKENS = [
+  ['SAT', 6],
+  ['SUN', 0],
+  ['SU', 0],
+  ['TH', 4],
+  ['M', 1],
+  ['T', 2],
+  ['W', 3],
+  ['F', 5],
+  ['S', 6]
+];
+
+/**
+ * Canonical day code for each day number
+ */
+const DAY_CODES = ['SU', 'M', 'T', 'W', 'TH', 'F', 'SAT'];
+
+/**
+ * Modality markers found in the AISIS Time column
+ * Keys are the marker text inside parentheses, values are delivery modes
+ */
+export const MODALITY_MARKERS = {
+  'FULLY ONSITE': 'onsite',
+  'FULLY ONLINE': 'online',
+  'HYBRID': 'hybrid'
+};
+
+// A single time slot: day string followed by a start-end time range
+// Times can be "09:00" or "0900" style
+const SLOT_PATTERN = /([A-Z][A-Z-]*)\s+(\d{1,2}:?\d{2})\s*-\s*(\d{1,2}:?\d{2})/y;
+const TBA_PATTERN = /TBA/y;
+const MARKER_PATTERN = /\(([^)]*)\)/y;
+const SEPARATOR_PATTERN = /[\s\/;,]+/y;
+
+/**
+ * Parse a day string like "MWF", "T-TH" or "SAT" into day numbers
+ *
+ * Dashes in AISIS day strings are separators, not ranges: "T-F" means
+ * Tuesday and Friday, "M-TH" means Monday and Thursday.
+ *
+ * @param {string} dayString - Day portion of a time slot
+ * @returns {Array<number>|null} Sorted unique day numbers, or null if unparseable
+ *
+ * @example
+ * parseDays('MWF')   // returns [1, 3, 5]
+ * parseDays('T-TH')  // returns [2, 4]
+ * parseDays('TTH')   // returns [2, 4]
+ * parseDays('SAT')   // returns [6]
+ */
+export function parseDays(dayString) {
+  if (!dayString || typeof dayString !== 'string') {
+    return null;
+  }
+
+  const compact = dayString.toUpperCase().replace(/[-\s]/g, '');
+  if (compact === '') {
+    return null;
+  }
+
+  const days = new Set();
+  let index = 0;
+
+  while (index < compact.length) {
+    const match = DAY_TOKENS.find(([token]) => compact.startsWith(token, index));
+    if (!match) {
+      return null;
+    }
+    days.add(match[1]);
+    index += match[0].length;
+  }
+
+  return Array.from(days).sort((a, b) => a - b);
+}
+
+/**
+ * Parse a clock time like "09:00" or "1430" into minutes after midnight
+ *
+ * @param {string} timeString - Time in HH:MM or HHMM format
+ * @returns {number|null} Minutes after midnight, or null if invalid
+ *
+ * @example
+ * parseClockTime('09:00')  // returns 540
+ * parseClockTime('1430')   // returns 870
+ */
+export function parseClockTime(timeString) {
+  if (!timeString || typeof timeString !== 'string') {
+    return null;
+  }
+
+  const match = timeString.trim().match(/^(\d{1,2}):?(\d{2})$/);
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+
+  if (hours > 24 || minutes > 59) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Format minutes after midnight as HH:MM
+ *
+ * @param {number|null} totalMinutes - Minutes after midnight
+ * @returns {string|null} Time in HH:MM format, or null
+ */
+export function formatMinutes(totalMinutes) {
+  if (totalMinutes === null || totalMinutes === undefined || isNaN(totalMinutes)) {
+    return null;
+  }
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+/**
+ * Convert an array of day numbers to canonical AISIS day codes
+ *
+ * @param {Array<number>} dayNumbers - Day numbers (0-6)
+ * @returns {Array<string>} Day codes (e.g., ['M', 'W', 'F'])
+ */
+export function dayNumbersToCodes(dayNumbers) {
+  return (dayNumbers || []).map(day => DAY_CODES[day]);
+}
+
+/**
+ * Combine the modality of individual meetings into an overall delivery mode
+ *
+ * @param {Array<Object>} meetings - Parsed meetings
+ * @returns {string|null} 'onsite', 'online', 'hybrid', or null if unknown
+ */
+function combineModalities(meetings) {
+  const modalities = new Set(meetings.map(m => m.modality).filter(Boolean));
+  if (modalities.size === 0) return null;
+  if (modalities.size === 1) return modalities.values().next().value;
+  return 'hybrid';
+}
+
+/**
+ * Parse an AISIS time pattern into structured meetings
+ *
+ * Handles:
+ * - Single and multi-slot patterns ("MWF 09:00-10:00", "M 08:00-10:00 W 13:00-15:00")
+ * - HH:MM and HHMM time formats
+ * - TBA slots (no days or times)
+ * - Modality markers "(FULLY ONSITE)" / "(FULLY ONLINE)" - a marker applies to
+ *   all preceding slots that don't have one yet, so a single trailing marker
+ *   covers the whole pattern
+ * - The "(~)" marker used for special/terminal courses
+ *
+ * Unrecognised fragments are collected in `unparsed` rather than throwing,
+ * since the Time column is free text and new formats do appear.
+ *
+ * @param {string} timePattern - Raw time pattern (with or without modality markers)
+ * @returns {Object} Parse result:
+ *   {
+ *     meetings: Array<{ days, day_numbers, start_minutes, end_minutes, start_time, end_time, modality, tba }>,
+ *     modality: 'onsite' | 'online' | 'hybrid' | null,
+ *     tba: boolean,        // true if any slot is TBA
+ *     special: boolean,    // true if the (~) marker is present
+ *     unparsed: Array<string>
+ *   }
+ *
+ * @example
+ * parseTimePattern('T-TH 13:00-14:30 (FULLY ONLINE)')
+ * // returns {
+ * //   meetings: [{ days: ['T', 'TH'], day_numbers: [2, 4], start_minutes: 780, end_minutes: 870,
+ * //                start_time: '13:00', end_time: '14:30', modality: 'online', tba: false }],
+ * //   modality: 'online', tba: false, special: false, unparsed: []
+ * // }
+ */
+export function parseTimePattern(timePattern) {
+  const result = {
+    meetings: [],
+    modality: null,
+    tba: false,
+    special: false,
+    unparsed: []
+  };
+
+  if (!timePattern || typeof timePattern !== 'string') {
+    return result;
+  }
+
+  const text = timePattern.toUpperCase().replace(/\s+/g, ' ').trim();
+
+  // Meetings that haven't been assigned a modality by a marker yet
+  let pendingModality = [];
+  let index = 0;
+
+  const tryMatch = (pattern) => {
+    pattern.lastIndex = index;
+    const match = pattern.exec(text);
+    if (match) {
+      index = pattern.lastIndex;
+    }
+    return match;
+  };
+
+  while (index < text.length) {
+    if (tryMatch(SEPARATOR_PATTERN)) {
+      continue;
+    }
+
+    const slot = tryMatch(SLOT_PATTERN);
+    if (slot) {
+      const dayNumbers = parseDays(slot[1]);
+      const startMinutes = parseClockTime(slot[2]);
+      const endMinutes = parseClockTime(slot[3]);
+
+      if (!dayNumbers || startMinutes === null || endMinutes === null) {
+        result.unparsed.push(slot[0]);
+        continue;
+      }
+
+      const meeting = {
+        days: dayNumbersToCodes(dayNumbers),
+        day_numbers: dayNumbers,
+        start_minutes: startMinutes,
+        end_minutes: endMinutes,
+        start_time: formatMinutes(startMinutes),
+        end_time: formatMinutes(endMinutes),
+        modality: null,
+        tba: false
+      };
+      result.meetings.push(meeting);
+      pendingModality.push(meeting);
+      continue;
+    }
+
+    if (tryMatch(TBA_PATTERN)) {
+      const meeting = {
+        days: [],
+        day_numbers: [],
+        start_minutes: null,
+        end_minutes: null,
+        start_time: null,
+        end_time: null,
+        modality: null,
+        tba: true
+      };
+      result.meetings.push(meeting);
+      pendingModality.push(meeting);
+      result.tba = true;
+      continue;
+    }
+
+    const marker = tryMatch(MARKER_PATTERN);
+    if (marker) {
+      const markerText = marker[1].trim();
+      if (markerText === '~') {
+        result.special = true;
+      } else if (MODALITY_MARKERS[markerText]) {
+        for (const meeting of pendingModality) {
+          meeting.modality = MODALITY_MARKERS[markerText];
+        }
+        pendingModality = [];
+      } else if (markerText !== '') {
+        result.unparsed.push(marker[0]);
+      }
+      continue;
+    }
+
+    // Unknown fragment - consume up to the next whitespace and record it
+    const rest = text.slice(index);
+    const fragment = rest.split(' ')[0];
+    result.unparsed.push(fragment);
+    index += fragment.length;
+  }
+
+  result.modality = combineModalities(result.meetings);
+  return result;
+}
+
+/**
+ * Flatten parsed meetings into the legacy scalar columns of aisis_schedules
+ *
+ * The database stores a single start_time/end_time pair and a days_of_week array
+ * per section. days_of_week is the union of all meeting days. When the timed
+ * meetings don't all share one time, start_time/end_time are null rather than
+ * one slot's times applied to every day; the per-slot times are in the
+ * `meetings` column.
+ *
+ * @param {Array<Object>} meetings - Meetings from parseTimePattern()
+ * @returns {{start_time: string|null, end_time: string|null, days_of_week: Array<number>|null}}
+ *   Times in HH:MM:SS format and days as integers (SU=0 ... SAT=6)
+ */
+export function summarizeMeetings(meetings) {
+  const timed = (meetings || []).filter(m => !m.tba && m.start_minutes !== null);
+
+  if (timed.length === 0) {
+    return { start_time: null, end_time: null, days_of_week: null };
+  }
+
+  const days = new Set();
+  for (const meeting of timed) {
+    for (const day of meeting.day_numbers) {
+      days.add(day);
+    }
+  }
+
+  const sameTime = timed.every(m =>
+    m.start_minutes === timed[0].start_minutes && m.end_minutes === timed[0].end_minutes);
+
+  return {
+    start_time: sameTime ? `${formatMinutes(timed[0].start_minutes)}:00` : null,
+    end_time: sameTime ? `${formatMinutes(timed[0].end_minutes)}:00` : null,
+    days_of_week: Array.from(days).sort((a, b) => a - b)
+  };
+}
@@ -0,0 +1,420 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+const { default: fetch } = await import('node-fetch');
+
+/**
+ * Notification channels for watchlist alerts
+ *
+ * Every channel has the same interface:
+ *   await channel.send(events)   // events: Array of watchlist events (see src/watchlist.js)
+ *
+ * Channels:
+ * - WebhookChannel:     POSTs the events as JSON to any URL
+ * - ChatWebhookChannel: Discord ('discord') or Slack ('slack') incoming webhook message
+ * - SmtpChannel:        Plain-text email over SMTP (implicit TLS, STARTTLS or plain)
+ *
+ * SmtpChannel refuses to send credentials over an unencrypted connection
+ * unless allowInsecureAuth is set.
+ *
+ * The SMTP client is intentionally minimal (EHLO, STARTTLS, AUTH PLAIN, MAIL/RCPT/DATA)
+ * so alerts don't need an extra mail dependency.
+ */
+
+const DEFAULT_TIMEOUT_MS = 15000;
+
+/**
+ * Format one event as a single line of text
+ *
+ * @param {Object} event - Watchlist event
+ * @returns {string} Human-readable line
+ *
+ * @example
+ * formatEventLine({ subject_code: 'CSCI 21', section: 'A', term: '2025-1', available_slots: 3, max_capacity: 40, ... })
+ * // returns '🟢 CSCI 21 A (2025-1) opened: 3/40 slots free - DOE, JANE, MWF 0800-0900'
+ */
+export function formatEventLine(event) {
+  const details = [event.instructor, event.time_pattern].filter(Boolean).join(', ');
+  const capacity = event.max_capacity !== null && event.max_capacity !== undefined ? `/${event.max_capacity}` : '';
+  return `🟢 ${event.subject_code} ${event.section} (${event.term}) opened: ` +
+    `${event.available_slots}${capacity} slots free${details ? ` - ${details}` : ''}`;
+}
+
+/**
+ * POST a JSON body and fail on non-2xx responses
+ *
+ * @param {string} url - Target URL
+ * @param {Object} body - JSON body
+ * @param {Object} headers - Extra headers
+ * @param {number} timeoutMs - Request timeout
+ */
+async function postJson(url, body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const text = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+    }
+  } catch (error) {
+    if (error.name === 'AbortError') throw new Error('Request timeout');
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Generic JSON webhook
+ *
+ * Body: { type: 'watchlist.sections_opened', generated_at, events: [...] }
+ */
+export class WebhookChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Webhook URL
+   * @param {Object} options.headers - Extra request headers (e.g., Authorization)
+   * @param {number} options.timeoutMs - Request timeout (default: 15000)
+   */
+  constructor({ url, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!url) throw new Error('webhook channel requires a url');
+    this.name = 'webhook';
+    this.url = url;
+    this.headers = headers;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async send(events) {
+    await postJson(this.url, {
+      type: 'watchlist.sections_opened',
+      generated_at: new Date().toISOString(),
+      events
+    }, this.headers, this.timeoutMs);
+  }
+}
+
+/**
+ * Discord / Slack incoming webhook
+ *
+ * Discord expects { content } (max 2000 characters), Slack expects { text }.
+ */
+export class ChatWebhookChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Incoming webhook URL
+   * @param {string} options.flavor - 'discord' or 'slack'
+   * @param {number} options.timeoutMs - Request timeout (default: 15000)
+   */
+  constructor({ url, flavor, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!url) throw new Error(`${flavor} channel requires a url`);
+    if (!['discord', 'slack'].includes(flavor)) {
+      throw new Error(`Invalid chat webhook flavor: ${flavor}. Valid values: discord, slack`);
+    }
+    this.name = flavor;
+    this.url = url;
+    this.flavor = flavor;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Build the webhook payload
+   * @param {Array<Object>} events - Watchlist events
+   * @returns {Object} { content } for Discord, { text } for Slack
+   */
+  buildPayload(events) {
+    const header = `📣 ${events.length} watched section${events.length === 1 ? '' : 's'} opened up`;
+    const message = [header, ...events.map(formatEventLine)].join('\n');
+
+    if (this.flavor === 'discord') {
+      // Discord rejects messages over 2000 characters
+      return { content: message.length > 2000 ? `${message.slice(0, 1990)}\n…` : message };
+    }
+    return { text: message };
+  }
+
+  async send(events) {
+    await postJson(this.url, this.buildPayload(events), {}, this.timeoutMs);
+  }
+}
+
+/**
+ * Wait for a socket to connect or finish its TLS handshake
+ *
+ * @param {net.Socket|tls.TLSSocket} socket - Socket being connected
+ * @param {string} event - 'connect' or 'secureConnect'
+ * @param {number} timeoutMs - Give up (and destroy the socket) after this long
+ * @returns {Promise<void>}
+ */
+function waitForSocket(socket, event, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const step = event === 'secureConnect' ? 'TLS handshake' : 'connect';
+    const onTimeout = () => socket.destroy(new Error(`SMTP ${step} timed out after ${timeoutMs}ms`));
+    socket.setTimeout(timeoutMs);
+    socket.once('timeout', onTimeout);
+    socket.once('error', reject);
+    socket.once(event, () => {
+      socket.setTimeout(0);
+      socket.removeListener('timeout', onTimeout);
+      socket.removeListener('error', reject);
+      resolve();
+    });
+  });
+}
+
+/**
+ * Minimal SMTP client connection
+ * Reads multi-line replies ("250-..." continuation, "250 ..." final)
+ */
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.replies = [];
+    this.waiters = [];
+    this.error = null;
+    this._attach(socket);
+  }
+
+  _attach(socket) {
+    this.socket = socket;
+    this.buffer = '';
+    this.lines = [];
+    socket.setEncoding('utf8');
+    socket.setTimeout(this.timeoutMs, () => socket.destroy(new Error('SMTP timeout')));
+    socket.on('data', chunk => {
+      this.buffer += chunk;
+      this._drain();
+    });
+    socket.on('error', error => this._fail(error));
+    socket.on('close', () => this._fail(new Error('SMTP connection closed')));
+  }
+
+  _detach() {
+    this.socket.removeAllListeners('data');
+    this.socket.removeAllListeners('error');
+    this.socket.removeAllListeners('close');
+    this.socket.setTimeout(0);
+  }
+
+  _drain() {
+    let index;
+    while ((index = this.buffer.indexOf('\r\n')) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line);
+
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: parseInt(line.slice(0, 3), 10), message: this.lines.join('\n') };
+        this.lines = [];
+        const waiter = this.waiters.shift();
+        if (waiter) waiter.resolve(reply);
+        else this.replies.push(reply);
+      }
+    }
+  }
+
+  _fail(error) {
+    if (!this.error) this.error = error;
+    for (const waiter of this.waiters.splice(0)) waiter.reject(this.error);
+  }
+
+  readReply() {
+    if (this.replies.length > 0) return Promise.resolve(this.replies.shift());
+    if (this.error) return Promise.reject(this.error);
+    return new Promise((resolve, reject) => this.waiters.push({ resolve, reject }));
+  }
+
+  /**
+   * Send a command and check the reply code
+   *
+   * @param {string} line - Command line (without CRLF)
+   * @param {Array<number>} expected - Accepted reply codes
+   * @param {string} label - Command name for errors (keeps credentials out of messages)
+   * @returns {Promise<{code: number, message: string}>}
+   */
+  async command(line, expected, label = line.split(' ')[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(expected, label);
+  }
+
+  async expect(expected, label) {
+    const reply = await this.readReply();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label} failed: ${reply.message}`);
+    }
+    return reply;
+  }
+
+  /**
+   * Upgrade the connection to TLS (after STARTTLS)
+   * @param {string} servername - Server host name for certificate validation
+   */
+  async upgradeToTls(servername, tlsOptions) {
+    this._detach();
+    const secureSocket = tls.connect({ socket: this.socket, servername, ...tlsOptions });
+    await waitForSocket(secureSocket, 'secureConnect', this.timeoutMs);
+    this._attach(secureSocket);
+  }
+
+  close() {
+    this._detach();
+    // Errors after QUIT (e.g., the server resetting the connection) don't matter
+    this.socket.on('error', () => {});
+    this.socket.end();
+  }
+}
+
+/**
+ * Encode a header value as RFC 2047 if it isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Encoded header value
+ */
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+/**
+ * Plain-text email over SMTP
+ */
+export class SmtpChannel {
+  /**
+   * @param {Object} options
+   * @param {string} options.host - SMTP server host
+   * @param {number} options.port - SMTP port (default: 465 if secure, else 587)
+   * @param {boolean} options.secure - Implicit TLS (port 465 style)
+   * @param {boolean} options.starttls - Upgrade with STARTTLS when offered (default: true)
+   * @param {string} options.username - AUTH username (optional)
+   * @param {string} options.password - AUTH password (optional)
+   * @param {boolean} options.allowInsecureAuth - Send AUTH even when the connection is not encrypted
+   *   (no implicit TLS and no STARTTLS offered; default: false)
+   * @param {string} options.from - Sender address
+   * @param {string|Array<string>} options.to - Recipient address(es)
+   * @param {Object} options.tls - Extra tls.connect options (e.g., { rejectUnauthorized: false } for testing)
+   * @param {number} options.timeoutMs - Timeout for connecting, the TLS handshake and each reply (default: 15000)
+   */
+  constructor({ host, port, secure = false, starttls = true, username, password, allowInsecureAuth = false, from, to, tls: tlsOptions = {}, timeoutMs = DEFAULT_TIMEOUT_MS }) {
+    if (!host) throw new Error('smtp channel requires a host');
+    if (!from) throw new Error('smtp channel requires a from address');
+    const recipients = Array.isArray(to) ? to : [to].filter(Boolean);
+    if (recipients.length === 0) throw new Error('smtp channel requires at least one to address');
+
+    this.name = 'smtp';
+    this.host = host;
+    this.port = port || (secure ? 465 : 587);
+    this.secure = secure;
+    this.starttls = starttls;
+    this.username = username;
+    this.password = password;
+    this.allowInsecureAuth = allowInsecureAuth;
+    this.from = from;
+    this.to = recipients;
+    this.tlsOptions = tlsOptions;
+    this.timeoutMs = timeoutMs;
+  }
+
+  /**
+   * Build the RFC 5322 message
+   * @param {Array<Object>} events - Watchlist events
+   * @returns {string} Message with CRLF line endings (not yet dot-stuffed)
+   */
+  buildMessage(events) {
+    const subject = `[AISIS] ${events.length} watched section${events.length === 1 ? '' : 's'} opened up`;
+    const body = [
+      'The following watched sections now have free slots:',
+      '',
+      ...events.map(formatEventLine),
+      '',
+      `Checked at ${new Date().toISOString()}`
+    ];
+
+    return [
+      `From: ${this.from}`,
+      `To: ${this.to.join(', ')}`,
+      `Subject: ${encodeHeader(subject)}`,
+      `Date: ${new Date().toUTCString()}`,
+      'MIME-Version: 1.0',
+      'Content-Type: text/plain; charset=UTF-8',
+      'Content-Transfer-Encoding: 8bit',
+      '',
+      ...body
+    ].join('\r\n');
+  }
+
+  async _connect() {
+    const socket = this.secure
+      ? tls.connect({ host: this.host, port: this.port, servername: this.host, ...this.tlsOptions })
+      : net.connect({ host: this.host, port: this.port });
+
+    await waitForSocket(socket, this.secure ? 'secureConnect' : 'connect', this.timeoutMs);
+    return new SmtpConnection(socket, this.timeoutMs);
+  }
+
+  async send(events) {
+    const connection = await this._connect();
+
+    try {
+      await connection.expect([220], 'greeting');
+      const clientName = os.hostname() || 'localhost';
+      let ehlo = await connection.command(`EHLO ${clientName}`, [250]);
+      let encrypted = this.secure;
+
+      if (!this.secure && this.starttls && /\bSTARTTLS\b/i.test(ehlo.message)) {
+        await connection.command('STARTTLS', [220]);
+        await connection.upgradeToTls(this.host, this.tlsOptions);
+        ehlo = await connection.command(`EHLO ${clientName}`, [250]);
+        encrypted = true;
+      }
+
+      if (this.username) {
+        if (!encrypted && !this.allowInsecureAuth) {
+          throw new Error(`SMTP server ${this.host}:${this.port} offered no STARTTLS; refusing to send credentials in plain text ` +
+            '(set "secure": true for implicit TLS, or "allowInsecureAuth": true to override)');
+        }
+        const credentials = Buffer.from(`\0${this.username}\0${this.password || ''}`, 'utf8').toString('base64');
+        await connection.command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      }
+
+      await connection.command(`MAIL FROM:<${this.from}>`, [250], 'MAIL FROM');
+      for (const recipient of this.to) {
+        await connection.command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+      }
+      await connection.command('DATA', [354]);
+
+      // Dot-stuff lines starting with "." and terminate with <CRLF>.<CRLF>
+      const message = this.buildMessage(events).replace(/^\./gm, '..');
+      await connection.command(`${message}\r\n.`, [250], 'message');
+      await connection.command('QUIT', [221]).catch(() => {});
+    } finally {
+      connection.close();
+    }
+  }
+}
+
+/**
+ * Create a channel from a watchlist config entry
+ *
+ * @param {Object} config - Channel config ({ type: 'webhook'|'discord'|'slack'|'smtp', ... })
+ * @returns {WebhookChannel|ChatWebhookChannel|SmtpChannel}
+ * @throws {Error} If the type is unknown or required options are missing
+ */
+export function createChannel(config) {
+  switch (config.type) {
+    case 'webhook':
+      return new WebhookChannel(config);
+    case 'discord':
+    case 'slack':
+      return new ChatWebhookChannel({ ...config, flavor: config.type });
+    case 'smtp':
+      return new SmtpChannel(config);
+    default:
+      throw new Error(`Invalid watchlist channel type: ${config.type}. Valid values: webhook, discord, slack, smtp`);
+  }
+}
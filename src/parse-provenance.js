@@ -0,0 +1,218 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Parse provenance for scraped schedule records
+ *
+ * _parseCourses fills in values it cannot read from a cell: units default to
+ * 3, and capacities that are not numbers become null (and 0 once stored).
+ * Without a trace, downstream consumers cannot tell real data from defaults.
+ *
+ * Each parsed record therefore carries a `_parse` block:
+ *   {
+ *     raw_cells: { subject_code: 'CSCI 21', units: 'TBA', ... },  // cell texts by column
+ *     warnings: [{ code: 'defaulted_units', field: 'units', raw: 'TBA' }],
+ *     parser_version: '1.0.0',
+ *     page_hash: 'sha256 hex of the results page the record came from'
+ *   }
+ *
+ * and each run reports warning counts per department, so a department whose
+ * page started producing defaults stands out.
+ *
+ * To flag a new kind of problem, add its code to PARSE_WARNINGS and a check
+ * to findParseWarnings().
+ *
+ * Configuration environment variables:
+ * - AISIS_PARSE_PROVENANCE: Set to 'false' to leave the _parse block off records (default: on)
+ *
+ * Files:
+ * - logs/parse/parse-warnings-{term}.json   Warning counts per department for the run
+ *
+ * @module parse-provenance
+ */
+
+/**
+ * Version of the schedule row parser (_parseCourses)
+ *
+ * Bump when a change to _parseCourses changes the values read from the same
+ * page, so records parsed before and after the change can be told apart.
+ */
+export const SCHEDULE_PARSER_VERSION = '1.0.0';
+
+/**
+ * Default directory for parse warning reports
+ */
+export const DEFAULT_PARSE_WARNINGS_DIR = path.join('logs', 'parse');
+
+/**
+ * Parse warning codes
+ */
+export const PARSE_WARNINGS = {
+  defaulted_units: 'Units cell is not a number; units defaulted to 3',
+  unparsable_capacity: 'Max slots cell is not a number; max_capacity is null',
+  unparsable_free_slots: 'Free slots cell is not a number; available_slots is null',
+  negative_enrollment: 'Free slots exceed max slots; enrolled_count is negative',
+  unparsed_time: 'Part of the Time cell was not understood; meetings may be incomplete'
+};
+
+// Whole numbers as AISIS writes them in the Max No and Free Slots cells
+const COUNT_PATTERN = /^-?\d+$/;
+
+/**
+ * Check whether records should carry the _parse block
+ * @returns {boolean} false only when AISIS_PARSE_PROVENANCE is 'false'
+ */
+export function isParseProvenanceEnabled() {
+  return process.env.AISIS_PARSE_PROVENANCE !== 'false';
+}
+
+/**
+ * Hash a results page, identifying the exact page a record was parsed from
+ * @param {string} html - Results page HTML
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashPage(html) {
+  return crypto.createHash('sha256').update(html || '').digest('hex');
+}
+
+/**
+ * Find values a parsed record did not read cleanly from its cells
+ *
+ * @param {Object<string, string>} cells - Cell texts by column (from mapRowCells)
+ * @param {Object} course - Parsed course
+ * @param {{unparsed: Array<string>}} schedule - parseTimePattern() result for the Time cell
+ * @returns {Array<{code: string, field: string, raw: string}>} Warnings, with the cell text behind each
+ *
+ * @example
+ * findParseWarnings({ units: 'TBA', max_capacity: '40', free_slots: '45', time: 'TBA' }, course, schedule)
+ * // returns [
+ * //   { code: 'defaulted_units', field: 'units', raw: 'TBA' },
+ * //   { code: 'negative_enrollment', field: 'free_slots', raw: '45' }
+ * // ]
+ */
+export function findParseWarnings(cells, course, schedule) {
+  const warnings = [];
+  const cell = field => (cells[field] || '').trim();
+
+  if (isNaN(parseFloat(cell('units')))) {
+    warnings.push({ code: 'defaulted_units', field: 'units', raw: cell('units') });
+  }
+  if (cell('max_capacity') && !COUNT_PATTERN.test(cell('max_capacity'))) {
+    warnings.push({ code: 'unparsable_capacity', field: 'max_capacity', raw: cell('max_capacity') });
+  }
+  if (cell('free_slots') && !COUNT_PATTERN.test(cell('free_slots'))) {
+    warnings.push({ code: 'unparsable_free_slots', field: 'free_slots', raw: cell('free_slots') });
+  }
+  if (course.enrolled_count < 0) {
+    warnings.push({ code: 'negative_enrollment', field: 'free_slots', raw: cell('free_slots') });
+  }
+  if (schedule && schedule.unparsed.length > 0) {
+    warnings.push({ code: 'unparsed_time', field: 'time', raw: schedule.unparsed.join(' ') });
+  }
+
+  return warnings;
+}
+
+/**
+ * Build the _parse block for a record
+ *
+ * @param {Object<string, string>} cells - Cell texts by column
+ * @param {Array<Object>} warnings - findParseWarnings() result
+ * @param {string} pageHash - hashPage() of the results page
+ * @returns {{raw_cells: Object<string, string>, warnings: Array<Object>, parser_version: string, page_hash: string}}
+ */
+export function buildParseBlock(cells, warnings, pageHash) {
+  return {
+    raw_cells: { ...cells },
+    warnings,
+    parser_version: SCHEDULE_PARSER_VERSION,
+    page_hash: pageHash
+  };
+}
+
+/**
+ * Count a term's parse warnings per department
+ *
+ * @param {string} term - Term code
+ * @param {Array<Object>} courses - Scraped courses (records without _parse are counted as unchecked)
+ * @returns {Object} Report:
+ *   {
+ *     term, records,
+ *     unchecked,           // records without a _parse block
+ *     with_warnings,       // records with at least one warning
+ *     by_code: { defaulted_units: n, ... },
+ *     departments: { DEPT: { records, with_warnings, by_code } }
+ *   }
+ */
+export function summarizeParseWarnings(term, courses) {
+  const report = {
+    term,
+    records: courses.length,
+    unchecked: 0,
+    with_warnings: 0,
+    by_code: {},
+    departments: {}
+  };
+
+  for (const course of courses) {
+    const department = report.departments[course.department] ||
+      (report.departments[course.department] = { records: 0, with_warnings: 0, by_code: {} });
+    department.records++;
+
+    if (!course._parse) {
+      report.unchecked++;
+      continue;
+    }
+    if (course._parse.warnings.length === 0) {
+      continue;
+    }
+
+    report.with_warnings++;
+    department.with_warnings++;
+    for (const { code } of course._parse.warnings) {
+      report.by_code[code] = (report.by_code[code] || 0) + 1;
+      department.by_code[code] = (department.by_code[code] || 0) + 1;
+    }
+  }
+
+  return report;
+}
+
+/**
+ * Write a warning report to {outputDir}/parse-warnings-{term}.json
+ *
+ * @param {Object} report - Result of summarizeParseWarnings()
+ * @param {string} outputDir - Report directory (default: logs/parse)
+ * @returns {string} Path of the written report
+ */
+export function writeParseWarnings(report, outputDir = DEFAULT_PARSE_WARNINGS_DIR) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const reportPath = path.join(outputDir, `parse-warnings-${report.term}.json`);
+  fs.writeFileSync(reportPath, JSON.stringify(report, null, 2));
+  return reportPath;
+}
+
+/**
+ * Print a short summary of a warning report
+ * @param {Object} report - Result of summarizeParseWarnings()
+ */
+export function logParseWarnings(report) {
+  if (report.with_warnings === 0) {
+    logger.info(`   🧾 Parse warnings for ${report.term}: none in ${report.records - report.unchecked} checked record(s)`);
+    return;
+  }
+
+  const codes = Object.entries(report.by_code)
+    .sort((a, b) => b[1] - a[1])
+    .map(([code, count]) => `${code}=${count}`)
+    .join(', ');
+  logger.warn(`   🧾 Parse warnings for ${report.term}: ${report.with_warnings}/${report.records} record(s) (${codes})`);
+
+  for (const [department, counts] of Object.entries(report.departments)) {
+    if (counts.with_warnings > 0) {
+      logger.debug(`      ${department}: ${counts.with_warnings}/${counts.records} record(s) ${JSON.stringify(counts.by_code)}`);
+    }
+  }
+}
@@ -0,0 +1,256 @@
+import { logger } from './logger.js';
+
+/**
+ * Adaptive rate limiting and work-queue scheduling for AISIS requests
+ *
+ * Every request the scraper sends to AISIS (schedule departments and
+ * curriculum programs alike) first takes a token from one shared token bucket.
+ * The bucket's refill rate adapts to how AISIS is coping:
+ * - 5xx responses, the "Your Request Cannot Be Processed" error page, network
+ *   errors and curriculum session bleed halve the rate (at most once per cooldown)
+ * - Slow responses (above slowLatencyMs) trim it by 20%
+ * - Fast, error-free responses raise it step by step, up to maxRate (not
+ *   within a cooldown of the last slowdown)
+ *
+ * Work is spread over a fixed number of workers that each pull the next item
+ * as soon as they are free (runWorkQueue), so one slow department no longer
+ * holds up a whole batch.
+ *
+ * Configuration environment variables:
+ * - AISIS_CONCURRENCY: Workers for schedule and curriculum scraping (default: 8, range 1-50)
+ * - AISIS_RATE_LIMIT: Starting rate in requests/second (default: 4)
+ * - AISIS_RATE_MIN: Lowest rate the limiter backs off to (default: 0.5)
+ * - AISIS_RATE_MAX: Highest rate the limiter speeds up to (default: 10)
+ */
+
+export const DEFAULT_RATE_LIMIT_CONFIG = {
+  concurrency: 8,
+  initialRate: 4,
+  minRate: 0.5,
+  maxRate: 10,
+  fastLatencyMs: 1500,
+  slowLatencyMs: 5000,
+  increaseStep: 0.25,
+  decreaseCooldownMs: 2000
+};
+
+// Replaced by the adaptive limiter; reported once if still set
+const LEGACY_ENV_VARS = ['AISIS_BATCH_DELAY_MS', 'CURRICULUM_DELAY_MS', 'CURRICULUM_CONCURRENCY'];
+let legacyWarningShown = false;
+
+/**
+ * Parse a positive number from an environment variable
+ * @param {string} name - Variable name
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Parsed value
+ */
+function envNumber(name, fallback) {
+  const parsed = parseFloat(process.env[name]);
+  return isNaN(parsed) || parsed <= 0 ? fallback : parsed;
+}
+
+/**
+ * Get rate limiter configuration from environment variables or defaults
+ *
+ * @returns {{concurrency: number, initialRate: number, minRate: number, maxRate: number}}
+ *   Worker count and rates in requests/second (initialRate clamped between minRate and maxRate)
+ */
+export function getRateLimitConfig() {
+  const concurrencyEnv = parseInt(process.env.AISIS_CONCURRENCY, 10);
+  const concurrency = isNaN(concurrencyEnv) ? DEFAULT_RATE_LIMIT_CONFIG.concurrency : concurrencyEnv;
+
+  const minRate = envNumber('AISIS_RATE_MIN', DEFAULT_RATE_LIMIT_CONFIG.minRate);
+  const maxRate = Math.max(minRate, envNumber('AISIS_RATE_MAX', DEFAULT_RATE_LIMIT_CONFIG.maxRate));
+  const initialRate = envNumber('AISIS_RATE_LIMIT', DEFAULT_RATE_LIMIT_CONFIG.initialRate);
+
+  const legacy = LEGACY_ENV_VARS.filter(name => process.env[name] !== undefined);
+  if (legacy.length > 0 && !legacyWarningShown) {
+    legacyWarningShown = true;
+    logger.warn(`   ⚠️  ${legacy.join(', ')} no longer used - requests are paced by the adaptive rate limiter (AISIS_CONCURRENCY, AISIS_RATE_LIMIT)`);
+  }
+
+  return {
+    concurrency: Math.max(1, Math.min(concurrency, 50)), // Clamp between 1 and 50
+    initialRate: Math.max(minRate, Math.min(initialRate, maxRate)),
+    minRate,
+    maxRate
+  };
+}
+
+export class AdaptiveRateLimiter {
+  /**
+   * @param {Object} options - Overrides for DEFAULT_RATE_LIMIT_CONFIG, plus:
+   * @param {Function} options.sleep - async (ms) => void used to wait (default: setTimeout)
+   * @param {Function} options.now - () => milliseconds (default: Date.now; used by tests)
+   */
+  constructor(options = {}) {
+    const config = { ...DEFAULT_RATE_LIMIT_CONFIG, ...options };
+
+    this.minRate = config.minRate;
+    this.maxRate = Math.max(config.minRate, config.maxRate);
+    this.rate = Math.max(this.minRate, Math.min(config.initialRate, this.maxRate));
+    this.fastLatencyMs = config.fastLatencyMs;
+    this.slowLatencyMs = config.slowLatencyMs;
+    this.increaseStep = config.increaseStep;
+    this.decreaseCooldownMs = config.decreaseCooldownMs;
+    // Allow one request per worker to start at once
+    this.capacity = Math.max(1, config.concurrency);
+
+    this.sleep = config.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    this.now = config.now || Date.now;
+
+    this.tokens = this.capacity;
+    this.lastRefill = this.now();
+    this.lastDecrease = -Infinity;
+
+    this.stats = {
+      requests: 0,
+      errors: 0,
+      slowdowns: 0,
+      avgLatencyMs: null,
+      errorRate: 0
+    };
+  }
+
+  _refill() {
+    const now = this.now();
+    const elapsedSec = Math.max(0, now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSec * this.rate);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait for a token before sending a request
+   *
+   * Tokens are reserved immediately, so concurrent callers queue up behind each
+   * other instead of all waking at the same moment.
+   *
+   * @returns {Promise<number>} Milliseconds waited
+   */
+  async acquire() {
+    this._refill();
+    this.tokens -= 1;
+    if (this.tokens >= 0) {
+      return 0;
+    }
+
+    const waitMs = Math.ceil((-this.tokens / this.rate) * 1000);
+    await this.sleep(waitMs);
+    return waitMs;
+  }
+
+  /**
+   * Feed a request outcome back into the limiter
+   *
+   * @param {Object} outcome
+   * @param {number} outcome.latencyMs - Response time (omit for network errors)
+   * @param {boolean} outcome.error - True for 5xx, AISIS error pages or network errors
+   * @param {string} outcome.reason - Short description for the slowdown log
+   */
+  recordResult({ latencyMs = null, error = false, reason = null } = {}) {
+    this.stats.requests++;
+    // Smoothed over roughly the last ten requests
+    this.stats.errorRate = this.stats.errorRate * 0.9 + (error ? 0.1 : 0);
+    if (latencyMs !== null) {
+      this.stats.avgLatencyMs = this.stats.avgLatencyMs === null
+        ? latencyMs
+        : Math.round(this.stats.avgLatencyMs * 0.8 + latencyMs * 0.2);
+    }
+
+    if (error) {
+      this.stats.errors++;
+      this._decrease(0.5, reason || 'AISIS error');
+    } else if (latencyMs !== null && latencyMs > this.slowLatencyMs) {
+      this._decrease(0.8, `slow response (${latencyMs}ms)`);
+    } else if (latencyMs !== null && latencyMs < this.fastLatencyMs && this.stats.errorRate < 0.1 &&
+      this.now() - this.lastDecrease >= this.decreaseCooldownMs) {
+      // Hold the rate for a cooldown after slowing down
+      this.rate = Math.min(this.maxRate, this.rate + this.increaseStep);
+    }
+  }
+
+  /**
+   * Report a problem found after the response was accepted (e.g., curriculum
+   * session bleed), without counting another request
+   *
+   * @param {string} reason - Short description for the slowdown log
+   */
+  reportError(reason) {
+    this.stats.errors++;
+    this.stats.errorRate = this.stats.errorRate * 0.9 + 0.1;
+    this._decrease(0.5, reason);
+  }
+
+  /**
+   * Multiply the rate by factor, at most once per cooldown
+   *
+   * Concurrent workers often fail together; one burst should count as one signal.
+   */
+  _decrease(factor, reason) {
+    const now = this.now();
+    if (now - this.lastDecrease < this.decreaseCooldownMs) {
+      return;
+    }
+
+    const previous = this.rate;
+    this.rate = Math.max(this.minRate, this.rate * factor);
+    this.lastDecrease = now;
+    if (this.rate < previous) {
+      this.stats.slowdowns++;
+      logger.info(`   🐢 Rate limiter: ${reason} - slowing to ${this.rate.toFixed(2)} req/s`);
+    }
+  }
+
+  /**
+   * Current limiter state for logs and summaries
+   * @returns {{rate: number, requests: number, errors: number, slowdowns: number, avgLatencyMs: number|null, errorRate: number}}
+   */
+  getStats() {
+    return {
+      rate: Math.round(this.rate * 100) / 100,
+      ...this.stats,
+      errorRate: Math.round(this.stats.errorRate * 1000) / 1000
+    };
+  }
+}
+
+/**
+ * Process items with a fixed pool of workers pulling from a shared queue
+ *
+ * Each worker takes the next item as soon as it finishes its current one.
+ * If a worker throws, no new items are started; the error is rethrown once
+ * in-flight items have finished.
+ *
+ * @param {Array} items - Items to process
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} options
+ * @param {number} options.concurrency - Number of workers
+ * @returns {Promise<Array>} Results in item order
+ *
+ * @example
+ * const results = await runWorkQueue(['DISCS', 'EN'], dept => scraper._scrapeDepartment(term, dept), { concurrency: 8 });
+ */
+export async function runWorkQueue(items, worker, { concurrency = 1 } = {}) {
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const runWorker = async () => {
+    while (failure === null && next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  if (failure) {
+    throw failure;
+  }
+  return results;
+}
@@ -0,0 +1,288 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+/**
+ * Remarks interpreter for the AISIS schedule Remarks column
+ *
+ * The Remarks column is free text, but much of it states the same few facts:
+ * - "FOR BS ME STUDENTS ONLY" (who may enlist)
+ * - "10 SLOTS RESERVED FOR BS CS" (seats held for a group)
+ * - "CROSS-LISTED WITH ME 101" (the same class under another code)
+ * - "DISSOLVED" (the section will not run)
+ *
+ * This module splits remarks into clauses (at line breaks and semicolons)
+ * and runs REMARK_RULES over each one, producing typed annotations such as
+ * { type: 'restriction', programs: ['BS ME'], year_levels: [], raw: '...' }.
+ * Clauses no rule recognises are kept as { type: 'unrecognized', raw }, and
+ * each run reports per-term coverage with the most common unrecognised
+ * remarks, so new rules can be added where they matter most.
+ *
+ * To handle a new kind of remark, add a rule to REMARK_RULES.
+ *
+ * Files:
+ * - logs/remarks/remarks-coverage-{term}.json   Coverage report for the run
+ *
+ * @module remarks-parser
+ */
+
+/**
+ * Default directory for remarks coverage reports
+ */
+export const DEFAULT_REMARKS_COVERAGE_DIR = path.join('logs', 'remarks');
+
+// Unrecognised remarks listed in the coverage report
+const DEFAULT_TOP_UNRECOGNIZED = 20;
+
+// Separators between clauses: line breaks (from <br>) and semicolons
+const CLAUSE_SEPARATOR_PATTERN = /\n|;/;
+
+// Degree programs as written in remarks ("BS ME", "AB EC", "BS CS-DGDD")
+const PROGRAM_PATTERN = /\b(?:BS|AB|BFA|BSE|BSN|MS|MA|MBA|PHD)\s+[A-Z]{2,}(?:-[A-Z0-9]+)*\b/g;
+
+// Course codes as written in remarks ("ME 101", "ENGL 299.2", "THEO 11.03i")
+const COURSE_CODE_PATTERN = /\b[A-Z]{2,}(?:-[A-Z]+)?\s+\d+(?:\.\d+)?[A-Z]?\b/gi;
+
+const YEAR_LEVEL_WORDS = { FRESHMEN: 1, FRESHMAN: 1, SOPHOMORES: 2, SOPHOMORE: 2, JUNIORS: 3, JUNIOR: 3, SENIORS: 4, SENIOR: 4 };
+
+/**
+ * Degree programs mentioned in a clause
+ * @param {string} text - Uppercase clause
+ * @returns {Array<string>} Programs in order of appearance, without duplicates
+ */
+function extractPrograms(text) {
+  const programs = (text.match(PROGRAM_PATTERN) || []).map(program => program.replace(/\s+/g, ' '));
+  return [...new Set(programs)];
+}
+
+/**
+ * Year levels mentioned in a clause ("FRESHMEN", "3RD YEAR")
+ * @param {string} text - Uppercase clause
+ * @returns {Array<number>} Sorted year levels
+ */
+function extractYearLevels(text) {
+  const levels = new Set();
+  for (const [word, level] of Object.entries(YEAR_LEVEL_WORDS)) {
+    if (new RegExp(`\\b${word}\\b`).test(text)) {
+      levels.add(level);
+    }
+  }
+  for (const match of text.matchAll(/\b([1-5])(?:ST|ND|RD|TH)?[\s-]*YEAR\b/g)) {
+    levels.add(parseInt(match[1], 10));
+  }
+  return [...levels].sort((a, b) => a - b);
+}
+
+/**
+ * Rules that turn a remarks clause into annotations
+ *
+ * Each rule has a type, a pattern tested against the uppercase clause, and a
+ * build function (text, match, clause) returning the annotation fields (or an
+ * array of them, or null to pass on the clause). Every matching rule adds its annotations, so
+ * one clause can be both a crosslist and a restriction.
+ */
+export const REMARK_RULES = [
+  {
+    type: 'dissolved',
+    pattern: /\b(?:DISSOLVED|CANCELL?ED)\b/,
+    build: () => ({})
+  },
+  {
+    type: 'crosslist',
+    pattern: /\b(?:CROSS[-\s]?LISTED|CO-?LISTED|SAME AS|EQUIVALENT(?: TO)?|ALSO OFFERED AS)\b/,
+    build: (text, match, clause) => {
+      // Course codes are read from the original clause to keep suffixes like the "i" in "11.03i"
+      const courses = clause.slice(match.index + match[0].length).match(COURSE_CODE_PATTERN) || [];
+      return courses.length > 0 ? courses.map(course => ({ with: course.replace(/\s+/g, ' ') })) : null;
+    }
+  },
+  {
+    type: 'reserved',
+    pattern: /\bRESERVED\b/,
+    build: (text) => {
+      const seats = text.match(/\b(\d+)\s*(?:SLOTS?|SEATS?)\b/);
+      return {
+        programs: extractPrograms(text),
+        year_levels: extractYearLevels(text),
+        seats: seats ? parseInt(seats[1], 10) : null
+      };
+    }
+  },
+  {
+    type: 'restriction',
+    pattern: /\bONLY\b|\bEXCLUSIVELY\b|\bOPEN TO\b/,
+    build: (text) => {
+      // "RESERVED FOR BS ME ONLY" holds seats rather than closing the section
+      if (/\bRESERVED\b/.test(text)) {
+        return null;
+      }
+      const programs = extractPrograms(text);
+      const yearLevels = extractYearLevels(text);
+      // "ONSITE ONLY" says nothing about who may enlist
+      if (programs.length === 0 && yearLevels.length === 0 && !/\bFOR\b|\bOPEN TO\b|\bSTUDENTS\b|\bMAJORS\b/.test(text)) {
+        return null;
+      }
+      return {
+        programs,
+        year_levels: yearLevels,
+        excluded: /\bNOT OPEN TO\b|\bEXCEPT\b/.test(text)
+      };
+    }
+  }
+];
+
+/**
+ * Interpret one remarks clause
+ * @param {string} clause - Clause text (trimmed)
+ * @returns {Array<Object>} Annotations (an 'unrecognized' annotation if no rule matched)
+ */
+function interpretClause(clause) {
+  const text = clause.toUpperCase();
+  const annotations = [];
+
+  for (const rule of REMARK_RULES) {
+    const match = text.match(rule.pattern);
+    if (!match) {
+      continue;
+    }
+    const built = rule.build(text, match, clause);
+    if (!built) {
+      continue;
+    }
+    for (const fields of Array.isArray(built) ? built : [built]) {
+      annotations.push({ type: rule.type, ...fields, raw: clause });
+    }
+  }
+
+  return annotations.length > 0 ? annotations : [{ type: 'unrecognized', raw: clause }];
+}
+
+/**
+ * Interpret an AISIS remarks string into typed annotations
+ *
+ * Annotation types (each annotation also has `raw`, the clause it came from):
+ * - restriction: { programs, year_levels, excluded } - who may (or, if excluded, may not) enlist
+ * - reserved:    { programs, year_levels, seats } - seats held for a group (seats null if not stated)
+ * - crosslist:   { with } - the same class offered under another course code
+ * - dissolved:   {} - the section was dissolved or cancelled
+ * - unrecognized: {} - text no rule understood, kept as is
+ *
+ * @param {string} remarks - Raw remarks, with <br> turned into line breaks
+ * @returns {Array<Object>} Annotations in clause order; empty for blank remarks or "-"
+ *
+ * @example
+ * interpretRemarks('FOR BS ME STUDENTS ONLY; CROSS-LISTED WITH ME 101')
+ * // returns [
+ * //   { type: 'restriction', programs: ['BS ME'], year_levels: [], excluded: false, raw: 'FOR BS ME STUDENTS ONLY' },
+ * //   { type: 'crosslist', with: 'ME 101', raw: 'CROSS-LISTED WITH ME 101' }
+ * // ]
+ */
+export function interpretRemarks(remarks) {
+  if (!remarks || typeof remarks !== 'string') {
+    return [];
+  }
+
+  return remarks
+    .split(CLAUSE_SEPARATOR_PATTERN)
+    .map(clause => clause.replace(/\s+/g, ' ').trim())
+    .filter(clause => clause !== '' && clause !== '-')
+    .flatMap(interpretClause);
+}
+
+/**
+ * Summarize how much of a term's remarks the rules recognise
+ *
+ * @param {string} term - Term code
+ * @param {Array<Object>} courses - Scraped courses (remark_annotations is used when present)
+ * @param {Object} options
+ * @param {number} options.topUnrecognized - Most common unrecognised clauses to list (default: 20)
+ * @returns {Object} Coverage report:
+ *   {
+ *     term, sections, with_remarks,
+ *     recognized,             // sections whose remarks were fully recognised
+ *     partially_recognized,   // some clauses recognised, some not
+ *     unrecognized,           // no clause recognised
+ *     coverage_percent,       // recognized / with_remarks
+ *     by_type: { restriction: n, ... },
+ *     top_unrecognized: [{ text, count }]
+ *   }
+ */
+export function summarizeRemarkCoverage(term, courses, { topUnrecognized = DEFAULT_TOP_UNRECOGNIZED } = {}) {
+  const coverage = {
+    term,
+    sections: courses.length,
+    with_remarks: 0,
+    recognized: 0,
+    partially_recognized: 0,
+    unrecognized: 0,
+    coverage_percent: null,
+    by_type: {},
+    top_unrecognized: []
+  };
+  const unrecognizedCounts = new Map();
+
+  for (const course of courses) {
+    const annotations = course.remark_annotations || interpretRemarks(course.remarks);
+    if (annotations.length === 0) {
+      continue;
+    }
+    coverage.with_remarks++;
+
+    let unrecognizedClauses = 0;
+    for (const annotation of annotations) {
+      coverage.by_type[annotation.type] = (coverage.by_type[annotation.type] || 0) + 1;
+      if (annotation.type === 'unrecognized') {
+        unrecognizedClauses++;
+        unrecognizedCounts.set(annotation.raw, (unrecognizedCounts.get(annotation.raw) || 0) + 1);
+      }
+    }
+
+    if (unrecognizedClauses === 0) {
+      coverage.recognized++;
+    } else if (unrecognizedClauses === annotations.length) {
+      coverage.unrecognized++;
+    } else {
+      coverage.partially_recognized++;
+    }
+  }
+
+  if (coverage.with_remarks > 0) {
+    coverage.coverage_percent = Math.round(coverage.recognized / coverage.with_remarks * 1000) / 10;
+  }
+  coverage.top_unrecognized = [...unrecognizedCounts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, topUnrecognized)
+    .map(([text, count]) => ({ text, count }));
+
+  return coverage;
+}
+
+/**
+ * Write a coverage report to {outputDir}/remarks-coverage-{term}.json
+ *
+ * @param {Object} coverage - Result of summarizeRemarkCoverage()
+ * @param {string} outputDir - Report directory (default: logs/remarks)
+ * @returns {string} Path of the written report
+ */
+export function writeRemarkCoverage(coverage, outputDir = DEFAULT_REMARKS_COVERAGE_DIR) {
+  fs.mkdirSync(outputDir, { recursive: true });
+  const reportPath = path.join(outputDir, `remarks-coverage-${coverage.term}.json`);
+  fs.writeFileSync(reportPath, JSON.stringify(coverage, null, 2));
+  return reportPath;
+}
+
+/**
+ * Print a short summary of a coverage report
+ * @param {Object} coverage - Result of summarizeRemarkCoverage()
+ */
+export function logRemarkCoverage(coverage) {
+  if (coverage.with_remarks === 0) {
+    logger.info(`   🏷️  Remarks for ${coverage.term}: no sections with remarks`);
+    return;
+  }
+
+  logger.info(`   🏷️  Remarks for ${coverage.term}: ${coverage.recognized}/${coverage.with_remarks} sections fully recognized (${coverage.coverage_percent}%), ${coverage.partially_recognized} partially, ${coverage.unrecognized} not at all`);
+  for (const { text, count } of coverage.top_unrecognized.slice(0, 3)) {
+    logger.debug(`      ❔ ${count}× "${text}"`);
+  }
+}
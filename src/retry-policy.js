@@ -0,0 +1,325 @@
+import fs from 'fs';
+import { errorCode } from './errors.js';
+import { logger } from './logger.js';
+
+/**
+ * Retry policies for AISIS and Supabase requests
+ *
+ * Every operation that retries takes its settings from one named profile:
+ * - login: AISIS login request
+ * - discovery: Schedule of Classes page (terms, selected term, departments)
+ * - department: one department (or subject shard) of the Schedule of Classes
+ * - curriculum: one curriculum version (J_VOFC.do)
+ * - ingest: one Supabase ingest request
+ *
+ * A profile sets:
+ * - attempts: Total tries, including the first
+ * - baseDelayMs, multiplier, maxDelayMs: Delay before retry N is
+ *   min(maxDelayMs, baseDelayMs * multiplier^(N-1))
+ * - jitter: Fraction the delay is spread by (0.2 = ±20%), so workers that
+ *   failed together don't all retry at the same moment
+ * - timeoutMs: Per-request timeout
+ * - retryOn: Error codes worth retrying (see src/errors.js); '*' matches any
+ *   code and '!CODE' excludes one. Network errors have no scraper code
+ *   (UNKNOWN, or Node's own, e.g. ECONNRESET) and are matched by '*'
+ * - retryStatuses: HTTP statuses worth retrying (null: any status)
+ *
+ * Configuration (later sources override earlier ones, field by field):
+ * 1. DEFAULT_RETRY_POLICIES
+ * 2. AISIS_RETRY_CONFIG: JSON file of partial profiles, e.g. { "department": { "attempts": 5 } }
+ * 3. AISIS_RETRY_<PROFILE>_<FIELD> environment variables, e.g.
+ *    AISIS_RETRY_DEPARTMENT_ATTEMPTS=5, AISIS_RETRY_CURRICULUM_RETRY_ON=*,!SESSION_EXPIRED
+ */
+
+export const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+export const DEFAULT_RETRY_POLICIES = {
+  login: {
+    attempts: 2,
+    baseDelayMs: 2000,
+    multiplier: 2,
+    maxDelayMs: 10000,
+    jitter: 0.2,
+    timeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
+    retryOn: ['*', '!LOGIN_FAILED'],
+    retryStatuses: null
+  },
+  discovery: {
+    attempts: 2,
+    baseDelayMs: 1000,
+    multiplier: 2,
+    maxDelayMs: 10000,
+    jitter: 0.2,
+    timeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
+    retryOn: ['*', '!SESSION_EXPIRED'],
+    retryStatuses: null
+  },
+  department: {
+    attempts: 3,
+    baseDelayMs: 1000,
+    multiplier: 2,
+    maxDelayMs: 30000,
+    jitter: 0.2,
+    timeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
+    // Schema drift won't fix itself on retry - fail the department with the headers seen
+    retryOn: ['*', '!SCHEMA_DRIFT'],
+    retryStatuses: null
+  },
+  curriculum: {
+    attempts: 3,
+    baseDelayMs: 2000,
+    multiplier: 2,
+    maxDelayMs: 30000,
+    jitter: 0.2,
+    timeoutMs: DEFAULT_REQUEST_TIMEOUT_MS,
+    retryOn: ['*', '!SESSION_EXPIRED'],
+    retryStatuses: null
+  },
+  ingest: {
+    attempts: 6,
+    baseDelayMs: 1000,
+    multiplier: 2,
+    maxDelayMs: 32000,
+    jitter: 0.2,
+    timeoutMs: 60000,
+    retryOn: ['*'],
+    retryStatuses: [500, 502, 503, 504, 522, 524]
+  }
+};
+
+const NUMBER_FIELDS = ['attempts', 'baseDelayMs', 'multiplier', 'maxDelayMs', 'jitter', 'timeoutMs'];
+
+/**
+ * Environment variable for one profile field
+ * @param {string} profile - Profile name (e.g., 'department')
+ * @param {string} field - Field name (e.g., 'baseDelayMs')
+ * @returns {string} Variable name (e.g., 'AISIS_RETRY_DEPARTMENT_BASE_DELAY_MS')
+ */
+function envName(profile, field) {
+  return `AISIS_RETRY_${profile.toUpperCase()}_${field.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`;
+}
+
+/**
+ * Parse a comma-separated list from an environment variable
+ * @param {string} value - e.g. '*,!SCHEMA_DRIFT'
+ * @returns {Array<string>} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validate and apply overrides to a profile, warning about (and skipping) bad values
+ *
+ * @param {string} name - Profile name
+ * @param {Object} base - Profile to override
+ * @param {Object} overrides - Partial profile
+ * @param {string} source - Where the overrides came from (for warnings)
+ * @returns {Object} New profile
+ */
+function applyOverrides(name, base, overrides, source) {
+  const settings = { ...base };
+
+  for (const [field, value] of Object.entries(overrides)) {
+    if (NUMBER_FIELDS.includes(field)) {
+      const number = Number(value);
+      const valid = Number.isFinite(number) && number >= 0 &&
+        (field !== 'attempts' || (Number.isInteger(number) && number >= 1)) &&
+        (field !== 'jitter' || number <= 1);
+      if (!valid) {
+        logger.warn(`   ⚠️  Ignoring invalid ${name}.${field} from ${source}: ${value}`);
+        continue;
+      }
+      settings[field] = number;
+    } else if (field === 'retryOn' && Array.isArray(value)) {
+      settings.retryOn = value.map(String);
+    } else if (field === 'retryStatuses' && (value === null || Array.isArray(value))) {
+      settings.retryStatuses = value && value.map(Number);
+    } else {
+      logger.warn(`   ⚠️  Ignoring unknown or invalid ${name}.${field} from ${source}`);
+    }
+  }
+
+  return settings;
+}
+
+/**
+ * Read partial profiles from the AISIS_RETRY_CONFIG file
+ * @param {string|undefined} configFile - JSON file path
+ * @returns {Object} Profiles by name ({} when unset or unreadable)
+ */
+function readConfigFile(configFile) {
+  if (!configFile) return {};
+
+  try {
+    return JSON.parse(fs.readFileSync(configFile, 'utf-8'));
+  } catch (error) {
+    logger.warn(`   ⚠️  Could not read retry config ${configFile}: ${error.message} - using defaults`);
+    return {};
+  }
+}
+
+/**
+ * Read partial profiles from AISIS_RETRY_<PROFILE>_<FIELD> variables
+ * @param {string} name - Profile name
+ * @param {Object} env - Environment variables
+ * @returns {Object} Partial profile
+ */
+function readEnvOverrides(name, env) {
+  const overrides = {};
+
+  for (const field of Object.keys(DEFAULT_RETRY_POLICIES[name])) {
+    const value = env[envName(name, field)];
+    if (value === undefined || value === '') continue;
+
+    if (field === 'retryOn') {
+      overrides.retryOn = parseList(value);
+    } else if (field === 'retryStatuses') {
+      overrides.retryStatuses = value.trim().toLowerCase() === 'any' ? null : parseList(value);
+    } else {
+      overrides[field] = value;
+    }
+  }
+
+  return overrides;
+}
+
+export class RetryPolicy {
+  /**
+   * @param {string} name - Profile name (used in log lines)
+   * @param {Object} settings - Profile fields (see the module comment)
+   * @param {Object} options
+   * @param {Function} options.random - () => number in [0, 1) used for jitter (default: Math.random)
+   */
+  constructor(name, settings, { random = Math.random } = {}) {
+    this.name = name;
+    this.attempts = settings.attempts;
+    this.baseDelayMs = settings.baseDelayMs;
+    this.multiplier = settings.multiplier;
+    this.maxDelayMs = settings.maxDelayMs;
+    this.jitter = settings.jitter;
+    this.timeoutMs = settings.timeoutMs;
+    this.retryOn = settings.retryOn;
+    this.retryStatuses = settings.retryStatuses;
+    this.random = random;
+  }
+
+  /**
+   * Copy of this policy with some fields replaced
+   * @param {Object} overrides - Fields to replace (e.g., { attempts: 1 })
+   * @returns {RetryPolicy}
+   */
+  with(overrides) {
+    return new RetryPolicy(this.name, { ...this, ...overrides }, { random: this.random });
+  }
+
+  /**
+   * Whether an error is worth retrying under this policy (ignoring attempts left)
+   *
+   * @param {Error} error - Error thrown by the attempt
+   * @returns {boolean}
+   *
+   * @example
+   * policy.isRetryable(new SchemaDriftError('...'))                 // false for department (retryOn: ['*', '!SCHEMA_DRIFT'])
+   * policy.isRetryable(new HttpStatusError('...', { status: 401 })) // false for ingest (status not in retryStatuses)
+   */
+  isRetryable(error) {
+    const code = errorCode(error);
+    if (this.retryOn.includes(`!${code}`)) return false;
+    if (!this.retryOn.includes('*') && !this.retryOn.includes(code)) return false;
+
+    if (this.retryStatuses && error && error.status !== undefined) {
+      return this.retryStatuses.includes(error.status);
+    }
+    return true;
+  }
+
+  /**
+   * Backoff before a retry
+   *
+   * @param {number} retry - Retry number (1 for the wait after the first failed attempt)
+   * @returns {number} Delay in milliseconds, jitter applied
+   *
+   * @example
+   * // department: 1000ms, 2000ms, 4000ms, ... (±20%), capped at 30000ms
+   * policy.delayMs(2) // returns 1600-2400
+   */
+  delayMs(retry) {
+    const backoff = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(this.multiplier, retry - 1));
+    const spread = 1 + this.jitter * (2 * this.random() - 1);
+    return Math.round(backoff * spread);
+  }
+
+  /**
+   * Run an operation, retrying retryable failures with backoff
+   *
+   * @param {Function} operation - async (attempt) => result, attempt is 1-based
+   * @param {Object} options
+   * @param {Function} options.delay - async (ms) => void used for backoff (default: setTimeout)
+   * @param {string} options.label - Name used in the default retry log line (default: profile name)
+   * @param {Function} options.onRetry - (error, attempt, delayMs) => void, replaces the default log line
+   * @returns {Promise<*>} The operation's result
+   * @throws {Error} The last error, once it is not retryable or attempts run out
+   *
+   * @example
+   * const html = await scraper.retryPolicies.discovery.run(() => fetchPage(), { delay: ms => scraper._delay(ms) });
+   */
+  async run(operation, {
+    delay = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    label = this.name,
+    onRetry = null
+  } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (attempt >= this.attempts || !this.isRetryable(error)) {
+          throw error;
+        }
+
+        const waitMs = this.delayMs(attempt);
+        if (onRetry) {
+          onRetry(error, attempt, waitMs);
+        } else {
+          logger.info(`   ⚠️  ${label}: Retry ${attempt}/${this.attempts - 1} after ${waitMs}ms - ${error.message}`);
+        }
+        await delay(waitMs);
+      }
+    }
+  }
+}
+
+/**
+ * Build every retry profile from defaults, the config file and environment variables
+ *
+ * @param {Object} options
+ * @param {Object} options.env - Environment variables (default: process.env)
+ * @param {Function} options.random - Jitter source passed to each policy (default: Math.random)
+ * @returns {{login: RetryPolicy, discovery: RetryPolicy, department: RetryPolicy, curriculum: RetryPolicy, ingest: RetryPolicy}}
+ *
+ * @example
+ * // AISIS_RETRY_DEPARTMENT_ATTEMPTS=5
+ * getRetryPolicies().department.attempts // returns 5
+ */
+export function getRetryPolicies({ env = process.env, random = Math.random } = {}) {
+  const configFile = env.AISIS_RETRY_CONFIG;
+  const fromFile = readConfigFile(configFile);
+
+  for (const name of Object.keys(fromFile)) {
+    if (!DEFAULT_RETRY_POLICIES[name]) {
+      logger.warn(`   ⚠️  Unknown retry profile "${name}" in ${configFile} (known: ${Object.keys(DEFAULT_RETRY_POLICIES).join(', ')})`);
+    }
+  }
+
+  const policies = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_RETRY_POLICIES)) {
+    let settings = defaults;
+    if (fromFile[name]) {
+      settings = applyOverrides(name, settings, fromFile[name], configFile);
+    }
+    settings = applyOverrides(name, settings, readEnvOverrides(name, env), 'environment');
+    policies[name] = new RetryPolicy(name, settings, { random });
+  }
+
+  return policies;
+}
@@ -0,0 +1,162 @@
+/**
+ * Room parser for the AISIS schedule Room column
+ *
+ * AISIS renders a section's room as free text, for example:
+ * - "CTC-304", "SEC-A118A", "F302" (building code and room number)
+ * - "ONLINE" (virtual room)
+ * - "TBA" (no room assigned yet)
+ * - "CTC-304<br>SEC-A201" or "CTC-304 / ONLINE" (one room per meeting)
+ * - "Field", "EN DEPT" (places that are not numbered rooms)
+ *
+ * This module turns such strings into one entry per room, with the building
+ * code split from the room number and the building name looked up in the
+ * registry in src/buildings.js.
+ *
+ * @module room-parser
+ */
+
+import { BUILDING_CODES, getBuildingName } from './buildings.js';
+
+/**
+ * Room types
+ * - physical: a room in a building (building_code and/or room_number set)
+ * - virtual: an online class (ONLINE, ZOOM, ...)
+ * - tba: no room assigned yet
+ * - other: a place that isn't a numbered room ("Field", "EN DEPT")
+ */
+export const ROOM_TYPES = ['physical', 'virtual', 'tba', 'other'];
+
+/**
+ * Words marking a virtual room
+ */
+export const VIRTUAL_ROOM_MARKERS = ['ONLINE', 'VIRTUAL', 'ZOOM', 'GOOGLE MEET', 'MS TEAMS', 'MICROSOFT TEAMS', 'CANVAS'];
+
+// Separators between rooms: line breaks (from <br>), slashes, semicolons and commas
+const ROOM_SEPARATOR_PATTERN = /\n|\/|;|,/;
+
+// Room with an unregistered building code: letters, a dash, then the room ("GYM-01", "LS-G05")
+const GENERIC_ROOM_PATTERN = /^([A-Z]+)-([A-Z0-9][A-Z0-9.-]*)$/;
+
+// Room number without a building ("ROOM 213", "RM 4")
+const BARE_ROOM_PATTERN = /^(?:ROOM|RM\.?)\s*([A-Z0-9][A-Z0-9.-]*)$/;
+
+/**
+ * Build a room entry
+ * @param {string} raw - Room text as AISIS wrote it
+ * @param {string} type - One of ROOM_TYPES
+ * @param {string|null} buildingCode
+ * @param {string|null} roomNumber
+ * @returns {{raw: string, type: string, building_code: string|null, building_name: string|null, room_number: string|null}}
+ */
+function buildRoom(raw, type, buildingCode = null, roomNumber = null) {
+  return {
+    raw,
+    type,
+    building_code: buildingCode,
+    building_name: getBuildingName(buildingCode),
+    room_number: roomNumber
+  };
+}
+
+/**
+ * Split a room into a registered building code and the rest
+ *
+ * The code must be followed by a dash, a space, a digit or nothing, so the
+ * "F" of Faura Hall matches "F302" and "F-302" but not "FIELD".
+ *
+ * @param {string} text - Uppercase room text
+ * @returns {{code: string, rest: string}|null}
+ */
+function matchBuildingCode(text) {
+  for (const code of BUILDING_CODES) {
+    if (!text.startsWith(code)) {
+      continue;
+    }
+    const rest = text.slice(code.length);
+    if (rest === '' || /^[-\s\d]/.test(rest)) {
+      return { code, rest: rest.replace(/^[-\s]+/, '') };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a single AISIS room
+ *
+ * @param {string} roomText - One room (no separators)
+ * @returns {{raw: string, type: string, building_code: string|null, building_name: string|null, room_number: string|null}|null}
+ *   Room entry, or null for empty text
+ *
+ * @example
+ * parseRoom('CTC-304')
+ * // returns { raw: 'CTC-304', type: 'physical', building_code: 'CTC',
+ * //           building_name: 'PLDT Convergent Technologies Center', room_number: '304' }
+ *
+ * parseRoom('ONLINE')
+ * // returns { raw: 'ONLINE', type: 'virtual', building_code: null, building_name: null, room_number: null }
+ */
+export function parseRoom(roomText) {
+  if (!roomText || typeof roomText !== 'string') {
+    return null;
+  }
+
+  const raw = roomText.replace(/\s+/g, ' ').trim();
+  const text = raw.toUpperCase();
+  if (text === '' || text === '-') {
+    return null;
+  }
+
+  if (/\bTBA\b|\bTBD\b/.test(text)) {
+    return buildRoom(raw, 'tba');
+  }
+  if (VIRTUAL_ROOM_MARKERS.some(marker => text.includes(marker))) {
+    return buildRoom(raw, 'virtual');
+  }
+
+  const building = matchBuildingCode(text);
+  if (building) {
+    return buildRoom(raw, 'physical', building.code, building.rest || null);
+  }
+
+  const generic = text.match(GENERIC_ROOM_PATTERN);
+  if (generic) {
+    return buildRoom(raw, 'physical', generic[1], generic[2]);
+  }
+
+  const bare = text.match(BARE_ROOM_PATTERN);
+  if (bare) {
+    return buildRoom(raw, 'physical', null, bare[1]);
+  }
+
+  return buildRoom(raw, 'other');
+}
+
+/**
+ * Parse an AISIS room string into individual rooms
+ *
+ * Handles:
+ * - Rooms with a registered building code ("CTC-304", "SEC-A118A", "F302")
+ * - Rooms with other building codes ("GYM-01"; building_name is null)
+ * - Room numbers without a building ("Room 213")
+ * - Virtual rooms ("ONLINE", "ZOOM") and TBA, each with their own type
+ * - Several rooms for multi-meeting sections, separated by line breaks
+ *   (<br> in the cell), slashes, semicolons or commas, in meeting order
+ * - Other places ("Field", "EN DEPT"), kept as type 'other'
+ *
+ * @param {string} roomText - Raw room string, with <br> turned into line breaks
+ * @returns {Array<{raw: string, type: string, building_code: string|null, building_name: string|null, room_number: string|null}>}
+ *   Rooms in the order AISIS lists them; empty when the cell is empty
+ *
+ * @example
+ * parseRooms('CTC-304\nONLINE').map(r => r.type)  // returns ['physical', 'virtual']
+ */
+export function parseRooms(roomText) {
+  if (!roomText || typeof roomText !== 'string') {
+    return [];
+  }
+
+  return roomText
+    .split(ROOM_SEPARATOR_PATTERN)
+    .map(parseRoom)
+    .filter(Boolean);
+}
@@ -0,0 +1,170 @@
+import { SchemaDriftError } from './errors.js';
+
+/**
+ * Schedule of Classes table schema and header-driven column mapping
+ *
+ * The AISIS results table (J_VCSC.do displayResults) has one <tr> per section.
+ * Instead of assuming a fixed cell order, the parser reads the header row and
+ * maps each known column by its header text. If AISIS adds, drops or renames a
+ * column, the mismatch is reported as schema drift instead of silently shifting
+ * every field in the row.
+ *
+ * Tables without a header row (older captures and most test fixtures) fall back
+ * to LEGACY_COLUMN_ORDER, the historical 14-column layout.
+ *
+ * @module schedule-columns
+ */
+
+/**
+ * Known schedule columns and the header labels AISIS uses for them
+ * Labels are compared after normalizeHeaderText()
+ */
+export const SCHEDULE_COLUMNS = [
+  { key: 'subject_code', labels: ['SUBJECT CODE', 'SUBJ CODE', 'CODE'], required: true },
+  { key: 'section', labels: ['SECTION', 'SEC'], required: true },
+  { key: 'course_title', labels: ['COURSE TITLE', 'TITLE'], required: true },
+  { key: 'units', labels: ['UNITS', 'UNIT'], required: true },
+  { key: 'time', labels: ['TIME', 'SCHEDULE'], required: true },
+  { key: 'room', labels: ['ROOM', 'RM'], required: true },
+  { key: 'instructor', labels: ['INSTRUCTOR', 'FACULTY'], required: true },
+  { key: 'max_capacity', labels: ['MAX NO', 'MAX SLOTS', 'MAX'], required: true },
+  { key: 'language', labels: ['LANG', 'LANGUAGE'], required: false },
+  { key: 'level', labels: ['LEVEL', 'LVL'], required: false },
+  { key: 'free_slots', labels: ['FREE SLOTS', 'FREE'], required: true },
+  { key: 'remarks', labels: ['REMARKS'], required: false },
+  { key: 's_marker', labels: ['S'], required: false },
+  { key: 'p_marker', labels: ['P'], required: false }
+];
+
+/**
+ * Historical positional layout used when the table has no header row
+ * (Subject Code, Section, Title, Units, Time, Room, Instructor,
+ *  Max Slots, Language, Level, Free Slots, Remarks, S, P)
+ */
+export const LEGACY_COLUMN_ORDER = SCHEDULE_COLUMNS.map(column => column.key);
+
+// Minimum number of recognised header labels for a row to count as a header row
+const MIN_HEADER_MATCHES = 4;
+
+/**
+ * Normalize header cell text for comparison
+ * Uppercases, drops punctuation like "." and ":", and collapses whitespace
+ *
+ * @param {string} text - Raw header cell text
+ * @returns {string} Normalized header text (e.g., "Max No." -> "MAX NO")
+ */
+export function normalizeHeaderText(text) {
+  return (text || '')
+    .toUpperCase()
+    .replace(/[.:#]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the schema column for a header label
+ *
+ * @param {string} headerText - Header cell text
+ * @returns {Object|undefined} Matching entry from SCHEDULE_COLUMNS
+ */
+function findColumn(headerText) {
+  const normalized = normalizeHeaderText(headerText);
+  return SCHEDULE_COLUMNS.find(column => column.labels.includes(normalized));
+}
+
+/**
+ * Check whether a row's cell texts look like the schedule header row
+ *
+ * Used for header rows styled like data rows (td.text02); rows of header-styled
+ * cells (td.text04/th) are taken as the header by the scraper regardless of
+ * their text. A row is a header if at least MIN_HEADER_MATCHES of its cells,
+ * and at least half of them, are known labels. The labels may be in any
+ * position, so a renamed or added leading column still yields a header row
+ * (and a schema drift error from buildColumnMap) instead of a data row.
+ *
+ * @param {Array<string>} cellTexts - Text of each cell in the row
+ * @returns {boolean} True if the row is a header row
+ */
+export function isScheduleHeaderRow(cellTexts) {
+  if (!Array.isArray(cellTexts) || cellTexts.length === 0) {
+    return false;
+  }
+
+  const matches = cellTexts.filter(text => findColumn(text)).length;
+  return matches >= Math.min(MIN_HEADER_MATCHES, cellTexts.length) && matches * 2 >= cellTexts.length;
+}
+
+/**
+ * Build a column map from the header row of the schedule table
+ *
+ * @param {Array<string>} headers - Header cell texts, in table order
+ * @returns {{columns: Object<string, number>, cellCount: number, headers: Array<string>}}
+ *   columns maps each schema key (e.g., 'time') to its cell index
+ * @throws {SchemaDriftError} Schema drift error (error.headers set)
+ *   if a header is unknown, duplicated, or a required column is missing
+ */
+export function buildColumnMap(headers) {
+  const columns = {};
+  const unknown = [];
+  const duplicated = [];
+
+  headers.forEach((header, index) => {
+    const column = findColumn(header);
+    if (!column) {
+      unknown.push(header);
+      return;
+    }
+    if (columns[column.key] !== undefined) {
+      duplicated.push(header);
+      return;
+    }
+    columns[column.key] = index;
+  });
+
+  const missing = SCHEDULE_COLUMNS
+    .filter(column => column.required && columns[column.key] === undefined)
+    .map(column => column.key);
+
+  if (unknown.length > 0 || duplicated.length > 0 || missing.length > 0) {
+    const problems = [];
+    if (missing.length > 0) problems.push(`missing columns: ${missing.join(', ')}`);
+    if (unknown.length > 0) problems.push(`unknown headers: ${unknown.map(h => `"${h}"`).join(', ')}`);
+    if (duplicated.length > 0) problems.push(`duplicate headers: ${duplicated.map(h => `"${h}"`).join(', ')}`);
+
+    throw new SchemaDriftError(
+      `Schedule table schema drift (${problems.join('; ')}). Headers seen: [${headers.map(h => `"${h}"`).join(', ')}]`,
+      { headers }
+    );
+  }
+
+  return { columns, cellCount: headers.length, headers };
+}
+
+/**
+ * Column map for tables without a header row (historical 14-column layout)
+ *
+ * @returns {{columns: Object<string, number>, cellCount: number, headers: null}}
+ */
+export function legacyColumnMap() {
+  const columns = {};
+  LEGACY_COLUMN_ORDER.forEach((key, index) => {
+    columns[key] = index;
+  });
+  return { columns, cellCount: LEGACY_COLUMN_ORDER.length, headers: null };
+}
+
+/**
+ * Read a row's cells into an object keyed by schema column
+ *
+ * @param {Array<string>} cellTexts - Text of each cell in the row
+ * @param {Object} columnMap - Result of buildColumnMap() or legacyColumnMap()
+ * @returns {Object<string, string>} Cell text per column key ('' for absent optional columns)
+ */
+export function mapRowCells(cellTexts, columnMap) {
+  const row = {};
+  for (const column of SCHEDULE_COLUMNS) {
+    const index = columnMap.columns[column.key];
+    row[column.key] = index !== undefined && cellTexts[index] !== undefined ? cellTexts[index] : '';
+  }
+  return row;
+}
@@ -32,6 +32,7 @@ import { AISISScraper } from './scraper.js';
 import { SupabaseManager, ALL_DEPARTMENTS_LABEL } from './supabase.js';
 import { GoogleSheetsManager } from './sheets.js';
 import { BaselineManager } from './baseline.js';
+import { logger, setLogContext } from './logger.js';
 import 'dotenv/config';
 
 /**
@@ -69,9 +70,9 @@ function generateYearTerms(year) {
 }
 
 async function main() {
-  console.log('═══════════════════════════════════════════════════════');
-  console.log('🎓 AISIS Full Academic Year Schedule Scraper');
-  console.log('═══════════════════════════════════════════════════════\n');
+  logger.info('═══════════════════════════════════════════════════════');
+  logger.info('🎓 AISIS Full Academic Year Schedule Scraper');
+  logger.info('═══════════════════════════════════════════════════════\n');
 
   const { 
     AISIS_USERNAME, 
@@ -83,8 +84,8 @@ async function main() {
   } = process.env;
   
   if (!AISIS_USERNAME || !AISIS_PASSWORD) {
-    console.error('❌ FATAL: Missing AISIS credentials in environment variables');
-    console.error('   Please set AISIS_USERNAME and AISIS_PASSWORD');
+    logger.error('❌ FATAL: Missing AISIS credentials in environment variables');
+    logger.error('   Please set AISIS_USERNAME and AISIS_PASSWORD');
     process.exit(1);
   }
 
@@ -98,19 +99,19 @@ async function main() {
   const targetYear = yearInput ? parseInt(yearInput, 10) : defaultYear;
   
   if (!yearInput) {
-    console.log(`   ℹ️ No target year specified, defaulting to current year: ${defaultYear}`);
-    console.log('   💡 Tip: Pass year as argument or set TARGET_YEAR environment variable\n');
+    logger.info(`   ℹ️ No target year specified, defaulting to current year: ${defaultYear}`);
+    logger.info('   💡 Tip: Pass year as argument or set TARGET_YEAR environment variable\n');
   }
   
   if (isNaN(targetYear) || targetYear < MIN_VALID_YEAR || targetYear > MAX_VALID_YEAR) {
-    console.error(`❌ FATAL: Invalid target year: ${yearInput}`);
-    console.error(`   Please provide a valid year between ${MIN_VALID_YEAR} and ${MAX_VALID_YEAR} (e.g., 2025)`);
+    logger.error(`❌ FATAL: Invalid target year: ${yearInput}`);
+    logger.error(`   Please provide a valid year between ${MIN_VALID_YEAR} and ${MAX_VALID_YEAR} (e.g., 2025)`);
     process.exit(1);
   }
   
   const termsToScrape = generateYearTerms(targetYear);
-  console.log(`📅 Target academic year: ${targetYear}`);
-  console.log(`   Terms to scrape: ${termsToScrape.join(', ')}\n`);
+  logger.info(`📅 Target academic year: ${targetYear}`);
+  logger.info(`   Terms to scrape: ${termsToScrape.join(', ')}\n`);
 
   const scraper = new AISISScraper(AISIS_USERNAME, AISIS_PASSWORD);
   const supabase = DATA_INGEST_TOKEN ? new SupabaseManager(DATA_INGEST_TOKEN) : null;
@@ -119,9 +120,9 @@ async function main() {
   if (GOOGLE_SERVICE_ACCOUNT && SPREADSHEET_ID) {
     try {
       sheets = new GoogleSheetsManager(GOOGLE_SERVICE_ACCOUNT);
-      console.log('   ✅ Google Sheets Enabled');
+      logger.info('   ✅ Google Sheets Enabled');
     } catch (e) {
-      console.warn('   ⚠️ Google Sheets Init Failed:', e.message);
+      logger.warn(`   ⚠️ Google Sheets Init Failed: ${e.message}`);
     }
   }
 
@@ -129,12 +130,13 @@ async function main() {
     const startTime = Date.now();
     const phaseTimings = {};
     
-    console.log('🚀 Initializing scraper...');
+    setLogContext({ phase: 'login' });
+    logger.info('🚀 Initializing scraper...');
     const initStart = Date.now();
     await scraper.init();
     phaseTimings.init = Date.now() - initStart;
 
-    console.log('🔐 Logging in...');
+    logger.info('🔐 Logging in...');
     const loginStart = Date.now();
     const loginSuccess = await scraper.login();
     
@@ -142,14 +144,15 @@ async function main() {
       throw new Error('Login failed - check credentials');
     }
     phaseTimings.login = Date.now() - loginStart;
-    console.log(`   ⏱  Login & validation: ${formatTime(phaseTimings.login)}`);
+    logger.info(`   ⏱  Login & validation: ${formatTime(phaseTimings.login)}`);
 
     // Scrape all terms in the academic year
-    console.log('\n📥 Scraping schedule data (full academic year mode)...');
+    setLogContext({ phase: 'schedule' });
+    logger.info('\n📥 Scraping schedule data (full academic year mode)...');
     const scrapeStart = Date.now();
     const multiTermResults = await scraper.scrapeMultipleTerms(termsToScrape);
     phaseTimings.scraping = Date.now() - scrapeStart;
-    console.log(`   ⏱  AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
+    logger.info(`   ⏱  AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
 
     // Process and save results
     if (!fs.existsSync('logs')) fs.mkdirSync('logs');
@@ -161,9 +164,10 @@ async function main() {
     
     for (const termResult of multiTermResults) {
       const { term, courses: scheduleData, departments: deptResults, error } = termResult;
+      setLogContext({ phase: 'process', term });
       
       if (error) {
-        console.warn(`\n⚠️ Term ${term} scrape failed: ${error}`);
+        logger.warn(`\n⚠️ Term ${term} scrape failed: ${error}`);
         allTermsData.push({
           term,
           course_count: 0,
@@ -174,7 +178,7 @@ async function main() {
       }
       
       if (scheduleData.length === 0) {
-        console.warn(`\n⚠️ No schedule data found for term ${term}.`);
+        logger.warn(`\n⚠️ No schedule data found for term ${term}.`);
         allTermsData.push({
           term,
           course_count: 0,
@@ -183,7 +187,7 @@ async function main() {
         continue;
       }
       
-      console.log(`\n💾 Processing ${scheduleData.length} courses from term ${term}...`);
+      logger.info(`\n💾 Processing ${scheduleData.length} courses from term ${term}...`);
       totalCourses += scheduleData.length;
       
       // Add term_code to each course record
@@ -206,12 +210,13 @@ async function main() {
     }
 
     // Initialize baseline manager for regression detection
+    setLogContext({ phase: 'baseline', term: null });
     const baselineManager = new BaselineManager();
     const baselineConfig = baselineManager.getConfigSummary();
-    console.log(`\n🔍 Baseline tracking enabled:`);
-    console.log(`   Drop threshold: ${baselineConfig.dropThresholdPercent}%`);
-    console.log(`   Warn-only mode: ${baselineConfig.warnOnly ? 'Yes' : 'No (will fail on regression)'}`);
-    console.log(`   Require baselines: ${baselineConfig.requireBaselines ? 'Yes (will fail if missing)' : 'No'}`);
+    logger.info(`\n🔍 Baseline tracking enabled:`);
+    logger.info(`   Drop threshold: ${baselineConfig.dropThresholdPercent}%`);
+    logger.info(`   Warn-only mode: ${baselineConfig.warnOnly ? 'Yes' : 'No (will fail on regression)'}`);
+    logger.info(`   Require baselines: ${baselineConfig.requireBaselines ? 'Yes (will fail if missing)' : 'No'}`);
 
     // Validate baselines exist BEFORE processing if required
     // This prevents data loss by failing fast when baselines are missing
@@ -228,6 +233,7 @@ async function main() {
       }
       
       const { term, courses: scheduleData } = termData;
+      setLogContext({ term });
       
       // Extract per-department counts for detailed analysis
       const deptCounts = {};
@@ -252,14 +258,15 @@ async function main() {
       
       // Check if we should fail the job due to regression
       if (baselineManager.shouldFailJob(comparisonResult)) {
-        console.error(`\n❌ REGRESSION DETECTED for term ${term}: Total record count dropped significantly`);
-        console.error(`   This likely indicates data loss during scraping`);
-        console.error(`   Set BASELINE_WARN_ONLY=true to make this a warning instead of failure`);
+        logger.error(`\n❌ REGRESSION DETECTED for term ${term}: Total record count dropped significantly`);
+        logger.error(`   This likely indicates data loss during scraping`);
+        logger.error(`   Set BASELINE_WARN_ONLY=true to make this a warning instead of failure`);
         regressionFailed = true;
       }
     }
 
     // Common metadata for output files
+    setLogContext({ phase: 'output', term: null });
     const scrapedAt = new Date().toISOString();
     
     // Save aggregated results to logs (summary only, no courses)
@@ -278,12 +285,12 @@ async function main() {
     
     const logsPath = `logs/schedule-all-terms-${targetYear}.json`;
     fs.writeFileSync(logsPath, JSON.stringify(aggregatedResult, null, 2));
-    console.log(`\n📁 Saved aggregated summary to ${logsPath}`);
+    logger.info(`\n📁 Saved aggregated summary to ${logsPath}`);
 
     // Save all courses to data directory (flat array)
     const allCourses = allTermsData.flatMap(t => t.courses || []);
     fs.writeFileSync('data/courses.json', JSON.stringify(allCourses, null, 2));
-    console.log(`   ✅ Saved ${allCourses.length} total courses to data/courses.json`);
+    logger.info(`   ✅ Saved ${allCourses.length} total courses to data/courses.json`);
 
     // Save full per-term breakdown (includes courses)
     const fullDataPath = `data/schedules-full-year-${targetYear}.json`;
@@ -293,7 +300,7 @@ async function main() {
       total_courses: totalCourses,
       terms: allTermsData
     }, null, 2));
-    console.log(`   ✅ Saved full breakdown to ${fullDataPath}`);
+    logger.info(`   ✅ Saved full breakdown to ${fullDataPath}`);
 
     // Supabase Sync (optional)
     // IMPORTANT: We sync all data for a term in a single call to syncToSupabase.
@@ -302,7 +309,8 @@ async function main() {
     // to prevent data loss from race conditions.
     // See docs/ingestion.md for details on the chunking protocol.
     if (supabase && allCourses.length > 0) {
-      console.log('\n🚀 Starting Supabase Sync (Sequential per-term)...');
+      setLogContext({ phase: 'ingest' });
+      logger.info('\n🚀 Starting Supabase Sync (Sequential per-term)...');
       
       const supabaseStart = Date.now();
       
@@ -317,8 +325,9 @@ async function main() {
         }
         
         const { term, courses: termCourses } = termData;
-        console.log(`\n   📅 Syncing term: ${term}`);
-        console.log(`   Total courses for term ${term}: ${termCourses.length}`);
+        setLogContext({ term });
+        logger.info(`\n   📅 Syncing term: ${term}`);
+        logger.info(`   Total courses for term ${term}: ${termCourses.length}`);
         
         // Sync all courses for this term in a single call
         // syncToSupabase handles batching internally and ensures:
@@ -329,30 +338,31 @@ async function main() {
         
         if (success) {
           totalSuccessCount += termCourses.length;
-          console.log(`   ✅ Term ${term} sync complete: ${termCourses.length} records synced`);
+          logger.info(`   ✅ Term ${term} sync complete: ${termCourses.length} records synced`);
         } else {
           totalFailureCount += termCourses.length;
-          console.error(`   ❌ Term ${term} sync failed`);
+          logger.error(`   ❌ Term ${term} sync failed`);
         }
       }
       
       phaseTimings.supabase = Date.now() - supabaseStart;
       
-      console.log('\n✅ SCHEDULE SUPABASE SYNC COMPLETE', {
+      logger.info('\n✅ SCHEDULE SUPABASE SYNC COMPLETE', {
         total_terms: allTermsData.filter(t => t.courses && t.courses.length > 0).length,
         successful_records: totalSuccessCount,
         failed_records: totalFailureCount,
         duration_ms: phaseTimings.supabase
       });
-      console.log(`   ⏱  Supabase sync: ${formatTime(phaseTimings.supabase)}`);
+      logger.info(`   ⏱  Supabase sync: ${formatTime(phaseTimings.supabase)}`);
     } else if (!supabase) {
-      console.log('\n   ⚠️ Supabase sync skipped (no DATA_INGEST_TOKEN)');
+      logger.info('\n   ⚠️ Supabase sync skipped (no DATA_INGEST_TOKEN)');
       phaseTimings.supabase = 0;
     }
 
     // Google Sheets Sync (optional)
     if (sheets && allCourses.length > 0) {
-      console.log('\n📊 Syncing to Google Sheets...');
+      setLogContext({ phase: 'sheets', term: null });
+      logger.info('\n📊 Syncing to Google Sheets...');
       const sheetsStart = Date.now();
       try {
         // Multi-term mode: create one tab per term
@@ -362,62 +372,63 @@ async function main() {
           }
           const tabName = termData.term;
           await sheets.syncData(SPREADSHEET_ID, tabName, termData.courses);
-          console.log(`   ✅ Synced ${termData.courses.length} courses to tab: ${tabName}`);
+          logger.info(`   ✅ Synced ${termData.courses.length} courses to tab: ${tabName}`);
         }
-        console.log(`   ✅ Google Sheets sync completed`);
+        logger.info(`   ✅ Google Sheets sync completed`);
         phaseTimings.sheets = Date.now() - sheetsStart;
-        console.log(`   ⏱  Sheets sync: ${formatTime(phaseTimings.sheets)}`);
+        logger.info(`   ⏱  Sheets sync: ${formatTime(phaseTimings.sheets)}`);
       } catch (error) {
         phaseTimings.sheets = Date.now() - sheetsStart;
-        console.error('   ❌ Google Sheets sync failed:', error.message);
+        logger.error(`   ❌ Google Sheets sync failed: ${error.message}`);
       }
     } else {
       phaseTimings.sheets = 0;
     }
     
     // Print summary timing
+    setLogContext({ phase: 'summary', term: null });
     const totalTime = Date.now() - startTime;
-    console.log('\n⏱  Performance Summary:');
-    console.log(`   Initialization: ${formatTime(phaseTimings.init)}`);
-    console.log(`   Login & validation: ${formatTime(phaseTimings.login)}`);
-    console.log(`   AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
+    logger.info('\n⏱  Performance Summary:');
+    logger.info(`   Initialization: ${formatTime(phaseTimings.init)}`);
+    logger.info(`   Login & validation: ${formatTime(phaseTimings.login)}`);
+    logger.info(`   AISIS scraping: ${formatTime(phaseTimings.scraping)}`);
     if (phaseTimings.supabase > 0) {
-      console.log(`   Supabase sync: ${formatTime(phaseTimings.supabase)}`);
+      logger.info(`   Supabase sync: ${formatTime(phaseTimings.supabase)}`);
     }
     if (phaseTimings.sheets > 0) {
-      console.log(`   Sheets sync: ${formatTime(phaseTimings.sheets)}`);
+      logger.info(`   Sheets sync: ${formatTime(phaseTimings.sheets)}`);
     }
-    console.log(`   Total time: ${formatTime(totalTime)}`);
+    logger.info(`   Total time: ${formatTime(totalTime)}`);
 
     // Exit with error if regression detected and not in warn-only mode
     if (regressionFailed) {
-      console.log('\n❌ Scraping completed with REGRESSION ERROR!');
+      logger.info('\n❌ Scraping completed with REGRESSION ERROR!');
       process.exit(1);
     }
 
-    console.log('\n═══════════════════════════════════════════════════════');
-    console.log(`✅ Full Academic Year ${targetYear} scraping completed!`);
-    console.log(`   Total courses scraped: ${totalCourses}`);
-    console.log(`   Terms: ${termsToScrape.join(', ')}`);
-    console.log('═══════════════════════════════════════════════════════');
+    logger.info('\n═══════════════════════════════════════════════════════');
+    logger.info(`✅ Full Academic Year ${targetYear} scraping completed!`);
+    logger.info(`   Total courses scraped: ${totalCourses}`);
+    logger.info(`   Terms: ${termsToScrape.join(', ')}`);
+    logger.info('═══════════════════════════════════════════════════════');
     
     process.exit(0);
 
   } catch (error) {
-    console.error('\n❌ Scraping failed:', error.message);
-    console.error('Stack trace:', error.stack);
+    logger.error(`\n❌ Scraping failed: ${error.message}`);
+    logger.error(`Stack trace: ${error.stack}`);
     process.exit(1);
   }
 }
 
 // Handle uncaught errors
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error('Unhandled Rejection:', { reason });
   process.exit(1);
 });
 
 process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
+  logger.error('Uncaught Exception:', { error });
   process.exit(1);
 });
 
@@ -3,9 +3,43 @@ import * as cheerio from 'cheerio';
 import { CookieJar } from 'tough-cookie';
 import crypto from 'crypto';
 import { DEPARTMENTS, isHeaderLikeRecord, SAMPLE_INVALID_RECORDS_COUNT, getSubjectPrefix } from './constants.js';
-
-// Use node-fetch directly instead of fetch-cookie
-const { default: fetch } = await import('node-fetch');
+import { parseTimePattern } from './meeting-parser.js';
+import { parseInstructors } from './instructor-parser.js';
+import { parseRooms } from './room-parser.js';
+import { interpretRemarks } from './remarks-parser.js';
+import { isParseProvenanceEnabled, hashPage, findParseWarnings, buildParseBlock } from './parse-provenance.js';
+import { isScheduleHeaderRow, buildColumnMap, legacyColumnMap, mapRowCells } from './schedule-columns.js';
+import { createTransportFromEnv } from './transport.js';
+import { AdaptiveRateLimiter, DEFAULT_RATE_LIMIT_CONFIG, getRateLimitConfig, runWorkQueue } from './rate-limiter.js';
+import { runDepartmentJobs, FIRST_DEPARTMENT_CANARY } from './department-jobs.js';
+import { DiscoveryCache } from './discovery-cache.js';
+import { getShardedDepartments, isPageSizeFailure, mergeSubjectShards, crossCheckShards } from './subject-shards.js';
+import {
+  resolveCrossListings,
+  findOwnerCandidates,
+  getCrossListPolicy,
+  getCrossListOverrides,
+  SUBJECT_DEPARTMENTS
+} from './cross-listings.js';
+import { getRetryPolicies, DEFAULT_REQUEST_TIMEOUT_MS } from './retry-policy.js';
+import { SessionStore } from './session-store.js';
+import { SessionPool, getSessionPoolSize } from './session-pool.js';
+import {
+  LoginFailedError,
+  SessionExpiredError,
+  AisisErrorPageError,
+  CurriculumMismatchError,
+  SchemaDriftError,
+  SanityCheckError,
+  HttpStatusError,
+  RequestTimeoutError,
+  TruncatedPageError,
+  errorCode
+} from './errors.js';
+import { logger, withLogContext } from './logger.js';
+
+// node-fetch Response is used to re-wrap buffered bodies; requests go through the transport
+const { Response } = await import('node-fetch');
 
 // Login/session validation patterns
 const LOGIN_SUCCESS_MARKERS = [
@@ -91,32 +125,19 @@ export function isLoginPage(html) {
 // AISIS system error page marker
 const AISIS_ERROR_PAGE_MARKER = 'Your Request Cannot Be Processed At This Time';
 
-// Retry configuration for HTTP errors
-const RETRY_CONFIG = {
-  MAX_RETRIES: 1,
-  RETRY_DELAY_MS: 1500
-};
-
-// Scrape behavior configuration for batched concurrent department scraping
-// Optimized for performance while remaining polite to AISIS server
-// Can be overridden via environment variables for fast mode or custom tuning
-const DEFAULT_SCRAPE_CONFIG = {
-  CONCURRENCY: 8,        // Number of departments to scrape in parallel per batch (increased from 5)
-  BATCH_DELAY_MS: 500    // Delay in milliseconds between batches (reduced from 750ms)
-};
-
-// Get scrape configuration from environment variables or defaults
-function getScrapeConfig() {
-  const concurrencyEnv = parseInt(process.env.AISIS_CONCURRENCY, 10);
-  const concurrency = isNaN(concurrencyEnv) ? DEFAULT_SCRAPE_CONFIG.CONCURRENCY : concurrencyEnv;
+// Curriculum workers never exceed this, whatever AISIS_CONCURRENCY says.
+// Production runs showed 4 workers at 97.4% success vs 92.5% at 6 (session bleed)
+const CURRICULUM_MAX_WORKERS = 4;
 
-  const batchDelayEnv = parseInt(process.env.AISIS_BATCH_DELAY_MS, 10);
-  const batchDelayMs = isNaN(batchDelayEnv) ? DEFAULT_SCRAPE_CONFIG.BATCH_DELAY_MS : batchDelayEnv;
+// Maximum number of automatic re-logins per run when the AISIS session expires
+// Can be overridden via AISIS_MAX_RELOGINS; 0 disables automatic re-login
+const DEFAULT_MAX_RELOGINS = 3;
 
-  return {
-    CONCURRENCY: Math.max(1, Math.min(concurrency, 50)), // Clamp between 1 and 50 (increased from 20)
-    BATCH_DELAY_MS: Math.max(0, Math.min(batchDelayMs, 5000)) // Clamp between 0 and 5000ms
-  };
+// Get the per-run re-login cap from environment variables or defaults
+function getMaxRelogins() {
+  const maxReloginsEnv = parseInt(process.env.AISIS_MAX_RELOGINS, 10);
+  const maxRelogins = isNaN(maxReloginsEnv) ? DEFAULT_MAX_RELOGINS : maxReloginsEnv;
+  return Math.max(0, Math.min(maxRelogins, 20)); // Clamp between 0 and 20
 }
 
 // Department codes to exclude when parsing available departments from AISIS
@@ -164,6 +185,9 @@ const SANITY_CHECK_CONFIG = {
  * @param {string} reason - Reason for saving (e.g., 'sanity-check-failed')
  */
 function saveRawHtml(html, term, deptCode, reason) {
+  // Departments scraped by subject have no single page to save
+  if (!html) return;
+
   try {
     const logsDir = 'logs';
     if (!fs.existsSync(logsDir)) {
@@ -173,10 +197,36 @@ function saveRawHtml(html, term, deptCode, reason) {
     const timestamp = new Date().toISOString().replace(/:/g, '-').split('.')[0];
     const filename = `${logsDir}/raw-${reason}-${term}-${deptCode}-${timestamp}.html`;
     fs.writeFileSync(filename, html);
-    console.log(`   💾 Saved raw HTML to: ${filename}`);
+    logger.info(`   💾 Saved raw HTML to: ${filename}`);
   } catch (error) {
-    console.error(`   ⚠️  Failed to save raw HTML: ${error.message}`);
+    logger.error(`   ⚠️  Failed to save raw HTML: ${error.message}`);
+  }
+}
+
+/**
+ * Count failed department statuses by error_code
+ * @param {Array<Object>} statuses - Department status entries
+ * @returns {Object<string, number>} e.g. { HTTP_STATUS: 2, CANARY_FAILED: 5 }
+ */
+function countFailureCodes(statuses) {
+  const counts = {};
+  for (const status of statuses) {
+    if (status.status !== 'failed') continue;
+    const code = status.error_code || 'UNKNOWN';
+    counts[code] = (counts[code] || 0) + 1;
   }
+  return counts;
+}
+
+/**
+ * Format failure counts for a summary line
+ * @param {Object<string, number>} counts - Failures by error code
+ * @returns {string} e.g. " (HTTP_STATUS=2, SESSION_EXPIRED=1)", or '' when there are none
+ */
+function formatFailureCodes(counts) {
+  const entries = Object.entries(counts);
+  if (entries.length === 0) return '';
+  return ` (${entries.map(([code, count]) => `${code}=${count}`).join(', ')})`;
 }
 
 /**
@@ -197,8 +247,6 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
     return { passed: true, reason: 'No sanity checks configured for this department' };
   }
 
-  const debugMode = process.env.DEBUG_SCRAPER === 'true';
-
   // Count courses by subject prefix
   const prefixCounts = {};
   for (const course of courses) {
@@ -206,12 +254,12 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
     prefixCounts[prefix] = (prefixCounts[prefix] || 0) + 1;
   }
 
-  if (debugMode) {
+  if (logger.isLevelEnabled('debug')) {
     const breakdown = Object.entries(prefixCounts)
       .sort((a, b) => b[1] - a[1])
       .map(([prefix, count]) => `${prefix}=${count}`)
       .join(', ');
-    console.log(`   🔍 [${deptCode}] Sanity check: Subject prefix breakdown: ${breakdown}`);
+    logger.debug(`   🔍 [${deptCode}] Sanity check: Subject prefix breakdown: ${breakdown}`);
   }
 
   // MA (Mathematics) department checks
@@ -221,8 +269,8 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
 
     if (mathCount === 0) {
       const reason = `MA sanity check failed: expected many MATH courses, got ${mathCount} (0 MATH courses found)`;
-      console.error(`   ❌ ${reason}`);
-      console.error(`   📊 Found prefixes: ${Object.keys(prefixCounts).join(', ') || 'none'}`);
+      logger.error(`   ❌ ${reason}`);
+      logger.error(`   📊 Found prefixes: ${Object.keys(prefixCounts).join(', ') || 'none'}`);
       saveRawHtml(html, term, deptCode, 'sanity-check-failed');
       return {
         passed: false,
@@ -233,8 +281,8 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
 
     if (mathCount < minRequired) {
       const reason = `MA sanity check failed: expected >= ${minRequired} MATH courses, got ${mathCount}`;
-      console.error(`   ❌ ${reason}`);
-      console.error(`   📊 Found prefixes: ${Object.entries(prefixCounts).map(([p, c]) => `${p}=${c}`).join(', ')}`);
+      logger.error(`   ❌ ${reason}`);
+      logger.error(`   📊 Found prefixes: ${Object.entries(prefixCounts).map(([p, c]) => `${p}=${c}`).join(', ')}`);
       saveRawHtml(html, term, deptCode, 'sanity-check-failed');
       return {
         passed: false,
@@ -243,7 +291,7 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
       };
     }
 
-    console.log(`   ✅ [${deptCode}] Sanity check passed: ${mathCount} MATH courses (>= ${minRequired})`);
+    logger.info(`   ✅ [${deptCode}] Sanity check passed: ${mathCount} MATH courses (>= ${minRequired})`);
     return { passed: true, reason: 'MA sanity checks passed', details: { mathCount, minRequired } };
   }
 
@@ -257,8 +305,8 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
     // Check for required prefixes
     if (pepcCount === 0 && phyedCount === 0) {
       const reason = `PE sanity check failed: no PEPC or PHYED courses found`;
-      console.error(`   ❌ ${reason}`);
-      console.error(`   📊 Found prefixes: ${Object.keys(prefixCounts).join(', ') || 'none'}`);
+      logger.error(`   ❌ ${reason}`);
+      logger.error(`   📊 Found prefixes: ${Object.keys(prefixCounts).join(', ') || 'none'}`);
       saveRawHtml(html, term, deptCode, 'sanity-check-failed');
       return {
         passed: false,
@@ -270,8 +318,8 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
     // Check minimum total courses
     if (totalCourses < minRequired) {
       const reason = `PE sanity check failed: expected >= ${minRequired} courses, got ${totalCourses}`;
-      console.error(`   ❌ ${reason}`);
-      console.error(`   📊 PEPC=${pepcCount}, PHYED=${phyedCount}`);
+      logger.error(`   ❌ ${reason}`);
+      logger.error(`   📊 PEPC=${pepcCount}, PHYED=${phyedCount}`);
       saveRawHtml(html, term, deptCode, 'sanity-check-failed');
       return {
         passed: false,
@@ -280,7 +328,7 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
       };
     }
 
-    console.log(`   ✅ [${deptCode}] Sanity check passed: PEPC=${pepcCount}, PHYED=${phyedCount}, total=${totalCourses}`);
+    logger.info(`   ✅ [${deptCode}] Sanity check passed: PEPC=${pepcCount}, PHYED=${phyedCount}, total=${totalCourses}`);
     return { passed: true, reason: 'PE sanity checks passed', details: { pepcCount, phyedCount, totalCourses } };
   }
 
@@ -292,8 +340,8 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
 
     if (nstpCount === 0) {
       const reason = `${deptCode} sanity check failed: no NSTP courses found`;
-      console.error(`   ❌ ${reason}`);
-      console.error(`   📊 Found prefixes: ${Object.keys(prefixCounts).join(', ') || 'none'}`);
+      logger.error(`   ❌ ${reason}`);
+      logger.error(`   📊 Found prefixes: ${Object.keys(prefixCounts).join(', ') || 'none'}`);
       saveRawHtml(html, term, deptCode, 'sanity-check-failed');
       return {
         passed: false,
@@ -304,7 +352,7 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
 
     if (nstpCount < minRequired) {
       const reason = `${deptCode} sanity check failed: expected >= ${minRequired} NSTP courses, got ${nstpCount}`;
-      console.error(`   ❌ ${reason}`);
+      logger.error(`   ❌ ${reason}`);
       saveRawHtml(html, term, deptCode, 'sanity-check-failed');
       return {
         passed: false,
@@ -315,10 +363,10 @@ function performDepartmentSanityChecks(deptCode, courses, html, term) {
 
     // Check if we should warn about low course count (but still pass)
     if (warnThreshold && nstpCount < warnThreshold) {
-      console.warn(`   ⚠️  [${deptCode}] Low course count warning: ${nstpCount} NSTP courses (< ${warnThreshold} expected, but >= ${minRequired} minimum)`);
+      logger.warn(`   ⚠️  [${deptCode}] Low course count warning: ${nstpCount} NSTP courses (< ${warnThreshold} expected, but >= ${minRequired} minimum)`);
     }
 
-    console.log(`   ✅ [${deptCode}] Sanity check passed: ${nstpCount} NSTP courses (>= ${minRequired})`);
+    logger.info(`   ✅ [${deptCode}] Sanity check passed: ${nstpCount} NSTP courses (>= ${minRequired})`);
     return { passed: true, reason: 'NSTP sanity checks passed', details: { nstpCount, minRequired, warnThreshold } };
   }
 
@@ -375,62 +423,273 @@ export function compareTermCodes(a, b) {
     // If years are equal, compare semester
     return termA.semester - termB.semester;
   } catch (error) {
-    console.warn(`Term comparison error: ${error.message}`);
+    logger.warn(`Term comparison error: ${error.message}`);
     // Fallback to string comparison if parsing fails
     return a.localeCompare(b);
   }
 }
 
 export class AISISScraper {
-  constructor(username, password) {
+  /**
+   * @param {string} username - AISIS username
+   * @param {string} password - AISIS password
+   * @param {Object} options
+   * @param {Object} options.transport - HTTP transport (see src/transport.js);
+   *   defaults to the one configured by AISIS_TRANSPORT / AISIS_CASSETTE_DIR
+   * @param {string} options.baseUrl - AISIS base URL (e.g., a local mock server);
+   *   defaults to AISIS_BASE_URL or https://aisis.ateneo.edu
+   * @param {AdaptiveRateLimiter} options.rateLimiter - Shared request limiter (see src/rate-limiter.js);
+   *   defaults to one configured by AISIS_CONCURRENCY / AISIS_RATE_LIMIT
+   * @param {DiscoveryCache} options.discoveryCache - Terms/departments cache (see src/discovery-cache.js);
+   *   defaults to one configured by AISIS_DISCOVERY_TTL_MS / AISIS_DISCOVERY_CACHE_FILE
+   * @param {Object} options.retryPolicies - Retry profiles by operation (see src/retry-policy.js);
+   *   defaults to the ones configured by AISIS_RETRY_CONFIG / AISIS_RETRY_<PROFILE>_<FIELD>
+   * @param {SessionStore} options.sessionStore - Per-account cookie storage (see src/session-store.js);
+   *   defaults to one configured by AISIS_SESSION_DIR / AISIS_SESSION_SECRET / AISIS_SESSION_TTL_MS
+   * @param {string} options.sessionKey - Key the session is saved under (default: username;
+   *   pooled sessions use their own key, see src/session-pool.js)
+   * @param {string} options.sessionLabel - Session name in curriculum logs and mismatch errors (e.g., 'session-2')
+   */
+  constructor(username, password, options = {}) {
     this.username = username;
     this.password = password;
-    this.baseUrl = 'https://aisis.ateneo.edu';
+    this.baseUrl = (options.baseUrl || process.env.AISIS_BASE_URL || 'https://aisis.ateneo.edu').replace(/\/+$/, '');
     this.cookieJar = new CookieJar();
     this.loggedIn = false;
 
-    // Define the file path for saving cookies
-    this.cookieFile = 'cookies.json';
+    // Live, record or replay HTTP transport used by _send
+    this.transport = options.transport || createTransportFromEnv({ redact: [username, password] });
+
+    // One adaptive limiter paces every AISIS request (schedule and curriculum);
+    // waits go through _delay so tests that stub it run unthrottled
+    this.rateLimitConfig = getRateLimitConfig();
+    this.rateLimiter = options.rateLimiter || new AdaptiveRateLimiter({
+      ...this.rateLimitConfig,
+      sleep: ms => this._delay(ms)
+    });
+
+    // Attempts, backoff, timeout and retryable errors for login, discovery,
+    // department and curriculum requests
+    this.retryPolicies = options.retryPolicies || getRetryPolicies();
+
+    // Saved session cookies, one (optionally encrypted) file per account
+    this.sessionStore = options.sessionStore || new SessionStore();
+    this.sessionKey = options.sessionKey || username;
+
+    // Set when the session belongs to a curriculum session pool; curriculum
+    // mismatches are counted per session so the pool can report them
+    this.sessionLabel = options.sessionLabel || null;
+    this.curriculumMismatches = 0;
+
+    // Session recovery state (see _recoverSession)
+    this.maxRelogins = getMaxRelogins();
+    this.reloginCount = 0;
+    this.sessionGeneration = 0;
+    this._reloginPromise = null;
+
+    // Optional CheckpointManager; finished departments/programs are saved to it
+    // as they complete and skipped when resuming (see src/checkpoint.js)
+    this.checkpoint = null;
+
+    // Terms, selected term and departments from one cached Schedule of Classes fetch
+    this.discoveryCache = options.discoveryCache || new DiscoveryCache({
+      fetch: () => this._fetchDiscovery()
+    });
+
+    // Departments always scraped one subject at a time (see src/subject-shards.js)
+    this.shardedDepartments = getShardedDepartments();
   }
 
   async init() {
-    console.log('🚀 Initializing AISIS Scraper...');
+    logger.info('🚀 Initializing AISIS Scraper...');
     // Try to load existing cookies on startup
     await this._loadCookies();
   }
 
-  // Method to load cookies from file
+  // Load this account's saved session, if it has one that hasn't expired
   async _loadCookies() {
-    if (fs.existsSync(this.cookieFile)) {
-      try {
-        const data = fs.readFileSync(this.cookieFile, 'utf8');
-        const json = JSON.parse(data);
-        // Reconstruct the jar from the saved JSON
-        this.cookieJar = CookieJar.deserializeSync(json);
-        this.loggedIn = true; // Assume logged in if cookies exist (validation happens in login())
-        console.log('   📂 Loaded session from cookies.json');
-      } catch (err) {
-        console.error('   ⚠️ Error loading cookies:', err.message);
-        // If error, start with fresh jar
-        this.cookieJar = new CookieJar();
-      }
+    const saved = this.sessionStore.load(this.sessionKey);
+    if (!saved) {
+      return;
+    }
+
+    try {
+      // Reconstruct the jar from the saved JSON
+      this.cookieJar = CookieJar.deserializeSync(saved.jar);
+      this.loggedIn = true; // Assume logged in if cookies exist (validation happens in login())
+      logger.info(`   📂 Loaded saved session${saved.encrypted ? ' (encrypted)' : ''}, expires ${saved.expires_at}`);
+    } catch (err) {
+      logger.error(`   ⚠️ Error loading cookies: ${err.message}`);
+      // If error, start with fresh jar
+      this.cookieJar = new CookieJar();
     }
   }
 
-  // Method to save cookies to file
+  // Save this account's session
   async _saveCookies() {
     try {
       // Serialize the entire jar to a JSON object
-      const serialized = this.cookieJar.serializeSync();
-      fs.writeFileSync(this.cookieFile, JSON.stringify(serialized, null, 2));
+      this.sessionStore.save(this.sessionKey, this.cookieJar.serializeSync());
     } catch (err) {
-      console.error('   ⚠️ Error saving cookies:', err.message);
+      logger.error(`   ⚠️ Error saving cookies: ${err.message}`);
     }
   }
 
+  /**
+   * Send a request to AISIS, recovering transparently from an expired session
+   *
+   * While logged in, every response is checked with isLoginPage(). If AISIS
+   * answered with the login page, the session is re-established once via
+   * _recoverSession() (shared by all concurrent workers) and the request is
+   * replayed. New requests wait while a re-login is in flight so they go out
+   * with the fresh session cookies. Every request is paced by the rate limiter.
+   *
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options, plus:
+   *   skipSessionRecovery {boolean} - Return the raw response (used by login())
+   * @returns {Promise<Response>} Response (body already buffered when checked)
+   * @throws {SessionExpiredError} If the session expired and could not be recovered
+   */
   async _request(url, options = {}) {
+    const { skipSessionRecovery = false, ...fetchOptions } = options;
+
+    if (skipSessionRecovery) {
+      return this._send(url, fetchOptions);
+    }
+
+    // Pause new work while another worker is re-logging in
+    if (this._reloginPromise) {
+      await this._reloginPromise.catch(() => {});
+    }
+
+    if (!this.loggedIn) {
+      return (await this._sendThrottled(url, fetchOptions)).response;
+    }
+
+    const sessionGeneration = this.sessionGeneration;
+    const { response, html } = await this._sendThrottled(url, fetchOptions);
+
+    if (!isLoginPage(html)) {
+      return response;
+    }
+
+    const recovered = await this._recoverSession(new URL(url).pathname, sessionGeneration);
+    if (!recovered) {
+      throw new SessionExpiredError(`Session expired: re-login failed while requesting ${url}`);
+    }
+
+    // Replay once with the new session; a second login page is left to the caller
+    return (await this._sendThrottled(url, fetchOptions)).response;
+  }
+
+  /**
+   * Send a request once the rate limiter allows it, and report the outcome back
+   *
+   * 5xx responses, the AISIS error page and network errors count as errors
+   * (the limiter backs off); everything else reports its latency.
+   *
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<{response: Response, html: string}>} Buffered response and its body
+   * @throws {TruncatedPageError} When the connection closes before the whole body arrives
+   */
+  async _sendThrottled(url, options) {
+    await this.rateLimiter.acquire();
+    const start = Date.now();
+
+    let raw;
+    let html;
+    try {
+      raw = await this._send(url, options);
+      try {
+        html = await raw.text();
+      } catch (error) {
+        // The connection closed mid-body, e.g. on a page too large for AISIS to finish
+        throw new TruncatedPageError(`Response from ${new URL(url).pathname} ended early - ${error.message}`, { cause: error });
+      }
+    } catch (error) {
+      this.rateLimiter.recordResult({ error: true, reason: `request failed (${error.message})` });
+      throw error;
+    }
+
+    const isServerError = raw.status >= 500;
+    const isErrorPage = html.includes(AISIS_ERROR_PAGE_MARKER);
+    this.rateLimiter.recordResult({
+      latencyMs: Date.now() - start,
+      error: isServerError || isErrorPage,
+      reason: isServerError ? `HTTP ${raw.status}` : 'AISIS error page'
+    });
+
+    const response = new Response(html, {
+      status: raw.status,
+      statusText: raw.statusText,
+      headers: raw.headers,
+      url: raw.url
+    });
+    return { response, html };
+  }
+
+  /**
+   * Re-establish an expired AISIS session (single-flight)
+   *
+   * Concurrent callers share one re-login: whoever detects the expiry first
+   * logs in, everyone else awaits the same promise. Callers whose request was
+   * sent before a re-login that has since completed skip straight to replaying.
+   * Re-logins are capped per run by maxRelogins (AISIS_MAX_RELOGINS).
+   *
+   * @param {string} context - What was being fetched (for logging)
+   * @param {number} sessionGeneration - sessionGeneration when the failed request was sent
+   * @returns {Promise<boolean>} True if a valid session is available again
+   * @throws {SessionExpiredError} If the per-run re-login cap has been reached
+   */
+  async _recoverSession(context, sessionGeneration = this.sessionGeneration) {
+    if (sessionGeneration !== this.sessionGeneration) {
+      return true;
+    }
+
+    if (this._reloginPromise) {
+      return this._reloginPromise;
+    }
+
+    if (this.reloginCount >= this.maxRelogins) {
+      throw new SessionExpiredError(`Session expired (${context}) and re-login limit reached (${this.maxRelogins} per run)`);
+    }
+
+    this.reloginCount++;
+    logger.info(`   🔄 Session expired (${context}) - re-logging in (${this.reloginCount}/${this.maxRelogins})...`);
+
+    this._reloginPromise = (async () => {
+      this.loggedIn = false;
+      const success = await this.login();
+      if (success) {
+        this.sessionGeneration++;
+        logger.info('   ✅ Session recovered, resuming requests');
+      } else {
+        logger.error('   ❌ Session recovery failed: login was rejected');
+      }
+      return success;
+    })();
+
+    try {
+      return await this._reloginPromise;
+    } finally {
+      this._reloginPromise = null;
+    }
+  }
+
+  /**
+   * Send a single HTTP request through the transport with the cookie jar,
+   * following redirects manually
+   *
+   * @param {string} url - Request URL
+   * @param {Object} options - fetch options, plus:
+   *   timeoutMs {number} - Abort after this long (default: 30000; set from the caller's retry policy)
+   * @returns {Promise<Response>} Raw fetch response
+   */
+  async _send(url, options = {}) {
+    const { timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS, ...fetchOptions } = options;
     const controller = new AbortController();
-    const timeout = setTimeout(() => controller.abort(), 30000);
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
 
     // Get cookies for this domain
     const cookies = await this.cookieJar.getCookies(url);
@@ -444,14 +703,14 @@ export class AISISScraper {
     };
 
     const opts = {
-      ...options,
-      headers: { ...defaultHeaders, ...options.headers },
+      ...fetchOptions,
+      headers: { ...defaultHeaders, ...fetchOptions.headers },
       signal: controller.signal,
       redirect: 'manual' // Handle redirects manually
     };
 
     try {
-      let response = await fetch(url, opts);
+      let response = await this.transport.send(url, opts);
 
       // Store cookies from response - handle multiple Set-Cookie headers
       // node-fetch's headers.raw() returns an array for Set-Cookie
@@ -483,13 +742,13 @@ export class AISISScraper {
         const location = response.headers.get('location');
         if (location) {
           const redirectUrl = new URL(location, url).toString();
-          return this._request(redirectUrl, { ...opts, redirect: 'manual' });
+          return this._send(redirectUrl, { ...opts, timeoutMs, redirect: 'manual' });
         }
       }
 
       return response;
     } catch (err) {
-      if (err.name === 'AbortError') throw new Error('Request timeout');
+      if (err.name === 'AbortError') throw new RequestTimeoutError(`Request timeout after ${timeoutMs}ms`, { cause: err });
       throw err;
     } finally {
       clearTimeout(timeout);
@@ -499,26 +758,30 @@ export class AISISScraper {
   async login() {
     // If we already loaded cookies, try to validate the session first
     if (this.loggedIn) {
-      console.log('   Testing existing session...');
+      logger.info('   Testing existing session...');
       try {
         // Try to access a protected page to see if cookies are still valid
-        const response = await this._request(`${this.baseUrl}/j_aisis/J_VMCS.do`);
+        const response = await this._request(`${this.baseUrl}/j_aisis/J_VMCS.do`, {
+          timeoutMs: this.retryPolicies.login.timeoutMs,
+          skipSessionRecovery: true
+        });
         const text = await response.text();
 
         if (LOGIN_SUCCESS_MARKERS.some(marker => text.includes(marker))) {
-          console.log('   ✅ Existing session is valid!');
+          logger.info('   ✅ Existing session is valid!');
           return true;
         } else {
-          console.log('   ⚠️ Existing session expired. Re-logging in...');
+          logger.info('   ⚠️ Existing session expired. Re-logging in...');
           this.loggedIn = false;
+          this.sessionStore.clear(this.sessionKey);
         }
       } catch (e) {
-        console.log('   ⚠️ Session validation failed. Re-logging in...');
+        logger.info('   ⚠️ Session validation failed. Re-logging in...');
         this.loggedIn = false;
       }
     }
 
-    console.log('🔐 Logging into AISIS...');
+    logger.info('🔐 Logging into AISIS...');
 
     try {
       // Generate random token like Python version
@@ -531,72 +794,87 @@ export class AISISScraper {
       formData.append('command', 'login');
       formData.append('rnd', rnd);
 
-      console.log('   📤 Sending login request...');
-      const loginResponse = await this._request(`${this.baseUrl}/j_aisis/login.do`, {
-        method: 'POST',
-        body: formData.toString(),
-        headers: {
-          'Content-Type': 'application/x-www-form-urlencoded',
-          'Origin': this.baseUrl,
-          'Referer': `${this.baseUrl}/j_aisis/displayLogin.do`
+      logger.info('   📤 Sending login request...');
+      const loginPolicy = this.retryPolicies.login;
+      const loginResponse = await loginPolicy.run(async () => {
+        const response = await this._request(`${this.baseUrl}/j_aisis/login.do`, {
+          method: 'POST',
+          body: formData.toString(),
+          headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Origin': this.baseUrl,
+            'Referer': `${this.baseUrl}/j_aisis/displayLogin.do`
+          },
+          timeoutMs: loginPolicy.timeoutMs,
+          skipSessionRecovery: true
+        });
+
+        if (response.status >= 500) {
+          throw new HttpStatusError(`Login request failed: HTTP ${response.status}`, { status: response.status });
         }
-      });
+        return response;
+      }, { delay: ms => this._delay(ms), label: 'Login' });
 
       const responseText = await loginResponse.text();
 
       // Check for successful login markers in HTML
       if (LOGIN_SUCCESS_MARKERS.some(marker => responseText.includes(marker))) {
 
-        console.log('   ✅ Login response contains success markers');
+        logger.info('   ✅ Login response contains success markers');
 
         // Force save after successful login
         await this._saveCookies();
 
         // Validation 1: Verify we have session cookies
         const cookies = await this.cookieJar.getCookies(this.baseUrl);
-        console.log(`   🍪 Session cookies after login: ${cookies.length}`);
+        logger.info(`   🍪 Session cookies after login: ${cookies.length}`);
 
         if (cookies.length === 0) {
-          console.error('❌ Login failed: no session cookies were set');
+          logger.error('❌ Login failed: no session cookies were set');
           return false;
         }
 
         // Validation 2: Test protected page to confirm session is valid
-        console.log('   🔍 Verifying session with protected page...');
+        logger.info('   🔍 Verifying session with protected page...');
         try {
           const protectedPageUrl = new URL('/j_aisis/J_VMCS.do', this.baseUrl).toString();
-          const testResponse = await this._request(protectedPageUrl);
+          const testResponse = await this._request(protectedPageUrl, {
+            timeoutMs: loginPolicy.timeoutMs,
+            skipSessionRecovery: true
+          });
           const testText = await testResponse.text();
 
           if (LOGIN_FAILURE_MARKERS.some(marker => testText.includes(marker))) {
-            console.error('❌ Post-login protected page still shows login screen');
+            logger.error('❌ Post-login protected page still shows login screen');
             return false;
           }
 
           if (LOGIN_SUCCESS_MARKERS.some(marker => testText.includes(marker))) {
-            console.log('   ✅ Post-login protected page check passed');
+            logger.info('   ✅ Post-login protected page check passed');
           } else {
-            console.warn('   ⚠️ Protected page validation inconclusive, proceeding anyway');
+            logger.warn('   ⚠️ Protected page validation inconclusive, proceeding anyway');
           }
         } catch (error) {
-          console.error(`   ⚠️ Protected page check failed: ${error.message}`);
-          console.error('   Proceeding with login anyway as cookies were set');
+          logger.error(`   ⚠️ Protected page check failed: ${error.message}`);
+          logger.error('   Proceeding with login anyway as cookies were set');
         }
 
         // All validations passed
         this.loggedIn = true;
-        console.log('✅ Login successful');
+        // New session: fetch discovery data again on next use
+        this.invalidateDiscovery();
+        logger.info('✅ Login successful');
 
         return true;
       } else {
-        console.error('❌ Login failed');
+        logger.error('❌ Login failed');
         if (responseText.includes('Invalid') || responseText.includes('incorrect')) {
-          throw new Error('Invalid username or password');
+          throw new LoginFailedError('Invalid username or password');
         }
         return false;
       }
     } catch (error) {
-      console.error('⛔ Login error:', error.message);
+      logger.error(`⛔ Login error: ${error.message}`);
       throw error;
     }
   }
@@ -608,69 +886,172 @@ export class AISISScraper {
   }
 
   /**
-   * Auto-detect the current term from AISIS Schedule of Classes page
-   * @returns {Promise<string>} The current term (e.g., '2025-1')
+   * Fetch discovery data (terms, selected term, departments) for this session
+   *
+   * All three come from one GET of the Schedule of Classes page, cached by
+   * this.discoveryCache (see src/discovery-cache.js): reused until the TTL runs
+   * out or the scraper logs in again, with the last saved discovery used as a
+   * fallback if AISIS can't be reached.
+   *
+   * @param {Object} options
+   * @param {boolean} options.forceRefresh - Fetch the page again even if cached
+   * @returns {Promise<{terms: Array<{value: string, label: string, selected: boolean}>, selectedTerm: string, departments: Array<{value: string, label: string}>, fetched_at: string, source: string}>}
    */
-  async _detectCurrentTerm() {
+  async discover({ forceRefresh = false } = {}) {
     if (!this.loggedIn) {
-      throw new Error('Not logged in - cannot detect current term');
+      throw new Error('Not logged in - cannot discover terms and departments');
     }
 
-    console.log('🔍 Auto-detecting current term from AISIS...');
+    return this.discoveryCache.get({ forceRefresh });
+  }
 
-    try {
-      // GET the Schedule of Classes page
+  /**
+   * Drop cached discovery data so the next call fetches the page again
+   */
+  invalidateDiscovery() {
+    this.discoveryCache.invalidate();
+  }
+
+  /**
+   * GET and parse the Schedule of Classes page (discovery cache fetch function)
+   *
+   * Retried per the discovery retry policy before the cache falls back to disk.
+   *
+   * @returns {Promise<{terms: Array, selectedTerm: string, departments: Array}>}
+   */
+  async _fetchDiscovery() {
+    logger.info('🔍 Fetching terms and departments from AISIS...');
+    const policy = this.retryPolicies.discovery;
+
+    const discovery = await policy.run(async () => {
       const response = await this._request(`${this.baseUrl}/j_aisis/J_VCSC.do`, {
         method: 'GET',
         headers: {
           'Referer': `${this.baseUrl}/j_aisis/J_VMCS.do`
-        }
+        },
+        timeoutMs: policy.timeoutMs
       });
 
       if (!response.ok) {
-        throw new Error(`Failed to load Schedule of Classes page: HTTP ${response.status}`);
+        throw new HttpStatusError(`Failed to load Schedule of Classes page: HTTP ${response.status}`, { status: response.status });
       }
 
       const html = await response.text();
 
       // Check for session expiry
       if (LOGIN_FAILURE_MARKERS.some(marker => html.includes(marker))) {
-        throw new Error('Session expired while detecting current term');
+        throw new SessionExpiredError('Session expired while loading Schedule of Classes page');
       }
 
-      // Parse HTML to find applicablePeriod select
-      const $ = cheerio.load(html);
-      const select = $('select[name="applicablePeriod"]');
+      return this._parseDiscoveryPage(html);
+    }, { delay: ms => this._delay(ms), label: 'Schedule of Classes page' });
 
-      if (select.length === 0) {
-        throw new Error('Could not find applicablePeriod select element on page');
-      }
+    logger.info(`   ✅ Found ${discovery.terms.length} unique terms and ${discovery.departments.length} available departments in AISIS`);
+    return discovery;
+  }
+
+  /**
+   * Parse the applicablePeriod and deptCode dropdowns of the Schedule of Classes page
+   *
+   * Term options can appear multiple times in the dropdown, so they are
+   * deduplicated by value. The selected term is the option marked selected,
+   * or the first option if none is. A missing dropdown leaves its part empty
+   * (null selectedTerm, empty array) for the accessors to report.
+   *
+   * @param {string} html - Schedule of Classes page HTML
+   * @returns {{terms: Array<{value: string, label: string, selected: boolean}>, selectedTerm: string|null, departments: Array<{value: string, label: string}>, hasTermSelect: boolean, hasDeptSelect: boolean}}
+   * @throws {Error} If neither dropdown is on the page
+   */
+  _parseDiscoveryPage(html) {
+    const $ = cheerio.load(html);
 
-      // Try to find the selected option first
-      let selectedOption = select.find('option[selected]');
+    const termSelect = $('select[name="applicablePeriod"]');
+    const deptSelect = $('select[name="deptCode"]');
+    if (termSelect.length === 0 && deptSelect.length === 0) {
+      throw new Error('Could not find applicablePeriod or deptCode select element on page');
+    }
 
-      // If no option is explicitly selected, use the first option
-      if (selectedOption.length === 0) {
-        selectedOption = select.find('option').first();
-        console.log('   ℹ️  No option explicitly selected, using first option as fallback');
+    // Use a Map to deduplicate by value while preserving order
+    const termsMap = new Map();
+    termSelect.find('option').each((_, option) => {
+      const value = $(option).attr('value');
+      const label = $(option).text().trim();
+      const selected = $(option).attr('selected') !== undefined;
+
+      if (value && value.trim() !== '') {
+        const trimmedValue = value.trim();
+        // Only add if not already in map, or update if this one is selected
+        if (!termsMap.has(trimmedValue) || selected) {
+          termsMap.set(trimmedValue, {
+            value: trimmedValue,
+            label: label,
+            selected: selected
+          });
+        }
       }
+    });
 
-      if (selectedOption.length === 0) {
-        throw new Error('No options found in applicablePeriod select');
-      }
+    const terms = Array.from(termsMap.values());
 
-      const term = selectedOption.attr('value');
-      const termText = selectedOption.text().trim();
+    // If no option is explicitly selected, use the first option
+    let selected = terms.find(t => t.selected);
+    if (!selected && terms.length > 0) {
+      selected = terms[0];
+      logger.info('   ℹ️  No term option explicitly selected, using first option as fallback');
+    }
 
-      if (!term || term.trim() === '') {
-        throw new Error('Selected option has no value attribute or is empty');
+    const departments = [];
+    deptSelect.find('option').each((_, option) => {
+      const value = $(option).attr('value');
+      const label = $(option).text().trim();
+
+      // Skip excluded department codes (placeholders and special values)
+      // See EXCLUDED_DEPT_CODES constant for the list of excluded values
+      if (value && value.trim() !== '') {
+        const upperValue = value.trim().toUpperCase();
+        if (!EXCLUDED_DEPT_CODES.some(excluded => upperValue === excluded.toUpperCase())) {
+          departments.push({
+            value: value.trim(),
+            label: label
+          });
+        }
       }
+    });
+
+    return {
+      terms,
+      selectedTerm: selected ? selected.value : null,
+      departments,
+      hasTermSelect: termSelect.length > 0,
+      hasDeptSelect: deptSelect.length > 0
+    };
+  }
+
+  /**
+   * Auto-detect the current term from AISIS Schedule of Classes page
+   * @returns {Promise<string>} The current term (e.g., '2025-1')
+   */
+  async _detectCurrentTerm() {
+    if (!this.loggedIn) {
+      throw new Error('Not logged in - cannot detect current term');
+    }
 
-      console.log(`   ✅ Detected term: ${term} (${termText})`);
-      return term;
+    logger.info('🔍 Auto-detecting current term from AISIS...');
 
+    try {
+      const { terms, selectedTerm, hasTermSelect } = await this.discover();
+      if (!hasTermSelect) {
+        throw new Error('Could not find applicablePeriod select element on page');
+      }
+      if (!selectedTerm) {
+        throw new Error('No options found in applicablePeriod select');
+      }
+      const termText = terms.find(t => t.value === selectedTerm)?.label || '';
+
+      logger.info(`   ✅ Detected term: ${selectedTerm} (${termText})`);
+      return selectedTerm;
     } catch (error) {
-      console.error(`   ❌ Failed to auto-detect term: ${error.message}`);
+      logger.error(`   ❌ Failed to auto-detect term: ${error.message}`);
       throw error;
     }
   }
@@ -678,7 +1059,7 @@ export class AISISScraper {
   /**
    * Get available departments from AISIS Schedule of Classes page
    * 
-   * Fetches the list of department options from the deptCode dropdown
+   * Returns the list of department options from the deptCode dropdown
    * on the Schedule of Classes page. This allows the scraper to adapt
    * to changes in AISIS department codes while maintaining a stable
    * canonical list for downstream consumers.
@@ -690,59 +1071,15 @@ export class AISISScraper {
       throw new Error('Not logged in - cannot fetch available departments');
     }
 
-    console.log('🔍 Fetching available departments from AISIS...');
-
     try {
-      // GET the Schedule of Classes page
-      const response = await this._request(`${this.baseUrl}/j_aisis/J_VCSC.do`, {
-        method: 'GET',
-        headers: {
-          'Referer': `${this.baseUrl}/j_aisis/J_VMCS.do`
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to load Schedule of Classes page: HTTP ${response.status}`);
-      }
-
-      const html = await response.text();
-
-      // Check for session expiry
-      if (LOGIN_FAILURE_MARKERS.some(marker => html.includes(marker))) {
-        throw new Error('Session expired while fetching departments');
-      }
-
-      // Parse HTML to find deptCode select
-      const $ = cheerio.load(html);
-      const select = $('select[name="deptCode"]');
-
-      if (select.length === 0) {
+      const { departments, hasDeptSelect } = await this.discover();
+      if (!hasDeptSelect) {
         throw new Error('Could not find deptCode select element on page');
       }
-
-      const departments = [];
-      select.find('option').each((_, option) => {
-        const value = $(option).attr('value');
-        const label = $(option).text().trim();
-
-        // Skip excluded department codes (placeholders and special values)
-        // See EXCLUDED_DEPT_CODES constant for the list of excluded values
-        if (value && value.trim() !== '') {
-          const upperValue = value.trim().toUpperCase();
-          if (!EXCLUDED_DEPT_CODES.some(excluded => upperValue === excluded.toUpperCase())) {
-            departments.push({
-              value: value.trim(),
-              label: label
-            });
-          }
-        }
-      });
-
-      console.log(`   ✅ Found ${departments.length} available departments in AISIS`);
+      logger.info(`   ✅ ${departments.length} available departments in AISIS`);
       return departments;
-
     } catch (error) {
-      console.error(`   ❌ Failed to fetch available departments: ${error.message}`);
+      logger.error(`   ❌ Failed to fetch available departments: ${error.message}`);
       throw error;
     }
   }
@@ -750,11 +1087,11 @@ export class AISISScraper {
   /**
    * Get available terms from AISIS Schedule of Classes page
    * 
-   * Fetches the list of term options from the applicablePeriod dropdown
+   * Returns the list of term options from the applicablePeriod dropdown
    * on the Schedule of Classes page. Terms are in format YYYY-S where
    * S = 0 (Intersession), 1 (First Semester), 2 (Second Semester).
    * 
-   * Note: Options can appear multiple times in the dropdown, so we deduplicate by value.
+   * Note: Options can appear multiple times in the dropdown; they are deduplicated by value.
    * 
    * @returns {Promise<Array<{value: string, label: string, selected: boolean}>>} Array of unique term options
    */
@@ -763,69 +1100,21 @@ export class AISISScraper {
       throw new Error('Not logged in - cannot fetch available terms');
     }
 
-    console.log('🔍 Fetching available terms from AISIS...');
-
     try {
-      // GET the Schedule of Classes page
-      const response = await this._request(`${this.baseUrl}/j_aisis/J_VCSC.do`, {
-        method: 'GET',
-        headers: {
-          'Referer': `${this.baseUrl}/j_aisis/J_VMCS.do`
-        }
-      });
-
-      if (!response.ok) {
-        throw new Error(`Failed to load Schedule of Classes page: HTTP ${response.status}`);
-      }
-
-      const html = await response.text();
-
-      // Check for session expiry
-      if (LOGIN_FAILURE_MARKERS.some(marker => html.includes(marker))) {
-        throw new Error('Session expired while fetching terms');
-      }
-
-      // Parse HTML to find applicablePeriod select
-      const $ = cheerio.load(html);
-      const select = $('select[name="applicablePeriod"]');
-
-      if (select.length === 0) {
+      const { terms, hasTermSelect } = await this.discover();
+      if (!hasTermSelect) {
         throw new Error('Could not find applicablePeriod select element on page');
       }
 
-      // Use a Map to deduplicate by value while preserving order
-      const termsMap = new Map();
-
-      select.find('option').each((_, option) => {
-        const value = $(option).attr('value');
-        const label = $(option).text().trim();
-        const selected = $(option).attr('selected') !== undefined;
-
-        if (value && value.trim() !== '') {
-          const trimmedValue = value.trim();
-          // Only add if not already in map, or update if this one is selected
-          if (!termsMap.has(trimmedValue) || selected) {
-            termsMap.set(trimmedValue, {
-              value: trimmedValue,
-              label: label,
-              selected: selected
-            });
-          }
-        }
-      });
-
-      const terms = Array.from(termsMap.values());
-
-      console.log(`   ✅ Found ${terms.length} unique terms in AISIS`);
+      logger.info(`   ✅ ${terms.length} unique terms in AISIS`);
       const selectedTerm = terms.find(t => t.selected);
       if (selectedTerm) {
-        console.log(`   📌 Current term: ${selectedTerm.value} (${selectedTerm.label})`);
+        logger.info(`   📌 Current term: ${selectedTerm.value} (${selectedTerm.label})`);
       }
 
       return terms;
-
     } catch (error) {
-      console.error(`   ❌ Failed to fetch available terms: ${error.message}`);
+      logger.error(`   ❌ Failed to fetch available terms: ${error.message}`);
       throw error;
     }
   }
@@ -835,11 +1124,21 @@ export class AISISScraper {
    * 
    * Calls scrapeSchedule for each term and aggregates results.
    * Preserves per-term metadata for downstream processing.
+   *
+   * The canary department only runs until one term has scraped successfully;
+   * after that the session is known to be good and later terms go straight
+   * to the work queue.
+   *
+   * With parallel enabled (AISIS_PARALLEL_TERMS=true), all terms are scraped at
+   * once from one department×term job queue instead; see _scrapeTermsInParallel.
    * 
    * @param {Array<string>} terms - Array of term codes (e.g., ['2024-2', '2025-0', '2025-1'])
+   * @param {Object} options
+   * @param {Object|null} options.canary - Canary phase for the first term (default: scrapeSchedule's)
+   * @param {boolean} options.parallel - Scrape terms concurrently (default: AISIS_PARALLEL_TERMS === 'true')
    * @returns {Promise<Array<{term: string, courses: Array, departments: Array}>>} Array of results per term
    */
-  async scrapeMultipleTerms(terms) {
+  async scrapeMultipleTerms(terms, options = {}) {
     if (!this.loggedIn) {
       throw new Error('Not logged in');
     }
@@ -848,26 +1147,36 @@ export class AISISScraper {
       throw new Error('Terms must be a non-empty array');
     }
 
-    console.log(`\n📅 Scraping ${terms.length} term(s): ${terms.join(', ')}`);
+    const parallel = options.parallel !== undefined
+      ? options.parallel
+      : process.env.AISIS_PARALLEL_TERMS === 'true';
+
+    logger.info(`\n📅 Scraping ${terms.length} term(s): ${terms.join(', ')}${parallel && terms.length > 1 ? ' (in parallel)' : ''}`);
+
+    if (parallel && terms.length > 1) {
+      return this._scrapeTermsInParallel(terms, options);
+    }
 
     const results = [];
+    let sessionVerified = false;
 
     for (let i = 0; i < terms.length; i++) {
       const term = terms[i];
-      console.log(`\n${'='.repeat(60)}`);
-      console.log(`📅 Scraping term ${i + 1}/${terms.length}: ${term}`);
-      console.log(`${'='.repeat(60)}`);
+      logger.info(`\n${'='.repeat(60)}`);
+      logger.info(`📅 Scraping term ${i + 1}/${terms.length}: ${term}`);
+      logger.info(`${'='.repeat(60)}`);
 
       try {
-        const scrapeResult = await this.scrapeSchedule(term);
+        const scrapeResult = await this.scrapeSchedule(term, sessionVerified ? { canary: null } : options);
         results.push({
           term: term,
           ...scrapeResult
         });
+        sessionVerified = sessionVerified || scrapeResult.departments.some(d => d.status !== 'failed');
 
-        console.log(`   ✅ Completed scraping for term ${term}: ${scrapeResult.courses.length} courses`);
+        logger.info(`   ✅ Completed scraping for term ${term}: ${scrapeResult.courses.length} courses`);
       } catch (error) {
-        console.error(`   ❌ Failed to scrape term ${term}: ${error.message}`);
+        logger.error(`   ❌ Failed to scrape term ${term}: ${error.message}`);
         // Continue with other terms even if one fails
         results.push({
           term: term,
@@ -879,49 +1188,270 @@ export class AISISScraper {
     }
 
     const totalCourses = results.reduce((sum, r) => sum + r.courses.length, 0);
-    console.log(`\n✅ Multi-term scraping complete: ${totalCourses} total courses across ${terms.length} terms`);
+    logger.info(`\n✅ Multi-term scraping complete: ${totalCourses} total courses across ${terms.length} terms`);
 
     return results;
   }
 
-  async scrapeSchedule(term = null) {
+  /**
+   * Scrape several terms concurrently from one department×term job queue
+   *
+   * Departments are discovered once and every (term, department) pair goes on
+   * a single work queue, so the shared rate limiter and AISIS_CONCURRENCY
+   * workers form one politeness budget for the whole run rather than one per
+   * term. The canary (first department of the first term) runs before anything
+   * else; if it fails, no other job runs. Each term still gets its own summary
+   * log and the same result shape as scrapeSchedule.
+   *
+   * @param {Array<string>} terms - Term codes
+   * @param {Object} options
+   * @param {Object|null} options.canary - Canary phase (default: FIRST_DEPARTMENT_CANARY, or none in FAST_MODE)
+   * @returns {Promise<Array<{term: string, courses: Array, departments: Array}>>} Results per term, in terms order
+   */
+  async _scrapeTermsInParallel(terms, options = {}) {
+    const fastMode = process.env.FAST_MODE === 'true';
+    const { concurrency } = this.rateLimitConfig;
+
+    const departments = await this._resolveDepartments();
+    const jobs = terms.flatMap(term => departments.map(department => ({ term, department })));
+
+    logger.info('\n📥 MULTI-TERM SCRAPE START', {
+      terms,
+      department_count: departments.length,
+      job_count: jobs.length,
+      mode: fastMode ? 'FAST_MODE' : 'STANDARD',
+      concurrency,
+      rate_limit: this.rateLimiter.getStats().rate
+    });
+
+    const canary = options.canary !== undefined
+      ? options.canary
+      : (fastMode ? null : FIRST_DEPARTMENT_CANARY);
+
+    const { results } = await runDepartmentJobs(jobs, this._departmentJobOptions({
+      concurrency,
+      canary,
+      label: job => `${job.department} (${job.term})`
+    }));
+
+    // Jobs are term-major, so each term's results are one contiguous slice
+    const termResults = terms.map((term, termIndex) => {
+      logger.info(`\n${'='.repeat(60)}`);
+      logger.info(`📅 Term ${termIndex + 1}/${terms.length}: ${term}`);
+      logger.info(`${'='.repeat(60)}`);
+
+      const start = termIndex * departments.length;
+      return this._buildTermResult(term, departments, results.slice(start, start + departments.length));
+    });
+    this.lastUsedTerm = terms[terms.length - 1];
+
+    const totalCourses = termResults.reduce((sum, r) => sum + r.courses.length, 0);
+    logger.info(`\n✅ Multi-term scraping complete: ${totalCourses} total courses across ${terms.length} terms`);
+
+    return termResults;
+  }
+
+  /**
+   * Scrape only the requested subjects of a term
+   *
+   * Used by the availability-only refresh (AISIS_SCRAPE_MODE=availability) during
+   * enlistment, when seat counts change by the minute but re-scraping every
+   * department is too slow. Each subject is fetched with AISIS's subjCode filter
+   * instead of subjCode=ALL.
+   *
+   * A subject is either a subject prefix ('CSCI', every CSCI course) or a full
+   * subject code ('CSCI 21', only that course). Full codes are fetched by their
+   * prefix and filtered locally.
+   *
+   * Sections are returned under the department a full run keeps them under
+   * (see src/cross-listings.js), so their rows, history and watchlist keys
+   * match. When a subject's override or registry department is not among the
+   * requested ones, its listing for the subject is fetched too. With the
+   * 'first-seen' policy and no override, only the requested departments are
+   * compared, so list subjects under the department that owns them.
+   *
+   * @param {string} term - Term code (e.g., '2025-1')
+   * @param {Array<{department: string, subject: string}>} subjects - Subjects to fetch
+   * @returns {Promise<{term: string, courses: Array, departments: Array<{department: string, subject: string, courses: Array, status: string, error?: string}>}>}
+   *   courses of a department entry may belong to another (owning) department
+   *
+   * @example
+   * await scraper.scrapeSubjects('2025-1', [{ department: 'DISCS', subject: 'CSCI 21' }])
+   * // returns { term: '2025-1', courses: [...CSCI 21 sections], departments: [{ department: 'DISCS', subject: 'CSCI 21', courses: [...], status: 'success' }] }
+   */
+  async scrapeSubjects(term, subjects) {
     if (!this.loggedIn) {
       throw new Error('Not logged in');
     }
 
-    // Helper function for formatting time
-    const formatTime = (ms) => `${(ms / 1000).toFixed(1)}s`;
+    if (!Array.isArray(subjects) || subjects.length === 0) {
+      throw new Error('Subjects must be a non-empty array');
+    }
 
-    // Check for FAST_MODE and custom configuration
-    const fastMode = process.env.FAST_MODE === 'true';
-    const SCRAPE_CONFIG = getScrapeConfig();
+    logger.info(`\n🎯 Scraping ${subjects.length} subject(s) for term ${term}`);
+
+    // Department listings by "DEPT|SUBJCODE", fetched once each
+    const listings = new Map();
+    const fetchListing = async (department, subjCode) => {
+      const key = `${department}|${subjCode}`;
+      if (!listings.has(key)) {
+        const courses = await this.retryPolicies.department.run(
+          () => this._scrapeDepartment(term, department, subjCode),
+          { delay: ms => this._delay(ms), label: `${department} ${subjCode}` }
+        );
+        listings.set(key, { department, courses });
+      }
+      return listings.get(key).courses;
+    };
+    const matchesSubject = (subject, subjCode) => course => (
+      subject === subjCode
+        ? getSubjectPrefix(course.subject_code) === subjCode
+        : course.subject_code === subject
+    );
 
-    // Log active configuration
-    if (fastMode || process.env.AISIS_CONCURRENCY || process.env.AISIS_BATCH_DELAY_MS) {
-      console.log('\n⚡ Custom scraping configuration active:');
-      if (fastMode) console.log('   🚀 FAST_MODE enabled');
-      if (process.env.AISIS_CONCURRENCY) {
-        console.log(`   📊 AISIS_CONCURRENCY: ${SCRAPE_CONFIG.CONCURRENCY} (default: ${DEFAULT_SCRAPE_CONFIG.CONCURRENCY})`);
+    const departments = [];
+    const requested = [];
+    for (const { department, subject } of subjects) {
+      const subjCode = getSubjectPrefix(subject);
+
+      try {
+        const scraped = await fetchListing(department, subjCode);
+        const entry = { department, subject, courses: scraped.filter(matchesSubject(subject, subjCode)), status: 'success' };
+        departments.push(entry);
+        requested.push({ entry, subjCode });
+      } catch (error) {
+        departments.push({ department, subject, courses: [], status: 'failed', error: error.message });
+        logger.error(`   ❌ ${department} ${subject}: ${error.message}`);
       }
-      if (process.env.AISIS_BATCH_DELAY_MS) {
-        console.log(`   ⏱  AISIS_BATCH_DELAY_MS: ${SCRAPE_CONFIG.BATCH_DELAY_MS}ms (default: ${DEFAULT_SCRAPE_CONFIG.BATCH_DELAY_MS}ms)`);
+    }
+
+    // Fetch the listings of departments that may own the requested sections
+    const crossListOptions = { policy: getCrossListPolicy(), overrides: getCrossListOverrides(), registry: SUBJECT_DEPARTMENTS };
+    for (const { entry, subjCode } of requested) {
+      if (entry.courses.length === 0) continue;
+      for (const owner of findOwnerCandidates(entry.subject, crossListOptions)) {
+        if (listings.has(`${owner}|${subjCode}`)) continue;
+        try {
+          await fetchListing(owner, subjCode);
+        } catch (error) {
+          logger.warn(`   ⚠️ ${owner} ${subjCode}: ${error.message} (sections stay under the requested department)`);
+        }
       }
     }
 
-    // Auto-detect term if not provided (skip in FAST_MODE if term is provided)
-    const termDetectStart = Date.now();
-    if (!term) {
-      term = await this._detectCurrentTerm();
-      const termDetectTime = Date.now() - termDetectStart;
-      console.log(`   ⏱  Term detection: ${formatTime(termDetectTime)}`);
-    } else {
-      console.log(`   ⏱  Term detection: 0.0s (skipped - using override)`);
+    // Keep each section under the department a full run keeps it under
+    const crossListings = resolveCrossListings([...listings.values()], crossListOptions);
+    const owned = new Map();
+    for (const { courses } of crossListings.departments) {
+      for (const course of courses) {
+        const key = `${course.subject_code}|${course.section}`;
+        if (!owned.has(key)) owned.set(key, course);
+      }
+    }
+    for (const { subject_code, section, department, also_listed_in, reason } of crossListings.sections) {
+      logger.debug(`      ${subject_code} ${section}: kept under ${department} (${reason}), also listed in ${also_listed_in.join(', ')}`);
     }
 
-    // Store the term being used for reference
+    const courses = [];
+    for (const { entry } of requested) {
+      entry.courses = [...new Set(entry.courses.map(course => owned.get(`${course.subject_code}|${course.section}`)))];
+      for (const course of entry.courses) {
+        if (!courses.includes(course)) courses.push(course);
+      }
+      logger.info(`   ✅ ${entry.department} ${entry.subject}: ${entry.courses.length} section(s)`);
+    }
+
+    return { term, courses, departments };
+  }
+
+  /**
+   * Scrape every department of a term
+   *
+   * @param {string|null} term - Term code (default: auto-detect)
+   * @param {Object} options
+   * @param {Object|null} options.canary - Canary phase for runDepartmentJobs
+   *   (default: FIRST_DEPARTMENT_CANARY, or none in FAST_MODE)
+   * @returns {Promise<{term: string, courses: Array, departments: Array<{department: string, courses: Array, status: string}>}>}
+   */
+  async scrapeSchedule(term = null, options = {}) {
+    if (!this.loggedIn) {
+      throw new Error('Not logged in');
+    }
+
+    // Helper function for formatting time
+    const formatTime = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+    // Check for FAST_MODE and custom configuration
+    const fastMode = process.env.FAST_MODE === 'true';
+    const { concurrency } = this.rateLimitConfig;
+
+    // Log active configuration
+    if (fastMode || process.env.AISIS_CONCURRENCY || process.env.AISIS_RATE_LIMIT) {
+      logger.info('\n⚡ Custom scraping configuration active:');
+      if (fastMode) logger.info('   🚀 FAST_MODE enabled');
+      if (process.env.AISIS_CONCURRENCY) {
+        logger.info(`   📊 AISIS_CONCURRENCY: ${concurrency} (default: ${DEFAULT_RATE_LIMIT_CONFIG.concurrency})`);
+      }
+      if (process.env.AISIS_RATE_LIMIT) {
+        logger.info(`   🚦 AISIS_RATE_LIMIT: ${this.rateLimitConfig.initialRate} req/s (default: ${DEFAULT_RATE_LIMIT_CONFIG.initialRate})`);
+      }
+    }
+
+    // Auto-detect term if not provided (skip in FAST_MODE if term is provided)
+    const termDetectStart = Date.now();
+    if (!term) {
+      term = await this._detectCurrentTerm();
+      const termDetectTime = Date.now() - termDetectStart;
+      logger.info(`   ⏱  Term detection: ${formatTime(termDetectTime)}`);
+    } else {
+      logger.info(`   ⏱  Term detection: 0.0s (skipped - using override)`);
+    }
+
+    // Store the term being used for reference
     this.lastUsedTerm = term;
 
-    console.log(`\n📅 Using applicablePeriod term: ${term}`);
+    logger.info(`\n📅 Using applicablePeriod term: ${term}`);
+
+    const departments = await this._resolveDepartments();
+
+    // Log structured START message with finalized configuration
+    logger.info('\n📥 SCHEDULE SCRAPE START', {
+      term,
+      department_count: departments.length,
+      mode: fastMode ? 'FAST_MODE' : 'STANDARD',
+      concurrency,
+      rate_limit: this.rateLimiter.getStats().rate
+    });
+
+    // Standard mode scrapes the first department alone to verify session and term;
+    // FAST_MODE skips the canary and goes straight to the work queue
+    const canary = options.canary !== undefined
+      ? options.canary
+      : (fastMode ? null : FIRST_DEPARTMENT_CANARY);
+    if (!canary) {
+      logger.info('   ⚡ Skipping canary department, proceeding directly to the work queue');
+    }
+
+    const { results } = await runDepartmentJobs(
+      departments.map(department => ({ term, department })),
+      this._departmentJobOptions({ concurrency, canary })
+    );
+
+    return this._buildTermResult(term, departments, results);
+  }
+
+  /**
+   * Decide which departments to scrape
+   *
+   * Uses the AISIS department dropdown as the authoritative set (so new
+   * departments like IE or LCS are picked up automatically), falling back to
+   * the canonical DEPARTMENTS list if it can't be fetched, then applies the
+   * AISIS_DEPARTMENTS filter.
+   *
+   * @returns {Promise<Array<string>>} Department codes in scrape order
+   */
+  async _resolveDepartments() {
+    const formatTime = (ms) => `${(ms / 1000).toFixed(1)}s`;
 
     // Fetch available departments from AISIS for flexible mapping
     // This allows us to adapt to AISIS changes while maintaining stable canonical list
@@ -930,15 +1460,12 @@ export class AISISScraper {
       const deptFetchStart = Date.now();
       availableDepartments = await this.getAvailableDepartments();
       const deptFetchTime = Date.now() - deptFetchStart;
-      console.log(`   ⏱  Department discovery: ${formatTime(deptFetchTime)}`);
+      logger.info(`   ⏱  Department discovery: ${formatTime(deptFetchTime)}`);
     } catch (error) {
-      console.warn(`   ⚠️  Could not fetch available departments: ${error.message}`);
-      console.warn(`   Proceeding with canonical DEPARTMENTS list only`);
+      logger.warn(`   ⚠️  Could not fetch available departments: ${error.message}`);
+      logger.warn(`   Proceeding with canonical DEPARTMENTS list only`);
     }
 
-    // Build a map of available department codes for quick lookup
-    const availableDeptSet = new Set(availableDepartments.map(d => d.value));
-
     // Use dynamic departments from AISIS as the authoritative set to scrape
     // Falls back to canonical DEPARTMENTS list if AISIS fetch failed
     // This allows automatic discovery of new departments (e.g., IE, LCS)
@@ -955,248 +1482,68 @@ export class AISISScraper {
       const invalidDepts = requestedDepts.filter(d => !departments.includes(d));
 
       if (invalidDepts.length > 0) {
-        console.warn(`   ⚠️  Invalid departments in AISIS_DEPARTMENTS (not in current list): ${invalidDepts.join(', ')}`);
+        logger.warn(`   ⚠️  Invalid departments in AISIS_DEPARTMENTS (not in current list): ${invalidDepts.join(', ')}`);
       }
 
       if (validDepts.length > 0) {
         departments = validDepts;
-        console.log(`   🎯 AISIS_DEPARTMENTS filter active: scraping ${departments.length} of ${originalDepartments.length} departments`);
-        console.log(`      Departments: ${departments.join(', ')}`);
+        logger.info(`   🎯 AISIS_DEPARTMENTS filter active: scraping ${departments.length} of ${originalDepartments.length} departments`);
+        logger.info(`      Departments: ${departments.join(', ')}`);
       } else {
-        console.warn(`   ⚠️  No valid departments in AISIS_DEPARTMENTS - using all ${originalDepartments.length} departments`);
+        logger.warn(`   ⚠️  No valid departments in AISIS_DEPARTMENTS - using all ${originalDepartments.length} departments`);
       }
     }
 
-    // Initialize indexed accumulator for deterministic ordering
-    const perDeptCourses = new Array(departments.length).fill(null);
-
-    // Track per-department status for summary report
-    const departmentStatus = {};
-
     // Log which source was used for departments
     if (availableDepartments.length > 0) {
-      console.log(`   ✅ Using ${departments.length} departments from AISIS dropdown (dynamic discovery)`);
+      logger.info(`   ✅ Using ${departments.length} departments from AISIS dropdown (dynamic discovery)`);
       const newDepts = departments.filter(d => !DEPARTMENTS.includes(d));
       if (newDepts.length > 0) {
-        console.log(`   🆕 New departments discovered: ${newDepts.join(', ')}`);
+        logger.info(`   🆕 New departments discovered: ${newDepts.join(', ')}`);
       }
     } else {
-      console.log(`   ℹ️  Using ${departments.length} departments from fallback list (AISIS fetch failed)`);
+      logger.info(`   ℹ️  Using ${departments.length} departments from fallback list (AISIS fetch failed)`);
     }
 
-    // Log structured START message with finalized configuration
-    console.log('\n📥 SCHEDULE SCRAPE START', {
-      term,
-      department_count: departments.length,
-      mode: fastMode ? 'FAST_MODE' : 'STANDARD',
-      concurrency: SCRAPE_CONFIG.CONCURRENCY,
-      batch_delay_ms: SCRAPE_CONFIG.BATCH_DELAY_MS
-    });
-
-    // In FAST_MODE, skip the test department pass and go straight to batched scraping
-    if (fastMode) {
-      console.log('   ⚡ FAST_MODE: Skipping test department pass, proceeding directly to batch scraping');
-
-      // Process all departments using batched concurrent scraping
-      const totalBatches = Math.ceil(departments.length / SCRAPE_CONFIG.CONCURRENCY);
-
-      for (let i = 0; i < departments.length; i += SCRAPE_CONFIG.CONCURRENCY) {
-        const batch = departments.slice(i, i + SCRAPE_CONFIG.CONCURRENCY);
-        const batchNum = Math.floor(i / SCRAPE_CONFIG.CONCURRENCY) + 1;
-
-        console.log(`   📦 Processing batch ${batchNum}/${totalBatches} (${batch.join(', ')})...`);
-        const batchStart = Date.now();
-
-        // Scrape all departments in this batch concurrently with retry tracking
-        const batchPromises = batch.map(async (dept, localIndex) => {
-          const globalIndex = i + localIndex;
-          console.log(`   📚 Scraping ${dept}...`);
-
-          // Retry failed departments up to MAX_DEPT_RETRIES times
-          const MAX_DEPT_RETRIES = 2;
-          let lastError = null;
-
-          for (let attempt = 0; attempt <= MAX_DEPT_RETRIES; attempt++) {
-            try {
-              const courses = await this._scrapeDepartment(term, dept);
-
-              if (courses && courses.length > 0) {
-                console.log(`   ✅ ${dept}: ${courses.length} courses`);
-                departmentStatus[dept] = {
-                  status: 'success',
-                  row_count: courses.length,
-                  error: null,
-                  attempts: attempt + 1
-                };
-                return { globalIndex, courses };
-              } else {
-                // 0 courses returned - this is valid (no offerings or explicit no-results)
-                // Detailed logging already happened in _scrapeDepartment
-                departmentStatus[dept] = {
-                  status: 'success_empty',
-                  row_count: 0,
-                  error: null,
-                  attempts: attempt + 1
-                };
-                return { globalIndex, courses: [] };
-              }
-            } catch (error) {
-              lastError = error;
-              if (attempt < MAX_DEPT_RETRIES) {
-                const backoffMs = 1000 * Math.pow(2, attempt);
-                console.log(`   ⚠️  ${dept}: Retry ${attempt + 1}/${MAX_DEPT_RETRIES} after ${backoffMs}ms - ${error.message}`);
-                await this._delay(backoffMs);
-              } else {
-                console.error(`   ❌ ${dept}: Failed after ${MAX_DEPT_RETRIES + 1} attempts - ${error.message}`);
-                departmentStatus[dept] = {
-                  status: 'failed',
-                  row_count: 0,
-                  error: error.message,
-                  attempts: attempt + 1
-                };
-              }
-            }
-          }
-
-          return { globalIndex, courses: [] };
-        });
-
-        // Wait for all departments in this batch to complete
-        const batchResults = await Promise.all(batchPromises);
-
-        // Store results in indexed accumulator for deterministic ordering
-        for (const { globalIndex, courses } of batchResults) {
-          perDeptCourses[globalIndex] = courses || [];
-        }
-
-        const batchTime = Date.now() - batchStart;
-        console.log(`   ⏱  Batch ${batchNum}: ${formatTime(batchTime)}`);
-
-        // Add delay between batches (but not after the last batch)
-        if (i + SCRAPE_CONFIG.CONCURRENCY < departments.length && SCRAPE_CONFIG.BATCH_DELAY_MS > 0) {
-          await this._delay(SCRAPE_CONFIG.BATCH_DELAY_MS);
-        }
-      }
-    } else {
-      // Standard mode: Test with just 1 department first to verify session and term
-      console.log('   🧪 Testing with first department...');
-      const testDeptStart = Date.now();
-      const testDept = departments[0];
-
-      try {
-        const testCourses = await this._scrapeDepartment(term, testDept);
-        const testDeptTime = Date.now() - testDeptStart;
-        console.log(`   ⏱  Test department: ${formatTime(testDeptTime)}`);
-
-        if (testCourses && testCourses.length > 0) {
-          console.log(`   ✅ Test successful: ${testCourses.length} courses found in ${testDept}`);
-          perDeptCourses[0] = testCourses;
-          departmentStatus[testDept] = {
-            status: 'success',
-            row_count: testCourses.length,
-            error: null
-          };
-        } else {
-          // 0 courses is valid (no offerings or explicit no-results)
-          // Detailed logging already happened in _scrapeDepartment
-          console.log(`   ✅ Test successful: ${testDept} has no courses for this term`);
-          perDeptCourses[0] = [];
-          departmentStatus[testDept] = {
-            status: 'success_empty',
-            row_count: 0,
-            error: null
-          };
-        }
-
-        // Continue with remaining departments using batched concurrent scraping
-        const remainingDepts = departments.slice(1);
-        const totalBatches = Math.ceil(remainingDepts.length / SCRAPE_CONFIG.CONCURRENCY);
-
-        // Split remaining departments into batches for concurrent processing
-        for (let i = 0; i < remainingDepts.length; i += SCRAPE_CONFIG.CONCURRENCY) {
-          const batch = remainingDepts.slice(i, i + SCRAPE_CONFIG.CONCURRENCY);
-          const batchNum = Math.floor(i / SCRAPE_CONFIG.CONCURRENCY) + 1;
-
-          console.log(`   📦 Processing batch ${batchNum}/${totalBatches} (${batch.join(', ')})...`);
-          const batchStart = Date.now();
-
-          // Scrape all departments in this batch concurrently with retry tracking
-          const batchPromises = batch.map(async (dept, localIndex) => {
-            const globalIndex = i + 1 + localIndex; // +1 to skip test department
-            console.log(`   📚 Scraping ${dept}...`);
-
-            // Retry failed departments up to MAX_DEPT_RETRIES times
-            const MAX_DEPT_RETRIES = 2;
-            let lastError = null;
-
-            for (let attempt = 0; attempt <= MAX_DEPT_RETRIES; attempt++) {
-              try {
-                const courses = await this._scrapeDepartment(term, dept);
-
-                if (courses && courses.length > 0) {
-                  console.log(`   ✅ ${dept}: ${courses.length} courses`);
-                  departmentStatus[dept] = {
-                    status: 'success',
-                    row_count: courses.length,
-                    error: null,
-                    attempts: attempt + 1
-                  };
-                  return { globalIndex, courses };
-                } else {
-                  // 0 courses returned - this is valid (no offerings or explicit no-results)
-                  // Detailed logging already happened in _scrapeDepartment
-                  departmentStatus[dept] = {
-                    status: 'success_empty',
-                    row_count: 0,
-                    error: null,
-                    attempts: attempt + 1
-                  };
-                  return { globalIndex, courses: [] };
-                }
-              } catch (error) {
-                lastError = error;
-                if (attempt < MAX_DEPT_RETRIES) {
-                  const backoffMs = 1000 * Math.pow(2, attempt);
-                  console.log(`   ⚠️  ${dept}: Retry ${attempt + 1}/${MAX_DEPT_RETRIES} after ${backoffMs}ms - ${error.message}`);
-                  await this._delay(backoffMs);
-                } else {
-                  console.error(`   ❌ ${dept}: Failed after ${MAX_DEPT_RETRIES + 1} attempts - ${error.message}`);
-                  departmentStatus[dept] = {
-                    status: 'failed',
-                    row_count: 0,
-                    error: error.message,
-                    attempts: attempt + 1
-                  };
-                }
-              }
-            }
-
-            return { globalIndex, courses: [] };
-          });
+    return departments;
+  }
 
-          // Wait for all departments in this batch to complete
-          const batchResults = await Promise.all(batchPromises);
+  /**
+   * Summarize one term's department results and save logs/schedule_summary-<term>.json
+   *
+   * Sections listed under more than one department are collapsed to one copy
+   * under their owning department (see src/cross-listings.js).
+   *
+   * @param {string} term - Term code
+   * @param {Array<string>} departments - Department codes, in the same order as results
+   * @param {Array<{job: Object, courses: Array, status: Object}>} results - runDepartmentJobs results for the term
+   * @returns {{term: string, courses: Array, departments: Array<{department: string, courses: Array, status: string}>}}
+   */
+  _buildTermResult(term, departments, results) {
+    // Initialize indexed accumulator for deterministic ordering
+    const perDeptCourses = new Array(departments.length).fill(null);
 
-          // Store results in indexed accumulator for deterministic ordering
-          for (const { globalIndex, courses } of batchResults) {
-            perDeptCourses[globalIndex] = courses || [];
-          }
+    // Track per-department status for summary report
+    const departmentStatus = {};
 
-          const batchTime = Date.now() - batchStart;
-          console.log(`   ⏱  Batch ${batchNum}: ${formatTime(batchTime)}`);
+    // Store results in indexed accumulator for deterministic ordering
+    results.forEach(({ job, courses, status }, index) => {
+      perDeptCourses[index] = courses;
+      departmentStatus[job.department] = status;
+    });
 
-          // Add delay between batches (but not after the last batch)
-          if (i + SCRAPE_CONFIG.CONCURRENCY < remainingDepts.length && SCRAPE_CONFIG.BATCH_DELAY_MS > 0) {
-            await this._delay(SCRAPE_CONFIG.BATCH_DELAY_MS);
-          }
-        }
-      } catch (error) {
-        console.error(`   💥 Test failed for ${testDept}:`, error.message);
-        departmentStatus[testDept] = {
-          status: 'failed',
-          row_count: 0,
-          error: error.message
-        };
+    // Keep one copy of sections listed under more than one department
+    const crossListings = resolveCrossListings(departments.map((department, index) => ({
+      department,
+      courses: perDeptCourses[index] || []
+    })));
+    crossListings.departments.forEach(({ courses }, index) => {
+      perDeptCourses[index] = courses;
+    });
+    if (crossListings.collapsed > 0) {
+      logger.info(`   🔀 ${term}: Collapsed ${crossListings.collapsed} duplicate(s) of ${crossListings.sections.length} section(s) listed under more than one department`);
+      for (const { subject_code, section, department, also_listed_in, reason } of crossListings.sections) {
+        logger.debug(`      ${subject_code} ${section}: kept under ${department} (${reason}), also listed in ${also_listed_in.join(', ')}`);
       }
     }
 
@@ -1208,11 +1555,11 @@ export class AISISScraper {
 
     // Compute per-department subject prefix breakdown for diagnostics
     // This helps identify when specific subject families (like PEPC) drop to zero
-    const debugMode = process.env.DEBUG_SCRAPER === 'true';
+    const debugMode = logger.isLevelEnabled('debug');
     const criticalDepts = ['PE', 'NSTP']; // Departments where missing subjects are critical
 
     if (debugMode || criticalDepts.some(dept => departments.includes(dept))) {
-      console.log(`\n📊 Per-Department Subject Prefix Breakdown:`);
+      logger.info(`\n📊 Per-Department Subject Prefix Breakdown:`);
 
       for (let i = 0; i < departments.length; i++) {
         const dept = departments[i];
@@ -1227,13 +1574,13 @@ export class AISISScraper {
           subjectPrefixCounts[prefix] = (subjectPrefixCounts[prefix] || 0) + 1;
         }
 
-        // Log breakdown for critical departments or in debug mode
+        // Log breakdown for critical departments, others at debug level
         if (debugMode || criticalDepts.includes(dept)) {
           const breakdown = Object.entries(subjectPrefixCounts)
             .sort((a, b) => b[1] - a[1]) // Sort by count descending
             .map(([prefix, count]) => `${prefix}=${count}`)
             .join(', ');
-          console.log(`   ${dept} (term ${term}): ${breakdown}`);
+          logger[criticalDepts.includes(dept) ? 'info' : 'debug'](`   ${dept} (term ${term}): ${breakdown}`);
         }
       }
     }
@@ -1244,52 +1591,69 @@ export class AISISScraper {
       timestamp: new Date().toISOString(),
       total_courses: allCourses.length,
       departments: departmentStatus,
+      rate_limiter: this.rateLimiter.getStats(),
       statistics: {
         total_departments: departments.length,
         successful: Object.values(departmentStatus).filter(d => d.status === 'success').length,
         empty: Object.values(departmentStatus).filter(d => d.status === 'success_empty').length,
-        failed: Object.values(departmentStatus).filter(d => d.status === 'failed').length
-      }
+        failed: Object.values(departmentStatus).filter(d => d.status === 'failed').length,
+        resumed: Object.values(departmentStatus).filter(d => d.resumed).length,
+        failures_by_code: countFailureCodes(Object.values(departmentStatus)),
+        cross_listed_sections: crossListings.sections.length,
+        duplicates_collapsed: crossListings.collapsed
+      },
+      cross_listings: crossListings.sections
     };
 
     // Print textual summary block (similar to curriculum)
-    console.log(`\n   📊 Schedule Scraping Summary:`);
-    console.log(`      Term: ${summary.term}`);
-    console.log(`      Departments: ${summary.statistics.total_departments}`);
-    console.log(`      Successful: ${summary.statistics.successful}`);
-    console.log(`      Empty: ${summary.statistics.empty}`);
-    console.log(`      Failed: ${summary.statistics.failed}`);
-    console.log(`      Total courses: ${summary.total_courses}`);
+    logger.info(`\n   📊 Schedule Scraping Summary:`);
+    logger.info(`      Term: ${summary.term}`);
+    logger.info(`      Departments: ${summary.statistics.total_departments}`);
+    logger.info(`      Successful: ${summary.statistics.successful}`);
+    logger.info(`      Empty: ${summary.statistics.empty}`);
+    logger.info(`      Failed: ${summary.statistics.failed}${formatFailureCodes(summary.statistics.failures_by_code)}`);
+    if (summary.statistics.resumed > 0) {
+      logger.info(`      Resumed from checkpoint: ${summary.statistics.resumed}`);
+    }
+    if (summary.statistics.duplicates_collapsed > 0) {
+      logger.info(`      Cross-listed duplicates collapsed: ${summary.statistics.duplicates_collapsed}`);
+    }
+    logger.info(`      Total courses: ${summary.total_courses}`);
+    logger.info(`      Rate limiter: ${summary.rate_limiter.rate} req/s, ${summary.rate_limiter.errors} error(s), ${summary.rate_limiter.slowdowns} slowdown(s)`);
 
     // Save summary to logs directory
     if (!fs.existsSync('logs')) fs.mkdirSync('logs');
     const summaryPath = `logs/schedule_summary-${term}.json`;
     fs.writeFileSync(summaryPath, JSON.stringify(summary, null, 2));
-    console.log(`\n📋 Scrape summary saved to ${summaryPath}`);
+    logger.info(`\n📋 Scrape summary saved to ${summaryPath}`);
 
     // Print summary statistics
-    console.log(`\n📊 Department Summary:`);
-    console.log(`   Total departments: ${summary.statistics.total_departments}`);
-    console.log(`   ✅ Successful: ${summary.statistics.successful}`);
-    console.log(`   ℹ️  Empty (no courses): ${summary.statistics.empty}`);
-    console.log(`   ❌ Failed: ${summary.statistics.failed}`);
+    logger.info(`\n📊 Department Summary:`);
+    logger.info(`   Total departments: ${summary.statistics.total_departments}`);
+    logger.info(`   ✅ Successful: ${summary.statistics.successful}`);
+    logger.info(`   ℹ️  Empty (no courses): ${summary.statistics.empty}`);
+    logger.info(`   ❌ Failed: ${summary.statistics.failed}`);
 
-    console.log(`\n📚 Total courses: ${allCourses.length}`);
+    logger.info(`\n📚 Total courses: ${allCourses.length}`);
 
     // Structured completion log for easier grepping and alignment with curriculum
-    console.log('✅ SCHEDULE SCRAPE COMPLETE', {
+    logger.info('✅ SCHEDULE SCRAPE COMPLETE', {
       term: summary.term,
       total_departments: summary.statistics.total_departments,
       successful_departments: summary.statistics.successful,
       empty_departments: summary.statistics.empty,
       failed_departments: summary.statistics.failed,
+      failures_by_code: summary.statistics.failures_by_code,
+      duplicates_collapsed: summary.statistics.duplicates_collapsed,
       total_courses: summary.total_courses
     });
 
     // Build per-department result array for structured sync
+    // status lets callers tell failed departments apart from ones with no offerings
     const departmentsArray = departments.map((dept, index) => ({
       department: dept,
-      courses: perDeptCourses[index] || []
+      courses: perDeptCourses[index] || [],
+      status: departmentStatus[dept]?.status || 'failed'
     }));
 
     // Return structured object with both flat courses (backward compat) and per-department grouping
@@ -1300,12 +1664,291 @@ export class AISISScraper {
     };
   }
 
-  async _scrapeDepartment(term, deptCode, retryCount = 0) {
+  /**
+   * runDepartmentJobs options for scraping whole departments with this scraper
+   *
+   * Jobs are { term, department } pairs. Checkpointed departments are resumed,
+   * finished ones are checkpointed, and retries follow the department retry
+   * policy with backoff sleeping via _delay.
+   *
+   * @param {Object} overrides - Extra runDepartmentJobs options (concurrency, canary, label, ...)
+   * @returns {Object} Options for runDepartmentJobs
+   */
+  _departmentJobOptions(overrides = {}) {
+    return {
+      run: (job, attempt, lastError) => this._scrapeDepartmentJob(job.term, job.department, attempt, lastError),
+      concurrency: this.rateLimitConfig.concurrency,
+      policy: this.retryPolicies.department,
+      delay: ms => this._delay(ms),
+      resume: job => this._resumeDepartment(job.term, job.department),
+      onResult: (job, courses, status) => this._checkpointDepartment(job.term, job.department, courses, status),
+      ...overrides
+    };
+  }
+
+  /**
+   * Reuse a department finished earlier in a resumed run
+   *
+   * @param {string} term - Term code
+   * @param {string} deptCode - Department code
+   * @returns {{courses: Array, status: Object}|null} Checkpointed courses and status
+   *   (marked resumed), or null if the department must be scraped
+   */
+  _resumeDepartment(term, deptCode) {
+    if (!this.checkpoint) return null;
+
+    const record = this.checkpoint.loadDepartment(term, deptCode);
+    if (!record) return null;
+
+    logger.info(`   ♻️  ${deptCode}: ${record.courses.length} courses (from checkpoint)`);
+    return { courses: record.courses, status: { ...record.status, resumed: true } };
+  }
+
+  /**
+   * Save a finished department to the active checkpoint, if any
+   * Checkpoint write failures are logged but never fail the scrape
+   *
+   * @param {string} term - Term code
+   * @param {string} deptCode - Department code
+   * @param {Array} courses - Parsed courses
+   * @param {Object} status - Department status entry
+   */
+  _checkpointDepartment(term, deptCode, courses, status) {
+    if (!this.checkpoint) return;
+
+    try {
+      this.checkpoint.saveDepartment(term, deptCode, courses, status);
+    } catch (error) {
+      logger.warn(`   ⚠️  ${deptCode}: Failed to write checkpoint - ${error.message}`);
+    }
+  }
+
+  /**
+   * Reuse a curriculum program finished earlier in a resumed run
+   *
+   * @param {string} degCode - Degree program code
+   * @returns {Object|null} Checkpointed curriculum record, or null if it must be scraped
+   */
+  _resumeProgram(degCode) {
+    if (!this.checkpoint) return null;
+
+    const program = this.checkpoint.loadProgram(degCode);
+    if (program) {
+      logger.info(`   ♻️  ${degCode}: ${program.html.length} chars HTML (from checkpoint)`);
+    }
+    return program;
+  }
+
+  /**
+   * Save a finished curriculum program to the active checkpoint, if any
+   *
+   * @param {Object} program - Curriculum record ({ degCode, label, html, raw_text })
+   */
+  _checkpointProgram(program) {
+    if (!this.checkpoint) return;
+
+    try {
+      this.checkpoint.saveProgram(program);
+    } catch (error) {
+      logger.warn(`   ⚠️  ${program.degCode}: Failed to write checkpoint - ${error.message}`);
+    }
+  }
+
+  /**
+   * Scrape one department job attempt, by subject when the department is sharded
+   *
+   * Departments in AISIS_SHARD_DEPARTMENTS are always scraped by subject.
+   * Others are fetched with subjCode=ALL; a retry after that fetch failed
+   * because of the page's size (see isPageSizeFailure) falls back to subject
+   * shards, so one huge page can't fail the department again. Other failures
+   * retry the subjCode=ALL fetch.
+   *
+   * @param {string} term - Term code (e.g., '2025-1')
+   * @param {string} deptCode - Department code (e.g., 'DISCS')
+   * @param {number} attempt - Department job attempt (0 for the first)
+   * @param {Error|null} lastError - Previous attempt's error (null on the first attempt)
+   * @returns {Promise<Array<Object>>} Parsed courses
+   */
+  _scrapeDepartmentJob(term, deptCode, attempt = 0, lastError = null) {
+    if (this.shardedDepartments.has(deptCode)) {
+      return this._scrapeDepartmentBySubject(term, deptCode, { crossCheck: true });
+    }
+
+    if (attempt > 0 && isPageSizeFailure(lastError)) {
+      logger.info(`   🧩 ${deptCode}: Retrying by subject after the subjCode=ALL page failed to load (${errorCode(lastError)})`);
+      // The ALL page is what just failed, so don't fetch it again to cross-check
+      return this._scrapeDepartmentBySubject(term, deptCode, { crossCheck: false });
+    }
+
+    return this._scrapeDepartment(term, deptCode);
+  }
+
+  /**
+   * Scrape a department one subject at a time and merge the results
+   *
+   * Subjects come from the department's subjCode dropdown. Each subject is
+   * retried on its own; the department only fails if a subject still fails.
+   * Merged sections are deduplicated by (subject_code, section) and, with
+   * crossCheck, compared against one subjCode=ALL fetch if that succeeds.
+   * Department sanity checks run on the merged result.
+   *
+   * @param {string} term - Term code (e.g., '2025-1')
+   * @param {string} deptCode - Department code (e.g., 'MA')
+   * @param {Object} options
+   * @param {boolean} options.crossCheck - Compare with a subjCode=ALL fetch (default: true)
+   * @returns {Promise<Array<Object>>} Parsed courses
+   *
+   * @example
+   * await scraper._scrapeDepartmentBySubject('2025-1', 'MA')
+   * // fetches subjCode=MATH, subjCode=KRN, ... then subjCode=ALL to cross-check
+   */
+  async _scrapeDepartmentBySubject(term, deptCode, { crossCheck = true } = {}) {
+    const subjects = await this._discoverSubjects(term, deptCode);
+    if (subjects.length === 0) {
+      logger.info(`   ℹ️  ${deptCode}: No subjects listed for term ${term} - scraping subjCode=ALL`);
+      return this._scrapeDepartment(term, deptCode);
+    }
+
+    logger.info(`   🧩 ${deptCode}: Scraping ${subjects.length} subject(s) separately`);
+    const { results } = await runDepartmentJobs(
+      subjects.map(subject => ({ term, department: deptCode, subject })),
+      {
+        run: job => this._scrapeDepartment(term, deptCode, job.subject),
+        policy: this.retryPolicies.department,
+        delay: ms => this._delay(ms),
+        label: job => `${deptCode} ${job.subject}`
+      }
+    );
+
+    const failed = results.filter(result => result.status.status === 'failed');
+    if (failed.length > 0) {
+      const reasons = failed.map(result => `${result.job.subject}: ${result.status.error}`).join('; ');
+      const error = new Error(`${deptCode}: ${failed.length}/${subjects.length} subject(s) failed - ${reasons}`);
+      // Keep the cause's code when every subject failed the same way (e.g., schema drift is not retried)
+      const codes = new Set(failed.map(result => result.status.error_code));
+      if (codes.size === 1) {
+        error.code = [...codes][0];
+      }
+      throw error;
+    }
+
+    const { courses: merged, duplicates } = mergeSubjectShards(results.map(result => result.courses));
+    if (duplicates > 0) {
+      logger.info(`   ℹ️  ${deptCode}: Dropped ${duplicates} section(s) listed under more than one subject`);
+    }
+
+    const courses = crossCheck ? await this._crossCheckShards(term, deptCode, merged) : merged;
+
+    const sanityCheck = performDepartmentSanityChecks(deptCode, courses, null, term);
+    if (!sanityCheck.passed) {
+      throw new SanityCheckError(`${deptCode} sanity check failed: ${sanityCheck.reason}`, { deptCode, term });
+    }
+
+    return courses;
+  }
+
+  /**
+   * Compare merged subject shards with a subjCode=ALL fetch of the department
+   *
+   * The ALL fetch is best effort: if it fails (often why the department is
+   * sharded), the shards are used as they are. Sections only the ALL page
+   * lists are added to the result.
+   *
+   * @param {string} term - Term code
+   * @param {string} deptCode - Department code
+   * @param {Array<Object>} merged - Courses merged from subject shards
+   * @returns {Promise<Array<Object>>} Merged courses plus any sections missing from the shards
+   */
+  async _crossCheckShards(term, deptCode, merged) {
+    let all;
+    try {
+      all = await this._scrapeDepartment(term, deptCode);
+    } catch (error) {
+      logger.info(`   ℹ️  ${deptCode}: Skipping subjCode=ALL cross-check - ${error.message}`);
+      return merged;
+    }
+
+    const { matched, missing, extra } = crossCheckShards(merged, all);
+    if (matched) {
+      logger.info(`   ✅ ${deptCode}: Subject shards match subjCode=ALL (${merged.length} sections)`);
+      return merged;
+    }
+
+    logger.warn(`   ⚠️  ${deptCode}: Subject shards differ from subjCode=ALL - ${missing.length} section(s) only in ALL, ${extra.length} only in shards`);
+    for (const course of [...missing, ...extra].slice(0, SAMPLE_INVALID_RECORDS_COUNT)) {
+      logger.warn(`      ${missing.includes(course) ? 'ALL only' : 'shards only'}: ${course.subject_code} ${course.section}`);
+    }
+    return [...merged, ...missing];
+  }
+
+  /**
+   * List the subjects of a department from its subjCode dropdown
+   *
+   * Like choosing a department on the Schedule of Classes form, this posts
+   * displaySearchForm for the department and reads the subjCode options
+   * AISIS fills in for it.
+   *
+   * @param {string} term - Term code
+   * @param {string} deptCode - Department code
+   * @returns {Promise<Array<string>>} Subject codes (without ALL), or [] if the dropdown is missing
+   */
+  async _discoverSubjects(term, deptCode) {
+    const formData = new URLSearchParams();
+    formData.append('command', 'displaySearchForm');
+    formData.append('applicablePeriod', term);
+    formData.append('deptCode', deptCode);
+
+    const response = await this._request(`${this.baseUrl}/j_aisis/J_VCSC.do`, {
+      method: 'POST',
+      body: formData.toString(),
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Origin': this.baseUrl,
+        'Referer': `${this.baseUrl}/j_aisis/J_VCSC.do`
+      },
+      timeoutMs: this.retryPolicies.department.timeoutMs
+    });
+
+    if (!response.ok) {
+      throw new HttpStatusError(`HTTP ${response.status} loading subjects for dept ${deptCode}, term ${term}`, { status: response.status, deptCode, term });
+    }
+
+    const html = await response.text();
+    if (isLoginPage(html)) {
+      throw new SessionExpiredError(`${deptCode}: received AISIS login page instead of subject list`, { deptCode, term });
+    }
+
+    const $ = cheerio.load(html);
+    const subjects = new Set();
+    $('select[name="subjCode"] option').each((_, option) => {
+      const value = ($(option).attr('value') || '').trim();
+      if (value && value !== 'ALL') {
+        subjects.add(value);
+      }
+    });
+
+    return [...subjects];
+  }
+
+  /**
+   * Scrape one department's Schedule of Classes results
+   *
+   * Not retried here: callers retry failures per the department retry policy
+   * (runDepartmentJobs, scrapeSubjects). An expired session is recovered and
+   * the request replayed by _request; a login page that still comes back
+   * fails with SessionExpiredError.
+   *
+   * @param {string} term - Term code (e.g., '2025-1')
+   * @param {string} deptCode - Department code (e.g., 'DISCS')
+   * @param {string} subjCode - AISIS subject dropdown value (e.g., 'CSCI'); 'ALL' for the whole department
+   * @returns {Promise<Array<Object>>} Parsed courses
+   */
+  async _scrapeDepartment(term, deptCode, subjCode = 'ALL') {
     const formData = new URLSearchParams();
     formData.append('command', 'displayResults');
     formData.append('applicablePeriod', term);
     formData.append('deptCode', deptCode);
-    formData.append('subjCode', 'ALL');
+    formData.append('subjCode', subjCode);
 
     try {
       const response = await this._request(`${this.baseUrl}/j_aisis/J_VCSC.do`, {
@@ -1315,76 +1958,26 @@ export class AISISScraper {
           'Content-Type': 'application/x-www-form-urlencoded',
           'Origin': this.baseUrl,
           'Referer': `${this.baseUrl}/j_aisis/J_VCSC.do`
-        }
+        },
+        timeoutMs: this.retryPolicies.department.timeoutMs
       });
 
       if (!response.ok) {
-        const errorMsg = `HTTP ${response.status} for dept ${deptCode}, term ${term}`;
-
-        // Retry once on 5xx errors (server errors)
-        if (response.status >= 500 && response.status < 600 && retryCount < RETRY_CONFIG.MAX_RETRIES) {
-          console.log(`   ⚠️  ${errorMsg} - retrying in ${RETRY_CONFIG.RETRY_DELAY_MS / 1000} seconds...`);
-          await this._delay(RETRY_CONFIG.RETRY_DELAY_MS);
-          return this._scrapeDepartment(term, deptCode, retryCount + 1);
-        }
-
-        throw new Error(errorMsg);
+        throw new HttpStatusError(`HTTP ${response.status} for dept ${deptCode}, term ${term}`, { status: response.status, deptCode, term });
       }
 
       const html = await response.text();
 
-      // Check for login page detection (session expired or not authenticated)
-      // This is more robust than the simple marker check - detects full login page HTML
+      // _request already re-logged in and replayed once; a login page now means the session can't be recovered
       if (isLoginPage(html)) {
-        console.error(`   🔒 [${deptCode}] Received AISIS login page HTML; session expired or not authenticated`);
-
-        // Attempt re-authentication if we haven't retried yet
-        if (retryCount < RETRY_CONFIG.MAX_RETRIES) {
-          console.log(`   🔄 [${deptCode}] Attempting re-authentication (attempt ${retryCount + 1}/${RETRY_CONFIG.MAX_RETRIES + 1})...`);
-
-          // Mark as logged out and try to re-login
-          this.loggedIn = false;
-          const loginSuccess = await this.login();
-
-          if (loginSuccess) {
-            console.log(`   ✅ [${deptCode}] Re-authentication successful, retrying department scrape...`);
-            await this._delay(RETRY_CONFIG.RETRY_DELAY_MS);
-            return this._scrapeDepartment(term, deptCode, retryCount + 1);
-          } else {
-            throw new Error(`${deptCode} scrape failed: received AISIS login page instead of schedule; re-authentication failed`);
-          }
-        }
-
-        // Max retries exceeded - fail fast with clear error
-        throw new Error(`${deptCode} scrape failed: received AISIS login page instead of schedule after ${retryCount + 1} attempts`);
-      }
-
-      // Legacy check for session expiry (kept for backwards compatibility)
-      // This catches simpler cases that might not be caught by isLoginPage
-      // Note: This check is largely redundant now but kept for safety
-      if (LOGIN_FAILURE_MARKERS.some(marker => html.includes(marker))) {
-        console.error(`   🔒 [${deptCode}] Session expiry detected via legacy markers`);
-
-        // Apply same retry logic as isLoginPage detection for consistency
-        if (retryCount < RETRY_CONFIG.MAX_RETRIES) {
-          console.log(`   🔄 [${deptCode}] Attempting re-authentication (attempt ${retryCount + 1}/${RETRY_CONFIG.MAX_RETRIES + 1})...`);
-          this.loggedIn = false;
-          const loginSuccess = await this.login();
-
-          if (loginSuccess) {
-            console.log(`   ✅ [${deptCode}] Re-authentication successful, retrying department scrape...`);
-            await this._delay(RETRY_CONFIG.RETRY_DELAY_MS);
-            return this._scrapeDepartment(term, deptCode, retryCount + 1);
-          }
-        }
-
-        throw new Error(`${deptCode} scrape failed: session expired`);
+        logger.error(`   🔒 [${deptCode}] Received AISIS login page HTML; session could not be recovered`);
+        throw new SessionExpiredError(`${deptCode} scrape failed: received AISIS login page instead of schedule`, { deptCode, term });
       }
 
       // Check for explicit "no results" message from AISIS
       // This sentinel indicates that AISIS has no offerings for this department/term
       if (html.includes('Sorry. There are no results for your search criteria')) {
-        console.log(`   ℹ️  ${deptCode}: No courses found for term ${term} (explicit AISIS no-results page)`);
+        logger.info(`   ℹ️  ${deptCode}: No courses found for term ${term} (explicit AISIS no-results page)`);
         return [];
       }
 
@@ -1392,35 +1985,43 @@ export class AISISScraper {
       const $ = cheerio.load(html);
       const cellCount = $('td.text02').length;
 
-      const courses = this._parseCourses(html, deptCode);
+      let courses;
+      try {
+        courses = this._parseCourses(html, deptCode);
+      } catch (error) {
+        if (error instanceof SchemaDriftError) {
+          error.deptCode = deptCode;
+          error.term = term;
+          saveRawHtml(html, term, deptCode, 'schema-drift');
+        }
+        throw error;
+      }
 
       // Enhanced logging for data validation
       if (courses.length === 0) {
         if (cellCount === 0) {
-          console.log(`   ℹ️  ${deptCode}: No courses found for term ${term} (0 data cells - likely no offerings)`);
+          logger.info(`   ℹ️  ${deptCode}: No courses found for term ${term} (0 data cells - likely no offerings)`);
         } else {
-          console.log(`   ⚠️  ${deptCode}: Found ${cellCount} data cells but parsed 0 courses - possible HTML structure change or data issue`);
-        }
-      } else {
-        const expectedCells = courses.length * 14;
-        if (cellCount !== expectedCells) {
-          console.log(`   ℹ️  ${deptCode}: ${courses.length} courses parsed from ${cellCount} cells (expected ${expectedCells})`);
+          logger.info(`   ⚠️  ${deptCode}: Found ${cellCount} data cells but parsed 0 courses - possible HTML structure change or data issue`);
         }
       }
 
       // Perform department-specific sanity checks to prevent data loss
       // from AISIS misrouting or HTML quirks (e.g., MA returning KRN courses instead of MATH)
-      const sanityCheck = performDepartmentSanityChecks(deptCode, courses, html, term);
-      if (!sanityCheck.passed) {
-        // Sanity check failed - throw error to mark department as failed
-        throw new Error(`${deptCode} sanity check failed: ${sanityCheck.reason}`);
+      // The minimum course counts only apply to a whole department, not a single subject
+      if (subjCode === 'ALL') {
+        const sanityCheck = performDepartmentSanityChecks(deptCode, courses, html, term);
+        if (!sanityCheck.passed) {
+          // Sanity check failed - throw error to mark department as failed
+          throw new SanityCheckError(`${deptCode} sanity check failed: ${sanityCheck.reason}`, { deptCode, term });
+        }
       }
 
       return courses;
     } catch (error) {
-      // Re-throw with more context if not already detailed
+      // Prefix the department for logs and summaries, keeping the error's type and code
       if (!error.message.includes(deptCode)) {
-        throw new Error(`${deptCode}: ${error.message}`);
+        error.message = `${deptCode}: ${error.message}`;
       }
       throw error;
     }
@@ -1433,121 +2034,191 @@ export class AISISScraper {
     /**
      * AISIS Schedule Table Structure Assumptions:
      * - Schedule data is in an HTML table with class 'needspadding'
-     * - Each course row contains 14 cells (columns) with class 'text02'
-     * - Column order: Subject Code, Section, Title, Units, Time, Room, Instructor,
-     *   Max Slots, Language, Level, Free Slots, Remarks, S, P
-     * - Header rows are also present but are filtered by isHeaderLikeRecord()
-     * - We use 'table.needspadding td.text02' when available to avoid non-schedule cells,
-     *   falling back to 'td.text02' for compatibility with older HTML or test fixtures
+     * - Each course is one <tr> whose direct children are 'td.text02' cells
+     * - The header row names the columns (Subject Code, Section, Title, Units, Time,
+     *   Room, Instructor, Max Slots, Language, Level, Free Slots, Remarks, S, P);
+     *   cells are mapped by header text via buildColumnMap(), so reordered columns
+     *   are handled and unknown/missing columns raise a schema drift error
+     * - Inside table.needspadding, any row of several header-styled cells (td.text04/th)
+     *   is the header row; in the all-'tr' fallback only rows that look like a schedule
+     *   header (isScheduleHeaderRow) are, so form label rows are never taken for one
+     * - Data rows with a different cell count than the header are schema drift
+     * - Tables without a header row use the legacy 14-column positional layout
+     *   (rows with another cell count are skipped)
+     * - Repeated header rows are skipped; placeholder rows are filtered by isHeaderLikeRecord()
+     * - We use 'table.needspadding tr' when available to avoid non-schedule rows,
+     *   falling back to all 'tr' rows for compatibility with older HTML or test fixtures
      */
-    const CELLS_PER_ROW = 14;
 
     // Try tightened selector first (preferred for production), fall back to broader selector
     // This ensures we work with both real AISIS HTML and test fixtures
-    let courseCells = $('table.needspadding td.text02');
+    const hasScheduleCells = (_, row) => $(row).children('td.text02, td.text04, th').length > 0;
+    let rows = $('table.needspadding tr').filter(hasScheduleCells);
+    let inScheduleTable = true;
 
-    if (courseCells.length === 0) {
+    if (rows.length === 0) {
       // Fallback to broader selector for compatibility
-      courseCells = $('td.text02');
+      rows = $('tr').filter(hasScheduleCells);
+      inScheduleTable = false;
     }
 
-    if (courseCells.length === 0) {
+    if (rows.length === 0) {
       return courses;
     }
 
-    const totalCells = courseCells.length;
-    const expectedRows = Math.floor(totalCells / CELLS_PER_ROW);
-    const remainder = totalCells % CELLS_PER_ROW;
-
-    // Debug mode configuration
-    const debugMode = process.env.DEBUG_SCRAPER === 'true';
-
-    // Defensive logging: warn if cells don't align to CELLS_PER_ROW chunks
-    if (remainder !== 0) {
-      console.log(`   ⚠️  ${deptCode}: ${totalCells} cells found (expected multiple of ${CELLS_PER_ROW}). Remainder: ${remainder} cells.`);
-      console.log(`   ℹ️  ${deptCode}: Processing ${expectedRows} complete rows, ${remainder} cells will be skipped.`);
-
-      // In debug mode, show a sample of the first raw cell to help diagnose selector issues
-      if (debugMode && courseCells.length > 0) {
-        const firstCellText = $(courseCells[0]).text().trim();
-        console.log(`   🔍 ${deptCode}: First raw cell text: "${firstCellText}"`);
+    // Debug-level logs (AISIS_LOG_LEVEL=debug or DEBUG_SCRAPER=true)
+    const debugMode = logger.isLevelEnabled('debug');
+
+    // Extract text from a cell, handling <br> tags by replacing them with spaces
+    // (or with line breaks when keepLines is set, e.g. one instructor per line)
+    const cellText = (cell, { keepLines = false } = {}) => {
+      const rawHtml = $(cell).html() || '';
+      // First normalize <br> tags to spaces to preserve line breaks
+      let text = rawHtml.replace(/<br\s*\/?>/gi, keepLines ? '\n' : ' ');
+      // Then strip all remaining HTML tags completely
+      // Using a more comprehensive approach to handle nested and malformed tags
+      while (/<[^>]+>/.test(text)) {
+        text = text.replace(/<[^>]+>/g, '');
       }
-    }
+      // Finally normalize whitespace
+      if (keepLines) {
+        return text.split('\n').map(line => line.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+      }
+      text = text.replace(/\s+/g, ' ').trim();
+      return text;
+    };
 
     // Track invalid rows for debug logging
     const invalidRows = [];
 
-    // Process in chunks of CELLS_PER_ROW cells per course
+    // Records carry where their values came from (see src/parse-provenance.js)
+    const provenance = isParseProvenanceEnabled();
+    const pageHash = provenance ? hashPage(html) : null;
+
+    // Column map is built from the first header row; tables without one use the legacy layout
+    let columnMap = null;
+
     let skippedRows = 0;
     let headerRows = 0;
-    for (let i = 0; i < courseCells.length; i += CELLS_PER_ROW) {
-      if (i + CELLS_PER_ROW - 1 >= courseCells.length) {
-        // Not enough cells for a complete row - log and skip
-        const remainingCells = courseCells.length - i;
-        if (remainingCells > 0) {
-          console.log(`   ⚠️  ${deptCode}: Skipping incomplete row at index ${i} (only ${remainingCells} cells remaining)`);
+    for (let i = 0; i < rows.length; i++) {
+      const $row = $(rows[i]);
+      const dataCells = $row.children('td.text02');
+      const cells = dataCells.length > 0 ? dataCells : $row.children('td.text04, th');
+      const rowTexts = cells.map((_, cell) => cellText(cell)).get();
+
+      // In the schedule table any row of several header-styled cells is the header, whatever
+      // its labels say, so renamed or added columns surface as schema drift rather than a
+      // silent fallback to the legacy layout; single header-styled cells are captions.
+      // Outside it (the all-'tr' fallback) such rows are as likely to be form labels.
+      const headerStyled = inScheduleTable && dataCells.length === 0 && cells.length > 1;
+
+      if (headerStyled || isScheduleHeaderRow(rowTexts)) {
+        if (columnMap === null) {
+          try {
+            columnMap = buildColumnMap(rowTexts);
+          } catch (error) {
+            error.message = `${deptCode}: ${error.message}`;
+            logger.error(`   ❌ ${error.message}`);
+            throw error;
+          }
+          logger.debug(`   🔍 ${deptCode}: Column map from header row: ${JSON.stringify(columnMap.columns)}`);
+        } else {
+          headerRows++;
           skippedRows++;
         }
-        break;
-      }
-
-      const cells = courseCells.slice(i, i + CELLS_PER_ROW);
-      // Extract text from each cell, handling <br> tags by replacing them with spaces
-      const cellTexts = cells.map((_, cell) => {
-        const rawHtml = $(cell).html() || '';
-        // First normalize <br> tags to spaces to preserve line breaks
-        let text = rawHtml.replace(/<br\s*\/?>/gi, ' ');
-        // Then strip all remaining HTML tags completely
-        // Using a more comprehensive approach to handle nested and malformed tags
-        while (/<[^>]+>/.test(text)) {
-          text = text.replace(/<[^>]+>/g, '');
-        }
-        // Finally normalize whitespace
-        text = text.replace(/\s+/g, ' ').trim();
-        return text;
-      }).get();
+        continue;
+      }
+
+      // Rows without data cells (e.g., layout rows with only header-styled cells)
+      if (dataCells.length === 0) {
+        continue;
+      }
+
+      if (columnMap === null) {
+        columnMap = legacyColumnMap();
+        logger.debug(`   🔍 ${deptCode}: No header row found, using legacy ${columnMap.cellCount}-column layout`);
+      }
+
+      // A row that doesn't fit the header means the table changed shape under it
+      if (rowTexts.length !== columnMap.cellCount && columnMap.headers) {
+        const error = new SchemaDriftError(
+          `${deptCode}: Schedule table schema drift (row ${i} has ${rowTexts.length} cells, header has ${columnMap.cellCount}). Headers seen: [${columnMap.headers.map(h => `"${h}"`).join(', ')}]`,
+          { headers: columnMap.headers }
+        );
+        logger.error(`   ❌ ${error.message}`);
+        throw error;
+      }
+
+      if (rowTexts.length !== columnMap.cellCount) {
+        logger.info(`   ⚠️  ${deptCode}: Skipping row ${i} with ${rowTexts.length} cells (expected ${columnMap.cellCount})`);
+        logger.debug(`   🔍 ${deptCode}: First raw cell text: "${rowTexts[0] || ''}"`);
+        skippedRows++;
+        continue;
+      }
+
+      const cellTexts = mapRowCells(rowTexts, columnMap);
+
+      // Structured meetings are parsed from the raw Time cell so that modality
+      // markers are captured before they are stripped from time_pattern below
+      const schedule = parseTimePattern(cellTexts.time);
 
       // Enhanced time parsing to preserve TBA and special markers
       // Note: <br> tags already normalized above, now just clean up modality markers
-      let timeField = cellTexts[4];
+      let timeField = cellTexts.time;
       // Remove modality markers but preserve TBA and (~) for special courses
       timeField = timeField.replace(/\(FULLY ONSITE\)|\(FULLY ONLINE\)/g, '').trim();
       // Preserve (~) marker for special courses but remove empty ()
       timeField = timeField.replace(/\(\)\s*$/g, '').trim();
 
+      // Instructors, rooms and remarks are parsed from their cells with the <br> line breaks,
+      // which separate team-taught instructors, per-meeting rooms and remarks clauses and are
+      // lost in cellTexts
+      const linesOf = key => columnMap.columns[key] !== undefined ? cellText(cells[columnMap.columns[key]], { keepLines: true }) : '';
+      const instructors = parseInstructors(linesOf('instructor'));
+      const rooms = parseRooms(linesOf('room'));
+      const remarkAnnotations = interpretRemarks(linesOf('remarks'));
+
       // Calculate availability and capacity
-      const maxCapacity = cellTexts[7] ? parseInt(this._cleanText(cellTexts[7]), 10) : null;
-      const availableSlots = cellTexts[10] ? parseInt(this._cleanText(cellTexts[10]), 10) : null;
+      const maxCapacity = cellTexts.max_capacity ? parseInt(this._cleanText(cellTexts.max_capacity), 10) : null;
+      const availableSlots = cellTexts.free_slots ? parseInt(this._cleanText(cellTexts.free_slots), 10) : null;
       const enrolledCount = (maxCapacity !== null && availableSlots !== null) ? (maxCapacity - availableSlots) : null;
 
       const course = {
         department: deptCode,
-        subject_code: this._cleanText(cellTexts[0]),
-        section: this._cleanText(cellTexts[1]),
-        course_title: this._cleanText(cellTexts[2]),
-        course_title: this._cleanText(cellTexts[2]),
+        subject_code: this._cleanText(cellTexts.subject_code),
+        section: this._cleanText(cellTexts.section),
+        course_title: this._cleanText(cellTexts.course_title),
         units: (() => {
-          const val = parseFloat(this._cleanText(cellTexts[3]));
+          const val = parseFloat(this._cleanText(cellTexts.units));
           return !isNaN(val) ? val : 3;
         })(),
         time_pattern: timeField,
-        room: cellTexts[5].includes('TBA') ? 'TBA' : this._cleanText(cellTexts[5]),
-        instructor: this._cleanText(cellTexts[6]),
+        meetings: schedule.meetings,
+        delivery_mode: schedule.modality,
+        room: cellTexts.room.includes('TBA') ? 'TBA' : this._cleanText(cellTexts.room),
+        rooms,
+        instructor: this._cleanText(cellTexts.instructor),
+        instructors,
         max_capacity: maxCapacity,
-        language: this._cleanText(cellTexts[8] || ''),
-        level: this._cleanText(cellTexts[9] || ''),
+        language: this._cleanText(cellTexts.language),
+        level: this._cleanText(cellTexts.level),
         available_slots: availableSlots,
         enrolled_count: enrolledCount,
-        remarks: this._cleanText(cellTexts[11] || ''),
-        s_marker: this._cleanText(cellTexts[12] || ''), // S column
-        p_marker: this._cleanText(cellTexts[13] || ''), // P column
+        remarks: this._cleanText(cellTexts.remarks),
+        remark_annotations: remarkAnnotations,
+        s_marker: this._cleanText(cellTexts.s_marker), // S column
+        p_marker: this._cleanText(cellTexts.p_marker), // P column
         university_code: this.universityCode || 'ADMU'
       };
 
+      if (provenance) {
+        course._parse = buildParseBlock(cellTexts, findParseWarnings(cellTexts, course, schedule), pageHash);
+      }
+
       // Check for header/placeholder rows
       if (isHeaderLikeRecord(course)) {
-        if (debugMode && headerRows < SAMPLE_INVALID_RECORDS_COUNT) {
-          console.log(`   🔍 ${deptCode}: Header row detected at index ${i}:`, {
+        if (headerRows < SAMPLE_INVALID_RECORDS_COUNT) {
+          logger.debug(`   🔍 ${deptCode}: Header row detected at index ${i}:`, {
             subjectCode: course.subject_code,
             section: course.section,
             title: course.course_title
@@ -1576,21 +2247,21 @@ export class AISISScraper {
 
     // Summary logging
     if (headerRows > 0) {
-      console.log(`   ℹ️  ${deptCode}: ${headerRows} header/placeholder row(s) filtered`);
+      logger.info(`   ℹ️  ${deptCode}: ${headerRows} header/placeholder row(s) filtered`);
     }
     if (invalidRows.length > 0) {
-      console.log(`   ⚠️  ${deptCode}: ${skippedRows - headerRows} invalid row(s) skipped (sample shown)`);
+      logger.info(`   ⚠️  ${deptCode}: ${skippedRows - headerRows} invalid row(s) skipped (sample shown)`);
       invalidRows.forEach(({ index, reason, data }) => {
-        console.log(`      - Row ${index}: ${reason} - ${JSON.stringify(data)}`);
+        logger.info(`      - Row ${index}: ${reason} - ${JSON.stringify(data)}`);
       });
     }
 
     // Debug logging: show sample of parsed courses and subject prefix breakdown
     if (debugMode && courses.length > 0) {
       const sampleSize = Math.min(3, courses.length);
-      console.log(`   🔍 ${deptCode}: First ${sampleSize} parsed course(s):`);
+      logger.debug(`   🔍 ${deptCode}: First ${sampleSize} parsed course(s):`);
       courses.slice(0, sampleSize).forEach(c => {
-        console.log(`      - ${c.subject_code} ${c.section}: ${c.course_title}`);
+        logger.debug(`      - ${c.subject_code} ${c.section}: ${c.course_title}`);
       });
     }
 
@@ -1602,7 +2273,7 @@ export class AISISScraper {
       subjectPrefixCounts[prefix] = (subjectPrefixCounts[prefix] || 0) + 1;
     }
 
-    // Log subject prefix breakdown in debug mode or always for critical departments
+    // Log subject prefix breakdown always for critical departments, others at debug level
     const criticalDepts = ['PE', 'NSTP']; // Departments where missing subjects are critical
     if (debugMode || criticalDepts.includes(deptCode)) {
       if (Object.keys(subjectPrefixCounts).length > 0) {
@@ -1610,7 +2281,7 @@ export class AISISScraper {
           .sort((a, b) => b[1] - a[1]) // Sort by count descending
           .map(([prefix, count]) => `${prefix}=${count}`)
           .join(', ');
-        console.log(`   📊 ${deptCode}: Subject prefix breakdown: ${breakdown}`);
+        logger[criticalDepts.includes(deptCode) ? 'info' : 'debug'](`   📊 ${deptCode}: Subject prefix breakdown: ${breakdown}`);
       }
     }
 
@@ -1638,18 +2309,19 @@ export class AISISScraper {
       throw new Error('Not logged in');
     }
 
-    console.log('   🔍 Fetching available curriculum versions...');
+    logger.info('   🔍 Fetching available curriculum versions...');
 
     try {
       const response = await this._request(`${this.baseUrl}/j_aisis/J_VOFC.do`, {
         method: 'GET',
         headers: {
           'Referer': `${this.baseUrl}/j_aisis/welcome.do`
-        }
+        },
+        timeoutMs: this.retryPolicies.curriculum.timeoutMs
       });
 
       if (!response.ok) {
-        console.warn(`   ⚠️ Failed to fetch degree programs: HTTP ${response.status}`);
+        logger.warn(`   ⚠️ Failed to fetch degree programs: HTTP ${response.status}`);
         return [];
       }
 
@@ -1657,14 +2329,14 @@ export class AISISScraper {
 
       // Check for session expiry
       if (LOGIN_FAILURE_MARKERS.some(marker => html.includes(marker))) {
-        throw new Error('Session expired while fetching degree programs');
+        throw new SessionExpiredError('Session expired while fetching degree programs');
       }
 
       const $ = cheerio.load(html);
       const select = $('select[name="degCode"]');
 
       if (select.length === 0) {
-        console.warn('   ⚠️ Could not find degCode select element on J_VOFC.do page');
+        logger.warn('   ⚠️ Could not find degCode select element on J_VOFC.do page');
         return [];
       }
 
@@ -1686,11 +2358,11 @@ export class AISISScraper {
         }
       });
 
-      console.log(`   ✅ Found ${programs.length} curriculum versions`);
+      logger.info(`   ✅ Found ${programs.length} curriculum versions`);
       return programs;
 
     } catch (error) {
-      console.error(`   ❌ Error fetching degree programs: ${error.message}`);
+      logger.error(`   ❌ Error fetching degree programs: ${error.message}`);
       return [];
     }
   }
@@ -1701,102 +2373,83 @@ export class AISISScraper {
    * This wrapper validates that AISIS returns HTML for the correct program
    * by checking the HTML program title against the requested degCode/label.
    * 
-   * If validation fails (session bleed detected), it retries with exponential backoff.
-   * After maxAttempts failures, it throws an error.
+   * The AISIS error page, session bleed (another program's HTML) and HTTP or
+   * network errors are retried per the curriculum retry policy (backoff with
+   * jitter). After maxAttempts failures, the last error is thrown.
+   *
+   * Every mismatch is counted in curriculumMismatches and, for a pooled
+   * session, names the session (sessionLabel) in the log and the error.
    * 
    * @param {string} degCode - Curriculum version identifier (e.g., 'BS CS_2024_1')
    * @param {string} label - Program label (e.g., 'BS Computer Science (2024-1)')
-   * @param {number} maxAttempts - Maximum number of attempts (default: 3)
+   * @param {number} maxAttempts - Maximum number of attempts (default: curriculum policy attempts, 3)
    * @returns {Promise<string>} Validated HTML for the curriculum
-   * @throws {Error} If validation fails after all attempts
+   * @throws {AisisErrorPageError} If every attempt returned the AISIS error page
+   * @throws {CurriculumMismatchError} If every attempt returned another program's HTML
    */
-  async _scrapeDegreeWithValidation(degCode, label, maxAttempts = 3) {
+  async _scrapeDegreeWithValidation(degCode, label, maxAttempts = this.retryPolicies.curriculum.attempts) {
     // Import validation functions from curriculum-parser
     // Note: Dynamic import to avoid circular dependencies
     const { extractProgramTitle, isProgramMatch } = await import('./curriculum-parser.js');
-
-    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-      try {
-        // Fetch HTML from AISIS
-        const html = await this._scrapeDegree(degCode);
-
-        // Check for AISIS system error page
-        // Note: Using substring match for robustness - the key phrase is unlikely to change
-        const isAisisErrorPage = html.includes(AISIS_ERROR_PAGE_MARKER);
-
-        if (isAisisErrorPage) {
-          if (attempt < maxAttempts) {
-            // Retry with exponential backoff
-            const backoffMs = 2000 * Math.pow(2, attempt - 1);
-            // Use info level for first attempt, warning for subsequent
-            const logFn = attempt === 1 ? console.log : console.warn;
-            const icon = attempt === 1 ? 'ℹ️' : '⚠️';
-            logFn(`   ${icon} ${degCode} (attempt ${attempt}/${maxAttempts}): AISIS returned system error page`);
-            logFn(`      Retrying after ${backoffMs}ms...`);
-            await this._delay(backoffMs);
-            continue;
-          } else {
-            // All attempts returned error page - mark as unavailable
-            console.error(`   ❌ ${degCode}: AISIS returned system error page ("${AISIS_ERROR_PAGE_MARKER}") on all ${maxAttempts} attempts. Marking curriculum as unavailable.`);
-            throw new Error(`AISIS_ERROR_PAGE:${degCode}`);
-          }
-        }
-
-        // Parse and validate program title
-        const $ = cheerio.load(html);
-        const programTitle = extractProgramTitle($) || label;
-
-        // Validate that HTML matches requested program
-        if (!isProgramMatch(degCode, label, programTitle)) {
-          const errorMsg = `Validation failed for ${degCode} (attempt ${attempt}/${maxAttempts}): HTML contains "${programTitle}" but expected "${label}"`;
-
-          if (attempt < maxAttempts) {
-            // Retry with exponential backoff
-            const backoffMs = 2000 * Math.pow(2, attempt - 1);
-            // Use info level for first attempt, warning for subsequent
-            const logFn = attempt === 1 ? console.log : console.warn;
-            const icon = attempt === 1 ? 'ℹ️' : '⚠️';
-            logFn(`   ${icon} ${errorMsg}`);
-            logFn(`      Retrying after ${backoffMs}ms (AISIS session bleed suspected)...`);
-            await this._delay(backoffMs);
-            continue;
-          } else {
-            // Final attempt failed
-            console.error(`   🚨 ${errorMsg}`);
-            console.error(`      Maximum retry attempts exhausted - refusing to accept contaminated HTML`);
-            throw new Error(`Curriculum HTML mismatch for ${degCode} after ${maxAttempts} attempts: got "${programTitle}"`);
-          }
-        }
-
-        // Validation passed
-        if (attempt > 1) {
-          console.log(`   ✅ ${degCode}: Validation passed on attempt ${attempt}`);
-        }
-        return html;
-
-      } catch (error) {
-        // If error is AISIS error page, handle specially
-        if (error.message.startsWith('AISIS_ERROR_PAGE:')) {
-          throw error; // Propagate to mark as unavailable
+    const policy = this.retryPolicies.curriculum.with({ attempts: maxAttempts });
+
+    return policy.run(async attempt => {
+      const html = await this._scrapeDegree(degCode);
+      const isLastAttempt = attempt === maxAttempts;
+
+      // Check for AISIS system error page
+      // Note: Using substring match for robustness - the key phrase is unlikely to change
+      if (html.includes(AISIS_ERROR_PAGE_MARKER)) {
+        if (isLastAttempt) {
+          // All attempts returned error page - mark as unavailable
+          logger.error(`   ❌ ${degCode}: AISIS returned system error page ("${AISIS_ERROR_PAGE_MARKER}") on all ${maxAttempts} attempts. Marking curriculum as unavailable.`);
+          throw new AisisErrorPageError(`AISIS returned system error page for ${degCode} on all ${maxAttempts} attempts`, { degCode, attempt });
         }
+        throw new AisisErrorPageError(`${degCode} (attempt ${attempt}/${maxAttempts}): AISIS returned system error page`, { degCode, attempt });
+      }
 
-        // If error is NOT a validation failure, throw immediately (network errors, etc.)
-        if (!error.message.includes('Curriculum HTML mismatch') &&
-          !error.message.includes('Validation failed')) {
-          throw error;
+      // Parse and validate program title
+      const $ = cheerio.load(html);
+      const programTitle = extractProgramTitle($) || label;
+
+      // Validate that HTML matches requested program
+      if (!isProgramMatch(degCode, label, programTitle)) {
+        this.curriculumMismatches++;
+        const fields = { degCode, attempt, expected: label, actual: programTitle, session: this.sessionLabel || undefined };
+        const fromSession = this.sessionLabel ? ` [${this.sessionLabel}]` : '';
+        const errorMsg = `Validation failed for ${degCode}${fromSession} (attempt ${attempt}/${maxAttempts}): HTML contains "${programTitle}" but expected "${label}"`;
+
+        if (isLastAttempt) {
+          logger.error(`   🚨 ${errorMsg}`);
+          logger.error(`      Maximum retry attempts exhausted - refusing to accept contaminated HTML`);
+          throw new CurriculumMismatchError(
+            `Curriculum HTML mismatch for ${degCode}${fromSession} after ${maxAttempts} attempts: got "${programTitle}"`,
+            fields
+          );
         }
+        throw new CurriculumMismatchError(errorMsg, fields);
+      }
 
-        // If this was the last attempt and it's a validation error, re-throw
-        if (attempt === maxAttempts) {
-          throw error;
+      // Validation passed
+      if (attempt > 1) {
+        logger.info(`   ✅ ${degCode}: Validation passed on attempt ${attempt}`);
+      }
+      return html;
+    }, {
+      delay: ms => this._delay(ms),
+      onRetry: (error, attempt, delayMs) => {
+        // Use info level for first attempt, warning for subsequent
+        const level = attempt === 1 ? 'info' : 'warn';
+        const icon = attempt === 1 ? 'ℹ️' : '⚠️';
+        logger[level](`   ${icon} ${error.message}`);
+        if (error instanceof CurriculumMismatchError) {
+          logger[level](`      Retrying after ${delayMs}ms (AISIS session bleed suspected)...`);
+          this.rateLimiter.reportError('curriculum session bleed');
+        } else {
+          logger[level](`      Retrying after ${delayMs}ms...`);
         }
-
-        // Otherwise, the validation failure will trigger retry in the next iteration
       }
-    }
-
-    // Should never reach here, but just in case
-    throw new Error(`Failed to scrape ${degCode} after ${maxAttempts} attempts`);
+    });
   }
 
   /**
@@ -1808,10 +2461,14 @@ export class AISISScraper {
    * Supports filtering and limiting via environment variables:
    * - CURRICULUM_LIMIT: Take first N degree codes (e.g., "10" for first 10 programs)
    * - CURRICULUM_SAMPLE: Select specific degree codes (e.g., "BS CS_2024_1,BS ME_2023_1")
-   * - CURRICULUM_DELAY_MS: Delay between requests (default: 500ms)
-   *   ⚠️ WARNING: Very low delays (<300ms) increase risk of AISIS session bleed
-   * - CURRICULUM_CONCURRENCY: Number of programs to scrape in parallel (default: 4, max: 10)
-   *   ⚠️ WARNING: Very high concurrency (>6) increases risk of AISIS session bleed
+   *
+   * Requests are paced by the shared adaptive rate limiter (AISIS_CONCURRENCY workers,
+   * AISIS_RATE_LIMIT); detected session bleed slows it down like an AISIS error.
+   *
+   * With AISIS_SESSION_POOL_SIZE > 1, each worker takes its own logged-in session
+   * from a SessionPool (see src/session-pool.js) instead of sharing this one, so
+   * workers can go past the shared-session cap of 4; mismatches are then
+   * reported per session in the summary.
    * 
    * Workflow:
    * 1. GET J_VOFC.do to retrieve list of curriculum versions (degCode dropdown)
@@ -1822,6 +2479,8 @@ export class AISISScraper {
    * 
    * The HTML can be parsed using src/curriculum-parser.js to extract structured course rows.
    * 
+   * Counts for the run are kept in this.lastCurriculumStats ({ requested, successful, failed }).
+   *
    * @returns {Promise<Array>} Array of curriculum records with { degCode, label, html, raw_text }
    */
   async scrapeCurriculum() {
@@ -1829,9 +2488,9 @@ export class AISISScraper {
       throw new Error('Not logged in');
     }
 
-    console.log('\n📚 Scraping Official Curriculum via J_VOFC.do...');
-    console.log('   ⚠️ NOTE: Curriculum scraping is EXPERIMENTAL and UI-dependent');
-    console.log('   This feature may break if AISIS changes the J_VOFC.do page structure.\n');
+    logger.info('\n📚 Scraping Official Curriculum via J_VOFC.do...');
+    logger.info('   ⚠️ NOTE: Curriculum scraping is EXPERIMENTAL and UI-dependent');
+    logger.info('   This feature may break if AISIS changes the J_VOFC.do page structure.\n');
 
     // Check for FAST_MODE early to use in configuration
     const fastMode = process.env.FAST_MODE === 'true';
@@ -1844,58 +2503,33 @@ export class AISISScraper {
       ? process.env.CURRICULUM_SAMPLE.split(',').map(s => s.trim()).filter(s => s)
       : null;
 
-    // Balanced defaults: optimized for reliability while maintaining reasonable performance
-    // Fast mode uses 500ms, normal mode uses 500ms (balanced mode from production testing)
-    // Note: Both modes use same delay now, but structure preserved for future tuning flexibility
-    const defaultCurriculumDelay = fastMode ? 500 : 500;
-    const curriculumDelayEnv = parseInt(process.env.CURRICULUM_DELAY_MS, 10);
-    const curriculumDelayMs = isNaN(curriculumDelayEnv)
-      ? defaultCurriculumDelay
-      : Math.max(0, curriculumDelayEnv);
-
-    // Balanced defaults: Conservative concurrency to prevent AISIS session bleed
-    // Concurrency 4 provides better throughput while maintaining reliability (production tested)
-    // All requests use _scrapeDegreeWithValidation to prevent AISIS session bleed
-    const defaultCurriculumConcurrency = 4;
-    const curriculumConcurrencyEnv = parseInt(process.env.CURRICULUM_CONCURRENCY, 10);
-    const curriculumConcurrency = isNaN(curriculumConcurrencyEnv)
-      ? defaultCurriculumConcurrency
-      : Math.max(1, Math.min(curriculumConcurrencyEnv, 10));
+    // Same workers and rate limiter as schedule scraping. Workers sharing this
+    // session are capped at the session-bleed ceiling; with a session pool,
+    // one worker per session. All requests use _scrapeDegreeWithValidation
+    const poolSize = getSessionPoolSize();
+    let concurrency = poolSize > 1
+      ? Math.min(this.rateLimitConfig.concurrency, poolSize)
+      : Math.min(this.rateLimitConfig.concurrency, CURRICULUM_MAX_WORKERS);
 
     // Log active configuration
-    console.log('⚡ Curriculum scraping configuration:');
-    if (fastMode) console.log('   🚀 FAST_MODE enabled');
-    if (curriculumLimit) console.log(`   🔢 CURRICULUM_LIMIT: ${curriculumLimit}`);
-    if (curriculumSample) console.log(`   🎯 CURRICULUM_SAMPLE: ${curriculumSample.length} specific programs`);
-
-    // Show delay configuration with warnings
-    if (process.env.CURRICULUM_DELAY_MS !== undefined) {
-      console.log(`   ⏱  CURRICULUM_DELAY_MS: ${curriculumDelayMs}ms (override)`);
-      if (curriculumDelayMs < 500) {
-        console.warn(`      ⚠️  Low delay may increase risk of AISIS session bleed`);
-      }
-    } else if (fastMode) {
-      console.log(`   ⏱  CURRICULUM_DELAY_MS: ${curriculumDelayMs}ms (FAST_MODE)`);
-    } else {
-      console.log(`   ⏱  CURRICULUM_DELAY_MS: ${curriculumDelayMs}ms (default - balanced mode)`);
-    }
-
-    // Show concurrency configuration with warnings
-    if (process.env.CURRICULUM_CONCURRENCY !== undefined) {
-      console.log(`   📊 CURRICULUM_CONCURRENCY: ${curriculumConcurrency} (override, max: 10)`);
-      if (curriculumConcurrency > 4) {
-        console.warn(`      ⚠️  High concurrency (>4) may increase risk of AISIS session bleed`);
-      }
+    logger.info('⚡ Curriculum scraping configuration:');
+    if (fastMode) logger.info('   🚀 FAST_MODE enabled');
+    if (curriculumLimit) logger.info(`   🔢 CURRICULUM_LIMIT: ${curriculumLimit}`);
+    if (curriculumSample) logger.info(`   🎯 CURRICULUM_SAMPLE: ${curriculumSample.length} specific programs`);
+    if (poolSize > 1) {
+      logger.info(`   📊 AISIS_CONCURRENCY: ${concurrency} worker(s), one per session`);
+      logger.info(`   🔐 AISIS_SESSION_POOL_SIZE: ${poolSize} sessions`);
     } else {
-      console.log(`   📊 CURRICULUM_CONCURRENCY: ${curriculumConcurrency} (default - balanced mode with validation)`);
+      logger.info(`   📊 AISIS_CONCURRENCY: ${concurrency} worker(s) (max ${CURRICULUM_MAX_WORKERS} for curriculum)`);
     }
-    console.log('');
+    logger.info(`   🚦 Rate limiter: ${this.rateLimiter.getStats().rate} req/s (adapts to AISIS latency and errors)`);
+    logger.info('');
 
     // Get list of all degree programs
     const allDegreePrograms = await this.getDegreePrograms();
 
     if (allDegreePrograms.length === 0) {
-      console.warn('   ⚠️ No curriculum versions found - returning empty array');
+      logger.warn('   ⚠️ No curriculum versions found - returning empty array');
       return [];
     }
 
@@ -1909,38 +2543,52 @@ export class AISISScraper {
 
       const notFound = curriculumSample.filter(code => !allDegreePrograms.some(p => p.degCode === code));
       if (notFound.length > 0) {
-        console.warn(`   ⚠️ CURRICULUM_SAMPLE: ${notFound.length} requested codes not found in AISIS:`);
-        console.warn(`      ${notFound.join(', ')}`);
+        logger.warn(`   ⚠️ CURRICULUM_SAMPLE: ${notFound.length} requested codes not found in AISIS:`);
+        logger.warn(`      ${notFound.join(', ')}`);
       }
 
-      console.log(`   🎯 Filtered to ${degreePrograms.length} programs via CURRICULUM_SAMPLE`);
+      logger.info(`   🎯 Filtered to ${degreePrograms.length} programs via CURRICULUM_SAMPLE`);
     }
     // Apply limit filter (less specific)
     else if (curriculumLimit && curriculumLimit > 0) {
       degreePrograms = allDegreePrograms.slice(0, curriculumLimit);
-      console.log(`   🔢 Limited to first ${degreePrograms.length} programs via CURRICULUM_LIMIT`);
+      logger.info(`   🔢 Limited to first ${degreePrograms.length} programs via CURRICULUM_LIMIT`);
     }
 
     if (degreePrograms.length === 0) {
-      console.warn('   ⚠️ No programs match filters - returning empty array');
+      logger.warn('   ⚠️ No programs match filters - returning empty array');
       return [];
     }
 
+    // Log in the pool's extra sessions (no more than there are workers to use them)
+    let pool = null;
+    if (poolSize > 1) {
+      pool = new SessionPool({
+        main: this,
+        size: Math.min(concurrency, degreePrograms.length),
+        createSession: label => this._createPooledSession(label)
+      });
+      logger.info(`   🔐 Logging in ${pool.size - 1} extra session(s) for the session pool...`);
+      concurrency = await pool.open();
+    }
+
     // Log structured START message with finalized configuration
-    console.log('\n📥 CURRICULUM SCRAPE START', {
+    logger.info('\n📥 CURRICULUM SCRAPE START', {
       total_available: allDegreePrograms.length,
       requested: degreePrograms.length,
       fast_mode: fastMode,
-      concurrency: curriculumConcurrency,
-      delay_ms: curriculumDelayMs
+      concurrency,
+      sessions: pool ? pool.sessions.length : 1,
+      rate_limit: this.rateLimiter.getStats().rate
     });
 
     // Initialize indexed accumulator for deterministic ordering
     const allCurricula = new Array(degreePrograms.length).fill(null);
     let successCount = 0;
     let failureCount = 0;
+    const failuresByCode = {};
 
-    console.log(`   📖 Processing ${degreePrograms.length} of ${allDegreePrograms.length} curriculum versions...\n`);
+    logger.info(`   📖 Processing ${degreePrograms.length} of ${allDegreePrograms.length} curriculum versions...\n`);
 
     // Track progress for ETA calculation
     const startTime = Date.now();
@@ -1959,140 +2607,71 @@ export class AISISScraper {
       const etaMs = remaining / rate;
       const etaSec = Math.round(etaMs / 1000);
 
-      console.log(`   📊 Progress: ${index}/${total} (${Math.round(index / total * 100)}%) - ETA: ${etaSec}s`);
+      logger.info(`   📊 Progress: ${index}/${total} (${Math.round(index / total * 100)}%) - ETA: ${etaSec}s`);
     };
 
-    // Scrape degree programs with configurable concurrency
-    if (curriculumConcurrency === 1) {
-      // Sequential scraping (ultra-safe mode, opt-in via CURRICULUM_CONCURRENCY=1)
-      console.log(`   🔒 Using sequential scraping (ultra-safe mode)`);
-      for (let i = 0; i < degreePrograms.length; i++) {
-        const { degCode, label } = degreePrograms[i];
-        console.log(`   [${i + 1}/${degreePrograms.length}] Scraping ${degCode} (${label})...`);
+    // Workers pull the next program as soon as they finish one
+    logger.info(`   🚦 Work queue: ${degreePrograms.length} programs, ${Math.min(concurrency, degreePrograms.length)} workers`);
+    logger.info(`      ℹ️  All requests validated via _scrapeDegreeWithValidation to prevent session bleed`);
+    let completed = 0;
+
+    const scrapeProgram = async ({ degCode, label }, index) => {
+      const resumedProgram = this._resumeProgram(degCode);
+      if (resumedProgram) {
+        allCurricula[index] = resumedProgram;
+        successCount++;
+        completed++;
+        return;
+      }
 
-        try {
-          // Use validation wrapper to ensure HTML matches requested program
-          const html = await this._scrapeDegreeWithValidation(degCode, label);
-          const rawText = this._flattenCurriculumHtmlToText(html);
+      // With a session pool, this program's requests all go through one session
+      // that no other worker is using meanwhile
+      const session = pool ? await pool.acquire() : this;
 
-          allCurricula[i] = {
+      try {
+        // Use validation wrapper to ensure HTML matches requested program
+        const html = await session._scrapeDegreeWithValidation(degCode, label);
+        const rawText = this._flattenCurriculumHtmlToText(html);
+
+        allCurricula[index] = {
+          degCode,
+          label,
+          html,          // Include HTML for structured parsing
+          raw_text: rawText
+        };
+        this._checkpointProgram(allCurricula[index]);
+
+        successCount++;
+        logger.info(`   ✅ [${index + 1}/${degreePrograms.length}] ${degCode}: ${html.length} chars HTML, ${rawText.length} chars text`);
+      } catch (error) {
+        // Special handling for AISIS error page - mark as unavailable
+        if (error instanceof AisisErrorPageError) {
+          allCurricula[index] = {
             degCode,
             label,
-            html,          // Include HTML for structured parsing
-            raw_text: rawText
+            status: 'unavailable',
+            reason: 'aisis_error_page',
+            error: 'AISIS returned system error page on all attempts'
           };
-
-          successCount++;
-          console.log(`   ✅ ${degCode}: ${html.length} characters HTML, ${rawText.length} characters text`);
-
-          // Log periodic progress
-          logProgress(i + 1, degreePrograms.length);
-
-          // Polite delay between requests
-          if (i < degreePrograms.length - 1 && curriculumDelayMs > 0) {
-            await this._delay(curriculumDelayMs);
-          }
-
-        } catch (error) {
-          // Special handling for AISIS error page - mark as unavailable
-          if (error.message.startsWith('AISIS_ERROR_PAGE:')) {
-            allCurricula[i] = {
-              degCode,
-              label,
-              status: 'unavailable',
-              reason: 'aisis_error_page',
-              error: 'AISIS returned system error page on all attempts'
-            };
-            failureCount++;
-          } else {
-            failureCount++;
-            console.error(`   ❌ ${degCode}: ${error.message}`);
-          }
-          // Continue with next curriculum instead of failing entirely
+        } else {
+          logger.error(`   ❌ [${index + 1}/${degreePrograms.length}] ${degCode}: ${error.message}`);
         }
+        const code = errorCode(error);
+        failuresByCode[code] = (failuresByCode[code] || 0) + 1;
+        failureCount++;
+        // Continue with next curriculum instead of failing entirely
+      } finally {
+        if (pool) pool.release(session);
       }
-    } else {
-      // Concurrent scraping with validation (balanced default mode)
-      console.log(`   ⚡ Using concurrent scraping with concurrency ${curriculumConcurrency}`);
-      console.log(`      ℹ️  All requests validated via _scrapeDegreeWithValidation to prevent session bleed`);
-
-      for (let i = 0; i < degreePrograms.length; i += curriculumConcurrency) {
-        const batch = degreePrograms.slice(i, i + curriculumConcurrency);
-        const batchNum = Math.floor(i / curriculumConcurrency) + 1;
-        const totalBatches = Math.ceil(degreePrograms.length / curriculumConcurrency);
-
-        console.log(`   📦 Batch ${batchNum}/${totalBatches} (${batch.map(p => p.degCode).join(', ')})...`);
-
-        const batchPromises = batch.map(async ({ degCode, label }, batchIndex) => {
-          const globalIndex = i + batchIndex;
-          try {
-            // Use validation wrapper even in concurrent mode
-            const html = await this._scrapeDegreeWithValidation(degCode, label);
-            const rawText = this._flattenCurriculumHtmlToText(html);
-
-            console.log(`   ✅ [${globalIndex + 1}/${degreePrograms.length}] ${degCode}: ${html.length} chars HTML`);
-
-            return {
-              success: true,
-              globalIndex,
-              data: {
-                degCode,
-                label,
-                html,
-                raw_text: rawText
-              }
-            };
-          } catch (error) {
-            // Special handling for AISIS error page
-            if (error.message.startsWith('AISIS_ERROR_PAGE:')) {
-              return {
-                success: false,
-                globalIndex,
-                isUnavailable: true,
-                data: {
-                  degCode,
-                  label,
-                  status: 'unavailable',
-                  reason: 'aisis_error_page',
-                  error: 'AISIS returned system error page on all attempts'
-                }
-              };
-            } else {
-              console.error(`   ❌ [${globalIndex + 1}/${degreePrograms.length}] ${degCode}: ${error.message}`);
-              return {
-                success: false,
-                globalIndex,
-                error: error.message
-              };
-            }
-          }
-        });
-
-        const batchResults = await Promise.all(batchPromises);
-
-        // Store results in indexed accumulator for deterministic ordering
-        for (const result of batchResults) {
-          if (result.success) {
-            allCurricula[result.globalIndex] = result.data;
-            successCount++;
-          } else if (result.isUnavailable) {
-            // Store unavailable curricula so they're tracked
-            allCurricula[result.globalIndex] = result.data;
-            failureCount++;
-          } else {
-            failureCount++;
-          }
-        }
 
-        // Log periodic progress
-        logProgress(i + batch.length, degreePrograms.length);
+      // Log periodic progress
+      completed++;
+      logProgress(completed, degreePrograms.length);
+    };
 
-        // Delay between batches (but not after the last batch)
-        if (i + curriculumConcurrency < degreePrograms.length && curriculumDelayMs > 0) {
-          await this._delay(curriculumDelayMs);
-        }
-      }
-    }
+    // Lines logged while scraping a program (including retries) carry its degCode
+    await runWorkQueue(degreePrograms, (program, index) =>
+      withLogContext({ degCode: program.degCode }, () => scrapeProgram(program, index)), { concurrency });
 
     // Force final progress log
     logProgress(degreePrograms.length, degreePrograms.length, true);
@@ -2100,21 +2679,33 @@ export class AISISScraper {
     // Filter out nulls to get final ordered curricula (preserves source order)
     const orderedCurricula = allCurricula.filter(Boolean);
 
-    console.log(`\n   📊 Curriculum Scraping Summary:`);
-    console.log(`      Total available: ${allDegreePrograms.length}`);
-    console.log(`      Requested: ${degreePrograms.length}`);
-    console.log(`      Successful: ${successCount}`);
-    console.log(`      Failed: ${failureCount}`);
+    logger.info(`\n   📊 Curriculum Scraping Summary:`);
+    logger.info(`      Total available: ${allDegreePrograms.length}`);
+    logger.info(`      Requested: ${degreePrograms.length}`);
+    logger.info(`      Successful: ${successCount}`);
+    logger.info(`      Failed: ${failureCount}${formatFailureCodes(failuresByCode)}`);
     const totalTime = Date.now() - startTime;
-    console.log(`      Total time: ${(totalTime / 1000).toFixed(1)}s`);
-    console.log(`   📚 Total curriculum versions scraped: ${orderedCurricula.length}\n`);
+    logger.info(`      Total time: ${(totalTime / 1000).toFixed(1)}s`);
+    const limiterStats = this.rateLimiter.getStats();
+    logger.info(`      Rate limiter: ${limiterStats.rate} req/s, ${limiterStats.errors} error(s), ${limiterStats.slowdowns} slowdown(s)`);
+    const sessionStats = pool ? pool.getStats() : null;
+    if (sessionStats) {
+      logger.info(`      Sessions: ${sessionStats.length}`);
+      for (const { session, programs, mismatches } of sessionStats) {
+        logger.info(`         ${mismatches > 0 ? '⚠️ ' : '✅'} ${session}: ${programs} program(s), ${mismatches} mismatch(es)`);
+      }
+    }
+    logger.info(`   📚 Total curriculum versions scraped: ${orderedCurricula.length}\n`);
+    this.lastCurriculumStats = { requested: degreePrograms.length, successful: successCount, failed: failureCount };
 
     // Structured completion log for easier grepping and alignment with schedules
-    console.log('✅ CURRICULUM SCRAPE COMPLETE', {
+    logger.info('✅ CURRICULUM SCRAPE COMPLETE', {
       total_available: allDegreePrograms.length,
       requested: degreePrograms.length,
       successful: successCount,
       failed: failureCount,
+      failures_by_code: failuresByCode,
+      session_pool: sessionStats || undefined,
       total_scraped: orderedCurricula.length,
       duration_ms: totalTime
     });
@@ -2122,14 +2713,39 @@ export class AISISScraper {
     return orderedCurricula;
   }
 
+  /**
+   * Create one extra session for the curriculum session pool
+   *
+   * The new scraper logs into the same account with its own cookie jar and
+   * saves its session under its own key, so it never overwrites this one.
+   * Transport, rate limiter, retry policies and _delay are shared.
+   *
+   * @param {string} label - Session name (e.g., 'session-2')
+   * @returns {AISISScraper} Scraper that still needs init() and login()
+   */
+  _createPooledSession(label) {
+    const session = new AISISScraper(this.username, this.password, {
+      baseUrl: this.baseUrl,
+      transport: this.transport,
+      rateLimiter: this.rateLimiter,
+      retryPolicies: this.retryPolicies,
+      sessionStore: this.sessionStore,
+      sessionKey: `${this.username}#${label}`,
+      sessionLabel: label
+    });
+    session._delay = ms => this._delay(ms);
+    return session;
+  }
+
   /**
    * Scrape a single degree program curriculum by degCode
    * 
+   * Not retried here; _scrapeDegreeWithValidation retries per the curriculum retry policy.
+   *
    * @param {string} degCode - Curriculum version identifier (e.g., 'BS CS_2024_1')
-   * @param {number} retryCount - Current retry attempt (for internal use)
    * @returns {Promise<string>} Raw HTML of the curriculum page
    */
-  async _scrapeDegree(degCode, retryCount = 0) {
+  async _scrapeDegree(degCode) {
     const formData = new URLSearchParams();
     formData.append('degCode', degCode);
 
@@ -2141,35 +2757,27 @@ export class AISISScraper {
           'Content-Type': 'application/x-www-form-urlencoded',
           'Origin': this.baseUrl,
           'Referer': `${this.baseUrl}/j_aisis/J_VOFC.do`
-        }
+        },
+        timeoutMs: this.retryPolicies.curriculum.timeoutMs
       });
 
       if (!response.ok) {
-        const errorMsg = `HTTP ${response.status} for degCode ${degCode}`;
-
-        // Retry on 5xx errors (server errors)
-        if (response.status >= 500 && response.status < 600 && retryCount < RETRY_CONFIG.MAX_RETRIES) {
-          console.log(`   ⚠️ ${errorMsg} - retrying in ${RETRY_CONFIG.RETRY_DELAY_MS / 1000} seconds...`);
-          await this._delay(RETRY_CONFIG.RETRY_DELAY_MS);
-          return this._scrapeDegree(degCode, retryCount + 1);
-        }
-
-        throw new Error(errorMsg);
+        throw new HttpStatusError(`HTTP ${response.status} for degCode ${degCode}`, { status: response.status, degCode });
       }
 
       const html = await response.text();
 
       // Check for session expiry
       if (LOGIN_FAILURE_MARKERS.some(marker => html.includes(marker))) {
-        throw new Error('Session expired while scraping curriculum');
+        throw new SessionExpiredError('Session expired while scraping curriculum', { degCode });
       }
 
       return html;
 
     } catch (error) {
-      // Re-throw with more context if not already detailed
+      // Prefix the program for logs, keeping the error's type and code
       if (!error.message.includes(degCode)) {
-        throw new Error(`${degCode}: ${error.message}`);
+        error.message = `${degCode}: ${error.message}`;
       }
       throw error;
     }
@@ -2244,7 +2852,7 @@ export class AISISScraper {
    * The new curriculum scraper uses J_VOFC.do via _scrapeDegree().
    */
   async _scrapeDegreeProgram(degreeCode, retryCount = 0) {
-    console.warn(`⚠️ _scrapeDegreeProgram() is deprecated - use _scrapeDegree() instead`);
+    logger.warn(`⚠️ _scrapeDegreeProgram() is deprecated - use _scrapeDegree() instead`);
     return [];
   }
 }
@@ -0,0 +1,131 @@
+import { logger } from './logger.js';
+
+/**
+ * Pool of independently logged-in AISIS sessions for curriculum scraping
+ *
+ * AISIS session bleed (J_VOFC.do answering with another program's curriculum)
+ * comes from many concurrent curriculum posts sharing one session. The pool
+ * holds N scrapers logged into the same account, each with its own cookie jar,
+ * and hands one to each worker at a time, so no two in-flight curriculum
+ * requests ever share a session. Pooled scrapers share the main scraper's rate
+ * limiter, transport and retry policies; each saves its session under its own
+ * key in the session store (see src/session-store.js).
+ *
+ * The pool counts programs and mismatches per session, so a mismatch that
+ * still happens can be traced to the session that produced it.
+ *
+ * Configuration environment variables:
+ * - AISIS_SESSION_POOL_SIZE: Sessions (and curriculum workers) to use, 1-16 (default: 1, no pool)
+ */
+
+export const DEFAULT_SESSION_POOL_SIZE = 1;
+export const MAX_SESSION_POOL_SIZE = 16;
+
+/**
+ * Get the session pool size from environment variables or defaults
+ * @returns {number} Pool size (1 = single shared session)
+ */
+export function getSessionPoolSize() {
+  const sizeEnv = parseInt(process.env.AISIS_SESSION_POOL_SIZE, 10);
+  if (isNaN(sizeEnv)) {
+    return DEFAULT_SESSION_POOL_SIZE;
+  }
+  if (sizeEnv < 1 || sizeEnv > MAX_SESSION_POOL_SIZE) {
+    logger.warn(`   ⚠️  AISIS_SESSION_POOL_SIZE=${sizeEnv} out of range (1-${MAX_SESSION_POOL_SIZE}) - using ${DEFAULT_SESSION_POOL_SIZE}`);
+    return DEFAULT_SESSION_POOL_SIZE;
+  }
+  return sizeEnv;
+}
+
+export class SessionPool {
+  /**
+   * @param {Object} options
+   * @param {AISISScraper} options.main - Already logged-in scraper, used as session-1
+   * @param {number} options.size - Total sessions, including main
+   * @param {Function} options.createSession - (label) => AISISScraper for an extra session
+   */
+  constructor({ main, size, createSession }) {
+    this.main = main;
+    this.size = size;
+    this.createSession = createSession;
+    this.sessions = [];
+    this.idle = [];
+    this.waiting = [];
+    this.stats = new Map();
+  }
+
+  /**
+   * Log in the extra sessions (one at a time, to go easy on AISIS)
+   *
+   * A session that fails to log in is left out with a warning; the pool
+   * shrinks rather than failing the run.
+   *
+   * @returns {Promise<number>} Sessions available
+   */
+  async open() {
+    this._add(this.main, 'session-1');
+
+    for (let i = 2; i <= this.size; i++) {
+      const label = `session-${i}`;
+      const session = this.createSession(label);
+      try {
+        await session.init();
+        if (await session.login()) {
+          this._add(session, label);
+        } else {
+          logger.warn(`   ⚠️  ${label}: login failed - continuing with ${this.sessions.length} session(s)`);
+        }
+      } catch (error) {
+        logger.warn(`   ⚠️  ${label}: login failed (${error.message}) - continuing with ${this.sessions.length} session(s)`);
+      }
+    }
+
+    return this.sessions.length;
+  }
+
+  /**
+   * Take an idle session, waiting for one if all are in use
+   * @returns {Promise<AISISScraper>}
+   */
+  async acquire() {
+    const session = this.idle.shift() || await new Promise(resolve => this.waiting.push(resolve));
+    this.stats.get(session).programs++;
+    return session;
+  }
+
+  /**
+   * Return a session taken with acquire()
+   * @param {AISISScraper} session
+   */
+  release(session) {
+    const next = this.waiting.shift();
+    if (next) {
+      next(session);
+    } else {
+      this.idle.push(session);
+    }
+  }
+
+  /**
+   * Programs and curriculum mismatches per session
+   *
+   * @returns {Array<{session: string, programs: number, mismatches: number}>}
+   *
+   * @example
+   * pool.getStats() // [{ session: 'session-1', programs: 12, mismatches: 0 }, { session: 'session-2', programs: 11, mismatches: 1 }]
+   */
+  getStats() {
+    return this.sessions.map(session => ({
+      session: session.sessionLabel,
+      programs: this.stats.get(session).programs,
+      mismatches: session.curriculumMismatches
+    }));
+  }
+
+  _add(session, label) {
+    session.sessionLabel = label;
+    this.sessions.push(session);
+    this.idle.push(session);
+    this.stats.set(session, { programs: 0 });
+  }
+}
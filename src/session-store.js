@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+/**
+ * Per-account storage for AISIS session cookies
+ *
+ * Each account's cookie jar is saved to its own file, named after a hash of
+ * the username, so two scrapers on the same runner (different accounts, or
+ * the same account in different working directories) never read or overwrite
+ * each other's session. Files are written atomically (temp file + rename) and
+ * readable by the owner only (0600, directory 0700).
+ *
+ * Every file records when it was saved and when it expires; expired sessions
+ * are ignored on load so the scraper logs in fresh.
+ *
+ * With AISIS_SESSION_SECRET set, the jar is encrypted with AES-256-GCM. The
+ * key is derived from the secret with HKDF and a per-file salt, and the
+ * account hash and expiry are authenticated along with the jar, so neither
+ * can be edited or swapped between files. Plaintext files from before the
+ * secret was set are still loaded once and encrypted on the next save.
+ *
+ * Configuration environment variables:
+ * - AISIS_SESSION_DIR: Directory for session files (default: .sessions)
+ * - AISIS_SESSION_SECRET: Secret to encrypt session files with (default: unset, plaintext)
+ * - AISIS_SESSION_TTL_MS: How long a saved session is reused (default: 21600000 = 6 hours)
+ */
+
+export const DEFAULT_SESSION_DIR = '.sessions';
+export const DEFAULT_SESSION_TTL_MS = 6 * 60 * 60 * 1000;
+
+const FORMAT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+const KEY_INFO = 'aisis-session-store';
+
+/**
+ * Get the session TTL from environment variables or defaults
+ * @returns {number} TTL in milliseconds
+ */
+export function getSessionTtlMs() {
+  const ttlEnv = parseInt(process.env.AISIS_SESSION_TTL_MS, 10);
+  return isNaN(ttlEnv) || ttlEnv < 0 ? DEFAULT_SESSION_TTL_MS : ttlEnv;
+}
+
+/**
+ * Stable, non-reversible account identifier used in file names and metadata
+ * @param {string} username - AISIS username
+ * @returns {string} First 16 hex characters of the username's SHA-256
+ */
+function accountHash(username) {
+  return crypto.createHash('sha256').update(String(username)).digest('hex').slice(0, 16);
+}
+
+export class SessionStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.dir - Directory for session files
+   * @param {string|null} options.secret - Encryption secret (null/empty: plaintext)
+   * @param {number} options.ttlMs - How long a saved session is reused
+   * @param {Function} options.now - () => milliseconds (default: Date.now; used by tests)
+   */
+  constructor({
+    dir = process.env.AISIS_SESSION_DIR || DEFAULT_SESSION_DIR,
+    secret = process.env.AISIS_SESSION_SECRET || null,
+    ttlMs = getSessionTtlMs(),
+    now = Date.now
+  } = {}) {
+    this.dir = dir;
+    this.secret = secret || null;
+    this.ttlMs = ttlMs;
+    this.now = now;
+  }
+
+  /**
+   * Session file of an account
+   * @param {string} username - AISIS username
+   * @returns {string} File path (e.g., '.sessions/session-3f2a9c0d1e4b5a67.json')
+   */
+  fileFor(username) {
+    return path.join(this.dir, `session-${accountHash(username)}.json`);
+  }
+
+  /**
+   * Save an account's serialized cookie jar
+   *
+   * @param {string} username - AISIS username
+   * @param {Object} jar - CookieJar.serializeSync() output
+   * @returns {{file: string, expires_at: string, encrypted: boolean}}
+   */
+  save(username, jar) {
+    const account = accountHash(username);
+    const savedAtMs = this.now();
+    const record = {
+      version: FORMAT_VERSION,
+      account,
+      saved_at: new Date(savedAtMs).toISOString(),
+      expires_at: new Date(savedAtMs + this.ttlMs).toISOString(),
+      encrypted: Boolean(this.secret)
+    };
+
+    if (this.secret) {
+      Object.assign(record, this._encrypt(JSON.stringify(jar), record));
+    } else {
+      record.jar = jar;
+    }
+
+    const file = this.fileFor(username);
+    fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+
+    // Write to a private temp file first so concurrent writers never leave a half-written session
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    try {
+      fs.writeFileSync(tempFile, JSON.stringify(record, null, 2), { mode: 0o600 });
+      fs.renameSync(tempFile, file);
+    } catch (error) {
+      fs.rmSync(tempFile, { force: true });
+      throw error;
+    }
+
+    return { file, expires_at: record.expires_at, encrypted: record.encrypted };
+  }
+
+  /**
+   * Load an account's saved cookie jar
+   *
+   * @param {string} username - AISIS username
+   * @returns {{jar: Object, saved_at: string, expires_at: string, encrypted: boolean}|null}
+   *   null if there is no usable session (missing, expired, another account's,
+   *   encrypted without the right secret, or unreadable)
+   */
+  load(username) {
+    const file = this.fileFor(username);
+    if (!fs.existsSync(file)) {
+      return null;
+    }
+
+    try {
+      const record = JSON.parse(fs.readFileSync(file, 'utf-8'));
+
+      if (record.account !== accountHash(username)) {
+        logger.warn(`   ⚠️  Ignoring session file ${file}: saved for another account`);
+        return null;
+      }
+
+      if (Date.parse(record.expires_at) <= this.now()) {
+        logger.info(`   ⌛ Saved session expired at ${record.expires_at} - logging in fresh`);
+        return null;
+      }
+
+      if (record.encrypted && !this.secret) {
+        logger.warn(`   ⚠️  Ignoring encrypted session file ${file}: AISIS_SESSION_SECRET is not set`);
+        return null;
+      }
+
+      const jar = record.encrypted ? JSON.parse(this._decrypt(record)) : record.jar;
+      return { jar, saved_at: record.saved_at, expires_at: record.expires_at, encrypted: Boolean(record.encrypted) };
+    } catch (error) {
+      logger.warn(`   ⚠️  Ignoring unreadable session file ${file}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Delete an account's saved session (e.g., after AISIS rejected the login)
+   * @param {string} username - AISIS username
+   */
+  clear(username) {
+    fs.rmSync(this.fileFor(username), { force: true });
+  }
+
+  /**
+   * Metadata authenticated with the encrypted jar
+   * @param {Object} record - Session record (account, expires_at)
+   * @returns {Buffer}
+   */
+  _aad(record) {
+    return Buffer.from(`${record.version}|${record.account}|${record.expires_at}`);
+  }
+
+  _key(salt) {
+    return Buffer.from(crypto.hkdfSync('sha256', this.secret, salt, KEY_INFO, 32));
+  }
+
+  /**
+   * @param {string} plaintext - Serialized jar
+   * @param {Object} record - Session record the ciphertext belongs to
+   * @returns {{cipher: string, salt: string, iv: string, tag: string, data: string}} Base64 fields
+   */
+  _encrypt(plaintext, record) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this._key(salt), iv);
+    cipher.setAAD(this._aad(record));
+    const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return {
+      cipher: CIPHER,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  /**
+   * @param {Object} record - Encrypted session record
+   * @returns {string} Serialized jar
+   * @throws {Error} If the secret is wrong or the file was modified
+   */
+  _decrypt(record) {
+    if (record.cipher !== CIPHER) {
+      throw new Error(`unsupported cipher ${record.cipher}`);
+    }
+
+    const decipher = crypto.createDecipheriv(CIPHER, this._key(Buffer.from(record.salt, 'base64')), Buffer.from(record.iv, 'base64'));
+    decipher.setAAD(this._aad(record));
+    decipher.setAuthTag(Buffer.from(record.tag, 'base64'));
+
+    try {
+      return Buffer.concat([decipher.update(Buffer.from(record.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch {
+      throw new Error('decryption failed (wrong AISIS_SESSION_SECRET or modified file)');
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import { google } from 'googleapis';
+import { logger } from './logger.js';
 
 export class GoogleSheetsManager {
   constructor(serviceAccountBase64) {
@@ -18,11 +19,11 @@ export class GoogleSheetsManager {
    */
   async syncData(spreadsheetId, sheetName, data) {
     if (!data || data.length === 0) {
-      console.log(`   ⚠️ Sheets: No data to sync for [${sheetName}]`);
+      logger.info(`   ⚠️ Sheets: No data to sync for [${sheetName}]`);
       return;
     }
 
-    console.log(`   📊 Sheets: Syncing ${data.length} rows to [${sheetName}]...`);
+    logger.info(`   📊 Sheets: Syncing ${data.length} rows to [${sheetName}]...`);
 
     // 1. Extract Headers from the first object
     const headers = Object.keys(data[0]);
@@ -52,11 +53,11 @@ export class GoogleSheetsManager {
         resource: { values },
       });
 
-      console.log(`   ✅ Sheets: Successfully updated [${sheetName}]`);
+      logger.info(`   ✅ Sheets: Successfully updated [${sheetName}]`);
     } catch (error) {
-      console.error(`   ❌ Sheets Error [${sheetName}]:`, error.message);
+      logger.error(`   ❌ Sheets Error [${sheetName}]: ${error.message}`);
       if (error.message.includes('Unable to parse range')) {
-        console.warn(`      👉 Tip: Make sure a tab named "${sheetName}" exists in your Google Sheet.`);
+        logger.warn(`      👉 Tip: Make sure a tab named "${sheetName}" exists in your Google Sheet.`);
       }
     }
   }
@@ -0,0 +1,118 @@
+/**
+ * Subject-level sharding for large departments
+ *
+ * A department scraped with subjCode=ALL comes back as one page; for
+ * departments with hundreds of sections that page is slow, and when it fails
+ * the whole department is retried. Sharding scrapes the department one
+ * subject (subjCode dropdown value) at a time instead, so a failing subject is
+ * retried on its own, then merges the subject results back into one department.
+ *
+ * Departments are sharded when:
+ * - They are listed in AISIS_SHARD_DEPARTMENTS (always sharded, with a
+ *   cross-check against one ALL fetch when it succeeds)
+ * - Their subjCode=ALL fetch failed because of the page's size (a timeout, a
+ *   gateway timeout or a truncated page) and the department job is being
+ *   retried; other failures retry the subjCode=ALL fetch
+ *
+ * Configuration environment variables:
+ * - AISIS_SHARD_DEPARTMENTS: Comma-separated department codes to always scrape by subject (e.g., MA,PE)
+ */
+
+import { RequestTimeoutError, TruncatedPageError, HttpStatusError } from './errors.js';
+
+/**
+ * Get the departments to always scrape by subject
+ * @returns {Set<string>} Department codes (empty when AISIS_SHARD_DEPARTMENTS is unset)
+ */
+export function getShardedDepartments() {
+  return new Set(
+    (process.env.AISIS_SHARD_DEPARTMENTS || '')
+      .split(',')
+      .map(code => code.trim())
+      .filter(Boolean)
+  );
+}
+
+/**
+ * Whether a failed subjCode=ALL fetch looks like the page was too large to load
+ *
+ * Only these failures are retried one subject at a time; smaller pages fail
+ * less often, but anything else (a 503, an error page, an expired session)
+ * would fail the subject pages just the same.
+ *
+ * @param {Error} error - Error from the department's previous attempt
+ * @returns {boolean} True for request timeouts, HTTP 504 and truncated pages
+ *
+ * @example
+ * isPageSizeFailure(new RequestTimeoutError('Request timeout'))      // returns true
+ * isPageSizeFailure(new HttpStatusError('HTTP 503', { status: 503 })) // returns false
+ */
+export function isPageSizeFailure(error) {
+  if (!error) return false;
+  if (error.code === HttpStatusError.code) return error.status === 504;
+  return error.code === RequestTimeoutError.code || error.code === TruncatedPageError.code;
+}
+
+/**
+ * Key identifying one section of a course
+ * @param {Object} course - Parsed course
+ * @returns {string} "SUBJECT CODE|SECTION"
+ */
+function sectionKey(course) {
+  return `${course.subject_code}|${course.section}`;
+}
+
+/**
+ * Merge subject shards into one department result
+ *
+ * A section can come back in more than one shard (e.g., a cross-listed
+ * subject matching two subjCode filters); the first copy is kept.
+ *
+ * @param {Array<Array<Object>>} shards - Parsed courses per subject, in subject order
+ * @returns {{courses: Array<Object>, duplicates: number}} Merged courses and the number of dropped duplicates
+ *
+ * @example
+ * mergeSubjectShards([[csci21A], [csci21A, math10B]])
+ * // returns { courses: [csci21A, math10B], duplicates: 1 }
+ */
+export function mergeSubjectShards(shards) {
+  const seen = new Set();
+  const courses = [];
+  let duplicates = 0;
+
+  for (const shard of shards) {
+    for (const course of shard) {
+      const key = sectionKey(course);
+      if (seen.has(key)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(key);
+      courses.push(course);
+    }
+  }
+
+  return { courses, duplicates };
+}
+
+/**
+ * Compare merged shards with the department's subjCode=ALL result
+ *
+ * @param {Array<Object>} merged - Courses merged from subject shards
+ * @param {Array<Object>} all - Courses from the subjCode=ALL fetch
+ * @returns {{matched: boolean, missing: Array<Object>, extra: Array<Object>}}
+ *   missing: sections only in the ALL result; extra: sections only in the shards
+ *
+ * @example
+ * crossCheckShards([csci21A], [csci21A, csci21B])
+ * // returns { matched: false, missing: [csci21B], extra: [] }
+ */
+export function crossCheckShards(merged, all) {
+  const mergedKeys = new Set(merged.map(sectionKey));
+  const allKeys = new Set(all.map(sectionKey));
+
+  const missing = all.filter(course => !mergedKeys.has(sectionKey(course)));
+  const extra = merged.filter(course => !allKeys.has(sectionKey(course)));
+
+  return { matched: missing.length === 0 && extra.length === 0, missing, extra };
+}
@@ -1,6 +1,13 @@
 // Add this import at the top
 import fetch from 'node-fetch';
 import { validateScheduleRecord, isHeaderLikeRecord, SAMPLE_INVALID_RECORDS_COUNT } from './constants.js';
+import { parseTimePattern, summarizeMeetings } from './meeting-parser.js';
+import { parseInstructors } from './instructor-parser.js';
+import { parseRooms } from './room-parser.js';
+import { interpretRemarks } from './remarks-parser.js';
+import { SyncAbortedError, HttpStatusError } from './errors.js';
+import { getRetryPolicies } from './retry-policy.js';
+import { logger } from './logger.js';
 
 // Constants for sync operations
 const MULTI_PROGRAM_LABEL = 'MULTI_PROGRAM';
@@ -86,21 +93,24 @@ export class SupabaseManager {
     }
     this.url = `${baseUrl}/functions/v1/github-data-ingest`;
 
+    // Attempts, backoff, timeout and retryable statuses for ingest requests (see src/retry-policy.js)
+    this.retryPolicy = getRetryPolicies().ingest;
+
     // Log configuration (without exposing secrets)
-    console.log(`   🔧 Supabase configuration:`);
-    console.log(`      URL: ${baseUrl.substring(0, 30)}... (${baseUrl.length} chars)`);
-    console.log(`      Token: [REDACTED] (${ingestToken.length} chars)`);
-    console.log(`      Endpoint: ${this.url}`);
+    logger.info(`   🔧 Supabase configuration:`);
+    logger.info(`      URL: ${baseUrl.substring(0, 30)}... (${baseUrl.length} chars)`);
+    logger.info(`      Token: [REDACTED] (${ingestToken.length} chars)`);
+    logger.info(`      Endpoint: ${this.url}`);
 
     // Multi-university support: read university code from environment, default to ADMU
     const envUniversityCode = process.env.UNIVERSITY_CODE || DEFAULT_UNIVERSITY_CODE;
     if (!VALID_UNIVERSITY_CODES.includes(envUniversityCode)) {
-      console.warn(`   ⚠️ Invalid UNIVERSITY_CODE "${envUniversityCode}", defaulting to ${DEFAULT_UNIVERSITY_CODE}. Valid codes: ${VALID_UNIVERSITY_CODES.join(', ')}`);
+      logger.warn(`   ⚠️ Invalid UNIVERSITY_CODE "${envUniversityCode}", defaulting to ${DEFAULT_UNIVERSITY_CODE}. Valid codes: ${VALID_UNIVERSITY_CODES.join(', ')}`);
       this.universityCode = DEFAULT_UNIVERSITY_CODE;
     } else {
       this.universityCode = envUniversityCode;
     }
-    console.log(`   🏫 SupabaseManager initialized for university: ${this.universityCode}`);
+    logger.info(`   🏫 SupabaseManager initialized for university: ${this.universityCode}`);
   }
 
   async logEvent(level, message, eventType = 'external_scraper_event', details = {}) {
@@ -128,7 +138,7 @@ export class SupabaseManager {
         body: JSON.stringify(payload)
       });
     } catch (e) {
-      console.error('Failed to send log to Supabase:', e.message);
+      logger.error(`Failed to send log to Supabase: ${e.message}`);
     }
   }
 
@@ -153,11 +163,11 @@ export class SupabaseManager {
    * @returns {object} { safe: boolean, reason: string, failedDepartments: Array }
    */
   validateDepartmentHealth(termCode, departmentsArray, baselineManager = null) {
-    console.log(`\n🏥 Department Health Check for term ${termCode}...`);
+    logger.info(`\n🏥 Department Health Check for term ${termCode}...`);
 
     // If no baseline manager provided, skip regression checks
     if (!baselineManager) {
-      console.log(`   ℹ️  No baseline manager provided - skipping regression checks`);
+      logger.info(`   ℹ️  No baseline manager provided - skipping regression checks`);
       return { safe: true, reason: 'No baseline manager', failedDepartments: [] };
     }
 
@@ -174,8 +184,8 @@ export class SupabaseManager {
         .map(r => r.department);
 
       const reason = `Critical department regressions detected: ${criticalDepts.join(', ')}`;
-      console.error(`   ❌ ${reason}`);
-      console.error(`   🚫 Will NOT use replace_existing=true to prevent data loss`);
+      logger.error(`   ❌ ${reason}`);
+      logger.error(`   🚫 Will NOT use replace_existing=true to prevent data loss`);
 
       return {
         safe: false,
@@ -185,7 +195,7 @@ export class SupabaseManager {
       };
     }
 
-    console.log(`   ✅ Department health check passed`);
+    logger.info(`   ✅ Department health check passed`);
     return { safe: true, reason: 'No critical regressions', failedDepartments: [] };
   }
 
@@ -243,7 +253,7 @@ export class SupabaseManager {
   }
 
   async syncToSupabase(dataType, data, termCode = null, department = null, programCode = null, healthCheck = null) {
-    console.log(`   ☁️ Supabase: Syncing ${data.length} ${dataType} records...`);
+    logger.info(`   ☁️ Supabase: Syncing ${data.length} ${dataType} records...`);
 
     // Defensive: ensure each record has necessary metadata if missing
     const normalizedData = data.map(record => {
@@ -273,11 +283,11 @@ export class SupabaseManager {
       batches.push(normalizedData.slice(i, i + CLIENT_BATCH_SIZE));
     }
 
-    console.log(`   📦 Split into ${batches.length} client-side batch(es) of up to ${CLIENT_BATCH_SIZE} records each`);
+    logger.info(`   📦 Split into ${batches.length} client-side batch(es) of up to ${CLIENT_BATCH_SIZE} records each`);
 
     const customBatchSize = process.env.SUPABASE_CLIENT_BATCH_SIZE;
     if (customBatchSize && !isNaN(parseInt(customBatchSize, 10)) && parseInt(customBatchSize, 10) > 0) {
-      console.log(`   ℹ️  Using custom batch size from SUPABASE_CLIENT_BATCH_SIZE: ${CLIENT_BATCH_SIZE}`);
+      logger.info(`   ℹ️  Using custom batch size from SUPABASE_CLIENT_BATCH_SIZE: ${CLIENT_BATCH_SIZE}`);
     }
 
     let successCount = 0;
@@ -289,20 +299,24 @@ export class SupabaseManager {
     let termAggregates = null;
     if (dataType === 'schedules' && batches.length > 1) {
       termAggregates = this.computeTermAggregates(normalizedData);
-      console.log(`   📊 Computed term aggregates: ${termAggregates.total_records} total records across ${Object.keys(termAggregates.departments).length} departments`);
+      logger.info(`   📊 Computed term aggregates: ${termAggregates.total_records} total records across ${Object.keys(termAggregates.departments).length} departments`);
     }
 
     // Check if we should block replace_existing based on health check
     // If health check failed (critical department regressions), abort sync to prevent data loss
     let allowReplaceExisting = true;
     if (dataType === 'schedules' && healthCheck && !healthCheck.safe) {
-      console.error(`\n   🚫 SYNC ABORTED: ${healthCheck.reason}`);
-      console.error(`   Failed departments: ${healthCheck.failedDepartments.join(', ')}`);
-      console.error(`   Will NOT sync this term to prevent data loss from bad department data`);
+      logger.error(`\n   🚫 SYNC ABORTED: ${healthCheck.reason}`);
+      logger.error(`   Failed departments: ${healthCheck.failedDepartments.join(', ')}`);
+      logger.error(`   Will NOT sync this term to prevent data loss from bad department data`);
 
       // Option: could use append-only mode instead of aborting
       // For now, abort to be safe
-      throw new Error(`Sync aborted for term ${termCode}: ${healthCheck.reason}`);
+      throw new SyncAbortedError(`Sync aborted for term ${termCode}: ${healthCheck.reason}`, {
+        term: termCode,
+        reason: healthCheck.reason,
+        failedDepartments: healthCheck.failedDepartments
+      });
     }
 
     // Track first batch for term-based replace_existing logic
@@ -318,7 +332,7 @@ export class SupabaseManager {
       const batch = batches[batchIndex];
       const batchNum = batchIndex + 1;
 
-      console.log(`   📤 Sending batch ${batchNum}/${batches.length} (${batch.length} records) to Supabase...`);
+      logger.info(`   📤 Sending batch ${batchNum}/${batches.length} (${batch.length} records) to Supabase...`);
 
       // For schedules data type, control replace_existing behavior per batch
       // Only first batch deletes old data, subsequent batches append
@@ -331,12 +345,12 @@ export class SupabaseManager {
 
       if (dataType === 'schedules' && isFirstBatchForTerm) {
         if (allowReplaceExisting) {
-          console.log(`   🔄 First batch for term ${termCode}: replace_existing=true (will clear old schedule data for ${this.universityCode})`);
+          logger.info(`   🔄 First batch for term ${termCode}: replace_existing=true (will clear old schedule data for ${this.universityCode})`);
         } else {
-          console.log(`   ⚠️  First batch for term ${termCode}: replace_existing=false (blocked by health check - append mode)`);
+          logger.info(`   ⚠️  First batch for term ${termCode}: replace_existing=false (blocked by health check - append mode)`);
         }
       } else if (dataType === 'schedules' && !isFirstBatchForTerm) {
-        console.log(`   ➕ Subsequent batch: replace_existing=false (append mode)`);
+        logger.info(`   ➕ Subsequent batch: replace_existing=false (append mode)`);
       }
 
       // Pass chunk metadata for observability - allows edge function to reason about multi-chunk uploads
@@ -347,7 +361,7 @@ export class SupabaseManager {
 
       if (success) {
         successCount += batch.length;
-        console.log(`   ✅ Batch ${batchNum}/${batches.length}: Successfully synced ${batch.length} records`);
+        logger.info(`   ✅ Batch ${batchNum}/${batches.length}: Successfully synced ${batch.length} records`);
 
         // After first successful batch, disable replace_existing for remaining batches
         if (isFirstBatchForTerm) {
@@ -355,16 +369,16 @@ export class SupabaseManager {
         }
       } else {
         failureCount += batch.length;
-        console.error(`   ⚠️ Batch ${batchNum}/${batches.length}: Failed to sync ${batch.length} records`);
+        logger.error(`   ⚠️ Batch ${batchNum}/${batches.length}: Failed to sync ${batch.length} records`);
       }
     }
 
     // Summary
-    console.log(`\n   📊 Sync Summary:`);
-    console.log(`      Total records: ${totalRecords}`);
-    console.log(`      Successful: ${successCount}`);
-    console.log(`      Failed: ${failureCount}`);
-    console.log(`      Batches: ${batches.length}`);
+    logger.info(`\n   📊 Sync Summary:`);
+    logger.info(`      Total records: ${totalRecords}`);
+    logger.info(`      Successful: ${successCount}`);
+    logger.info(`      Failed: ${failureCount}`);
+    logger.info(`      Batches: ${batches.length}`);
 
     // Enhanced: Show per-department breakdown
     if (dataType === 'schedules' && normalizedData.length > 0) {
@@ -379,29 +393,29 @@ export class SupabaseManager {
         .slice(0, 10); // Top 10 departments
 
       if (sortedDepts.length > 0) {
-        console.log(`\n      📋 Top ${sortedDepts.length} Departments by Record Count:`);
+        logger.info(`\n      📋 Top ${sortedDepts.length} Departments by Record Count:`);
         for (const [dept, count] of sortedDepts) {
-          console.log(`         ${dept.padEnd(20)}: ${count.toString().padStart(4)} records`);
+          logger.info(`         ${dept.padEnd(20)}: ${count.toString().padStart(4)} records`);
         }
 
         if (Object.keys(deptCounts).length > 10) {
-          console.log(`         ... and ${Object.keys(deptCounts).length - 10} more departments`);
+          logger.info(`         ... and ${Object.keys(deptCounts).length - 10} more departments`);
         }
 
-        console.log(`         Total departments: ${Object.keys(deptCounts).length}`);
+        logger.info(`         Total departments: ${Object.keys(deptCounts).length}`);
       }
     }
 
-    console.log(); // Empty line for readability
+    logger.info(); // Empty line for readability
 
     if (failureCount === 0) {
-      console.log(`   ✅ Supabase: All ${totalRecords} records synced successfully`);
+      logger.info(`   ✅ Supabase: All ${totalRecords} records synced successfully`);
       return true;
     } else if (successCount > 0) {
-      console.log(`   ⚠️ Supabase: Partial success - ${successCount}/${totalRecords} records synced`);
+      logger.info(`   ⚠️ Supabase: Partial success - ${successCount}/${totalRecords} records synced`);
       return false;
     } else {
-      console.error(`   ❌ Supabase: All batches failed - 0/${totalRecords} records synced`);
+      logger.error(`   ❌ Supabase: All batches failed - 0/${totalRecords} records synced`);
       return false;
     }
   }
@@ -482,17 +496,70 @@ export class SupabaseManager {
     return metadata;
   }
 
+  /**
+   * Build partial schedule records carrying only the row key and seat counts
+   *
+   * @param {Array<Object>} courses - Scraped courses ({ department, subject_code, section, available_slots, enrolled_count, ... })
+   * @param {string} termCode - Term code
+   * @returns {Array<{term_code: string, subject_code: string, section: string, department: string, available_slots: number, enrolled_count: number}>}
+   *   One record per section (first occurrence wins); header rows are dropped
+   */
+  buildAvailabilityRecords(courses, termCode) {
+    const seen = new Set();
+    const records = [];
+
+    for (const course of courses) {
+      if (isHeaderLikeRecord(course)) continue;
+
+      const key = `${course.department}|${course.subject_code}|${course.section}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      records.push({
+        term_code: termCode,
+        subject_code: course.subject_code,
+        section: course.section,
+        department: course.department,
+        available_slots: this.safeInt(course.available_slots),
+        enrolled_count: this.safeInt(course.enrolled_count)
+      });
+    }
+
+    return records;
+  }
+
+  /**
+   * Send a partial seat-availability update for existing schedule rows
+   *
+   * Uses the 'schedule_availability' data type: the edge function only updates
+   * available_slots and enrolled_count of rows that already exist, never inserts,
+   * and never clears the term (replace_existing is not sent).
+   *
+   * @param {string} termCode - Term code
+   * @param {Array<Object>} courses - Scraped courses for the requested subjects
+   * @returns {Promise<boolean>} True if every batch was accepted
+   */
+  async syncAvailability(termCode, courses) {
+    const records = this.buildAvailabilityRecords(courses, termCode);
+    if (records.length === 0) {
+      logger.info('   ℹ️  Supabase: No sections to update');
+      return true;
+    }
+    return this.syncToSupabase('schedule_availability', records, termCode);
+  }
+
   /**
    * Send a request to Supabase Edge Function with retry logic.
-   * Retries on network errors and 5xx status codes with exponential backoff.
+   * Retries on network errors and 5xx status codes per the ingest retry policy
+   * (src/retry-policy.js).
    * 
-   * Retry behavior:
-   * - Retries on: network errors (exceptions), 500, 502, 503, 504, 522, 524
-   * - Backoff: exponential with cap (1s, 2s, 4s, 8s, 16s, 32s)
-   * - Max retries: 5 (total time: ~63 seconds max)
+   * Retry behavior (defaults):
+   * - Retries on: network errors and timeouts (60s), 500, 502, 503, 504, 522, 524
+   * - Backoff: exponential with cap and ±20% jitter (1s, 2s, 4s, 8s, 16s, 32s)
+   * - Max retries: 5 (6 attempts)
    * - Logs each retry attempt with status and message
    * 
-   * @param {string} dataType - Type of data ('schedules', 'curriculum', or 'courses')
+   * @param {string} dataType - Type of data ('schedules', 'schedule_availability', 'curriculum', or 'courses')
    * @param {Array} records - Array of records to send
    * @param {string|null} termCode - Term code for schedules
    * @param {string|null} department - Department code
@@ -513,86 +580,84 @@ export class SupabaseManager {
       metadata: metadata
     };
 
-    // Retry configuration
-    const MAX_RETRIES = 5;
-    const INITIAL_DELAY_MS = 1000; // 1 second
-    const MAX_DELAY_MS = 32000; // 32 seconds cap
-    const RETRYABLE_STATUS_CODES = [500, 502, 503, 504, 522, 524];
+    const policy = this.retryPolicy;
 
-    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
-      try {
-        const response = await fetch(this.url, {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.ingestToken}`
-          },
-          body: JSON.stringify(payload)
-        });
+    try {
+      return await policy.run(async attempt => {
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), policy.timeoutMs);
+
+        let response;
+        try {
+          response = await fetch(this.url, {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              'Authorization': `Bearer ${this.ingestToken}`
+            },
+            body: JSON.stringify(payload),
+            signal: controller.signal
+          });
+        } catch (error) {
+          if (error.name === 'AbortError') throw new Error(`Request timeout after ${policy.timeoutMs}ms`);
+          throw error;
+        } finally {
+          clearTimeout(timeout);
+        }
 
         if (response.ok) {
-          if (attempt > 0) {
-            console.log(`   ✅ Request succeeded on retry attempt ${attempt}`);
+          if (attempt > 1) {
+            logger.info(`   ✅ Request succeeded on retry attempt ${attempt - 1}`);
           }
 
           // Parse and log response for better visibility
           try {
             const responseData = await response.json();
             if (responseData.inserted !== undefined) {
-              console.log(`   📊 Edge function response: ${responseData.inserted}/${responseData.total || records.length} records upserted`);
+              logger.info(`   📊 Edge function response: ${responseData.inserted}/${responseData.total || records.length} records upserted`);
+            } else if (responseData.updated !== undefined) {
+              logger.info(`   📊 Edge function response: ${responseData.updated}/${responseData.total || records.length} records updated (${responseData.not_found || 0} not found)`);
             }
           } catch (e) {
             // Response might not be JSON, that's ok
           }
 
           return true;
-        } else {
-          const text = await response.text();
-          const isRetryable = RETRYABLE_STATUS_CODES.includes(response.status);
-
-          // Provide specific diagnostics for authentication errors
-          if (response.status === 401) {
-            console.error(`   ❌ Authentication Error (401 Unauthorized): Invalid JWT or missing token`);
-            console.error(`      This typically means:`);
-            console.error(`      - The DATA_INGEST_TOKEN secret is invalid, expired, or malformed`);
-            console.error(`      - The token does not have proper permissions for the Supabase edge function`);
-            console.error(`      - The SUPABASE_URL may be incorrect`);
-            console.error(`      Configuration being used (secrets masked):`);
-            console.error(`      - SUPABASE_URL: ${process.env.SUPABASE_URL ? process.env.SUPABASE_URL.substring(0, 30) + '...' : 'NOT SET'}`);
-            console.error(`      - DATA_INGEST_TOKEN: ${this.ingestToken ? '[REDACTED] (' + this.ingestToken.length + ' chars)' : 'NOT SET'}`);
-            console.error(`      Response: ${text}`);
-            return false;
-          }
-
-          if (isRetryable && attempt < MAX_RETRIES) {
-            const delayMs = Math.min(INITIAL_DELAY_MS * Math.pow(2, attempt), MAX_DELAY_MS);
-            const message = text.substring(0, 100); // Truncate for logging
-            console.log(`   ⚠️ Retry ${attempt + 1}/${MAX_RETRIES}: HTTP ${response.status} - ${message}`);
-            console.log(`   ⏳ Waiting ${delayMs / 1000}s before retry...`);
-            await new Promise(resolve => setTimeout(resolve, delayMs));
-            continue;
-          } else {
-            console.error(`   ❌ Supabase Error: ${response.status} - ${text}`);
-            return false;
-          }
         }
-      } catch (error) {
-        if (attempt < MAX_RETRIES) {
-          const delayMs = Math.min(INITIAL_DELAY_MS * Math.pow(2, attempt), MAX_DELAY_MS);
-          console.log(`   ⚠️ Retry ${attempt + 1}/${MAX_RETRIES}: Network error - ${error.message}`);
-          console.log(`   ⏳ Waiting ${delayMs / 1000}s before retry...`);
-          await new Promise(resolve => setTimeout(resolve, delayMs));
-          continue;
-        } else {
-          console.error(`   ❌ Supabase Exception (all retries exhausted):`, error.message);
+
+        const text = await response.text();
+
+        // Provide specific diagnostics for authentication errors
+        if (response.status === 401) {
+          logger.error(`   ❌ Authentication Error (401 Unauthorized): Invalid JWT or missing token`);
+          logger.error(`      This typically means:`);
+          logger.error(`      - The DATA_INGEST_TOKEN secret is invalid, expired, or malformed`);
+          logger.error(`      - The token does not have proper permissions for the Supabase edge function`);
+          logger.error(`      - The SUPABASE_URL may be incorrect`);
+          logger.error(`      Configuration being used (secrets masked):`);
+          logger.error(`      - SUPABASE_URL: ${process.env.SUPABASE_URL ? process.env.SUPABASE_URL.substring(0, 30) + '...' : 'NOT SET'}`);
+          logger.error(`      - DATA_INGEST_TOKEN: ${this.ingestToken ? '[REDACTED] (' + this.ingestToken.length + ' chars)' : 'NOT SET'}`);
+          logger.error(`      Response: ${text}`);
           return false;
         }
+
+        // Retried if the policy lists the status (retryStatuses)
+        throw new HttpStatusError(`HTTP ${response.status} - ${text.substring(0, 100)}`, { status: response.status, body: text });
+      }, {
+        onRetry: (error, attempt, delayMs) => {
+          const reason = error instanceof HttpStatusError ? error.message : `Network error - ${error.message}`;
+          logger.info(`   ⚠️ Retry ${attempt}/${policy.attempts - 1}: ${reason}`);
+          logger.info(`   ⏳ Waiting ${delayMs / 1000}s before retry...`);
+        }
+      });
+    } catch (error) {
+      if (error instanceof HttpStatusError) {
+        logger.error(`   ❌ Supabase Error: ${error.status} - ${error.body}`);
+      } else {
+        logger.error(`   ❌ Supabase Exception (all retries exhausted): ${error.message}`);
       }
+      return false;
     }
-
-    // Should not reach here, but just in case
-    console.error(`   ❌ Supabase: All retry attempts failed`);
-    return false;
   }
 
   safeInt(val) {
@@ -615,26 +680,43 @@ export class SupabaseManager {
     let totalInvalidFiltered = 0;
 
     for (const item of scheduleItems) {
-      // Transform schedule item, excluding unused time/delivery fields
-      // Note: start_time, end_time, days_of_week, and delivery_mode are not meaningfully
-      // populated by the scraper (always defaults/empty) so we exclude them from the export
+      // Structured time columns come from the meetings parsed in _parseCourses.
+      // Records without meetings (e.g., older artifacts) are parsed from time_pattern,
+      // which no longer carries the modality marker, so delivery_mode stays as given.
+      const meetings = item.meetings || parseTimePattern(item.time_pattern).meetings;
+      const { start_time, end_time, days_of_week } = summarizeMeetings(meetings);
+
       const record = {
         subject_code: item.subject_code,
         section: item.section,
         course_title: item.course_title,
         units: this.safeFloat(item.units),
         time_pattern: item.time_pattern,
+        start_time,
+        end_time,
+        days_of_week,
+        // Per-slot days and times; start_time/end_time are null when slots differ
+        meetings,
+        delivery_mode: item.delivery_mode || null,
+        // Records without rooms/instructors/remark_annotations (e.g., older artifacts)
+        // are parsed from the room, instructor and remarks strings
         room: item.room,
+        rooms: item.rooms || parseRooms(item.room),
         instructor: item.instructor,
+        instructors: item.instructors || parseInstructors(item.instructor),
         department: item.department,
+        also_listed_in: item.also_listed_in || [],
         language: item.language,
         level: item.level,
         remarks: item.remarks,
+        remark_annotations: item.remark_annotations || interpretRemarks(item.remarks),
         max_capacity: this.safeInt(item.max_capacity),
         available_slots: this.safeInt(item.available_slots),
         enrolled_count: this.safeInt(item.enrolled_count),
         s_marker: item.s_marker,
         p_marker: item.p_marker,
+        // Codes of values the parser defaulted or could not read (see src/parse-provenance.js)
+        parse_warnings: item._parse ? item._parse.warnings.map(warning => warning.code) : [],
         term_code: item.term_code,  // Preserve term_code from enriched record
         university_code: this.universityCode  // Multi-university support
       };
@@ -672,16 +754,16 @@ export class SupabaseManager {
 
     // Log validation results if any records were filtered
     if (totalHeadersFiltered > 0) {
-      console.log(`   ℹ️  Filtered ${totalHeadersFiltered} header/placeholder record(s)`);
-      if (process.env.DEBUG_SCRAPER === 'true' && headerRecordSamples.length > 0) {
-        console.log(`   🔍 Sample header records (showing ${headerRecordSamples.length}):`, headerRecordSamples);
+      logger.info(`   ℹ️  Filtered ${totalHeadersFiltered} header/placeholder record(s)`);
+      if (headerRecordSamples.length > 0) {
+        logger.debug(`   🔍 Sample header records (showing ${headerRecordSamples.length}):`, { samples: headerRecordSamples });
       }
     }
 
     if (totalInvalidFiltered > 0) {
-      console.log(`   ⚠️  Filtered ${totalInvalidFiltered} invalid record(s) (missing required fields)`);
+      logger.info(`   ⚠️  Filtered ${totalInvalidFiltered} invalid record(s) (missing required fields)`);
       if (invalidRecordSamples.length > 0) {
-        console.log(`   📋 Sample invalid records (showing ${invalidRecordSamples.length}):`, invalidRecordSamples);
+        logger.info(`   📋 Sample invalid records (showing ${invalidRecordSamples.length}):`, { samples: invalidRecordSamples });
       }
     }
 
@@ -795,7 +877,7 @@ export class SupabaseManager {
     const batches = Array.isArray(batchOrBatches) ? batchOrBatches : [batchOrBatches];
 
     if (batches.length === 0) {
-      console.warn(`   ⚠️ Skipping empty batch array`);
+      logger.warn(`   ⚠️ Skipping empty batch array`);
       return false;
     }
 
@@ -805,14 +887,14 @@ export class SupabaseManager {
       const { deg_code, program_code, curriculum_version, courses, metadata } = batch;
 
       if (!deg_code || !courses || courses.length === 0) {
-        console.warn(`   ⚠️ Skipping empty batch for ${deg_code || 'unknown program'}`);
+        logger.warn(`   ⚠️ Skipping empty batch for ${deg_code || 'unknown program'}`);
         return false;
       }
 
-      console.log(`   📤 Sending batch for ${deg_code}...`);
-      console.log(`      Program: ${program_code}, Version: ${curriculum_version}`);
-      console.log(`      Courses: ${courses.length}`);
-      console.log(`      Metadata: scraped=${metadata.total_courses_scraped}, deduped=${metadata.deduplication_removed}, invalid=${metadata.invalid_courses_count}`);
+      logger.info(`   📤 Sending batch for ${deg_code}...`);
+      logger.info(`      Program: ${program_code}, Version: ${curriculum_version}`);
+      logger.info(`      Courses: ${courses.length}`);
+      logger.info(`      Metadata: scraped=${metadata.total_courses_scraped}, deduped=${metadata.deduplication_removed}, invalid=${metadata.invalid_courses_count}`);
 
       // Build program object using helper method
       const programObj = this._buildProgramObject(batch);
@@ -842,22 +924,22 @@ export class SupabaseManager {
           try {
             const responseData = await response.json();
             if (responseData.inserted !== undefined) {
-              console.log(`   ✅ ${deg_code}: ${responseData.inserted}/${responseData.total || courses.length} records upserted`);
+              logger.info(`   ✅ ${deg_code}: ${responseData.inserted}/${responseData.total || courses.length} records upserted`);
             } else {
-              console.log(`   ✅ ${deg_code}: Batch sent successfully`);
+              logger.info(`   ✅ ${deg_code}: Batch sent successfully`);
             }
           } catch (e) {
             // Response might not be JSON, that's ok
-            console.log(`   ✅ ${deg_code}: Batch sent successfully`);
+            logger.info(`   ✅ ${deg_code}: Batch sent successfully`);
           }
           return true;
         } else {
           const text = await response.text();
-          console.error(`   ❌ ${deg_code}: Supabase Error: ${response.status} - ${text.substring(0, 200)}`);
+          logger.error(`   ❌ ${deg_code}: Supabase Error: ${response.status} - ${text.substring(0, 200)}`);
           return false;
         }
       } catch (error) {
-        console.error(`   ❌ ${deg_code}: Network error: ${error.message}`);
+        logger.error(`   ❌ ${deg_code}: Network error: ${error.message}`);
         return false;
       }
     }
@@ -875,7 +957,7 @@ export class SupabaseManager {
       const { deg_code, courses, metadata } = batch;
 
       if (!deg_code || !courses || courses.length === 0) {
-        console.warn(`   ⚠️ Skipping empty batch for ${deg_code || 'unknown program'} in group`);
+        logger.warn(`   ⚠️ Skipping empty batch for ${deg_code || 'unknown program'} in group`);
         continue;
       }
 
@@ -893,14 +975,14 @@ export class SupabaseManager {
     }
 
     if (programs.length === 0) {
-      console.warn(`   ⚠️ No valid programs in grouped batch`);
+      logger.warn(`   ⚠️ No valid programs in grouped batch`);
       return false;
     }
 
-    console.log(`   📤 Sending grouped batch...`);
-    console.log(`      Programs: ${programs.length}`);
-    console.log(`      Total courses: ${totalCourses}`);
-    console.log(`      Metadata: scraped=${totalCoursesScraped}, deduped=${totalDeduplicationRemoved}, invalid=${totalInvalidCourses}`);
+    logger.info(`   📤 Sending grouped batch...`);
+    logger.info(`      Programs: ${programs.length}`);
+    logger.info(`      Total courses: ${totalCourses}`);
+    logger.info(`      Metadata: scraped=${totalCoursesScraped}, deduped=${totalDeduplicationRemoved}, invalid=${totalInvalidCourses}`);
 
     // Build aggregated metadata
     const aggregatedMetadata = {
@@ -934,22 +1016,22 @@ export class SupabaseManager {
         try {
           const responseData = await response.json();
           if (responseData.inserted !== undefined) {
-            console.log(`   ✅ Grouped batch: ${responseData.inserted}/${responseData.total || totalCourses} records upserted`);
+            logger.info(`   ✅ Grouped batch: ${responseData.inserted}/${responseData.total || totalCourses} records upserted`);
           } else {
-            console.log(`   ✅ Grouped batch sent successfully`);
+            logger.info(`   ✅ Grouped batch sent successfully`);
           }
         } catch (e) {
           // Response might not be JSON, that's ok
-          console.log(`   ✅ Grouped batch sent successfully`);
+          logger.info(`   ✅ Grouped batch sent successfully`);
         }
         return true;
       } else {
         const text = await response.text();
-        console.error(`   ❌ Grouped batch: Supabase Error: ${response.status} - ${text.substring(0, 200)}`);
+        logger.error(`   ❌ Grouped batch: Supabase Error: ${response.status} - ${text.substring(0, 200)}`);
         return false;
       }
     } catch (error) {
-      console.error(`   ❌ Grouped batch: Network error: ${error.message}`);
+      logger.error(`   ❌ Grouped batch: Network error: ${error.message}`);
       return false;
     }
   }
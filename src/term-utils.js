@@ -1,3 +1,5 @@
+import { logger } from './logger.js';
+
 /**
  * Term calculation utilities for AISIS scraper
  * 
@@ -52,7 +54,7 @@ export function getNextTerm(termCode) {
   } else {
     // Unexpected semester value (e.g., 3, 4, etc.)
     // AISIS only uses 0, 1, 2 - return null for invalid values
-    console.warn(`Unexpected semester value in term code: ${termCode}. Expected 0, 1, or 2.`);
+    logger.warn(`Unexpected semester value in term code: ${termCode}. Expected 0, 1, or 2.`);
     return null;
   }
 }
@@ -0,0 +1,285 @@
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { logger } from './logger.js';
+
+const { default: fetch, Headers, Response } = await import('node-fetch');
+
+/**
+ * Pluggable HTTP transport for AISISScraper
+ *
+ * AISISScraper._send handles cookies, redirects and timeouts, and delegates the
+ * actual HTTP exchange to a transport. Three modes are supported:
+ *
+ * - live:   send requests to AISIS with node-fetch (default)
+ * - record: send requests live and write every request/response pair to a
+ *           cassette directory, with credentials stripped
+ * - replay: serve responses from a cassette directory without touching the network
+ *
+ * Replaying a cassette recorded in production lets a full scrape (login, term and
+ * department discovery, schedule and curriculum pages) be reproduced locally.
+ *
+ * Configuration environment variables:
+ * - AISIS_TRANSPORT: 'live' (default), 'record' or 'replay'
+ * - AISIS_CASSETTE_DIR: Cassette directory (default: logs/cassettes)
+ *
+ * @module transport
+ */
+
+export const TRANSPORT_MODES = ['live', 'record', 'replay'];
+
+export const DEFAULT_CASSETTE_DIR = 'logs/cassettes';
+
+// Placeholder written in place of credentials and session secrets
+const REDACTED = '[REDACTED]';
+
+// Form fields never written to a cassette
+// rnd is a random per-login token; redacting it also makes login requests match on replay
+const SECRET_FORM_FIELDS = ['userName', 'password', 'rnd'];
+
+/**
+ * Strip credentials from a request body
+ *
+ * @param {string|undefined} body - Request body (application/x-www-form-urlencoded)
+ * @returns {string} Body with SECRET_FORM_FIELDS redacted ('' if no body)
+ *
+ * @example
+ * sanitizeRequestBody('userName=jdoe&password=hunter2&command=login')
+ * // returns 'userName=%5BREDACTED%5D&password=%5BREDACTED%5D&command=login'
+ */
+export function sanitizeRequestBody(body) {
+  if (!body) {
+    return '';
+  }
+
+  const params = new URLSearchParams(String(body));
+  for (const field of SECRET_FORM_FIELDS) {
+    if (params.has(field)) {
+      params.set(field, REDACTED);
+    }
+  }
+  return params.toString();
+}
+
+/**
+ * Build the key used to match a request to a recorded interaction
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @param {string} sanitizedBody - Body after sanitizeRequestBody()
+ * @returns {string} Match key ("POST /j_aisis/J_VCSC.do <sha1 of body>")
+ */
+function interactionKey(method, url, sanitizedBody) {
+  const { pathname, search } = new URL(url);
+  const bodyHash = crypto.createHash('sha1').update(sanitizedBody).digest('hex');
+  return `${method.toUpperCase()} ${pathname}${search} ${bodyHash}`;
+}
+
+/**
+ * Redact session cookie values in Set-Cookie headers
+ * The cookie name and attributes are kept so the cookie jar still sees a session
+ *
+ * @param {string} setCookie - Set-Cookie header value
+ * @returns {string} Header value with the cookie value redacted
+ */
+function redactSetCookie(setCookie) {
+  return setCookie.replace(/^([^=]+)=[^;]*/, `$1=${REDACTED}`);
+}
+
+/**
+ * Sends requests directly to AISIS
+ */
+export class LiveTransport {
+  constructor(fetchImpl = fetch) {
+    this.mode = 'live';
+    this.fetchImpl = fetchImpl;
+  }
+
+  async send(url, options) {
+    return this.fetchImpl(url, options);
+  }
+}
+
+/**
+ * Sends requests live and records each request/response pair to a cassette
+ *
+ * Each interaction is written to its own file as soon as it completes, so a
+ * cassette from a crashed run is still usable up to the crash.
+ */
+export class RecordTransport {
+  /**
+   * @param {string} cassetteDir - Directory to write interactions to
+   * @param {Object} options
+   * @param {Array<string>} options.redact - Extra strings to redact from response bodies (e.g., username)
+   * @param {Function} options.fetchImpl - fetch implementation (default: node-fetch)
+   */
+  constructor(cassetteDir, { redact = [], fetchImpl = fetch } = {}) {
+    this.mode = 'record';
+    this.cassetteDir = cassetteDir;
+    // Very short values would redact unrelated text, so only redact plausible credentials
+    this.redact = redact.filter(value => typeof value === 'string' && value.length >= 4);
+    this.fetchImpl = fetchImpl;
+    this.sequence = 0;
+
+    fs.mkdirSync(cassetteDir, { recursive: true });
+    const existing = fs.readdirSync(cassetteDir).filter(f => f.endsWith('.json'));
+    if (existing.length > 0) {
+      logger.warn(`   ⚠️ Cassette directory ${cassetteDir} already has ${existing.length} interactions; appending`);
+      this.sequence = existing.length;
+    }
+  }
+
+  async send(url, options = {}) {
+    const method = options.method || 'GET';
+    const response = await this.fetchImpl(url, options);
+    const body = await response.text();
+
+    const sanitizedBody = sanitizeRequestBody(options.body);
+    const headers = [];
+    response.headers.forEach((value, name) => {
+      if (name !== 'set-cookie') headers.push([name, value]);
+    });
+    const setCookies = response.headers.raw ? (response.headers.raw()['set-cookie'] || []) : [];
+    for (const cookie of setCookies) {
+      headers.push(['set-cookie', redactSetCookie(cookie)]);
+    }
+
+    let recordedBody = body;
+    for (const secret of this.redact) {
+      recordedBody = recordedBody.split(secret).join(REDACTED);
+    }
+
+    const sequence = ++this.sequence;
+    const interaction = {
+      sequence,
+      key: interactionKey(method, url, sanitizedBody),
+      request: {
+        method,
+        url,
+        body: sanitizedBody || null
+      },
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        body: recordedBody
+      },
+      recorded_at: new Date().toISOString()
+    };
+
+    const slug = new URL(url).pathname.split('/').pop().replace(/[^A-Za-z0-9.]/g, '_') || 'root';
+    const fileName = `${String(sequence).padStart(5, '0')}-${method}-${slug}.json`;
+    fs.writeFileSync(path.join(this.cassetteDir, fileName), JSON.stringify(interaction, null, 2));
+
+    // The caller gets the unredacted response
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+      url
+    });
+  }
+}
+
+/**
+ * Serves responses from a cassette without touching the network
+ *
+ * Requests are matched on method, URL and sanitized body. When the same request
+ * was recorded several times (e.g., repeated J_VCSC.do GETs), responses are
+ * served in recorded order and the last one is repeated once exhausted.
+ */
+export class ReplayTransport {
+  /**
+   * @param {string} cassetteDir - Directory with recorded interactions
+   * @throws {Error} If the cassette directory is missing or empty
+   */
+  constructor(cassetteDir) {
+    this.mode = 'replay';
+    this.cassetteDir = cassetteDir;
+    this.interactions = new Map();
+
+    if (!fs.existsSync(cassetteDir)) {
+      throw new Error(`Cassette directory not found: ${cassetteDir}`);
+    }
+
+    const files = fs.readdirSync(cassetteDir).filter(f => f.endsWith('.json')).sort();
+    if (files.length === 0) {
+      throw new Error(`Cassette directory is empty: ${cassetteDir}`);
+    }
+
+    for (const file of files) {
+      const interaction = JSON.parse(fs.readFileSync(path.join(cassetteDir, file), 'utf8'));
+      if (!this.interactions.has(interaction.key)) {
+        this.interactions.set(interaction.key, { responses: [], served: 0 });
+      }
+      this.interactions.get(interaction.key).responses.push(interaction.response);
+    }
+  }
+
+  async send(url, options = {}) {
+    const method = options.method || 'GET';
+    const key = interactionKey(method, url, sanitizeRequestBody(options.body));
+    const entry = this.interactions.get(key);
+
+    if (!entry) {
+      throw new Error(`No recorded response in ${this.cassetteDir} for ${method} ${url}`);
+    }
+
+    const recorded = entry.responses[Math.min(entry.served, entry.responses.length - 1)];
+    entry.served++;
+
+    const headers = new Headers();
+    for (const [name, value] of recorded.headers) {
+      headers.append(name, value);
+    }
+
+    return new Response(recorded.body, {
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers,
+      url
+    });
+  }
+}
+
+/**
+ * Create a transport for the given mode
+ *
+ * @param {string} mode - 'live', 'record' or 'replay'
+ * @param {Object} options
+ * @param {string} options.cassetteDir - Cassette directory for record/replay
+ * @param {Array<string>} options.redact - Strings to redact from recorded bodies
+ * @returns {LiveTransport|RecordTransport|ReplayTransport}
+ * @throws {Error} If the mode is not one of TRANSPORT_MODES
+ */
+export function createTransport(mode = 'live', { cassetteDir = DEFAULT_CASSETTE_DIR, redact = [] } = {}) {
+  switch (mode) {
+    case 'live':
+      return new LiveTransport();
+    case 'record':
+      return new RecordTransport(cassetteDir, { redact });
+    case 'replay':
+      return new ReplayTransport(cassetteDir);
+    default:
+      throw new Error(`Invalid AISIS_TRANSPORT: ${mode}. Valid values: ${TRANSPORT_MODES.join(', ')}`);
+  }
+}
+
+/**
+ * Create the transport configured by AISIS_TRANSPORT / AISIS_CASSETTE_DIR
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.redact - Strings to redact from recorded bodies
+ * @returns {LiveTransport|RecordTransport|ReplayTransport}
+ */
+export function createTransportFromEnv({ redact = [] } = {}) {
+  const mode = process.env.AISIS_TRANSPORT || 'live';
+  const cassetteDir = process.env.AISIS_CASSETTE_DIR || DEFAULT_CASSETTE_DIR;
+  const transport = createTransport(mode, { cassetteDir, redact });
+
+  if (mode !== 'live') {
+    logger.info(`   📼 HTTP transport: ${mode} (cassette: ${cassetteDir})`);
+  }
+
+  return transport;
+}
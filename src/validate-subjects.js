@@ -1,6 +1,7 @@
 import fs from 'fs';
 import path from 'path';
 import { getSubjectPrefix } from './constants.js';
+import { logger } from './logger.js';
 
 /**
  * Validation script for post-scrape subject analysis
@@ -41,20 +42,20 @@ function computeSubjectPrefixBreakdown(courses) {
  * Main validation function
  */
 async function validateSubjects() {
-  console.log('═══════════════════════════════════════════════════════');
-  console.log('📊 Subject Validation Analysis');
-  console.log('═══════════════════════════════════════════════════════\n');
+  logger.info('═══════════════════════════════════════════════════════');
+  logger.info('📊 Subject Validation Analysis');
+  logger.info('═══════════════════════════════════════════════════════\n');
 
   // Get courses file path from args or use default
   const coursesPath = process.argv[2] || 'data/courses.json';
 
   if (!fs.existsSync(coursesPath)) {
-    console.error(`❌ Courses file not found: ${coursesPath}`);
-    console.error('   Run the scraper first to generate courses data.\n');
+    logger.error(`❌ Courses file not found: ${coursesPath}`);
+    logger.error('   Run the scraper first to generate courses data.\n');
     process.exit(1);
   }
 
-  console.log(`📄 Reading courses from: ${coursesPath}\n`);
+  logger.info(`📄 Reading courses from: ${coursesPath}\n`);
 
   // Load courses
   let courses;
@@ -62,11 +63,11 @@ async function validateSubjects() {
     const data = fs.readFileSync(coursesPath, 'utf-8');
     courses = JSON.parse(data);
   } catch (error) {
-    console.error(`❌ Failed to read courses file: ${error.message}\n`);
+    logger.error(`❌ Failed to read courses file: ${error.message}\n`);
     process.exit(1);
   }
 
-  console.log(`📚 Total courses loaded: ${courses.length}\n`);
+  logger.info(`📚 Total courses loaded: ${courses.length}\n`);
 
   // Compute per-department counts
   const deptCounts = {};
@@ -79,8 +80,8 @@ async function validateSubjects() {
   const subjectBreakdown = computeSubjectPrefixBreakdown(courses);
 
   // Display results
-  console.log('📊 Per-Department Summary:');
-  console.log('═══════════════════════════════════════════════════════\n');
+  logger.info('📊 Per-Department Summary:');
+  logger.info('═══════════════════════════════════════════════════════\n');
 
   const departments = Object.keys(deptCounts).sort();
 
@@ -94,13 +95,13 @@ async function validateSubjects() {
       .map(([prefix, count]) => `${prefix}=${count}`)
       .join(', ');
 
-    console.log(`${dept.padEnd(6)} (${String(totalCourses).padStart(3)} courses): ${prefixList}`);
+    logger.info(`${dept.padEnd(6)} (${String(totalCourses).padStart(3)} courses): ${prefixList}`);
   }
 
-  console.log('\n═══════════════════════════════════════════════════════');
+  logger.info('\n═══════════════════════════════════════════════════════');
 
   // Check for potential issues in critical departments
-  console.log('\n🔍 Critical Department Analysis:\n');
+  logger.info('\n🔍 Critical Department Analysis:\n');
 
   const criticalDepts = {
     'PE': ['PEPC', 'PHYED', 'NSTP'],
@@ -111,7 +112,7 @@ async function validateSubjects() {
 
   for (const [dept, expectedPrefixes] of Object.entries(criticalDepts)) {
     if (!subjectBreakdown[dept]) {
-      console.log(`⚠️  ${dept}: No courses found`);
+      logger.info(`⚠️  ${dept}: No courses found`);
       issuesFound = true;
       continue;
     }
@@ -122,23 +123,23 @@ async function validateSubjects() {
       const count = subjectBreakdown[dept][expectedPrefix] || 0;
 
       if (count === 0) {
-        console.log(`⚠️  ${dept}: ${expectedPrefix} courses missing (count = 0)`);
+        logger.info(`⚠️  ${dept}: ${expectedPrefix} courses missing (count = 0)`);
         issuesFound = true;
       }
     }
   }
 
   if (!issuesFound) {
-    console.log('✅ No critical issues detected in subject distribution\n');
+    logger.info('✅ No critical issues detected in subject distribution\n');
   } else {
-    console.log('\n⚠️  Issues detected - review subject distribution above\n');
+    logger.info('\n⚠️  Issues detected - review subject distribution above\n');
   }
 
-  console.log('═══════════════════════════════════════════════════════\n');
+  logger.info('═══════════════════════════════════════════════════════\n');
 }
 
 // Run validation
 validateSubjects().catch(error => {
-  console.error('💥 Validation failed:', error);
+  logger.error('💥 Validation failed:', { error });
   process.exit(1);
 });
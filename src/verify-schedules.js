@@ -1,6 +1,9 @@
 import { AISISScraper } from './scraper.js';
 import { createClient } from '@supabase/supabase-js';
 import { DEPARTMENTS } from './constants.js';
+import { runDepartmentJobs, FIRST_DEPARTMENT_CANARY } from './department-jobs.js';
+import { errorCode } from './errors.js';
+import { logger, setLogContext } from './logger.js';
 import fs from 'fs';
 import 'dotenv/config';
 
@@ -67,24 +70,32 @@ class ScheduleVerifier {
 
   /**
    * Verify schedules for a single department
+   *
+   * @param {string} term - Term code
+   * @param {string} department - Department code
+   * @param {Array|null} scrapedCourses - Courses already scraped from AISIS (default: scrape now)
    */
-  async verifyDepartment(term, department) {
-    console.log(`\n🔍 Verifying ${department} for term ${term}...`);
+  async verifyDepartment(term, department, scrapedCourses = null) {
+    logger.info(`\n🔍 Verifying ${department} for term ${term}...`);
 
     // Step 1: Scrape from AISIS
-    console.log(`   📥 Scraping ${department} from AISIS...`);
-    const scrapedCourses = await this.scraper._scrapeDepartment(term, department);
+    if (!scrapedCourses) {
+      logger.info(`   📥 Scraping ${department} from AISIS...`);
+      scrapedCourses = await this.scraper.retryPolicies.department.run(
+        () => this.scraper._scrapeDepartment(term, department),
+        { delay: ms => this.scraper._delay(ms), label: department }
+      );
+    }
 
-    // Create set of unique identifiers for scraped courses
     // Create set of unique identifiers for scraped courses
     const scrapedKeys = new Set(
       scrapedCourses.map(c => `${c.subject_code}|${c.section}`)
     );
 
-    console.log(`   ✅ Found ${scrapedCourses.length} courses in AISIS`);
+    logger.info(`   ✅ Found ${scrapedCourses.length} courses in AISIS`);
 
     // Step 2: Query Supabase
-    console.log(`   🗄️  Querying Supabase for ${department}, term ${term}...`);
+    logger.info(`   🗄️  Querying Supabase for ${department}, term ${term}...`);
     const { data: dbCourses, error } = await this.supabase
       .from('aisis_schedules')
       .select('subject_code, section, course_title')
@@ -100,7 +111,7 @@ class ScheduleVerifier {
       dbCourses.map(c => `${c.subject_code}|${c.section}`)
     );
 
-    console.log(`   ✅ Found ${dbCourses.length} courses in Supabase`);
+    logger.info(`   ✅ Found ${dbCourses.length} courses in Supabase`);
 
     // Step 3: Compare
     const missingInDb = [...scrapedKeys].filter(key => !dbKeys.has(key));
@@ -134,25 +145,25 @@ class ScheduleVerifier {
 
     // Print results
     if (result.match) {
-      console.log(`   ✅ MATCH: All ${scrapedCourses.length} courses are in sync`);
+      logger.info(`   ✅ MATCH: All ${scrapedCourses.length} courses are in sync`);
     } else {
       if (missingInDb.length > 0) {
-        console.log(`   ❌ MISMATCH: ${missingInDb.length} courses in AISIS but NOT in DB:`);
+        logger.info(`   ❌ MISMATCH: ${missingInDb.length} courses in AISIS but NOT in DB:`);
         result.missing_in_db.slice(0, 5).forEach(c => {
-          console.log(`      - ${c.subject_code} ${c.section}: ${c.title}`);
+          logger.info(`      - ${c.subject_code} ${c.section}: ${c.title}`);
         });
         if (missingInDb.length > 5) {
-          console.log(`      ... and ${missingInDb.length - 5} more`);
+          logger.info(`      ... and ${missingInDb.length - 5} more`);
         }
       }
 
       if (extraInDb.length > 0) {
-        console.log(`   ⚠️  ${extraInDb.length} courses in DB but NOT in current AISIS:`);
+        logger.info(`   ⚠️  ${extraInDb.length} courses in DB but NOT in current AISIS:`);
         result.extra_in_db.slice(0, 5).forEach(c => {
-          console.log(`      - ${c.subject_code} ${c.section}: ${c.title}`);
+          logger.info(`      - ${c.subject_code} ${c.section}: ${c.title}`);
         });
         if (extraInDb.length > 5) {
-          console.log(`      ... and ${extraInDb.length - 5} more`);
+          logger.info(`      ... and ${extraInDb.length - 5} more`);
         }
       }
     }
@@ -162,19 +173,49 @@ class ScheduleVerifier {
 
   /**
    * Verify all departments for a term
+   *
+   * Departments are scraped with the same job runner as the scraper itself
+   * (canary department first, then the work queue, with per-department retries),
+   * always live - checkpoints are neither read nor written.
    */
   async verifyTerm(term) {
     const departments = DEPARTMENTS;
 
-    console.log(`\n🔍 Verifying all ${departments.length} departments for term ${term}...`);
+    logger.info(`\n🔍 Verifying all ${departments.length} departments for term ${term}...`);
+    logger.info(`   📥 Scraping departments from AISIS...`);
+
+    const { results: scraped } = await runDepartmentJobs(
+      departments.map(department => ({ term, department })),
+      {
+        run: job => this.scraper._scrapeDepartment(job.term, job.department),
+        concurrency: this.scraper.rateLimitConfig.concurrency,
+        canary: FIRST_DEPARTMENT_CANARY,
+        policy: this.scraper.retryPolicies.department,
+        delay: ms => this.scraper._delay(ms)
+      }
+    );
 
     const results = [];
     let matchCount = 0;
     let mismatchCount = 0;
 
-    for (const dept of departments) {
+    for (const { job, courses, status } of scraped) {
+      const dept = job.department;
+      if (status.status === 'failed') {
+        logger.error(`   ❌ Error verifying ${dept}: ${status.error}`);
+        results.push({
+          department: dept,
+          term,
+          error: status.error,
+          error_code: status.error_code,
+          match: false
+        });
+        mismatchCount++;
+        continue;
+      }
+
       try {
-        const result = await this.verifyDepartment(term, dept);
+        const result = await this.verifyDepartment(term, dept, courses);
         results.push(result);
 
         if (result.match) {
@@ -182,15 +223,13 @@ class ScheduleVerifier {
         } else {
           mismatchCount++;
         }
-
-        // Small delay between departments
-        await new Promise(resolve => setTimeout(resolve, 500));
       } catch (error) {
-        console.error(`   ❌ Error verifying ${dept}: ${error.message}`);
+        logger.error(`   ❌ Error verifying ${dept}: ${error.message}`);
         results.push({
           department: dept,
           term,
           error: error.message,
+          error_code: errorCode(error),
           match: false
         });
         mismatchCount++;
@@ -215,18 +254,18 @@ class ScheduleVerifier {
     fs.writeFileSync(reportPath, JSON.stringify(summary, null, 2));
 
     // Print summary
-    console.log(`\n📊 Verification Summary for ${term}:`);
-    console.log(`   Total departments: ${summary.total_departments}`);
-    console.log(`   ✅ Matched: ${summary.matched}`);
-    console.log(`   ❌ Mismatched: ${summary.mismatched}`);
-    console.log(`   📚 Total AISIS courses: ${summary.total_aisis_courses}`);
-    console.log(`   🗄️  Total DB courses: ${summary.total_db_courses}`);
-    console.log(`\n📄 Full report saved to: ${reportPath}`);
+    logger.info(`\n📊 Verification Summary for ${term}:`);
+    logger.info(`   Total departments: ${summary.total_departments}`);
+    logger.info(`   ✅ Matched: ${summary.matched}`);
+    logger.info(`   ❌ Mismatched: ${summary.mismatched}`);
+    logger.info(`   📚 Total AISIS courses: ${summary.total_aisis_courses}`);
+    logger.info(`   🗄️  Total DB courses: ${summary.total_db_courses}`);
+    logger.info(`\n📄 Full report saved to: ${reportPath}`);
 
     // Generate markdown report
     const mdPath = reportPath.replace('.json', '.md');
     this.generateMarkdownReport(summary, mdPath);
-    console.log(`📄 Markdown report saved to: ${mdPath}`);
+    logger.info(`📄 Markdown report saved to: ${mdPath}`);
 
     return summary;
   }
@@ -306,35 +345,37 @@ async function main() {
   const term = args[0] || null;
   const department = args[1] || null;
 
-  console.log('═══════════════════════════════════════════════════════');
-  console.log('🔍 AISIS Schedule Verification Tool');
-  console.log('═══════════════════════════════════════════════════════\n');
+  logger.info('═══════════════════════════════════════════════════════');
+  logger.info('🔍 AISIS Schedule Verification Tool');
+  logger.info('═══════════════════════════════════════════════════════\n');
 
   const verifier = new ScheduleVerifier();
 
   try {
+    setLogContext({ phase: 'login' });
     await verifier.init();
 
     // Determine term
     let usedTerm = term;
     if (!usedTerm) {
-      console.log('🔍 Auto-detecting current term from AISIS...');
+      logger.info('🔍 Auto-detecting current term from AISIS...');
       usedTerm = await verifier.scraper._detectCurrentTerm();
-      console.log(`   ✅ Detected term: ${usedTerm}`);
+      logger.info(`   ✅ Detected term: ${usedTerm}`);
     }
 
     // Verify
+    setLogContext({ phase: 'verify', term: usedTerm, dept: department });
     if (department) {
       await verifier.verifyDepartment(usedTerm, department);
     } else {
       await verifier.verifyTerm(usedTerm);
     }
 
-    console.log('\n✅ Verification complete!');
+    logger.info('\n✅ Verification complete!');
     process.exit(0);
   } catch (error) {
-    console.error('\n❌ Verification failed:', error.message);
-    console.error(error.stack);
+    logger.error(`\n❌ Verification failed: ${error.message}`);
+    logger.error(error.stack);
     process.exit(1);
   }
 }
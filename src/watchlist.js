@@ -0,0 +1,290 @@
+import fs from 'fs';
+import path from 'path';
+import { sectionKey } from './change-log.js';
+import { createChannel } from './notify-channels.js';
+import { logger } from './logger.js';
+
+/**
+ * Watchlist notifications for sections that open up
+ *
+ * After each scrape, watched sections are compared with the last known
+ * available_slots. When a section that was full (available_slots <= 0) now has
+ * free slots, an event is sent to every configured channel.
+ *
+ * Config file (JSON, default: watchlist.json):
+ * {
+ *   "channels": [
+ *     { "type": "webhook", "url": "https://example.com/hooks/aisis" },
+ *     { "type": "discord", "url": "${DISCORD_WEBHOOK_URL}" },
+ *     { "type": "slack", "url": "${SLACK_WEBHOOK_URL}" },
+ *     { "type": "smtp", "host": "smtp.example.com", "port": 587, "username": "alerts@example.com",
+ *       "password": "${SMTP_PASSWORD}", "from": "alerts@example.com", "to": ["me@example.com"] }
+ *   ],
+ *   "watches": [
+ *     { "term": "2025-1", "subject_code": "CSCI 21", "section": "A" },
+ *     { "subject_code": "MATH 10" }
+ *   ]
+ * }
+ *
+ * A watch without "section" covers every section of the subject; a watch
+ * without "term" applies to every scraped term. "${NAME}" in any string value
+ * is replaced with the NAME environment variable so secrets stay out of the file.
+ *
+ * The last known available_slots of each watched section is kept in
+ * logs/history/watchlist-state.json. A section seen for the first time never
+ * alerts. Alerts not yet delivered to every channel are kept in the state file
+ * with the channels that already got them:
+ *   "pending": { "<section key>": { "event": {...}, "notified": { "discord": true } } }
+ * and the next run retries only the channels that failed. A pending alert is
+ * dropped once its section is full again, and replaced if the section opens up
+ * again.
+ *
+ * Configuration environment variables:
+ * - WATCHLIST_CONFIG: Config file path (default: watchlist.json)
+ * - WATCHLIST_STATE_FILE: State file path (default: logs/history/watchlist-state.json)
+ */
+
+export const DEFAULT_WATCHLIST_CONFIG = 'watchlist.json';
+export const DEFAULT_WATCHLIST_STATE_FILE = 'logs/history/watchlist-state.json';
+
+/**
+ * Replace "${NAME}" placeholders in config strings with environment variables
+ *
+ * @param {*} value - Config value (objects and arrays are walked recursively)
+ * @returns {*} Value with placeholders resolved (missing variables become '')
+ */
+export function resolveEnvPlaceholders(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z0-9_]+)\}/g, (_, name) => process.env[name] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(resolveEnvPlaceholders);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, resolveEnvPlaceholders(v)]));
+  }
+  return value;
+}
+
+/**
+ * Check whether a course is covered by a watch
+ *
+ * @param {Object} watch - { term?, subject_code, section? }
+ * @param {string} term - Term of the course
+ * @param {Object} course - Scraped course
+ * @returns {boolean} True if the watch covers the course
+ */
+export function watchMatches(watch, term, course) {
+  return (!watch.term || watch.term === term) &&
+    watch.subject_code === course.subject_code &&
+    (!watch.section || watch.section === course.section);
+}
+
+export class Watchlist {
+  /**
+   * @param {Object} config - Parsed config ({ channels, watches })
+   * @param {Object} options
+   * @param {string} options.stateFile - Last-known availability state file
+   * @param {Array<Object>} options.channels - Pre-built channels (overrides config.channels; used by tests)
+   * @throws {Error} If the config is invalid
+   */
+  constructor(config, { stateFile = process.env.WATCHLIST_STATE_FILE || DEFAULT_WATCHLIST_STATE_FILE, channels = null } = {}) {
+    const resolved = resolveEnvPlaceholders(config || {});
+
+    if (!Array.isArray(resolved.watches) || resolved.watches.length === 0) {
+      throw new Error('Watchlist config must have a non-empty "watches" array');
+    }
+    resolved.watches.forEach((watch, index) => {
+      if (!watch || !watch.subject_code) {
+        throw new Error(`Watchlist watch #${index + 1} is missing "subject_code"`);
+      }
+    });
+
+    this.watches = resolved.watches;
+    this.channels = channels || (resolved.channels || []).map(createChannel);
+    this.stateFile = stateFile;
+
+    if (this.channels.length === 0) {
+      logger.warn('   ⚠️ Watchlist has no channels configured; opened sections will only be logged');
+    }
+  }
+
+  /**
+   * Load the watchlist from WATCHLIST_CONFIG (or watchlist.json)
+   *
+   * @param {string} configPath - Config file path
+   * @returns {Watchlist|null} Watchlist, or null if no config file exists
+   * @throws {Error} If the config file is unreadable or invalid
+   */
+  static load(configPath = process.env.WATCHLIST_CONFIG || DEFAULT_WATCHLIST_CONFIG) {
+    if (!fs.existsSync(configPath)) {
+      return null;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+    } catch (error) {
+      throw new Error(`Failed to read watchlist config ${configPath}: ${error.message}`);
+    }
+    return new Watchlist(config);
+  }
+
+  /**
+   * Load last known availability and undelivered alerts
+   * @returns {{sections: Object<string, number|null>, pending: Object<string, {event: Object, notified: Object<string, boolean>}>}}
+   *   available_slots and pending alerts, both keyed by section key
+   */
+  loadState() {
+    if (!fs.existsSync(this.stateFile)) {
+      return { sections: {}, pending: {} };
+    }
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf-8'));
+      return { sections: state.sections || {}, pending: state.pending || {} };
+    } catch (error) {
+      logger.warn(`   ⚠️ Failed to load watchlist state: ${error.message}`);
+      return { sections: {}, pending: {} };
+    }
+  }
+
+  /**
+   * Save last known availability and undelivered alerts
+   * @param {Object<string, number|null>} sections - available_slots keyed by section key
+   * @param {Object<string, {event: Object, notified: Object<string, boolean>}>} pending - Alerts some channel still has to deliver
+   */
+  saveState(sections, pending = {}) {
+    fs.mkdirSync(path.dirname(this.stateFile), { recursive: true });
+    fs.writeFileSync(this.stateFile, JSON.stringify({
+      updated_at: new Date().toISOString(),
+      sections,
+      pending
+    }, null, 2));
+  }
+
+  /**
+   * Names identifying each channel in the pending alerts' "notified" record
+   *
+   * Channels of the same type are told apart by their position among that type
+   * ('webhook', 'webhook#2', ...).
+   *
+   * @returns {Array<string>} One name per channel, in channel order
+   */
+  channelIds() {
+    const seen = {};
+    return this.channels.map(channel => {
+      seen[channel.name] = (seen[channel.name] || 0) + 1;
+      return seen[channel.name] === 1 ? channel.name : `${channel.name}#${seen[channel.name]}`;
+    });
+  }
+
+  /**
+   * Find watched sections that opened up since the last run
+   *
+   * @param {Array<{term: string, scheduleData: Array}>} termsData - Scraped courses per term
+   * @param {Object<string, number|null>} previousState - Last known available_slots
+   * @returns {{events: Array<Object>, nextState: Object<string, number|null>}}
+   */
+  detectOpenings(termsData, previousState) {
+    const events = [];
+    const nextState = { ...previousState };
+    const detectedAt = new Date().toISOString();
+
+    for (const { term, scheduleData } of termsData) {
+      for (const course of scheduleData) {
+        if (!this.watches.some(watch => watchMatches(watch, term, course))) continue;
+
+        const key = sectionKey(term, course);
+        const previous = previousState[key];
+        const current = course.available_slots ?? null;
+        nextState[key] = current;
+
+        const wasFull = previous !== undefined && previous !== null && previous <= 0;
+        if (wasFull && current !== null && current > 0) {
+          events.push({
+            type: 'section_opened',
+            key,
+            term,
+            department: course.department,
+            subject_code: course.subject_code,
+            section: course.section,
+            course_title: course.course_title,
+            instructor: course.instructor,
+            time_pattern: course.time_pattern,
+            max_capacity: course.max_capacity ?? null,
+            previous_available_slots: previous,
+            available_slots: current,
+            detected_at: detectedAt
+          });
+        }
+      }
+    }
+
+    return { events, nextState };
+  }
+
+  /**
+   * Compare the run's courses with the last known state and notify every channel
+   *
+   * Alerts a channel failed to deliver on earlier runs are sent to that
+   * channel again, together with the run's new alerts.
+   *
+   * @param {Array<{term: string, scheduleData: Array}>} termsData - Scraped courses per term
+   * @returns {Promise<{events: Array<Object>, failedChannels: Array<string>}>}
+   *   events: the run's new alerts and the retried ones; failedChannels: channels that failed this run
+   */
+  async process(termsData) {
+    const { sections: previousState, pending: previousPending } = this.loadState();
+    const { events: newEvents, nextState } = this.detectOpenings(termsData, previousState);
+
+    // Earlier undelivered alerts, unless the section is full again or opened up again this run
+    const pending = {};
+    for (const [key, entry] of Object.entries(previousPending)) {
+      if (nextState[key] !== null && nextState[key] > 0) {
+        pending[key] = entry;
+      }
+    }
+    for (const event of newEvents) {
+      pending[event.key] = { event, notified: {} };
+    }
+
+    const events = Object.values(pending).map(entry => entry.event);
+    const failedChannels = [];
+    if (events.length > 0) {
+      const retried = events.length - newEvents.length;
+      const opened = newEvents.length > 0 ? `${newEvents.length} watched section(s) opened up` : 'no new openings';
+      logger.info(`\n🔔 Watchlist: ${opened}${retried > 0 ? `, retrying ${retried} earlier alert(s)` : ''}`);
+      for (const event of events) {
+        logger.info(`   🟢 ${event.subject_code} ${event.section} (${event.term}): ${event.available_slots} slots free`);
+      }
+
+      const channelIds = this.channelIds();
+      for (const [index, channel] of this.channels.entries()) {
+        const channelId = channelIds[index];
+        const unsent = Object.values(pending).filter(entry => !entry.notified[channelId]);
+        if (unsent.length === 0) continue;
+
+        try {
+          await channel.send(unsent.map(entry => entry.event));
+          unsent.forEach(entry => { entry.notified[channelId] = true; });
+          logger.info(`   ✅ Notified via ${channelId}`);
+        } catch (error) {
+          failedChannels.push(channelId);
+          logger.error(`   ❌ Watchlist ${channelId} notification failed: ${error.message}`);
+        }
+      }
+
+      // Keep alerts a channel still owes so only that channel is retried next run
+      for (const [key, entry] of Object.entries(pending)) {
+        if (channelIds.every(channelId => entry.notified[channelId])) {
+          delete pending[key];
+        }
+      }
+    } else {
+      logger.info('\n🔔 Watchlist: no watched sections opened up');
+    }
+
+    this.saveState(nextState, pending);
+    return { events, failedChannels };
+  }
+}
@@ -75,21 +75,37 @@ interface ScheduleRecord {
   subject_code: string;
   section: string;
   department: string;
+  also_listed_in?: string[];
   course_title?: string;
   units?: number;
   time_pattern?: string;
   start_time?: string;
   end_time?: string;
   days_of_week?: string;
+  meetings?: { days: string[]; day_numbers: number[]; start_time: string | null; end_time: string | null; start_minutes: number | null; end_minutes: number | null; modality: string | null; tba: boolean }[];
   room?: string;
+  rooms?: { raw: string; type: string; building_code: string | null; building_name: string | null; room_number: string | null }[];
   instructor?: string;
+  instructors?: { last_name: string; first_name: string | null; raw: string; key: string }[];
   language?: string;
   level?: string;
   remarks?: string;
+  remark_annotations?: { type: string; raw: string; [field: string]: unknown }[];
+  parse_warnings?: string[];
   max_capacity?: number;
   delivery_mode?: string | null;
 }
 
+// Partial update sent by AISIS_SCRAPE_MODE=availability: key fields plus seat counts only
+interface ScheduleAvailabilityRecord {
+  term_code: string;
+  subject_code: string;
+  section: string;
+  department: string;
+  available_slots: number;
+  enrolled_count: number;
+}
+
 interface CurriculumRecord {
   degree_code: string;
   program_label?: string;
@@ -131,8 +147,8 @@ interface RequirementRule {
 }
 
 interface IngestPayload {
-  data_type: 'schedules' | 'curriculum' | 'curriculum_version';
-  records: ScheduleRecord[] | CurriculumRecord[] | CurriculumVersionPayload[];
+  data_type: 'schedules' | 'schedule_availability' | 'curriculum' | 'curriculum_version';
+  records: ScheduleRecord[] | ScheduleAvailabilityRecord[] | CurriculumRecord[] | CurriculumVersionPayload[];
   metadata?: {
     term_code?: string;
     department?: string;
@@ -148,6 +164,13 @@ interface BatchResult {
   filtered_invalid: number;
 }
 
+interface AvailabilityResult {
+  updated: number;
+  not_found: number;
+  errors: string[];
+  filtered_invalid: number;
+}
+
 // Helper: Add delay between batches to avoid rate limits
 const delay = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -344,6 +367,78 @@ async function upsertSchedulesInBatches(
   return result;
 }
 
+// Helper: Update seat counts of existing schedule rows
+// Never inserts and never deletes: rows missing from the table are counted as
+// not_found and left for the next full scrape, and every column other than
+// available_slots/enrolled_count keeps its value. replace_existing is ignored.
+async function updateScheduleAvailability(
+  supabase: any,
+  records: ScheduleAvailabilityRecord[],
+  metadata: any
+): Promise<AvailabilityResult> {
+  const result: AvailabilityResult = {
+    updated: 0,
+    not_found: 0,
+    errors: [],
+    filtered_invalid: 0
+  };
+
+  if (metadata?.replace_existing) {
+    console.warn('Ignoring replace_existing for schedule_availability (partial updates never delete)');
+  }
+
+  const validRecords = records.filter(record => {
+    if (!validateScheduleRecord(record as ScheduleRecord)) {
+      result.filtered_invalid++;
+      return false;
+    }
+    return true;
+  });
+
+  if (result.filtered_invalid > 0) {
+    console.log(`Filtered ${result.filtered_invalid} invalid record(s) (missing required fields)`);
+  }
+
+  // An upsert would insert rows missing every other column, so update row by row
+  // on the unique key. Availability refreshes cover a handful of subjects.
+  for (const record of validRecords) {
+    const key = `${record.term_code}|${record.department}|${record.subject_code}|${record.section}`;
+
+    try {
+      const { error, count } = await supabase
+        .from('aisis_schedules')
+        .update({
+          available_slots: record.available_slots,
+          enrolled_count: record.enrolled_count
+        }, { count: 'exact' })
+        .eq('term_code', record.term_code)
+        .eq('subject_code', record.subject_code)
+        .eq('section', record.section)
+        .eq('department', record.department);
+
+      if (error) {
+        const errorMsg = `Update ${key} failed: ${error.message}`;
+        console.error(errorMsg);
+        result.errors.push(errorMsg);
+      } else if (count === 0) {
+        result.not_found++;
+      } else {
+        result.updated++;
+      }
+    } catch (err) {
+      const errorMsg = `Update ${key} exception: ${err.message}`;
+      console.error(errorMsg);
+      result.errors.push(errorMsg);
+    }
+  }
+
+  if (result.not_found > 0) {
+    console.log(`${result.not_found} section(s) not found; they will be added by the next full scrape`);
+  }
+
+  return result;
+}
+
 // Helper: Upsert curriculum records
 async function upsertCurriculum(
   supabase: any,
@@ -715,6 +810,31 @@ serve(async (req) => {
         }
       );
 
+    } else if (data_type === 'schedule_availability') {
+      const availability = await updateScheduleAvailability(
+        supabaseClient,
+        records as ScheduleAvailabilityRecord[],
+        metadata
+      );
+
+      console.log(`Availability update completed: ${availability.updated}/${records.length} updated, ${availability.not_found} not found, ${availability.filtered_invalid} invalid filtered`);
+
+      return new Response(
+        JSON.stringify({
+          success: availability.errors.length === 0,
+          updated: availability.updated,
+          not_found: availability.not_found,
+          total: records.length,
+          filtered_invalid: availability.filtered_invalid,
+          errors: availability.errors,
+          partial_success: availability.updated > 0 && availability.errors.length > 0
+        }),
+        {
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+          status: availability.errors.length === 0 ? 200 : (availability.updated > 0 ? 207 : 500)
+        }
+      );
+
     } else if (data_type === 'curriculum') {
       result = await upsertCurriculum(
         supabaseClient,
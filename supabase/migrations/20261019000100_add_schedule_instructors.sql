@@ -0,0 +1,26 @@
+-- Migration: Add instructors to aisis_schedules
+-- Created: 2026-10-19
+-- Purpose: Store the parsed Instructor column: one {last_name, first_name, raw, key} object per instructor (src/instructor-parser.js).
+--
+-- transformScheduleData (src/supabase.js) sends instructors with every schedule
+-- record; without the column every upload batch fails with "column not found".
+-- Existing rows keep NULL until their term is scraped again.
+
+ALTER TABLE aisis_schedules
+ADD COLUMN IF NOT EXISTS instructors JSONB;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT column_name, data_type
+-- FROM information_schema.columns
+-- WHERE table_name = 'aisis_schedules'
+--   AND column_name = 'instructors';
+--
+-- Expected result: One row with data_type = 'jsonb'
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- ALTER TABLE aisis_schedules
+-- DROP COLUMN instructors;
@@ -0,0 +1,26 @@
+-- Migration: Add remark_annotations to aisis_schedules
+-- Created: 2026-10-19
+-- Purpose: Store typed annotations interpreted from the Remarks column: one {type, ..., raw} object per fact (src/remarks-parser.js).
+--
+-- transformScheduleData (src/supabase.js) sends remark_annotations with every schedule
+-- record; without the column every upload batch fails with "column not found".
+-- Existing rows keep NULL until their term is scraped again.
+
+ALTER TABLE aisis_schedules
+ADD COLUMN IF NOT EXISTS remark_annotations JSONB;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT column_name, data_type
+-- FROM information_schema.columns
+-- WHERE table_name = 'aisis_schedules'
+--   AND column_name = 'remark_annotations';
+--
+-- Expected result: One row with data_type = 'jsonb'
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- ALTER TABLE aisis_schedules
+-- DROP COLUMN remark_annotations;
@@ -0,0 +1,26 @@
+-- Migration: Add also_listed_in to aisis_schedules
+-- Created: 2026-10-19
+-- Purpose: Store the other departments listing a cross-listed section, which is kept once under its owning department (src/cross-listings.js).
+--
+-- transformScheduleData (src/supabase.js) sends also_listed_in with every schedule
+-- record; without the column every upload batch fails with "column not found".
+-- Existing rows keep NULL until their term is scraped again.
+
+ALTER TABLE aisis_schedules
+ADD COLUMN IF NOT EXISTS also_listed_in TEXT[];
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT column_name, data_type
+-- FROM information_schema.columns
+-- WHERE table_name = 'aisis_schedules'
+--   AND column_name = 'also_listed_in';
+--
+-- Expected result: One row with data_type = 'ARRAY'
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- ALTER TABLE aisis_schedules
+-- DROP COLUMN also_listed_in;
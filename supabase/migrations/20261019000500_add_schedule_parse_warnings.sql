@@ -0,0 +1,26 @@
+-- Migration: Add parse_warnings to aisis_schedules
+-- Created: 2026-10-19
+-- Purpose: Store the codes of values the parser defaulted or could not read, e.g. defaulted_units (src/parse-provenance.js).
+--
+-- transformScheduleData (src/supabase.js) sends parse_warnings with every schedule
+-- record; without the column every upload batch fails with "column not found".
+-- Existing rows keep NULL until their term is scraped again.
+
+ALTER TABLE aisis_schedules
+ADD COLUMN IF NOT EXISTS parse_warnings TEXT[];
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT column_name, data_type
+-- FROM information_schema.columns
+-- WHERE table_name = 'aisis_schedules'
+--   AND column_name = 'parse_warnings';
+--
+-- Expected result: One row with data_type = 'ARRAY'
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- ALTER TABLE aisis_schedules
+-- DROP COLUMN parse_warnings;
@@ -0,0 +1,28 @@
+-- Migration: Add meetings to aisis_schedules
+-- Created: 2026-10-19
+-- Purpose: Store the parsed Time column: one {days, day_numbers, start_time, end_time, start_minutes, end_minutes, modality, tba} object per time slot (src/meeting-parser.js).
+--
+-- transformScheduleData (src/supabase.js) sends meetings with every schedule
+-- record; without the column every upload batch fails with "column not found".
+-- Sections whose slots have different times get NULL start_time/end_time, so
+-- their per-day times are only in this column.
+-- Existing rows keep NULL until their term is scraped again.
+
+ALTER TABLE aisis_schedules
+ADD COLUMN IF NOT EXISTS meetings JSONB;
+
+-- ============================================================================
+-- VERIFICATION
+-- ============================================================================
+-- SELECT column_name, data_type
+-- FROM information_schema.columns
+-- WHERE table_name = 'aisis_schedules'
+--   AND column_name = 'meetings';
+--
+-- Expected result: One row with data_type = 'jsonb'
+
+-- ============================================================================
+-- ROLLBACK INSTRUCTIONS
+-- ============================================================================
+-- ALTER TABLE aisis_schedules
+-- DROP COLUMN meetings;
@@ -0,0 +1,421 @@
+/**
+ * Mock AISIS HTTP server for integration tests
+ *
+ * Emulates the parts of AISIS the scraper talks to:
+ * - displayLogin.do / login.do   Login form, credential check, session cookie + welcome page
+ * - J_VMCS.do                    Session check page ("User Identified As ...")
+ * - J_VCSC.do (GET)              Schedule of Classes form with applicablePeriod / deptCode dropdowns
+ * - J_VCSC.do (POST)             Department results (or the no-results sentinel), narrowed to
+ *                                  rows with the posted subjCode prefix unless subjCode is ALL;
+ *                                  command=displaySearchForm returns the form with the
+ *                                  department's subjCode dropdown filled in
+ * - J_VOFC.do (GET/POST)         Curriculum degCode dropdown and curriculum pages
+ *
+ * Unauthenticated requests to protected pages are redirected to displayLogin.do,
+ * like the real AISIS does when a session expires.
+ *
+ * Failures can be injected on demand with inject():
+ * - 'expired_session'  Invalidate the caller's session and redirect to the login page
+ * - 'error_page'       "Your Request Cannot Be Processed At This Time" page
+ * - 'http_error'       5xx (or any) status code
+ * - 'slow'             Delay the response by delayMs
+ * - 'truncated'        Send half of the page, then close the connection
+ * - 'session_bleed'    J_VOFC.do returns a different program than requested
+ *
+ * Usage in tests:
+ *   const server = new MockAisisServer();
+ *   await server.start();
+ *   const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url });
+ *   server.inject({ type: 'http_error', path: '/j_aisis/J_VCSC.do', match: { deptCode: 'EN' } });
+ *   ...
+ *   await server.stop();
+ *
+ * Run standalone (for manual testing): node tests/mock-aisis-server.js [port]
+ */
+
+import http from 'http';
+import fs from 'fs';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MOCK_USERNAME = 'mockuser';
+export const MOCK_PASSWORD = 'mockpass';
+
+const SESSION_COOKIE = 'JSESSIONID';
+const ERROR_PAGE_MARKER = 'Your Request Cannot Be Processed At This Time';
+const NO_RESULTS_MARKER = 'Sorry. There are no results for your search criteria';
+
+const loginPageHtml = fs.readFileSync(join(__dirname, 'fixtures', 'aisis-login-page.html'), 'utf8');
+const englishScheduleHtml = fs.readFileSync(join(__dirname, 'fixtures', 'aisis-schedule-edge-cases.html'), 'utf8');
+
+const SCHEDULE_HEADERS = [
+  'Subject Code', 'Section', 'Course Title', 'Units', 'Time', 'Room', 'Instructor',
+  'Max No', 'Lang', 'Level', 'Free Slots', 'Remarks', 'S', 'P'
+];
+
+/**
+ * Render a Schedule of Classes results table
+ *
+ * @param {Array<Array<string>>} rows - 14 cells per row, in SCHEDULE_HEADERS order
+ * @returns {string} Results page HTML with a header row
+ */
+export function renderScheduleHtml(rows) {
+  const toRow = cells => `<tr>${cells.map(cell => `<td class="text02">${cell}</td>`).join('')}</tr>`;
+  return `<html><body><table class="needspadding">${toRow(SCHEDULE_HEADERS)}${rows.map(toRow).join('')}</table></body></html>`;
+}
+
+/**
+ * Split a results page into its <tr> rows
+ * @param {string} html - Results page HTML
+ * @returns {Array<string>} Row HTML
+ */
+function tableRows(html) {
+  return html.match(/<tr[^>]*>[\s\S]*?<\/tr>/g) || [];
+}
+
+/**
+ * Text of a row's first cell (the subject code, or 'Subject Code' for the header)
+ * @param {string} row - Row HTML
+ * @returns {string} Trimmed cell text, or '' for a row without cells
+ */
+function rowSubjectCode(row) {
+  const firstCell = row.match(/<td[^>]*>([\s\S]*?)<\/td>/);
+  return firstCell ? firstCell[1].trim() : '';
+}
+
+/**
+ * Render a curriculum page for a program
+ *
+ * @param {{degCode: string, label: string}} program - Curriculum program
+ * @returns {string} J_VOFC.do curriculum HTML
+ */
+export function renderCurriculumHtml(program) {
+  return `<html><body><table>
+  <tr><td class="header06">${program.label}</td></tr>
+  <tr><td class="text04">First Year</td></tr>
+  <tr><td class="text04">First Semester</td></tr>
+  <tr><td class="text02">${program.degCode.split(' ')[0]} 11</td><td class="text02">Introduction to ${program.label}</td><td class="text02">3</td></tr>
+</table></body></html>`;
+}
+
+/**
+ * Default data served by the mock
+ */
+export function defaultMockData() {
+  return {
+    terms: [
+      { value: '2025-0', label: 'Intersession 2025' },
+      { value: '2025-1', label: 'First Semester 2025', selected: true },
+      { value: '2025-2', label: 'Second Semester 2025' }
+    ],
+    departments: [
+      { value: 'ALL', label: 'ALL DEPARTMENTS' },
+      { value: 'DISCS', label: 'Information Systems and Computer Science' },
+      { value: 'EN', label: 'English' },
+      { value: 'HI', label: 'History' }
+    ],
+    // schedules[term][deptCode] = results page HTML; missing entries get the no-results page
+    schedules: {
+      '2025-1': {
+        DISCS: renderScheduleHtml([
+          ['CSCI 21', 'A', 'INTRODUCTION TO PROGRAMMING I', '3', 'MWF 08:00-09:00 (FULLY ONSITE)', 'F-227', 'DOE, JANE', '40', 'ENG', 'U', '5', '', '', ''],
+          ['CSCI 22', 'B', 'INTRODUCTION TO PROGRAMMING II', '3', 'T-TH 09:30-11:00', 'F-228', 'SMITH, JOHN', '40', 'ENG', 'U', '0', '', '', ''],
+          ['CSCI 30', 'C', 'DATA STRUCTURES', '3', 'TBA (~)', 'TBA', 'TBA', '30', 'ENG', 'U', '30', '', '', '']
+        ]),
+        EN: englishScheduleHtml
+      },
+      '2025-2': {
+        DISCS: renderScheduleHtml([
+          ['CSCI 31', 'A', 'ALGORITHMS', '3', 'MWF 10:00-11:00', 'F-227', 'DOE, JANE', '40', 'ENG', 'U', '12', '', '', '']
+        ])
+      }
+    },
+    programs: [
+      { degCode: 'BS CS_2024_1', label: 'BS Computer Science (2024-1)' },
+      { degCode: 'AB EC_2024_1', label: 'AB Economics (2024-1)' }
+    ]
+  };
+}
+
+export class MockAisisServer {
+  /**
+   * @param {Object} options
+   * @param {string} options.username - Accepted username (default: MOCK_USERNAME)
+   * @param {string} options.password - Accepted password (default: MOCK_PASSWORD)
+   * @param {Object} options.data - Served data (default: defaultMockData())
+   */
+  constructor({ username = MOCK_USERNAME, password = MOCK_PASSWORD, data = defaultMockData() } = {}) {
+    this.username = username;
+    this.password = password;
+    this.data = data;
+    this.sessions = new Set();
+    this.failures = [];
+    this.requests = [];
+    this.loginCount = 0;
+    this.server = http.createServer((req, res) => {
+      this._handle(req, res).catch(error => {
+        res.writeHead(500, { 'Content-Type': 'text/plain' });
+        res.end(`Mock server error: ${error.message}`);
+      });
+    });
+    this.url = null;
+  }
+
+  /**
+   * Start listening on a local port
+   * @param {number} port - Port to listen on (default: random free port)
+   * @returns {Promise<string>} Base URL (e.g., http://127.0.0.1:54321)
+   */
+  start(port = 0) {
+    return new Promise(resolve => {
+      this.server.listen(port, '127.0.0.1', () => {
+        this.url = `http://127.0.0.1:${this.server.address().port}`;
+        resolve(this.url);
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  stop() {
+    return new Promise(resolve => {
+      this.server.closeAllConnections?.();
+      this.server.close(() => resolve());
+    });
+  }
+
+  /**
+   * Inject a failure for upcoming matching requests
+   *
+   * @param {Object} failure
+   * @param {string} failure.type - 'expired_session', 'error_page', 'http_error', 'slow', 'truncated' or 'session_bleed'
+   * @param {string} failure.path - Only requests to this path (e.g., '/j_aisis/J_VCSC.do'); default: any
+   * @param {string} failure.method - Only requests with this method; default: any
+   * @param {Object} failure.match - Only requests whose form params include these values (e.g., { deptCode: 'EN' })
+   * @param {number} failure.times - Number of requests to affect (default: 1, Infinity for all)
+   * @param {number} failure.status - Status code for 'http_error' (default: 500)
+   * @param {number} failure.delayMs - Delay for 'slow' (default: 1000)
+   */
+  inject(failure) {
+    this.failures.push({ times: 1, ...failure });
+  }
+
+  /**
+   * Invalidate every session, as if AISIS restarted or sessions timed out
+   */
+  expireSessions() {
+    this.sessions.clear();
+  }
+
+  /**
+   * Remove all pending injected failures
+   */
+  clearFailures() {
+    this.failures = [];
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const body = await readBody(req);
+    const params = new URLSearchParams(body);
+    const sessionId = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+    const request = { method: req.method, path: url.pathname, params: Object.fromEntries(params), sessionId };
+    this.requests.push(request);
+
+    const failure = this._takeFailure(request);
+
+    if (failure?.type === 'slow') {
+      await new Promise(resolve => setTimeout(resolve, failure.delayMs ?? 1000));
+    }
+    if (failure?.type === 'http_error') {
+      return send(res, failure.status ?? 500, `<html><body>HTTP ${failure.status ?? 500}</body></html>`);
+    }
+    if (failure?.type === 'error_page') {
+      return send(res, 200, `<html><body><h2>${ERROR_PAGE_MARKER}</h2></body></html>`);
+    }
+    if (failure?.type === 'expired_session') {
+      this.sessions.delete(sessionId);
+    }
+
+    switch (url.pathname) {
+      case '/j_aisis/displayLogin.do':
+        return send(res, 200, loginPageHtml);
+      case '/j_aisis/login.do':
+        return this._login(res, params);
+    }
+
+    if (!this.sessions.has(sessionId)) {
+      return redirect(res, '/j_aisis/displayLogin.do');
+    }
+
+    const reply = failure?.type === 'truncated' ? sendTruncated : send;
+    switch (url.pathname) {
+      case '/j_aisis/welcome.do':
+      case '/j_aisis/J_VMCS.do':
+        return reply(res, 200, this._welcomePage());
+      case '/j_aisis/J_VCSC.do':
+        if (req.method !== 'POST') {
+          return reply(res, 200, this._scheduleForm());
+        }
+        return params.get('command') === 'displaySearchForm'
+          ? reply(res, 200, this._scheduleForm(params))
+          : reply(res, 200, this._scheduleResults(params));
+      case '/j_aisis/J_VOFC.do':
+        return req.method === 'POST'
+          ? reply(res, 200, this._curriculumPage(params, failure?.type === 'session_bleed'))
+          : reply(res, 200, this._curriculumForm());
+      default:
+        return send(res, 404, '<html><body>Not Found</body></html>');
+    }
+  }
+
+  _takeFailure(request) {
+    const index = this.failures.findIndex(failure =>
+      (!failure.path || failure.path === request.path) &&
+      (!failure.method || failure.method === request.method) &&
+      Object.entries(failure.match || {}).every(([key, value]) => request.params[key] === value)
+    );
+    if (index === -1) return null;
+
+    const failure = this.failures[index];
+    failure.times--;
+    if (failure.times <= 0) {
+      this.failures.splice(index, 1);
+    }
+    return failure;
+  }
+
+  _login(res, params) {
+    if (params.get('userName') !== this.username || params.get('password') !== this.password) {
+      return send(res, 200, loginPageHtml.replace('<h1>Sign in</h1>', '<h1>Sign in</h1><p>Invalid username or password</p>'));
+    }
+
+    this.loginCount++;
+    const sessionId = crypto.randomBytes(12).toString('hex');
+    this.sessions.add(sessionId);
+    // Like AISIS, login.do answers with the welcome page itself rather than redirecting
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly`);
+    return send(res, 200, this._welcomePage());
+  }
+
+  _welcomePage() {
+    return `<html><body><div>User Identified As ${this.username.toUpperCase()}</div><div>MY INDIVIDUAL PROGRAM OF STUDY</div></body></html>`;
+  }
+
+  _scheduleForm(params = null) {
+    const termOptions = this.data.terms
+      .map(t => `<option value="${t.value}"${t.selected ? ' selected' : ''}>${t.label}</option>`)
+      .join('');
+    const deptOptions = this.data.departments
+      .map(d => `<option value="${d.value}">${d.label}</option>`)
+      .join('');
+    const subjOptions = ['ALL', ...this._subjects(params)]
+      .map(subject => `<option value="${subject}">${subject}</option>`)
+      .join('');
+    return `<html><body><form action="J_VCSC.do" method="post">
+  <select name="applicablePeriod">${termOptions}</select>
+  <select name="deptCode">${deptOptions}</select>
+  <select name="subjCode">${subjOptions}</select>
+</form></body></html>`;
+  }
+
+  /**
+   * Subject prefixes offered by the chosen department and term, like the
+   * subjCode dropdown AISIS fills in after a department is picked
+   */
+  _subjects(params) {
+    const html = params && this.data.schedules[params.get('applicablePeriod')]?.[params.get('deptCode')];
+    if (!html) return [];
+
+    const subjects = tableRows(html)
+      .map(rowSubjectCode)
+      .filter(code => code && code !== 'Subject Code')
+      .map(code => code.split(/[\s.\/]/)[0]);
+    return [...new Set(subjects)];
+  }
+
+  _scheduleResults(params) {
+    const noResults = `<html><body><p>${NO_RESULTS_MARKER}</p></body></html>`;
+    const html = this.data.schedules[params.get('applicablePeriod')]?.[params.get('deptCode')];
+    const subjCode = params.get('subjCode') || 'ALL';
+    if (!html || subjCode === 'ALL') {
+      return html || noResults;
+    }
+
+    // Keep the header row and rows whose subject code starts with the subjCode prefix
+    const kept = tableRows(html).filter(row => {
+      const code = rowSubjectCode(row);
+      return code === 'Subject Code' || code.split(/[\s.\/]/)[0] === subjCode;
+    });
+    return kept.length > 1
+      ? `<html><body><table class="needspadding">${kept.join('')}</table></body></html>`
+      : noResults;
+  }
+
+  _curriculumForm() {
+    const options = this.data.programs
+      .map(p => `<option value="${p.degCode}">${p.label}</option>`)
+      .join('');
+    return `<html><body><form action="J_VOFC.do" method="post"><select name="degCode">${options}</select></form></body></html>`;
+  }
+
+  _curriculumPage(params, bleed) {
+    const degCode = params.get('degCode');
+    let program = this.data.programs.find(p => p.degCode === degCode);
+    if (!program) {
+      return `<html><body><h2>${ERROR_PAGE_MARKER}</h2></body></html>`;
+    }
+    if (bleed) {
+      program = this.data.programs.find(p => p.degCode !== degCode) || program;
+    }
+    return renderCurriculumHtml(program);
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+}
+
+function parseCookies(header = '') {
+  const cookies = {};
+  for (const part of header.split(';')) {
+    const [name, ...rest] = part.trim().split('=');
+    if (name) cookies[name] = rest.join('=');
+  }
+  return cookies;
+}
+
+function send(res, status, html) {
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=UTF-8' });
+  res.end(html);
+}
+
+function sendTruncated(res, status, html) {
+  const body = Buffer.from(html);
+  res.writeHead(status, { 'Content-Type': 'text/html; charset=UTF-8', 'Content-Length': body.length });
+  res.write(body.subarray(0, Math.floor(body.length / 2)), () => res.destroy());
+}
+
+function redirect(res, location) {
+  res.writeHead(302, { Location: location });
+  res.end();
+}
+
+// Standalone mode: node tests/mock-aisis-server.js [port]
+if (process.argv[1] === __filename) {
+  const server = new MockAisisServer();
+  const url = await server.start(parseInt(process.argv[2] || '4567', 10));
+  console.log(`🧪 Mock AISIS server listening on ${url}`);
+  console.log(`   Login with ${MOCK_USERNAME} / ${MOCK_PASSWORD}, point the scraper at it with AISIS_BASE_URL=${url}`);
+}
@@ -6,6 +6,7 @@
  */
 
 import { AISISScraper } from '../src/scraper.js';
+import { AisisErrorPageError, CurriculumMismatchError } from '../src/errors.js';
 
 // Test counter
 let testsRun = 0;
@@ -36,7 +37,7 @@ function assertEquals(actual, expected, message) {
   }
 }
 
-async function assertThrows(fn, expectedMessagePart, message) {
+async function assertThrows(fn, ExpectedError, message) {
   testsRun++;
   try {
     await fn();
@@ -44,13 +45,13 @@ async function assertThrows(fn, expectedMessagePart, message) {
     console.error(`   Expected to throw but didn't`);
     testsFailed++;
   } catch (error) {
-    if (error.message.includes(expectedMessagePart)) {
+    if (error instanceof ExpectedError) {
       console.log(`✅ ${message}`);
       testsPassed++;
     } else {
       console.error(`❌ ${message}`);
-      console.error(`   Expected error message to include: ${expectedMessagePart}`);
-      console.error(`   Actual error message: ${error.message}`);
+      console.error(`   Expected error type: ${ExpectedError.name}`);
+      console.error(`   Actual error: ${error.name}: ${error.message}`);
       testsFailed++;
     }
   }
@@ -124,8 +125,8 @@ try {
   const scraper2 = new MockAISISScraper('test', 'test', errorPageHTML);
   await assertThrows(
     () => scraper2._scrapeDegreeWithValidation('BS CS_2024_1', 'BS Computer Science (2024-1)', 3),
-    'AISIS_ERROR_PAGE',
-    'Test 1.2: Throws AISIS_ERROR_PAGE error for error page'
+    AisisErrorPageError,
+    'Test 1.2: Throws AisisErrorPageError for error page'
   );
   assertEquals(scraper2.attemptCount, 3, 'Test 1.2b: All 3 attempts exhausted before giving up');
 } catch (error) {
@@ -177,7 +178,7 @@ try {
   const scraper4 = new MockAISISScraper('test', 'test', errorPageHTML);
   await assertThrows(
     () => scraper4._scrapeDegreeWithValidation('BS ME_2025_1', 'BS Mechanical Engineering (2025-1)', 3),
-    'AISIS_ERROR_PAGE',
+    AisisErrorPageError,
     'Test 2.1: AISIS error page detected even if program would mismatch'
   );
 } catch (error) {
@@ -201,7 +202,7 @@ try {
   const scraper5 = new MockAISISScraper('test', 'test', mismatchedHTML);
   await assertThrows(
     () => scraper5._scrapeDegreeWithValidation('BS ME_2025_1', 'BS Mechanical Engineering (2025-1)', 3),
-    'Curriculum HTML mismatch',
+    CurriculumMismatchError,
     'Test 2.2: Program mismatch validation still works'
   );
 } catch (error) {
@@ -0,0 +1,137 @@
+/**
+ * Test suite for the seat-availability history store
+ *
+ * Tests append-only recording, fill curves, filled-at detection and CSV/JSON export
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { AvailabilityHistory } from '../src/availability-history.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+function course(section, availableSlots, overrides = {}) {
+  return {
+    department: 'DISCS',
+    subject_code: 'CSCI 21',
+    section,
+    course_title: 'INTRODUCTION TO PROGRAMMING I',
+    max_capacity: 40,
+    available_slots: availableSlots,
+    enrolled_count: availableSlots === null ? null : 40 - availableSlots,
+    ...overrides
+  };
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-history-'));
+const history = new AvailabilityHistory(workDir);
+const CSCI_21_A = { department: 'DISCS', subject_code: 'CSCI 21', section: 'A' };
+const CSCI_21_B = { department: 'DISCS', subject_code: 'CSCI 21', section: 'B' };
+
+// Four 6-hourly runs: A fills up, B fills, reopens, then fills again
+const runs = [
+  ['2025-07-01T00:00:00.000Z', [course('A', 20), course('B', 3)]],
+  ['2025-07-01T06:00:00.000Z', [course('A', 5), course('B', 0)]],
+  ['2025-07-01T12:00:00.000Z', [course('A', 0), course('B', 1), course('B', 1)]],
+  ['2025-07-01T18:00:00.000Z', [course('A', 0), course('B', 0), course('TBA', null, { max_capacity: null })]]
+];
+
+// Test Suite 1: Recording
+console.log('\n📋 Test Suite 1: Recording\n');
+
+const counts = runs.map(([scrapedAt, courses]) => history.recordScrape('2025-1', courses, new Date(scrapedAt)));
+assertEquals(counts, [2, 2, 2, 3], 'Test 1.1: One observation per section per run (duplicates skipped)');
+
+const lines = fs.readFileSync(history.getHistoryPath('2025-1'), 'utf8').trim().split('\n');
+assertEquals(lines.length, 9, 'Test 1.2: History file is appended to, not rewritten');
+assertEquals(JSON.parse(lines[0]).key, '2025-1|DISCS|CSCI 21|A', 'Test 1.3: Observations carry the section key');
+assertEquals(history.recordScrape('2025-1', []), 0, 'Test 1.4: Empty scrape appends nothing');
+
+// Test Suite 2: Queries
+console.log('\n📋 Test Suite 2: Queries\n');
+
+const curve = await history.getFillCurve('2025-1', CSCI_21_A);
+assertEquals(curve.map(p => p.available_slots), [20, 5, 0, 0], 'Test 2.1: Fill curve in scrape order');
+assertEquals(curve.map(p => p.fill_ratio), [0.5, 0.875, 1, 1], 'Test 2.2: Fill ratio computed from enrolled/max');
+assertEquals(await history.findFilledAt('2025-1', CSCI_21_A), '2025-07-01T12:00:00.000Z', 'Test 2.3: Filled-at is the first full scrape');
+assertEquals(await history.findFilledAt('2025-1', CSCI_21_B), '2025-07-01T18:00:00.000Z', 'Test 2.4: Reopened section reports its latest fill');
+assertEquals(
+  await history.findFilledAt('2025-1', { ...CSCI_21_A, section: 'TBA' }),
+  null,
+  'Test 2.5: Section with unknown capacity is never full'
+);
+assertEquals(await history.getFillCurve('2024-2', CSCI_21_A), [], 'Test 2.6: Term without history returns empty curve');
+
+// Simulate a run killed mid-append
+fs.appendFileSync(history.getHistoryPath('2025-1'), '{"scraped_at":"2025-07-02T00:00');
+assertEquals((await history.readHistory('2025-1')).length, 9, 'Test 2.7: Truncated line is skipped');
+history.recordScrape('2025-1', [course('A', 0)], new Date('2025-07-02T06:00:00.000Z'));
+assertEquals((await history.getFillCurve('2025-1', CSCI_21_A)).length, 5, 'Test 2.8: Next run after a truncated line is still readable');
+
+// Test Suite 3: Export
+console.log('\n📋 Test Suite 3: Export\n');
+
+const csv = await history.exportHistory('2025-1', 'csv', CSCI_21_A);
+const csvLines = csv.trim().split('\n');
+assertEquals(csvLines[0], 'scraped_at,term,department,subject_code,section,max_capacity,available_slots,enrolled_count', 'Test 3.1: CSV header');
+assertEquals(csvLines[1], '2025-07-01T00:00:00.000Z,2025-1,DISCS,CSCI 21,A,40,20,20', 'Test 3.2: CSV row');
+assertEquals(csvLines.length, 6, 'Test 3.3: CSV export honours section filter');
+
+const json = JSON.parse(await history.exportHistory('2025-1', 'json'));
+assertEquals(json.length, 10, 'Test 3.4: JSON export includes every observation');
+assert(!('key' in json[0]), 'Test 3.5: JSON export uses the CSV columns');
+
+let formatError = null;
+try {
+  await history.exportHistory('2025-1', 'xlsx');
+} catch (error) {
+  formatError = error;
+}
+assert(formatError && formatError.message.includes('Invalid export format'), 'Test 3.6: Unknown export format throws');
+
+fs.rmSync(workDir, { recursive: true, force: true });
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
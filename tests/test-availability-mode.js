@@ -0,0 +1,190 @@
+/**
+ * Test suite for the availability-only fast refresh (AISIS_SCRAPE_MODE=availability)
+ *
+ * Tests subject list parsing, the subjCode filter against the mock AISIS server,
+ * and the partial update payload sent to a stand-in ingest endpoint
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+import { AvailabilityHistory } from '../src/availability-history.js';
+import { parseAvailabilitySubjects, runAvailabilityRefresh } from '../src/availability-refresh.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Stand-in ingest endpoint recording JSON POST bodies
+ */
+async function startIngestStandIn() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      received.push(payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, updated: payload.records.length, not_found: 0, total: payload.records.length }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-availability-'));
+
+delete process.env.AISIS_TRANSPORT;
+delete process.env.GITHUB_RUN_ID;
+
+// Test Suite 1: Subject list parsing
+console.log('\n📋 Test Suite 1: AISIS_AVAILABILITY_SUBJECTS parsing\n');
+
+assertEquals(
+  parseAvailabilitySubjects('DISCS:CSCI 21, ma:math ,DISCS:CSCI  21'),
+  [{ department: 'DISCS', subject: 'CSCI 21' }, { department: 'MA', subject: 'MATH' }],
+  'Test 1.1: Entries normalised and duplicates removed'
+);
+
+let entryError = null;
+try {
+  parseAvailabilitySubjects('DISCS:CSCI 21,CSCI 22');
+} catch (error) {
+  entryError = error;
+}
+assert(entryError && entryError.message.includes('"CSCI 22"'), 'Test 1.2: Entry without department is rejected');
+
+let emptyError = null;
+try {
+  parseAvailabilitySubjects('');
+} catch (error) {
+  emptyError = error;
+}
+assert(emptyError && emptyError.message.includes('requires AISIS_AVAILABILITY_SUBJECTS'), 'Test 1.3: Empty subject list is rejected');
+
+const server = new MockAisisServer();
+const ingest = await startIngestStandIn();
+await server.start();
+
+try {
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url });
+  scraper.sessionStore.dir = path.join(workDir, 'sessions');
+  scraper._delay = async () => {};
+  await scraper.login();
+
+  // Test Suite 2: Subject-filtered scraping
+  console.log('\n📋 Test Suite 2: Subject-filtered scraping\n');
+
+  server.requests.length = 0;
+  const scraped = await scraper.scrapeSubjects('2025-1', [
+    { department: 'DISCS', subject: 'CSCI 21' },
+    { department: 'EN', subject: 'ENLL' },
+    { department: 'HI', subject: 'HIST' }
+  ]);
+  const posted = server.requests
+    .filter(r => r.method === 'POST' && r.path === '/j_aisis/J_VCSC.do')
+    .map(r => r.params.subjCode);
+  assertEquals(posted, ['CSCI', 'ENLL', 'HIST'], 'Test 2.1: subjCode sent instead of ALL (full codes use their prefix)');
+  assertEquals(scraped.departments[0].courses.map(c => `${c.subject_code} ${c.section}`), ['CSCI 21 A'], 'Test 2.2: Full subject code filtered to that course');
+  const enll = scraped.departments[1].courses;
+  assert(enll.length > 0 && enll.every(c => c.subject_code.startsWith('ENLL ')), 'Test 2.3: Subject prefix keeps every course with that prefix');
+  assertEquals(scraped.departments[2].status, 'success', 'Test 2.4: Subject without offerings is not a failure');
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { subjCode: 'CSCI' } });
+  server.requests.length = 0;
+  const retried = await scraper.scrapeSubjects('2025-1', [{ department: 'DISCS', subject: 'CSCI 21' }]);
+  const retriedSubjCodes = server.requests
+    .filter(r => r.method === 'POST' && r.path === '/j_aisis/J_VCSC.do')
+    .map(r => r.params.subjCode);
+  assertEquals(retriedSubjCodes, ['CSCI', 'CSCI'], 'Test 2.5: Retry keeps the subjCode filter');
+  assertEquals(retried.courses.length, 1, 'Test 2.6: Retried subject still returns its sections');
+
+  // Test Suite 3: Partial update
+  console.log('\n📋 Test Suite 3: Partial update\n');
+
+  const supabase = new SupabaseManager('test-token', ingest.url);
+  const history = new AvailabilityHistory(path.join(workDir, 'history'));
+  const refresh = await runAvailabilityRefresh({
+    scraper,
+    supabase,
+    term: '2025-1',
+    subjects: [{ department: 'DISCS', subject: 'CSCI' }],
+    history,
+    watchlist: null
+  });
+  assertEquals(refresh.synced, true, 'Test 3.1: Partial update accepted');
+
+  const payload = ingest.received[0];
+  assertEquals(payload.data_type, 'schedule_availability', 'Test 3.2: Sent as schedule_availability');
+  assert(!('replace_existing' in payload.metadata), 'Test 3.3: replace_existing is never sent');
+  assertEquals(
+    Object.keys(payload.records[0]).sort(),
+    ['available_slots', 'department', 'enrolled_count', 'section', 'subject_code', 'term_code', 'university_code'],
+    'Test 3.4: Records carry only the row key and seat counts'
+  );
+  assertEquals(
+    payload.records.map(r => [r.subject_code, r.available_slots, r.enrolled_count]),
+    [['CSCI 21', 5, 35], ['CSCI 22', 0, 40], ['CSCI 30', 30, 0]],
+    'Test 3.5: Seat counts taken from the scraped sections'
+  );
+  assertEquals((await history.readHistory('2025-1')).length, 3, 'Test 3.6: Refresh is recorded in the availability history');
+
+  const duplicates = supabase.buildAvailabilityRecords([
+    { department: 'DISCS', subject_code: 'CSCI 21', section: 'A', course_title: 'X', available_slots: 1 },
+    { department: 'DISCS', subject_code: 'CSCI 21', section: 'A', course_title: 'X', available_slots: 9 },
+    { department: 'DISCS', subject_code: 'SUBJECT CODE', section: 'SECTION', course_title: 'COURSE TITLE' }
+  ], '2025-1');
+  assertEquals(duplicates.map(r => r.available_slots), [1], 'Test 3.7: Duplicate sections and header rows dropped');
+} finally {
+  await server.stop();
+  await new Promise(resolve => ingest.server.close(resolve));
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,181 @@
+/**
+ * Test suite for the section-level change log
+ *
+ * Tests section keys, field-level diffs, failed-department carry-over,
+ * snapshot persistence and the Markdown summary
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  sectionKey,
+  buildSectionSnapshot,
+  diffSections,
+  renderChangeLogMarkdown,
+  ChangeLogManager
+} from '../src/change-log.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+function course(overrides) {
+  return {
+    department: 'DISCS',
+    subject_code: 'CSCI 21',
+    section: 'A',
+    course_title: 'INTRODUCTION TO PROGRAMMING I',
+    time_pattern: 'MWF 0800-0900',
+    room: 'F-227',
+    instructor: 'DOE, JANE',
+    max_capacity: 40,
+    available_slots: 5,
+    remarks: '',
+    ...overrides
+  };
+}
+
+// Test Suite 1: Keys and diffs
+console.log('\n📋 Test Suite 1: Keys and diffs\n');
+
+assertEquals(sectionKey('2025-1', course()), '2025-1|DISCS|CSCI 21|A', 'Test 1.1: Section key is term|department|subject|section');
+
+const previousSnapshot = buildSectionSnapshot('2025-1', [
+  course(),
+  course({ section: 'B', room: 'F-228' }),
+  course({ subject_code: 'CSCI 22', section: 'A' })
+]);
+const currentSnapshot = buildSectionSnapshot('2025-1', [
+  course({ instructor: 'SMITH, JOHN', available_slots: 0 }),
+  course({ section: 'B', room: 'F-228' }),
+  course({ section: 'C' }),
+  course({ section: 'C', room: 'DUPLICATE' })
+]);
+
+assertEquals(currentSnapshot['2025-1|DISCS|CSCI 21|C'].room, 'F-227', 'Test 1.2: First row wins for duplicated sections');
+
+const diff = diffSections(previousSnapshot, currentSnapshot);
+assertEquals(diff.added.map(e => e.section), ['C'], 'Test 1.3: Added section reported');
+assertEquals(diff.removed.map(e => e.subject_code), ['CSCI 22'], 'Test 1.4: Removed section reported');
+assertEquals(diff.changed.length, 1, 'Test 1.5: Only sections with tracked field changes are reported');
+assertEquals(
+  diff.changed[0].changes,
+  [{ field: 'instructor', before: 'DOE, JANE', after: 'SMITH, JOHN' }],
+  'Test 1.6: Instructor change reported; seat counts are not tracked'
+);
+
+const multiDiff = diffSections(
+  buildSectionSnapshot('2025-1', [course()]),
+  buildSectionSnapshot('2025-1', [course({ room: 'TBA', time_pattern: 'TBA (~)', max_capacity: 30, remarks: 'DISSOLVED' })])
+);
+assertEquals(
+  multiDiff.changed[0].changes.map(c => c.field),
+  ['room', 'time_pattern', 'max_capacity', 'remarks'],
+  'Test 1.7: Room, time, capacity and remarks changes reported'
+);
+
+// Test Suite 2: ChangeLogManager across runs
+console.log('\n📋 Test Suite 2: Consecutive runs\n');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-changes-'));
+const manager = new ChangeLogManager(path.join(workDir, 'baselines'), path.join(workDir, 'changes'));
+
+const firstRun = manager.buildChangeLog('2025-1', [
+  { department: 'DISCS', status: 'success', courses: [course(), course({ section: 'B' })] },
+  { department: 'EN', status: 'success', courses: [course({ department: 'EN', subject_code: 'ENGL 11', section: 'X' })] }
+]);
+assertEquals(firstRun.previous_snapshot_at, null, 'Test 2.1: First run has no previous snapshot');
+assertEquals(firstRun.summary.added, 0, 'Test 2.2: First run does not report everything as added');
+assert(fs.existsSync(manager.getSnapshotPath('2025-1')), 'Test 2.3: Snapshot saved for next run');
+
+const secondRun = manager.buildChangeLog('2025-1', [
+  { department: 'DISCS', status: 'success', courses: [course({ room: 'SEC-A 201' })] },
+  { department: 'EN', status: 'failed', courses: [] }
+]);
+assert(secondRun.previous_snapshot_at !== null, 'Test 2.4: Second run compares with previous snapshot');
+assertEquals(secondRun.summary, { total_sections: 2, added: 0, removed: 1, changed: 1, unchanged: 0 }, 'Test 2.5: Summary counts');
+assertEquals(secondRun.skipped_departments, ['EN'], 'Test 2.6: Failed department is not diffed');
+assertEquals(secondRun.removed.map(e => e.section), ['B'], 'Test 2.7: Only the real removal is reported');
+
+const thirdRun = manager.buildChangeLog('2025-1', [
+  { department: 'DISCS', status: 'success', courses: [course({ room: 'SEC-A 201' })] },
+  { department: 'EN', status: 'success', courses: [course({ department: 'EN', subject_code: 'ENGL 11', section: 'X' })] }
+]);
+assertEquals(thirdRun.summary.added + thirdRun.summary.removed + thirdRun.summary.changed, 0, 'Test 2.8: Failed department carried over, no spurious changes next run');
+
+// A copy now kept under its owning department is collapsed, not removed
+const collapseManager = new ChangeLogManager(path.join(workDir, 'collapse-baselines'), path.join(workDir, 'collapse-changes'));
+collapseManager.buildChangeLog('2025-1', [
+  { department: 'HI', status: 'success', courses: [course({ department: 'HI' }), course({ department: 'HI', section: 'B' })] },
+  { department: 'DISCS', status: 'success', courses: [course()] }
+]);
+const collapseRun = collapseManager.buildChangeLog('2025-1', [
+  { department: 'HI', status: 'success', courses: [] },
+  { department: 'DISCS', status: 'success', courses: [course({ also_listed_in: ['HI'] })] }
+]);
+assertEquals(collapseRun.removed.map(e => `${e.department} ${e.section}`), ['HI B'], 'Test 2.9: Collapsed cross-listed copy not reported as removed');
+assertEquals(collapseRun.collapsed.map(e => e.key), ['2025-1|HI|CSCI 21|A'], 'Test 2.10: Collapsed copy listed separately');
+
+// Test Suite 3: Output files
+console.log('\n📋 Test Suite 3: Output\n');
+
+const markdown = renderChangeLogMarkdown([secondRun]);
+assert(markdown.includes('## 📋 Section changes for 2025-1'), 'Test 3.1: Markdown has a heading per term');
+assert(markdown.includes('**CSCI 21 A** (DISCS): room `F-227` → `SEC-A 201`'), 'Test 3.2: Markdown lists field changes');
+assert(markdown.includes('failed to scrape): EN'), 'Test 3.3: Markdown notes skipped departments');
+
+const truncated = renderChangeLogMarkdown([{ ...secondRun, removed: [secondRun.removed[0], secondRun.removed[0]] }], 1);
+assert(truncated.includes('…and 1 more'), 'Test 3.4: Long lists are truncated');
+
+const stepSummaryPath = path.join(workDir, 'step-summary.md');
+process.env.GITHUB_STEP_SUMMARY = stepSummaryPath;
+const { jsonPath, markdownPath } = manager.writeChangeLog(secondRun);
+delete process.env.GITHUB_STEP_SUMMARY;
+assertEquals(JSON.parse(fs.readFileSync(jsonPath, 'utf8')).changed.length, 1, 'Test 3.5: JSON change log written');
+assert(fs.readFileSync(markdownPath, 'utf8').includes('Changed sections'), 'Test 3.6: Markdown change log written');
+assert(fs.readFileSync(stepSummaryPath, 'utf8').includes('Section changes for 2025-1'), 'Test 3.7: Markdown appended to GitHub step summary');
+
+fs.rmSync(workDir, { recursive: true, force: true });
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,176 @@
+/**
+ * Test suite for checkpoint/resume of schedule and curriculum scrapes
+ *
+ * Uses a temporary checkpoint directory and mocked scraper internals to
+ * simulate a run that is interrupted and then resumed with the same run id
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { CheckpointManager, parseResumeArg } from '../src/checkpoint.js';
+import { AISISScraper } from '../src/scraper.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+function captureError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const checkpointDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-checkpoints-'));
+
+// Test Suite 1: --resume argument parsing
+console.log('\n📋 Test Suite 1: Resume Argument\n');
+
+assertEquals(parseResumeArg(['--resume', 'run-1']), 'run-1', 'Test 1.1: --resume <run-id>');
+assertEquals(parseResumeArg(['--resume=run-2']), 'run-2', 'Test 1.2: --resume=<run-id>');
+assertEquals(parseResumeArg([]), null, 'Test 1.3: No --resume means a fresh run');
+assert(captureError(() => parseResumeArg(['--resume'])) !== null, 'Test 1.4: --resume without run id throws');
+
+// Test Suite 2: Checkpoint store
+console.log('\n📋 Test Suite 2: Checkpoint Store\n');
+
+const fresh = CheckpointManager.open('schedule', null, checkpointDir);
+assert(CheckpointManager.isValidRunId(fresh.runId), 'Test 2.1: Fresh run gets a generated run id');
+assertEquals(fresh.readManifest().kind, 'schedule', 'Test 2.2: Manifest records the run kind');
+
+fresh.saveDepartment('2025-1', 'NSTP (ADAST)', [{ subject_code: 'NSTP 11', section: 'A' }], { status: 'success', row_count: 1 });
+const reopened = CheckpointManager.open('schedule', fresh.runId, checkpointDir);
+assert(reopened.resumed === true, 'Test 2.3: Existing run id reopens for resuming');
+assertEquals(
+  reopened.loadDepartment('2025-1', 'NSTP (ADAST)').courses,
+  [{ subject_code: 'NSTP 11', section: 'A' }],
+  'Test 2.4: Department with spaces/parentheses round-trips'
+);
+assertEquals(reopened.loadDepartment('2025-2', 'NSTP (ADAST)'), null, 'Test 2.5: Other terms are not checkpointed');
+
+assert(captureError(() => CheckpointManager.open('schedule', 'missing-run', checkpointDir)) !== null, 'Test 2.6: Unknown run id throws');
+assert(captureError(() => CheckpointManager.open('curriculum', fresh.runId, checkpointDir)) !== null, 'Test 2.7: Resuming a run as the wrong kind throws');
+assert(captureError(() => new CheckpointManager('../escape', 'schedule', checkpointDir)) !== null, 'Test 2.8: Run ids cannot contain path separators');
+
+reopened.clear();
+assert(!fs.existsSync(path.join(checkpointDir, fresh.runId)), 'Test 2.9: clear() removes the run directory');
+
+// Test Suite 3: Resuming a schedule scrape
+console.log('\n📋 Test Suite 3: Schedule Resume\n');
+
+process.env.FAST_MODE = 'true';
+
+function createScheduleScraper(checkpoint, failing) {
+  const scraper = new AISISScraper('test_user', 'test_pass');
+  scraper.loggedIn = true;
+  scraper.checkpoint = checkpoint;
+  scraper.scraped = [];
+  scraper._delay = async () => {};
+  scraper.getAvailableDepartments = async () => ['MA', 'EN', 'PE'].map(value => ({ value, label: value }));
+  scraper._scrapeDepartment = async (term, dept) => {
+    scraper.scraped.push(dept);
+    if (failing.includes(dept)) throw new Error(`${dept}: HTTP 503`);
+    if (dept === 'PE') return [];
+    return [{ subject_code: `${dept} 10`, section: 'A', department: dept }];
+  };
+  return scraper;
+}
+
+const scheduleRun = CheckpointManager.open('schedule', null, checkpointDir);
+const firstAttempt = await createScheduleScraper(scheduleRun, ['EN']).scrapeSchedule('2025-1');
+assertEquals(firstAttempt.courses.length, 1, 'Test 3.1: Interrupted run keeps successful departments');
+
+const resumedScraper = createScheduleScraper(CheckpointManager.open('schedule', scheduleRun.runId, checkpointDir), []);
+const resumed = await resumedScraper.scrapeSchedule('2025-1');
+assertEquals(resumedScraper.scraped, ['EN'], 'Test 3.2: Resume only scrapes the department that failed');
+assertEquals(resumed.courses.map(c => c.subject_code), ['MA 10', 'EN 10'], 'Test 3.3: Resumed result merges checkpointed courses in order');
+assertEquals(
+  resumed.departments.map(d => d.department),
+  ['MA', 'EN', 'PE'],
+  'Test 3.4: Per-department shape is unchanged'
+);
+
+// Test Suite 4: Resuming a curriculum scrape
+console.log('\n📋 Test Suite 4: Curriculum Resume\n');
+
+
+function createCurriculumScraper(checkpoint, failing) {
+  const scraper = new AISISScraper('test_user', 'test_pass');
+  scraper.loggedIn = true;
+  scraper.checkpoint = checkpoint;
+  scraper.scraped = [];
+  scraper.getDegreePrograms = async () => ['BS CS_2024_1', 'BS ME_2024_1', 'AB EC_2024_1'].map(degCode => ({ degCode, label: degCode }));
+  scraper._scrapeDegreeWithValidation = async (degCode) => {
+    scraper.scraped.push(degCode);
+    if (failing.includes(degCode)) throw new Error('Request timeout');
+    return `<html><body>${degCode}</body></html>`;
+  };
+  return scraper;
+}
+
+const curriculumRun = CheckpointManager.open('curriculum', null, checkpointDir);
+const partialScraper = createCurriculumScraper(curriculumRun, ['BS ME_2024_1']);
+const partial = await partialScraper.scrapeCurriculum();
+assertEquals(partial.length, 2, 'Test 4.1: Interrupted curriculum run keeps finished programs');
+
+const curriculumScraper = createCurriculumScraper(CheckpointManager.open('curriculum', curriculumRun.runId, checkpointDir), []);
+const curricula = await curriculumScraper.scrapeCurriculum();
+assertEquals(curriculumScraper.scraped, ['BS ME_2024_1'], 'Test 4.2: Resume only scrapes the unfinished program');
+assertEquals(
+  curricula.map(p => p.degCode),
+  ['BS CS_2024_1', 'BS ME_2024_1', 'AB EC_2024_1'],
+  'Test 4.3: Resumed curricula keep source order'
+);
+assert(curricula[0].html.includes('BS CS_2024_1'), 'Test 4.4: Checkpointed HTML is returned');
+assertEquals(
+  [partialScraper.lastCurriculumStats.failed, curriculumScraper.lastCurriculumStats.failed],
+  [1, 0],
+  'Test 4.5: Failed programs counted, so checkpoints are kept until nothing failed'
+);
+
+fs.rmSync(checkpointDir, { recursive: true, force: true });
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,222 @@
+/**
+ * Test suite for cross-department duplicate section resolution
+ *
+ * Tests choosing the owning department of a section listed under several
+ * departments (overrides, subject prefix registry, first-seen), collapsing the
+ * other copies into also_listed_in, and the scraper resolving duplicates after
+ * scraping a term or a few subjects from the mock AISIS server
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD, defaultMockData, renderScheduleHtml } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+import {
+  resolveCrossListings,
+  chooseOwningDepartment,
+  findOwnerCandidates,
+  parseCrossListOverrides,
+  getCrossListPolicy,
+  SUBJECT_DEPARTMENTS
+} from '../src/cross-listings.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const section = (department, subject_code, sectionCode) => ({ department, subject_code, section: sectionCode });
+const keys = courses => courses.map(c => `${c.subject_code} ${c.section}`);
+const registryOptions = { policy: 'registry', overrides: {}, registry: SUBJECT_DEPARTMENTS };
+
+// Test Suite 1: Configuration and owner choice
+console.log('\n📋 Test Suite 1: Configuration and Owner Choice\n');
+
+{
+  assertEquals(parseCrossListOverrides(' CSCI 30=MA, ENGG = ECE,,bad'), { 'CSCI 30': 'MA', 'ENGG': 'ECE' }, 'Test 1.1: Overrides parsed by subject code or prefix');
+  assertEquals(parseCrossListOverrides(undefined), {}, 'Test 1.2: No overrides by default');
+
+  delete process.env.AISIS_CROSSLIST_POLICY;
+  assertEquals(getCrossListPolicy(), 'registry', 'Test 1.3: Registry policy by default');
+  process.env.AISIS_CROSSLIST_POLICY = 'First-Seen';
+  assertEquals(getCrossListPolicy(), 'first-seen', 'Test 1.4: Policy read case-insensitively');
+  process.env.AISIS_CROSSLIST_POLICY = 'loudest';
+  assertEquals(getCrossListPolicy(), 'registry', 'Test 1.5: Invalid policy falls back to registry');
+  delete process.env.AISIS_CROSSLIST_POLICY;
+
+  assertEquals(
+    chooseOwningDepartment('CSCI 30', ['MA', 'DISCS'], registryOptions),
+    { department: 'DISCS', reason: 'registry' },
+    'Test 1.6: Registry picks the department offering the prefix'
+  );
+  assertEquals(
+    chooseOwningDepartment('CSCI 30', ['MA', 'DISCS'], { ...registryOptions, policy: 'first-seen' }),
+    { department: 'MA', reason: 'first-seen' },
+    'Test 1.7: first-seen picks the first department listing the section'
+  );
+  assertEquals(
+    chooseOwningDepartment('ENGG 101', ['ECE', 'PS'], registryOptions),
+    { department: 'ECE', reason: 'first-seen' },
+    'Test 1.8: Unregistered prefix falls back to first-seen'
+  );
+  assertEquals(
+    chooseOwningDepartment('CSCI 30', ['HI', 'EN'], registryOptions).department,
+    'HI',
+    'Test 1.9: Registry department not listing the section is skipped'
+  );
+  assertEquals(
+    chooseOwningDepartment('CSCI 30', ['DISCS', 'MA'], { ...registryOptions, overrides: { 'CSCI 30': 'MA', 'CSCI': 'DISCS' } }),
+    { department: 'MA', reason: 'override' },
+    'Test 1.10: Subject code override wins over prefix override and registry'
+  );
+  assertEquals(
+    chooseOwningDepartment('CSCI 30', ['DISCS', 'MA'], { ...registryOptions, overrides: { 'CSCI 30': 'EN' } }).reason,
+    'registry',
+    'Test 1.11: Override department not listing the section is skipped'
+  );
+  assertEquals(
+    [findOwnerCandidates('CSCI', { ...registryOptions, overrides: { 'CSCI 30': 'MA' } }), findOwnerCandidates('CSCI 21', { ...registryOptions, policy: 'first-seen' })],
+    [['MA', 'DISCS'], []],
+    'Test 1.12: Owner candidates from overrides and the registry'
+  );
+}
+
+// Test Suite 2: Collapsing duplicates
+console.log('\n📋 Test Suite 2: Collapsing Duplicates\n');
+
+{
+  const resolution = resolveCrossListings([
+    { department: 'MA', courses: [section('MA', 'MATH 10', 'A'), section('MA', 'CSCI 30', 'A')] },
+    { department: 'DISCS', courses: [section('DISCS', 'CSCI 30', 'A'), section('DISCS', 'CSCI 21', 'B')] },
+    { department: 'PS', courses: [section('PS', 'CSCI 30', 'A')] }
+  ], registryOptions);
+
+  assertEquals(resolution.departments.map(d => keys(d.courses)), [['MATH 10 A'], ['CSCI 30 A', 'CSCI 21 B'], []], 'Test 2.1: Copies dropped from non-owning departments');
+  assertEquals(resolution.collapsed, 2, 'Test 2.2: Collapsed copies counted');
+  assertEquals(
+    resolution.sections,
+    [{ subject_code: 'CSCI 30', section: 'A', department: 'DISCS', also_listed_in: ['MA', 'PS'], reason: 'registry' }],
+    'Test 2.3: One entry per cross-listed section'
+  );
+  assertEquals(resolution.departments[1].courses[0].also_listed_in, ['MA', 'PS'], 'Test 2.4: Kept copy records also_listed_in');
+  assertEquals(resolution.departments[0].courses[0].also_listed_in, [], 'Test 2.5: Sections listed once get an empty also_listed_in');
+
+  const sameDepartment = resolveCrossListings([
+    { department: 'DISCS', courses: [section('DISCS', 'CSCI 21', 'A'), section('DISCS', 'CSCI 21', 'A')] }
+  ], registryOptions);
+  assertEquals([sameDepartment.collapsed, sameDepartment.departments[0].courses.length], [0, 2], 'Test 2.6: Repeats within one department left alone');
+
+  const none = resolveCrossListings([], registryOptions);
+  assertEquals([none.departments, none.collapsed, none.sections], [[], 0, []], 'Test 2.7: No departments, nothing to resolve');
+}
+
+// Test Suite 3: Scraper and transform integration (mock AISIS)
+console.log('\n📋 Test Suite 3: Scraper Integration\n');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-cross-listings-'));
+delete process.env.FAST_MODE;
+delete process.env.AISIS_TRANSPORT;
+process.env.AISIS_DEPARTMENTS = 'HI,DISCS';
+
+const data = defaultMockData();
+data.schedules['2025-1'].HI = renderScheduleHtml([
+  ['HISTO 11', 'A', 'PHILIPPINE HISTORY', '3', 'MWF 08:00-09:00', 'SS-101', 'REYES, PEDRO', '40', 'ENG', 'U', '5', '', '', ''],
+  ['CSCI 21', 'A', 'INTRODUCTION TO PROGRAMMING I', '3', 'MWF 08:00-09:00 (FULLY ONSITE)', 'F-227', 'DOE, JANE', '40', 'ENG', 'U', '5', '', '', '']
+]);
+
+const server = new MockAisisServer({ data });
+await server.start();
+
+try {
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url });
+  scraper.sessionStore.dir = path.join(workDir, 'sessions');
+  scraper._delay = async () => {};
+  await scraper.login();
+
+  const result = await scraper.scrapeSchedule('2025-1');
+  assertEquals(keys(result.courses), ['HISTO 11 A', 'CSCI 21 A', 'CSCI 22 B', 'CSCI 30 C'], 'Test 3.1: Cross-listed section kept once');
+  const csci21 = result.courses.find(c => c.subject_code === 'CSCI 21');
+  assertEquals([csci21.department, csci21.also_listed_in], ['DISCS', ['HI']], 'Test 3.2: Kept under the registry department');
+  assertEquals(result.departments.map(d => d.courses.length), [1, 3], 'Test 3.3: Per-department courses match the flat list');
+
+  const summary = JSON.parse(fs.readFileSync('logs/schedule_summary-2025-1.json', 'utf-8'));
+  assertEquals([summary.total_courses, summary.statistics.duplicates_collapsed, summary.statistics.cross_listed_sections], [4, 1, 1], 'Test 3.4: Summary reports collapsed duplicates');
+
+  process.env.AISIS_CROSSLIST_POLICY = 'first-seen';
+  const firstSeen = await scraper.scrapeSchedule('2025-1');
+  const firstSeenCsci21 = firstSeen.courses.find(c => c.subject_code === 'CSCI 21');
+  assertEquals([firstSeenCsci21.department, firstSeenCsci21.also_listed_in], ['HI', ['DISCS']], 'Test 3.5: first-seen policy keeps the first listing');
+  delete process.env.AISIS_CROSSLIST_POLICY;
+
+  server.requests.length = 0;
+  const refreshed = await scraper.scrapeSubjects('2025-1', [{ department: 'HI', subject: 'CSCI 21' }]);
+  assertEquals(
+    refreshed.courses.map(c => [c.department, c.also_listed_in]),
+    [['DISCS', ['HI']]],
+    'Test 3.8: scrapeSubjects keeps the section under its owning department'
+  );
+  assertEquals(
+    server.requests.filter(r => r.method === 'POST' && r.path === '/j_aisis/J_VCSC.do').map(r => `${r.params.deptCode} ${r.params.subjCode}`),
+    ['HI CSCI', 'DISCS CSCI'],
+    'Test 3.9: Owning department listing fetched for the subject'
+  );
+  const both = await scraper.scrapeSubjects('2025-1', [{ department: 'HI', subject: 'CSCI' }, { department: 'DISCS', subject: 'CSCI 21' }]);
+  assertEquals(both.courses.map(c => `${c.department} ${c.subject_code} ${c.section}`), ['DISCS CSCI 21 A'], 'Test 3.10: Section requested under two departments returned once');
+
+  process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'https://test.supabase.co';
+  const supabase = new SupabaseManager('test-token');
+  const [transformed] = supabase.transformScheduleData([{ ...csci21, term_code: '2025-1' }]);
+  assertEquals(transformed.also_listed_in, ['HI'], 'Test 3.6: transformScheduleData keeps also_listed_in');
+  const [legacy] = supabase.transformScheduleData([{
+    subject_code: 'MATH 10', section: 'A', department: 'MA', term_code: '2025-1', time_pattern: 'MWF 0800-0900'
+  }]);
+  assertEquals(legacy.also_listed_in, [], 'Test 3.7: Records without also_listed_in get an empty list');
+} finally {
+  delete process.env.AISIS_DEPARTMENTS;
+  delete process.env.AISIS_CROSSLIST_POLICY;
+  await server.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -3,8 +3,8 @@
  * 
  * Verifies that the default configuration values for curriculum scraping
  * match the production-tested optimal settings:
- * - Default delay: 500ms (balanced mode)
- * - Default concurrency: 4
+ * - Curriculum workers capped at 4
+ * - Requests paced by the shared adaptive rate limiter (no fixed delay)
  * - Max retry attempts: 3
  * 
  * These values were determined through production testing which showed:
@@ -13,6 +13,7 @@
  */
 
 import fs from 'fs';
+import { DEFAULT_RETRY_POLICIES } from '../src/retry-policy.js';
 
 console.log('═══════════════════════════════════════════════════════');
 console.log('🧪 Testing Curriculum Scraping Configuration Defaults');
@@ -24,68 +25,54 @@ const scraperContent = fs.readFileSync('src/scraper.js', 'utf8');
 let passedTests = 0;
 let totalTests = 0;
 
-// Test 1: Verify default curriculum delay is 500ms for balanced mode
+// Test 1: Verify curriculum scraping uses the shared rate limiter instead of a fixed delay
 totalTests++;
-console.log('Test 1: Default curriculum delay should be 500ms (balanced mode)');
-const delayMatch = scraperContent.match(/const\s+defaultCurriculumDelay\s*=\s*fastMode\s*\?\s*(\d+)\s*:\s*(\d+);/);
-if (delayMatch) {
-  const fastModeDelay = parseInt(delayMatch[1], 10);
-  const normalModeDelay = parseInt(delayMatch[2], 10);
-  if (normalModeDelay === 500) {
-    console.log(`   ✅ PASS: Default delay is 500ms (fast mode: ${fastModeDelay}ms)\n`);
-    passedTests++;
-  } else {
-    console.log(`   ❌ FAIL: Expected 500ms, got ${normalModeDelay}ms\n`);
-  }
+console.log('Test 1: Curriculum scraping should be paced by the shared rate limiter');
+const curriculumBody = scraperContent.slice(scraperContent.indexOf('async scrapeCurriculum('));
+if (!/defaultCurriculumDelay|CURRICULUM_DELAY_MS/.test(scraperContent) && /runWorkQueue\(degreePrograms/.test(curriculumBody)) {
+  console.log('   ✅ PASS: No fixed curriculum delay; programs run on the shared work queue\n');
+  passedTests++;
 } else {
-  console.log('   ❌ FAIL: Could not find defaultCurriculumDelay definition\n');
+  console.log('   ❌ FAIL: Curriculum scraping still has a fixed delay or bypasses the work queue\n');
 }
 
-// Test 2: Verify default curriculum concurrency is 4
+// Test 2: Verify curriculum workers are capped at 4
 totalTests++;
-console.log('Test 2: Default curriculum concurrency should be 4');
-const concurrencyMatch = scraperContent.match(/const\s+defaultCurriculumConcurrency\s*=\s*(\d+);/);
+console.log('Test 2: Curriculum workers should be capped at 4');
+const concurrencyMatch = scraperContent.match(/const\s+CURRICULUM_MAX_WORKERS\s*=\s*(\d+);/);
 if (concurrencyMatch) {
-  const defaultConcurrency = parseInt(concurrencyMatch[1], 10);
-  if (defaultConcurrency === 4) {
-    console.log('   ✅ PASS: Default concurrency is 4\n');
+  const maxWorkers = parseInt(concurrencyMatch[1], 10);
+  if (maxWorkers === 4) {
+    console.log('   ✅ PASS: Curriculum worker cap is 4\n');
     passedTests++;
   } else {
-    console.log(`   ❌ FAIL: Expected 4, got ${defaultConcurrency}\n`);
+    console.log(`   ❌ FAIL: Expected 4, got ${maxWorkers}\n`);
   }
 } else {
-  console.log('   ❌ FAIL: Could not find defaultCurriculumConcurrency definition\n');
+  console.log('   ❌ FAIL: Could not find CURRICULUM_MAX_WORKERS definition\n');
 }
 
 // Test 3: Verify max retry attempts is 3
 totalTests++;
-console.log('Test 3: Max retry attempts should be 3 in _scrapeDegreeWithValidation');
-const maxAttemptsMatch = scraperContent.match(/async\s+_scrapeDegreeWithValidation\s*\(\s*degCode\s*,\s*label\s*,\s*maxAttempts\s*=\s*(\d+)\s*\)/);
-if (maxAttemptsMatch) {
-  const maxAttempts = parseInt(maxAttemptsMatch[1], 10);
-  if (maxAttempts === 3) {
-    console.log('   ✅ PASS: Max attempts is 3\n');
-    passedTests++;
-  } else {
-    console.log(`   ❌ FAIL: Expected 3, got ${maxAttempts}\n`);
-  }
+console.log('Test 3: Max retry attempts should be 3 in the curriculum retry policy');
+const usesCurriculumPolicy = /async\s+_scrapeDegreeWithValidation\s*\(\s*degCode\s*,\s*label\s*,\s*maxAttempts\s*=\s*this\.retryPolicies\.curriculum\.attempts\s*\)/.test(scraperContent);
+if (!usesCurriculumPolicy) {
+  console.log('   ❌ FAIL: _scrapeDegreeWithValidation does not default to the curriculum policy attempts\n');
+} else if (DEFAULT_RETRY_POLICIES.curriculum.attempts === 3) {
+  console.log('   ✅ PASS: Max attempts is 3\n');
+  passedTests++;
 } else {
-  console.log('   ❌ FAIL: Could not find _scrapeDegreeWithValidation method signature\n');
+  console.log(`   ❌ FAIL: Expected 3, got ${DEFAULT_RETRY_POLICIES.curriculum.attempts}\n`);
 }
 
-// Test 4: Verify fast mode delay is still 500ms (should not change)
+// Test 4: Verify the cap is applied to the curriculum worker count
 totalTests++;
-console.log('Test 4: Fast mode delay should remain 500ms');
-if (delayMatch) {
-  const fastModeDelay = parseInt(delayMatch[1], 10);
-  if (fastModeDelay === 500) {
-    console.log('   ✅ PASS: Fast mode delay is 500ms\n');
-    passedTests++;
-  } else {
-    console.log(`   ❌ FAIL: Expected 500ms, got ${fastModeDelay}ms\n`);
-  }
+console.log('Test 4: Curriculum worker count should apply CURRICULUM_MAX_WORKERS');
+if (/Math\.min\(this\.rateLimitConfig\.concurrency,\s*CURRICULUM_MAX_WORKERS\)/.test(curriculumBody)) {
+  console.log('   ✅ PASS: AISIS_CONCURRENCY is capped for curriculum scraping\n');
+  passedTests++;
 } else {
-  console.log('   ❌ FAIL: Could not verify fast mode delay\n');
+  console.log('   ❌ FAIL: Curriculum worker count is not capped\n');
 }
 
 // Summary
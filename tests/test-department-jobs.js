@@ -0,0 +1,188 @@
+/**
+ * Test suite for the department job runner
+ *
+ * Tests the canary phase, retries, resume/checkpoint hooks and result ordering
+ * of runDepartmentJobs, plus scrapeSchedule and scrapeMultipleTerms running on
+ * it against the mock AISIS server
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { runDepartmentJobs, FIRST_DEPARTMENT_CANARY } from '../src/department-jobs.js';
+import { RetryPolicy, DEFAULT_RETRY_POLICIES } from '../src/retry-policy.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const jobs = ['DISCS', 'EN', 'HI', 'MA'].map(department => ({ term: '2025-1', department }));
+const noDelay = async () => {};
+
+// Test Suite 1: Canary phase
+console.log('\n📋 Test Suite 1: Canary phase\n');
+
+{
+  const started = [];
+  const { results, canaryFailed } = await runDepartmentJobs(jobs, {
+    run: async job => {
+      started.push(job.department);
+      return job.department === 'HI' ? [] : [{ subject_code: `${job.department} 1` }];
+    },
+    concurrency: 3,
+    canary: FIRST_DEPARTMENT_CANARY,
+    delay: noDelay
+  });
+  assertEquals(started[0], 'DISCS', 'Test 1.1: Canary department runs first');
+  assertEquals(canaryFailed, false, 'Test 1.2: Passing canary lets the queue run');
+  assertEquals(results.map(r => r.job.department), ['DISCS', 'EN', 'HI', 'MA'], 'Test 1.3: Results in job order');
+  assertEquals(results.map(r => r.status.status), ['success', 'success', 'success_empty', 'success'], 'Test 1.4: Empty department is success_empty');
+}
+
+{
+  let discsAttempts = 0;
+  const { results } = await runDepartmentJobs(jobs, {
+    run: async job => {
+      if (job.department === 'DISCS' && discsAttempts++ === 0) throw new Error('HTTP 503');
+      return [{ subject_code: `${job.department} 1` }];
+    },
+    canary: FIRST_DEPARTMENT_CANARY,
+    delay: noDelay
+  });
+  assertEquals(results[0].status, { status: 'success', row_count: 1, error: null, attempts: 2 }, 'Test 1.5: Canary department is retried');
+}
+
+{
+  const started = [];
+  const { results, canaryFailed } = await runDepartmentJobs(jobs, {
+    run: async job => {
+      started.push(job.department);
+      throw new Error('login page');
+    },
+    canary: FIRST_DEPARTMENT_CANARY,
+    maxRetries: 1,
+    delay: noDelay
+  });
+  assertEquals(canaryFailed, true, 'Test 1.6: Canary failure reported');
+  assertEquals(started, ['DISCS', 'DISCS'], 'Test 1.7: Remaining jobs not run after canary failure');
+  assertEquals(results[3].status.attempts, 0, 'Test 1.8: Skipped jobs have no attempts');
+  assert(results.every(r => r.status.status === 'failed'), 'Test 1.9: Skipped jobs reported as failed');
+  assert(results[1].status.error.includes('canary DISCS failed'), 'Test 1.10: Skipped jobs name the failed canary');
+}
+
+// Test Suite 2: Retries and hooks
+console.log('\n📋 Test Suite 2: Retries and hooks\n');
+
+{
+  const backoffs = [];
+  const attempts = {};
+  const saved = [];
+  const { results } = await runDepartmentJobs(jobs, {
+    run: async (job, attempt) => {
+      attempts[job.department] = attempt + 1;
+      if (job.department === 'EN') throw new Error('HTTP 500');
+      if (job.department === 'HI') throw Object.assign(new Error('headers changed'), { code: 'SCHEMA_DRIFT' });
+      return [{ subject_code: `${job.department} 1` }];
+    },
+    concurrency: 2,
+    policy: new RetryPolicy('department', { ...DEFAULT_RETRY_POLICIES.department, jitter: 0 }),
+    delay: async ms => { backoffs.push(ms); },
+    resume: job => job.department === 'MA' ? { courses: [{ subject_code: 'MATH 10' }], status: { status: 'success', resumed: true } } : null,
+    onResult: (job, courses) => saved.push(job.department)
+  });
+  assertEquals(attempts.EN, 3, 'Test 2.1: Failing department tried the policy\'s 3 attempts');
+  assertEquals(backoffs, [1000, 2000], 'Test 2.2: Exponential backoff between retries');
+  assertEquals(attempts.HI, 1, 'Test 2.3: Schema drift is not retried');
+  assertEquals(attempts.MA, undefined, 'Test 2.4: Resumed job is not run');
+  assertEquals(results[3].status.resumed, true, 'Test 2.5: Resumed status kept');
+  assertEquals(saved, ['DISCS'], 'Test 2.6: onResult only for freshly scraped successes');
+}
+
+// Test Suite 3: Scraper on the runner (mock AISIS)
+console.log('\n📋 Test Suite 3: Scraper on the runner\n');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-dept-jobs-'));
+delete process.env.FAST_MODE;
+delete process.env.AISIS_TRANSPORT;
+delete process.env.AISIS_DEPARTMENTS;
+
+const server = new MockAisisServer();
+await server.start();
+
+try {
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url });
+  scraper.sessionStore.dir = path.join(workDir, 'sessions');
+  scraper._delay = async () => {};
+  await scraper.login();
+
+  // The second 503 fails the retry's subject lookup, so the third attempt succeeds
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'DISCS' }, times: 2 });
+  const retried = await scraper.scrapeSchedule('2025-1');
+  const summary = JSON.parse(fs.readFileSync('logs/schedule_summary-2025-1.json', 'utf-8'));
+  assertEquals(retried.courses.length, 9, 'Test 3.1: Standard mode recovers a failing test department');
+  assertEquals(summary.departments.DISCS.attempts, 3, 'Test 3.2: Test department retried by the runner');
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'DISCS' }, times: Infinity });
+  server.requests.length = 0;
+  const aborted = await scraper.scrapeSchedule('2025-1');
+  const scrapedDepts = new Set(server.requests.filter(r => r.method === 'POST' && r.path === '/j_aisis/J_VCSC.do').map(r => r.params.deptCode));
+  assertEquals([...scrapedDepts], ['DISCS'], 'Test 3.3: Failing canary stops the rest of the term');
+  assertEquals(aborted.departments.map(d => d.status), ['failed', 'failed', 'failed'], 'Test 3.4: Skipped departments reported as failed');
+
+  server.clearFailures();
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { applicablePeriod: '2025-2', deptCode: 'DISCS' }, times: Infinity });
+  server.requests.length = 0;
+  const multi = await scraper.scrapeMultipleTerms(['2025-1', '2025-2']);
+  const secondTermDepts = new Set(server.requests
+    .filter(r => r.method === 'POST' && r.path === '/j_aisis/J_VCSC.do' && r.params.applicablePeriod === '2025-2')
+    .map(r => r.params.deptCode));
+  assertEquals([...secondTermDepts].sort(), ['DISCS', 'EN', 'HI'], 'Test 3.5: Later terms skip the canary once the session is verified');
+  assertEquals(multi[1].departments.map(d => d.status)[0], 'failed', 'Test 3.6: Failing department still reported for later terms');
+} finally {
+  await server.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
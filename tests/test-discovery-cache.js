@@ -0,0 +1,195 @@
+/**
+ * Test suite for the discovery cache (terms, selected term and departments)
+ *
+ * Tests TTL reuse, invalidation, shared in-flight fetches and the disk
+ * fallback, plus the scraper fetching J_VCSC.do once for all three lookups
+ * against the mock AISIS server
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { DiscoveryCache, getDiscoveryTtlMs, DEFAULT_DISCOVERY_TTL_MS } from '../src/discovery-cache.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-discovery-'));
+
+/**
+ * Cache on a fake clock with a counting fetch that can be told to fail
+ */
+function createCache(cacheFile) {
+  const state = { now: 0, fetches: 0, fail: false };
+  const cache = new DiscoveryCache({
+    ttlMs: 1000,
+    cacheFile,
+    now: () => state.now,
+    fetch: async () => {
+      state.fetches++;
+      await new Promise(resolve => setImmediate(resolve));
+      if (state.fail) throw new Error('HTTP 503');
+      return {
+        terms: [{ value: '2025-1', label: 'First Semester 2025', selected: true }],
+        selectedTerm: '2025-1',
+        departments: [{ value: 'DISCS', label: 'DISCS' }],
+        fetch_number: state.fetches
+      };
+    }
+  });
+  return { cache, state };
+}
+
+// Test Suite 1: Caching
+console.log('\n📋 Test Suite 1: Caching\n');
+
+{
+  const cacheFile = path.join(workDir, 'suite1', 'discovery.json');
+  const { cache, state } = createCache(cacheFile);
+
+  const first = await cache.get();
+  const second = await cache.get();
+  assertEquals([first.source, second.source], ['live', 'cache'], 'Test 1.1: Second call served from cache');
+  assertEquals(state.fetches, 1, 'Test 1.2: Page fetched once');
+
+  state.now += 1000;
+  assertEquals((await cache.get()).source, 'live', 'Test 1.3: Expired entry fetched again');
+
+  cache.invalidate();
+  assertEquals((await cache.get()).source, 'live', 'Test 1.4: Invalidated entry fetched again');
+  assertEquals((await cache.get({ forceRefresh: true })).fetch_number, 4, 'Test 1.5: forceRefresh bypasses the cache');
+
+  cache.invalidate();
+  const concurrent = await Promise.all([cache.get(), cache.get(), cache.get()]);
+  assertEquals(state.fetches, 5, 'Test 1.6: Concurrent callers share one fetch');
+  assert(concurrent.every(d => d.fetch_number === 5), 'Test 1.7: Concurrent callers get the same result');
+
+  const saved = JSON.parse(fs.readFileSync(cacheFile, 'utf-8'));
+  assert(saved.fetched_at && saved.fetch_number === 5, 'Test 1.8: Last discovery saved to disk with fetched_at');
+}
+
+// Test Suite 2: Disk fallback
+console.log('\n📋 Test Suite 2: Disk fallback\n');
+
+{
+  const cacheFile = path.join(workDir, 'suite2.json');
+  const { cache, state } = createCache(cacheFile);
+  await cache.get();
+
+  const restarted = createCache(cacheFile);
+  restarted.state.fail = true;
+  const fallback = await restarted.cache.get();
+  assertEquals([fallback.source, fallback.selectedTerm], ['disk', '2025-1'], 'Test 2.1: Failed fetch falls back to the saved discovery');
+
+  restarted.state.fail = false;
+  assertEquals((await restarted.cache.get()).source, 'live', 'Test 2.2: Fallback is not cached; next call retries AISIS');
+
+  const empty = createCache(path.join(workDir, 'missing.json'));
+  empty.state.fail = true;
+  let fetchError = null;
+  try {
+    await empty.cache.get();
+  } catch (error) {
+    fetchError = error;
+  }
+  assertEquals(fetchError && fetchError.message, 'HTTP 503', 'Test 2.3: Failed fetch without a saved discovery throws');
+  assertEquals(state.fetches, 1, 'Test 2.4: Fallback does not touch other caches');
+}
+
+// Test Suite 3: Configuration
+console.log('\n📋 Test Suite 3: Configuration\n');
+
+delete process.env.AISIS_DISCOVERY_TTL_MS;
+assertEquals(getDiscoveryTtlMs(), DEFAULT_DISCOVERY_TTL_MS, 'Test 3.1: Default TTL is 15 minutes');
+process.env.AISIS_DISCOVERY_TTL_MS = '0';
+assertEquals(getDiscoveryTtlMs(), 0, 'Test 3.2: TTL of 0 disables reuse');
+process.env.AISIS_DISCOVERY_TTL_MS = 'soon';
+assertEquals(getDiscoveryTtlMs(), DEFAULT_DISCOVERY_TTL_MS, 'Test 3.3: Invalid TTL falls back to default');
+delete process.env.AISIS_DISCOVERY_TTL_MS;
+
+// Test Suite 4: Scraper discovery (mock AISIS)
+console.log('\n📋 Test Suite 4: Scraper discovery\n');
+
+delete process.env.AISIS_TRANSPORT;
+const server = new MockAisisServer();
+await server.start();
+const formRequests = () => server.requests.filter(r => r.method === 'GET' && r.path === '/j_aisis/J_VCSC.do').length;
+
+try {
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url });
+  scraper.sessionStore.dir = path.join(workDir, 'sessions');
+  scraper.discoveryCache.cacheFile = path.join(workDir, 'scraper-discovery.json');
+  scraper._delay = async () => {};
+  await scraper.login();
+
+  server.requests.length = 0;
+  const terms = await scraper.getAvailableTerms();
+  const departments = await scraper.getAvailableDepartments();
+  const current = await scraper._detectCurrentTerm();
+  assertEquals(terms.map(t => t.value), ['2025-0', '2025-1', '2025-2'], 'Test 4.1: Terms discovered');
+  assertEquals(departments.map(d => d.value), ['DISCS', 'EN', 'HI'], 'Test 4.2: Departments discovered (ALL excluded)');
+  assertEquals(current, '2025-1', 'Test 4.3: Selected term detected');
+  assertEquals(formRequests(), 1, 'Test 4.4: One Schedule of Classes fetch for all three');
+
+  await scraper.login();
+  await scraper.getAvailableDepartments();
+  assertEquals(formRequests(), 1, 'Test 4.5: Reused session keeps the cached discovery');
+
+  scraper.loggedIn = false;
+  await scraper.login();
+  await scraper.getAvailableDepartments();
+  assertEquals(formRequests(), 2, 'Test 4.6: Fresh login fetches again');
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'GET', times: Infinity });
+  scraper.invalidateDiscovery();
+  const fallbackDepartments = await scraper.getAvailableDepartments();
+  assertEquals(fallbackDepartments.map(d => d.value), ['DISCS', 'EN', 'HI'], 'Test 4.7: Flaky AISIS falls back to the saved discovery');
+} finally {
+  await server.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,177 @@
+/**
+ * Test suite for the scraper error classes
+ *
+ * Tests the structured fields of each error class, and that retries, skipped
+ * curricula, department statuses, summaries and the Supabase sync branch on
+ * error type and code (mock AISIS server for the scraper paths)
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+import { buildColumnMap } from '../src/schedule-columns.js';
+import { parseAllCurricula } from '../src/curriculum-parser.js';
+import { runDepartmentJobs } from '../src/department-jobs.js';
+import {
+  ScraperError,
+  LoginFailedError,
+  SessionExpiredError,
+  CurriculumMismatchError,
+  SchemaDriftError,
+  HttpStatusError,
+  SyncAbortedError,
+  errorCode
+} from '../src/errors.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+async function captureError(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+// Test Suite 1: Error classes
+console.log('\n📋 Test Suite 1: Error classes\n');
+
+{
+  const error = new HttpStatusError('HTTP 503 for dept DISCS, term 2025-1', { status: 503, deptCode: 'DISCS', term: '2025-1', attempt: 2 });
+  assert(error instanceof ScraperError && error instanceof Error, 'Test 1.1: Error classes extend ScraperError and Error');
+  assertEquals([error.name, error.code], ['HttpStatusError', 'HTTP_STATUS'], 'Test 1.2: Name and code set from the class');
+  assertEquals([error.status, error.deptCode, error.term, error.attempt], [503, 'DISCS', '2025-1', 2], 'Test 1.3: Structured fields kept');
+  assert(!('degCode' in error), 'Test 1.4: Unset fields are left off');
+
+  const cause = new Error('socket hang up');
+  assertEquals(new SessionExpiredError('expired', { cause }).cause, cause, 'Test 1.5: Cause kept');
+  assertEquals(
+    [errorCode(new CurriculumMismatchError('x')), errorCode(Object.assign(new Error('x'), { code: 'ECONNRESET' })), errorCode(new Error('x'))],
+    ['CURRICULUM_MISMATCH', 'ECONNRESET', 'UNKNOWN'],
+    'Test 1.6: errorCode falls back to UNKNOWN'
+  );
+}
+
+// Test Suite 2: Parsers and job runner
+console.log('\n📋 Test Suite 2: Parsers and job runner\n');
+
+{
+  const drift = await captureError(() => buildColumnMap(['Subject Code', 'Section', 'Teacher']));
+  assert(drift instanceof SchemaDriftError && drift.headers.length === 3, 'Test 2.1: Column map throws SchemaDriftError with the headers seen');
+
+  const bleedHtml = '<html><body><table><tr><td class="header06">BS Management (Honors) (2025-1)</td></tr></table></body></html>';
+  const parsed = parseAllCurricula([{ degCode: 'BS ME_2025_1', label: 'BS Mechanical Engineering (2025-1)', html: bleedHtml }]);
+  assertEquals(parsed.programs.length, 0, 'Test 2.2: Mismatched program skipped by type');
+
+  const attempts = {};
+  const { results } = await runDepartmentJobs(['DRIFT', 'HTTP'].map(department => ({ term: '2025-1', department })), {
+    run: async job => {
+      attempts[job.department] = (attempts[job.department] || 0) + 1;
+      throw job.department === 'DRIFT'
+        ? new SchemaDriftError('Schedule table schema drift', { headers: [] })
+        : new HttpStatusError('HTTP 502', { status: 502 });
+    },
+    maxRetries: 1,
+    delay: async () => {}
+  });
+  assertEquals(attempts, { DRIFT: 1, HTTP: 2 }, 'Test 2.3: SchemaDriftError not retried, HttpStatusError retried');
+  assertEquals(results.map(r => r.status.error_code), ['SCHEMA_DRIFT', 'HTTP_STATUS'], 'Test 2.4: Failed status carries error_code');
+}
+
+// Test Suite 3: Scraper (mock AISIS)
+console.log('\n📋 Test Suite 3: Scraper\n');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-errors-'));
+delete process.env.FAST_MODE;
+delete process.env.AISIS_TRANSPORT;
+delete process.env.AISIS_DEPARTMENTS;
+delete process.env.AISIS_SHARD_DEPARTMENTS;
+
+const server = new MockAisisServer();
+await server.start();
+
+try {
+  const rejected = new AISISScraper(MOCK_USERNAME, 'wrong-password', { baseUrl: server.url });
+  rejected.sessionStore.dir = path.join(workDir, 'rejected-sessions');
+  assert(await captureError(() => rejected.login()) instanceof LoginFailedError, 'Test 3.1: Wrong password throws LoginFailedError');
+
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url });
+  scraper.sessionStore.dir = path.join(workDir, 'sessions');
+  scraper._delay = async () => {};
+  await scraper.login();
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'EN' } });
+  const httpError = await captureError(() => scraper._scrapeDepartment('2025-1', 'EN'));
+  assert(httpError instanceof HttpStatusError, 'Test 3.2: 5xx from AISIS throws HttpStatusError');
+  assertEquals([httpError.status, httpError.deptCode, httpError.term], [503, 'EN', '2025-1'], 'Test 3.3: HTTP error carries status, department and term');
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'DISCS' }, times: Infinity });
+  const aborted = await scraper.scrapeSchedule('2025-1');
+  const summary = JSON.parse(fs.readFileSync('logs/schedule_summary-2025-1.json', 'utf-8'));
+  assertEquals(aborted.departments.map(d => d.status), ['failed', 'failed', 'failed'], 'Test 3.4: Failing canary fails the term');
+  assertEquals(summary.departments.EN.error_code, 'CANARY_FAILED', 'Test 3.5: Skipped department coded CANARY_FAILED');
+  assertEquals(summary.statistics.failures_by_code, { HTTP_STATUS: 1, CANARY_FAILED: 2 }, 'Test 3.6: Summary counts failures by code');
+  server.clearFailures();
+} finally {
+  await server.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Test Suite 4: Supabase sync
+console.log('\n📋 Test Suite 4: Supabase sync\n');
+
+{
+  const supabase = new SupabaseManager('test-token', 'http://127.0.0.1:9');
+  const healthCheck = { safe: false, reason: 'MA returned 0 courses', failedDepartments: ['MA'] };
+  const abortError = await captureError(() => supabase.syncToSupabase('schedules', [{ subject_code: 'MATH 10', section: 'A' }], '2025-1', 'ALL', null, healthCheck));
+  assert(abortError instanceof SyncAbortedError, 'Test 4.1: Failed health check throws SyncAbortedError');
+  assertEquals([abortError.term, abortError.failedDepartments], ['2025-1', ['MA']], 'Test 4.2: Abort carries term and failed departments');
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,167 @@
+/**
+ * Test suite for instructor-parser module
+ *
+ * Tests parsing of the AISIS Instructor column into individual instructors,
+ * including team-taught sections, TBA/staff placeholders and stable keys
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  parseInstructors,
+  instructorKey,
+  isInstructorPlaceholder
+} from '../src/instructor-parser.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const names = (instructors) => instructors.map(i => [i.last_name, i.first_name]);
+
+// Test Suite 1: Placeholders
+console.log('\n📋 Test Suite 1: Placeholders\n');
+
+assert(isInstructorPlaceholder('TBA, -'), 'Test 1.1: "TBA, -" is a placeholder');
+assert(isInstructorPlaceholder('STAFF'), 'Test 1.2: "STAFF" is a placeholder');
+assert(isInstructorPlaceholder(''), 'Test 1.3: Empty string is a placeholder');
+assert(!isInstructorPlaceholder('REYES, PEDRO'), 'Test 1.4: A name is not a placeholder');
+assertEquals(parseInstructors('TBA, -'), [], 'Test 1.5: Placeholder gives no instructors');
+assertEquals(parseInstructors(null), [], 'Test 1.6: Missing instructor gives no instructors');
+
+// Test Suite 2: Instructor parsing
+console.log('\n📋 Test Suite 2: Instructor Parsing\n');
+
+assertEquals(
+  parseInstructors('SUAREZ, ELINETH ELIZABETH L.'),
+  [{ last_name: 'SUAREZ', first_name: 'ELINETH ELIZABETH L.', raw: 'SUAREZ, ELINETH ELIZABETH L.', key: 'suarez:elineth-elizabeth-l' }],
+  'Test 2.1: Single instructor split into last and first name'
+);
+assertEquals(
+  names(parseInstructors('MONTENEGRO, MARIA CONCEPCION B., SUAREZ, ELINETH ELIZABETH L.')),
+  [['MONTENEGRO', 'MARIA CONCEPCION B.'], ['SUAREZ', 'ELINETH ELIZABETH L.']],
+  'Test 2.2: Comma-joined team-taught instructors read in pairs'
+);
+assertEquals(
+  names(parseInstructors('SANTOS, JUAN\nCRUZ, MARIA')),
+  [['SANTOS', 'JUAN'], ['CRUZ', 'MARIA']],
+  'Test 2.3: One instructor per line'
+);
+assertEquals(
+  names(parseInstructors('SANTOS, JUAN; TBA')),
+  [['SANTOS', 'JUAN']],
+  'Test 2.4: Placeholder next to a name is dropped'
+);
+assertEquals(
+  names(parseInstructors('CRUZ, JUAN, JR., LIM, ANA')),
+  [['CRUZ', 'JUAN JR.'], ['LIM', 'ANA']],
+  'Test 2.5: Suffix after its own comma stays with the name'
+);
+assertEquals(parseInstructors('CRUZ, JUAN, JR.')[0].raw, 'CRUZ, JUAN, JR.', 'Test 2.6: raw keeps the name as AISIS wrote it');
+assertEquals(names(parseInstructors('DELA CRUZ')), [['DELA CRUZ', null]], 'Test 2.7: Name without a comma kept as last name');
+assertEquals(parseInstructors('REYES, PEDRO / REYES, PEDRO').length, 1, 'Test 2.8: Repeated instructor listed once');
+
+// Test Suite 3: Stable keys
+console.log('\n📋 Test Suite 3: Instructor Keys\n');
+
+assertEquals(instructorKey('DELA CRUZ', 'MARIA L.'), 'dela-cruz:maria-l', 'Test 3.1: Key is lowercase with periods removed');
+assertEquals(instructorKey('Peña', 'José M.'), instructorKey('PENA', 'JOSE M'), 'Test 3.2: Accents and case do not change the key');
+assertEquals(
+  parseInstructors('REYES,  PEDRO')[0].key,
+  parseInstructors('REYES, PEDRO')[0].key,
+  'Test 3.3: Spacing does not change the key'
+);
+assertEquals(instructorKey('DELA CRUZ', null), 'dela-cruz', 'Test 3.4: Key without a first name');
+
+// Test Suite 4: Integration with _parseCourses and transformScheduleData
+console.log('\n📋 Test Suite 4: Scraper Integration\n');
+
+const scraper = new AISISScraper('test_user', 'test_pass');
+const english = scraper._parseCourses(fs.readFileSync(join(__dirname, 'fixtures', 'english-2025-1-sample.html'), 'utf-8'), 'EN');
+
+const thesis = english.find(c => c.subject_code === 'ENGL 299.2');
+assertEquals(thesis.instructor, 'MONTENEGRO, MARIA CONCEPCION B., SUAREZ, ELINETH ELIZABETH L.', 'Test 4.1: instructor string unchanged');
+assertEquals(thesis.instructors.map(i => i.key), ['montenegro:maria-concepcion-b', 'suarez:elineth-elizabeth-l'], 'Test 4.2: instructors attached to parsed course');
+
+const defense = english.find(c => c.subject_code === 'ENGL 299.4');
+assertEquals(defense.instructors, [], 'Test 4.3: TBA section has no instructors');
+
+const brHtml = `<table>
+  <tr>
+    <td class="text04">Subject Code</td><td class="text04">Section</td><td class="text04">Course Title</td>
+    <td class="text04">Units</td><td class="text04">Time</td><td class="text04">Room</td>
+    <td class="text04">Instructor</td><td class="text04">Max No</td><td class="text04">Lang</td>
+    <td class="text04">Level</td><td class="text04">Free Slots</td><td class="text04">Remarks</td>
+    <td class="text04">S</td><td class="text04">P</td>
+  </tr>
+  <tr>
+    <td class="text02">PHILO 11</td><td class="text02">A</td><td class="text02">PHILOSOPHY OF THE HUMAN PERSON</td>
+    <td class="text02">3</td><td class="text02">MWF 0800-0900</td><td class="text02">CTC 102</td>
+    <td class="text02">SANTOS, JUAN<br>CRUZ, MARIA</td><td class="text02">40</td><td class="text02">ENG</td>
+    <td class="text02">U</td><td class="text02">5</td><td class="text02">-</td>
+    <td class="text02">N</td><td class="text02">N</td>
+  </tr>
+</table>`;
+const [philo] = scraper._parseCourses(brHtml, 'PH');
+assertEquals(philo.instructor, 'SANTOS, JUAN CRUZ, MARIA', 'Test 4.4: <br> still becomes a space in the instructor string');
+assertEquals(names(philo.instructors), [['SANTOS', 'JUAN'], ['CRUZ', 'MARIA']], 'Test 4.5: <br> separates instructors');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'https://test.supabase.co';
+const supabase = new SupabaseManager('test-token');
+const [transformed] = supabase.transformScheduleData([{ ...thesis, term_code: '2025-1' }]);
+assertEquals(transformed.instructor, thesis.instructor, 'Test 4.6: transformScheduleData keeps the instructor string');
+assertEquals(transformed.instructors, thesis.instructors, 'Test 4.7: transformScheduleData adds instructors');
+
+const [legacy] = supabase.transformScheduleData([{
+  subject_code: 'MATH 10', section: 'A', department: 'MA', term_code: '2025-1',
+  time_pattern: 'MWF 0800-0900', instructor: 'REYES, PEDRO'
+}]);
+assertEquals(legacy.instructors.map(i => i.key), ['reyes:pedro'], 'Test 4.8: Records without instructors are parsed from the instructor string');
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
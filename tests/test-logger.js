@@ -0,0 +1,170 @@
+/**
+ * Test suite for the leveled logger
+ *
+ * Tests level configuration (including the legacy DEBUG_SCRAPER switch),
+ * JSON-lines output, run IDs, and run-wide and per-job log context, including
+ * concurrent jobs each logging their own department
+ */
+
+import {
+  Logger,
+  getLogLevel,
+  getLogFormat,
+  getRunId,
+  setLogContext,
+  withLogContext,
+  getLogContext
+} from '../src/logger.js';
+import { runDepartmentJobs } from '../src/department-jobs.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+// JSON logger that collects parsed lines
+function jsonLogger(options = {}) {
+  const lines = [];
+  const log = new Logger({
+    format: 'json',
+    runId: 'run-1',
+    write: line => lines.push(JSON.parse(line)),
+    now: () => new Date('2025-06-01T02:00:00.000Z'),
+    ...options
+  });
+  return { log, lines };
+}
+
+// Test Suite 1: Configuration
+console.log('\n📋 Test Suite 1: Configuration\n');
+
+assertEquals(getLogLevel({}), 'info', 'Test 1.1: Info level by default');
+assertEquals(getLogLevel({ DEBUG_SCRAPER: 'true' }), 'debug', 'Test 1.2: DEBUG_SCRAPER=true enables debug level');
+assertEquals(getLogLevel({ AISIS_LOG_LEVEL: 'WARN', DEBUG_SCRAPER: 'true' }), 'warn', 'Test 1.3: AISIS_LOG_LEVEL wins over DEBUG_SCRAPER');
+assertEquals(getLogLevel({ AISIS_LOG_LEVEL: 'verbose' }), 'info', 'Test 1.4: Unknown level falls back to info');
+assertEquals([getLogFormat({}), getLogFormat({ AISIS_LOG_FORMAT: 'json' }), getLogFormat({ AISIS_LOG_FORMAT: 'xml' })], ['pretty', 'json', 'pretty'], 'Test 1.5: Log format read from AISIS_LOG_FORMAT');
+assertEquals(getRunId({ AISIS_RUN_ID: 'nightly-7', GITHUB_RUN_ID: '123' }), 'nightly-7', 'Test 1.6: Run ID read from AISIS_RUN_ID');
+assertEquals(getRunId({ GITHUB_RUN_ID: '123', GITHUB_RUN_ATTEMPT: '2' }), '123-2', 'Test 1.7: Run ID built from the GitHub Actions run');
+assert(/^[0-9a-f]{8}$/.test(getRunId({})), 'Test 1.8: Random run ID outside GitHub Actions');
+
+// Test Suite 2: Levels and JSON output
+console.log('\n📋 Test Suite 2: Levels and JSON output\n');
+
+{
+  const { log, lines } = jsonLogger({ level: 'info' });
+  log.debug('   🐛 Raw row');
+  log.info('   ✅ DISCS: 412 courses');
+  log.warn('   ⚠️  Slow response', { ms: 900 });
+  assertEquals(lines.map(l => l.level), ['info', 'warn'], 'Test 2.1: Lines below the level are dropped');
+  assertEquals(lines[0], { ts: '2025-06-01T02:00:00.000Z', level: 'info', msg: '✅ DISCS: 412 courses', run_id: 'run-1' }, 'Test 2.2: JSON line has timestamp, level, trimmed message and run ID');
+  assertEquals(lines[1].ms, 900, 'Test 2.3: Extra fields added to the line');
+
+  log.info('═══════════════════════════════════════════════════════');
+  log.info('');
+  assertEquals(lines.length, 2, 'Test 2.4: Blank and separator lines left out');
+
+  const error = new Error('socket hang up');
+  error.code = 'ECONNRESET';
+  log.error('   ❌ Request failed', { error });
+  assertEquals(lines[2].error, { name: 'Error', message: 'socket hang up', code: 'ECONNRESET' }, 'Test 2.5: Errors serialized with name, message and code');
+
+  const debugLog = jsonLogger({ level: 'debug' });
+  debugLog.log.debug('   🐛 Raw row');
+  assertEquals(debugLog.lines.map(l => l.level), ['debug'], 'Test 2.6: Debug lines written at debug level');
+  assert(!new Logger({ level: 'silent' }).isLevelEnabled('error'), 'Test 2.7: Silent level writes nothing');
+
+  log.info('   📋 Summary', { level: 'error', msg: 'spoofed', ts: 'never', run_id: 'other', count: 3 });
+  assertEquals(lines[3], { ts: '2025-06-01T02:00:00.000Z', level: 'info', msg: '📋 Summary', run_id: 'run-1', count: 3 }, 'Test 2.8: Fields cannot overwrite the reserved keys');
+
+  await withLogContext({ level: 'debug', run_id: 'other', dept: 'DISCS' }, async () => log.info('Inside job'));
+  assertEquals([lines[4].level, lines[4].run_id, lines[4].dept], ['info', 'run-1', 'DISCS'], 'Test 2.9: Log context cannot overwrite the reserved keys');
+}
+
+// Test Suite 3: Log context
+console.log('\n📋 Test Suite 3: Log context\n');
+
+{
+  const { log, lines } = jsonLogger();
+
+  setLogContext({ phase: 'schedule', term: '2025-1' });
+  log.info('Scraping');
+  assertEquals([lines[0].phase, lines[0].term], ['schedule', '2025-1'], 'Test 3.1: Run-wide context on every line');
+
+  await withLogContext({ dept: 'DISCS', term: '2025-2' }, async () => {
+    await Promise.resolve();
+    log.info('Inside job');
+  });
+  assertEquals([lines[1].dept, lines[1].term, lines[1].phase], ['DISCS', '2025-2', 'schedule'], 'Test 3.2: Job context follows awaits and overrides run-wide fields');
+  assertEquals(getLogContext(), { phase: 'schedule', term: '2025-1' }, 'Test 3.3: Job context ends with the job');
+
+  setLogContext({ phase: 'summary', term: null });
+  assertEquals(getLogContext(), { phase: 'summary' }, 'Test 3.4: Null fields removed from run-wide context');
+  setLogContext({ phase: null });
+}
+
+// Test Suite 4: Concurrent department jobs
+console.log('\n📋 Test Suite 4: Concurrent department jobs\n');
+
+{
+  const { log, lines } = jsonLogger();
+  const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+  const jobs = ['DISCS', 'MA', 'EN', 'HI'].map(department => ({ term: '2025-1', department }));
+
+  // Jobs finish out of order so their log lines interleave
+  await runDepartmentJobs(jobs, {
+    concurrency: 4,
+    run: async (job) => {
+      log.info('start');
+      await wait(job.department === 'DISCS' ? 20 : 5);
+      log.info('done');
+      return [{ department: job.department }];
+    }
+  });
+
+  const startOrder = lines.filter(l => l.msg === 'start').map(l => l.dept);
+  const doneOrder = lines.filter(l => l.msg === 'done').map(l => l.dept);
+  assertEquals(startOrder, ['DISCS', 'MA', 'EN', 'HI'], 'Test 4.1: Each job logs its own department');
+  assert(doneOrder[doneOrder.length - 1] === 'DISCS', 'Test 4.2: Interleaved lines keep the right department');
+  assert(lines.every(l => l.term === '2025-1'), 'Test 4.3: Job term on every line');
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
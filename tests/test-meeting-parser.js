@@ -0,0 +1,185 @@
+/**
+ * Test suite for meeting-parser module
+ *
+ * Tests parsing of AISIS time patterns into structured meetings,
+ * including multi-slot strings, TBA, modality markers and the (~) marker
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  parseDays,
+  parseClockTime,
+  parseTimePattern,
+  summarizeMeetings
+} from '../src/meeting-parser.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite 1: Day parsing
+console.log('\n📋 Test Suite 1: Day Parsing\n');
+
+assertEquals(parseDays('MWF'), [1, 3, 5], 'Test 1.1: MWF -> [1, 3, 5]');
+assertEquals(parseDays('T-TH'), [2, 4], 'Test 1.2: T-TH -> [2, 4]');
+assertEquals(parseDays('TTH'), [2, 4], 'Test 1.3: TTH -> [2, 4]');
+assertEquals(parseDays('T-F'), [2, 5], 'Test 1.4: T-F is Tuesday and Friday, not a range');
+assertEquals(parseDays('SAT'), [6], 'Test 1.5: SAT -> [6]');
+assertEquals(parseDays('M-W'), [1, 3], 'Test 1.6: M-W -> [1, 3]');
+assertEquals(parseDays('XYZ'), null, 'Test 1.7: Unknown day string returns null');
+
+// Test Suite 2: Clock time parsing
+console.log('\n📋 Test Suite 2: Clock Time Parsing\n');
+
+assertEquals(parseClockTime('09:00'), 540, 'Test 2.1: 09:00 -> 540 minutes');
+assertEquals(parseClockTime('1430'), 870, 'Test 2.2: 1430 -> 870 minutes');
+assertEquals(parseClockTime('25:00'), null, 'Test 2.3: Invalid hour returns null');
+
+// Test Suite 3: Time pattern parsing
+console.log('\n📋 Test Suite 3: Time Pattern Parsing\n');
+
+const simple = parseTimePattern('MWF 09:00-10:00');
+assertEquals(simple.meetings.length, 1, 'Test 3.1: Simple pattern yields one meeting');
+assertEquals(simple.meetings[0].days, ['M', 'W', 'F'], 'Test 3.2: Simple pattern days');
+assertEquals(
+  [simple.meetings[0].start_minutes, simple.meetings[0].end_minutes],
+  [540, 600],
+  'Test 3.3: Simple pattern start/end minutes'
+);
+assertEquals(simple.modality, null, 'Test 3.4: No marker -> modality null');
+
+const online = parseTimePattern('T-TH 14:00-15:30 (FULLY ONLINE)');
+assertEquals(online.modality, 'online', 'Test 3.5: (FULLY ONLINE) -> online');
+assertEquals(online.meetings[0].modality, 'online', 'Test 3.6: Meeting carries modality');
+
+const compact = parseTimePattern('T-F 1400-1530 (FULLY ONSITE)');
+assertEquals(compact.meetings[0].start_time, '14:00', 'Test 3.7: HHMM start time normalised');
+assertEquals(compact.meetings[0].end_time, '15:30', 'Test 3.8: HHMM end time normalised');
+assertEquals(compact.modality, 'onsite', 'Test 3.9: (FULLY ONSITE) -> onsite');
+
+const multi = parseTimePattern('M 08:00-10:00 (FULLY ONSITE) W 13:00-15:00 (FULLY ONLINE)');
+assertEquals(multi.meetings.length, 2, 'Test 3.10: Multi-slot pattern yields two meetings');
+assertEquals(multi.meetings[1].days, ['W'], 'Test 3.11: Second slot days');
+assertEquals(multi.modality, 'hybrid', 'Test 3.12: Mixed slot modalities -> hybrid');
+
+const trailingMarker = parseTimePattern('M 08:00-10:00 W 13:00-15:00 (FULLY ONLINE)');
+assert(
+  trailingMarker.meetings.every(m => m.modality === 'online'),
+  'Test 3.13: Trailing marker applies to all preceding slots'
+);
+
+const special = parseTimePattern('TBA (~)');
+assertEquals(special.tba, true, 'Test 3.14: TBA detected');
+assertEquals(special.special, true, 'Test 3.15: (~) marker detected');
+assertEquals(special.meetings[0].days, [], 'Test 3.16: TBA meeting has no days');
+
+const tbaOnsite = parseTimePattern('TBA (FULLY ONSITE)');
+assertEquals(tbaOnsite.modality, 'onsite', 'Test 3.17: TBA with modality marker keeps modality');
+
+const garbage = parseTimePattern('BY ARRANGEMENT');
+assertEquals(garbage.meetings.length, 0, 'Test 3.18: Unrecognised text yields no meetings');
+assert(garbage.unparsed.length > 0, 'Test 3.19: Unrecognised text is reported in unparsed');
+
+assertEquals(parseTimePattern('').meetings, [], 'Test 3.20: Empty pattern yields no meetings');
+
+// Test Suite 4: Summaries for aisis_schedules columns
+console.log('\n📋 Test Suite 4: Meeting Summaries\n');
+
+assertEquals(
+  summarizeMeetings(simple.meetings),
+  { start_time: '09:00:00', end_time: '10:00:00', days_of_week: [1, 3, 5] },
+  'Test 4.1: Simple pattern summary'
+);
+assertEquals(
+  summarizeMeetings(multi.meetings),
+  { start_time: null, end_time: null, days_of_week: [1, 3] },
+  'Test 4.2: Multi-slot summary with different times leaves times null, union of days'
+);
+assertEquals(
+  summarizeMeetings(parseTimePattern('M 08:00-09:30; TH 08:00-09:30').meetings),
+  { start_time: '08:00:00', end_time: '09:30:00', days_of_week: [1, 4] },
+  'Test 4.4: Multi-slot summary with the same times keeps them'
+);
+assertEquals(
+  summarizeMeetings(special.meetings),
+  { start_time: null, end_time: null, days_of_week: null },
+  'Test 4.3: TBA summary is empty'
+);
+
+// Test Suite 5: Integration with _parseCourses and transformScheduleData
+console.log('\n📋 Test Suite 5: Scraper Integration\n');
+
+const scraper = new AISISScraper('test_user', 'test_pass');
+const html = fs.readFileSync(join(__dirname, 'fixtures', 'aisis-schedule-edge-cases.html'), 'utf-8');
+const courses = scraper._parseCourses(html, 'ENLL');
+
+const engg202 = courses.find(c => c.subject_code === 'ENGG 202');
+assertEquals(engg202.time_pattern, 'T-TH 14:00-15:30', 'Test 5.1: time_pattern still has marker stripped');
+assertEquals(engg202.delivery_mode, 'online', 'Test 5.2: delivery_mode captured from stripped marker');
+assertEquals(engg202.meetings[0].day_numbers, [2, 4], 'Test 5.3: meetings attached to parsed course');
+
+const engg303 = courses.find(c => c.subject_code === 'ENGG 303');
+assertEquals(engg303.delivery_mode, 'onsite', 'Test 5.4: (FULLY ONSITE) captured as onsite');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'https://test.supabase.co';
+const supabase = new SupabaseManager('test-token');
+const [transformed] = supabase.transformScheduleData([{ ...engg202, term_code: '2025-1' }]);
+assertEquals(transformed.start_time, '14:00:00', 'Test 5.5: transformScheduleData populates start_time');
+assertEquals(transformed.days_of_week, [2, 4], 'Test 5.6: transformScheduleData populates days_of_week');
+assertEquals(transformed.delivery_mode, 'online', 'Test 5.7: transformScheduleData populates delivery_mode');
+assertEquals(transformed.meetings, engg202.meetings, 'Test 5.8: meetings array is sent to aisis_schedules');
+
+const [legacy] = supabase.transformScheduleData([{
+  subject_code: 'MATH 10', section: 'A', department: 'MA', term_code: '2025-1',
+  time_pattern: 'MWF 0800-0900'
+}]);
+assertEquals(legacy.end_time, '09:00:00', 'Test 5.9: Records without meetings are parsed from time_pattern');
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,143 @@
+/**
+ * Test suite for the scraper against the local mock AISIS server
+ *
+ * Runs login, term/department discovery, schedule and curriculum scraping over
+ * real HTTP against tests/mock-aisis-server.js, with injected failures:
+ * expired sessions, 5xx responses, the AISIS error page, slow responses and
+ * curriculum session bleed
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-mock-'));
+
+process.env.FAST_MODE = 'true';
+delete process.env.AISIS_TRANSPORT;
+delete process.env.AISIS_DEPARTMENTS;
+
+function createScraper(server, password = MOCK_PASSWORD) {
+  const scraper = new AISISScraper(MOCK_USERNAME, password, { baseUrl: server.url });
+  scraper.sessionStore.dir = path.join(workDir, `sessions-${Date.now()}-${Math.random()}`);
+  scraper._delay = async () => {};
+  return scraper;
+}
+
+const server = new MockAisisServer();
+await server.start();
+
+try {
+  // Test Suite 1: Login and discovery
+  console.log('\n📋 Test Suite 1: Login and discovery\n');
+
+  let loginError = null;
+  try {
+    await createScraper(server, 'wrong-password').login();
+  } catch (error) {
+    loginError = error;
+  }
+  assert(loginError && loginError.message.includes('Invalid username or password'), 'Test 1.1: Wrong password is rejected');
+
+  const scraper = createScraper(server);
+  assertEquals(scraper.baseUrl, server.url, 'Test 1.2: Scraper uses the configured baseUrl');
+  assert(await scraper.login(), 'Test 1.3: Login succeeds and sets the session cookie');
+
+  const terms = await scraper.getAvailableTerms();
+  assertEquals(terms.map(t => t.value), ['2025-0', '2025-1', '2025-2'], 'Test 1.4: Terms discovered from J_VCSC.do');
+
+  const departments = await scraper.getAvailableDepartments();
+  assertEquals(departments.map(d => d.value), ['DISCS', 'EN', 'HI'], 'Test 1.5: Departments discovered (ALL excluded)');
+
+  // Test Suite 2: Schedule scraping with failures
+  console.log('\n📋 Test Suite 2: Schedule scraping\n');
+
+  const baseline = await scraper.scrapeSchedule('2025-1');
+  assertEquals(baseline.courses.length, 9, 'Test 2.1: Courses scraped from header-mapped and legacy tables');
+
+  server.inject({ type: 'expired_session', path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'EN' } });
+  const loginsBefore = server.loginCount;
+  const afterExpiry = await scraper.scrapeSchedule('2025-1');
+  assertEquals(afterExpiry.courses.length, 9, 'Test 2.2: Expired session mid-run recovers all courses');
+  assertEquals(server.loginCount - loginsBefore, 1, 'Test 2.3: Expired session triggers exactly one re-login');
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'DISCS' } });
+  const after5xx = await scraper.scrapeSchedule('2025-1');
+  assertEquals(after5xx.courses.length, 9, 'Test 2.4: 5xx response is retried');
+
+  server.inject({ type: 'slow', delayMs: 300, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'HI' } });
+  const slowStart = Date.now();
+  const afterSlow = await scraper.scrapeSchedule('2025-1');
+  assert(Date.now() - slowStart >= 300, 'Test 2.5: Slow response is waited for');
+  assertEquals(afterSlow.courses.length, 9, 'Test 2.6: Slow response does not lose courses');
+
+  // Test Suite 3: Curriculum scraping with failures
+  console.log('\n📋 Test Suite 3: Curriculum scraping\n');
+
+  server.inject({ type: 'session_bleed', path: '/j_aisis/J_VOFC.do', method: 'POST', match: { degCode: 'BS CS_2024_1' } });
+  server.inject({ type: 'error_page', path: '/j_aisis/J_VOFC.do', method: 'POST', match: { degCode: 'AB EC_2024_1' }, times: Infinity });
+  const curricula = await scraper.scrapeCurriculum();
+  const cs = curricula.find(c => c.degCode === 'BS CS_2024_1');
+  const ec = curricula.find(c => c.degCode === 'AB EC_2024_1');
+  assert(cs && cs.html.includes('BS Computer Science (2024-1)'), 'Test 3.1: Session bleed is retried until the right program is returned');
+  assertEquals(ec && ec.status, 'unavailable', 'Test 3.2: Persistent AISIS error page marks program unavailable');
+
+  // Test Suite 4: Sessions expiring server-side
+  console.log('\n📋 Test Suite 4: Server-side session expiry\n');
+
+  server.clearFailures();
+  server.expireSessions();
+  const afterRestart = await scraper.scrapeSchedule('2025-2');
+  assertEquals(afterRestart.courses.map(c => c.subject_code), ['CSCI 31'], 'Test 4.1: Scrape recovers after all sessions expire');
+} finally {
+  await server.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,156 @@
+/**
+ * Test suite for parallel multi-term scraping (AISIS_PARALLEL_TERMS=true)
+ *
+ * Runs scrapeMultipleTerms against the mock AISIS server with and without the
+ * department×term job queue and checks that results keep the same per-term
+ * shape, terms actually overlap, and the canary still guards the whole run
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Per-term result reduced to what callers consume
+ */
+function shape(results) {
+  return results.map(r => ({
+    term: r.term,
+    courses: r.courses.map(c => `${c.subject_code} ${c.section}`),
+    departments: r.departments.map(d => `${d.department}:${d.status}:${d.courses.length}`)
+  }));
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-parallel-terms-'));
+const terms = ['2025-1', '2025-2'];
+
+delete process.env.FAST_MODE;
+delete process.env.AISIS_TRANSPORT;
+delete process.env.AISIS_DEPARTMENTS;
+delete process.env.AISIS_PARALLEL_TERMS;
+
+const server = new MockAisisServer();
+await server.start();
+
+const scheduleRequests = () => server.requests.filter(r => r.method === 'POST' && r.path === '/j_aisis/J_VCSC.do');
+const formRequests = () => server.requests.filter(r => r.method === 'GET' && r.path === '/j_aisis/J_VCSC.do');
+
+try {
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url });
+  scraper.sessionStore.dir = path.join(workDir, 'sessions');
+  scraper._delay = async () => {};
+  await scraper.login();
+
+  // Test Suite 1: Same results as sequential scraping
+  console.log('\n📋 Test Suite 1: Result shape\n');
+
+  const sequential = await scraper.scrapeMultipleTerms(terms);
+
+  scraper.invalidateDiscovery();
+  server.requests.length = 0;
+  const parallel = await scraper.scrapeMultipleTerms(terms, { parallel: true });
+  assertEquals(shape(parallel), shape(sequential), 'Test 1.1: Parallel results match sequential results');
+  assertEquals(parallel.map(r => Object.keys(r).sort()), [['courses', 'departments', 'term'], ['courses', 'departments', 'term']], 'Test 1.2: Per-term {term, courses, departments} shape kept');
+  assertEquals(formRequests().length, 1, 'Test 1.3: Departments discovered once for all terms');
+  assertEquals(scheduleRequests().length, 6, 'Test 1.4: One request per department and term');
+
+  const summary = JSON.parse(fs.readFileSync('logs/schedule_summary-2025-2.json', 'utf-8'));
+  assertEquals(summary.statistics.total_departments, 3, 'Test 1.5: Each term still writes its own summary');
+
+  // Test Suite 2: Terms overlap on one queue
+  console.log('\n📋 Test Suite 2: Shared job queue\n');
+
+  let parallelRuns = 0;
+  const scrapeTermsInParallel = scraper._scrapeTermsInParallel.bind(scraper);
+  scraper._scrapeTermsInParallel = (...args) => {
+    parallelRuns++;
+    return scrapeTermsInParallel(...args);
+  };
+
+  server.requests.length = 0;
+  process.env.AISIS_PARALLEL_TERMS = 'true';
+  await scraper.scrapeMultipleTerms(terms);
+  delete process.env.AISIS_PARALLEL_TERMS;
+  assertEquals(parallelRuns, 1, 'Test 2.1: AISIS_PARALLEL_TERMS enables the shared queue');
+  assertEquals(scheduleRequests()[0].params.deptCode, 'DISCS', 'Test 2.2: Canary runs before any other job');
+
+  // One slow department per term: sequential terms wait twice, the shared queue once
+  const injectSlowEnglish = () => {
+    for (const term of terms) {
+      server.inject({ type: 'slow', delayMs: 400, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { applicablePeriod: term, deptCode: 'EN' } });
+    }
+  };
+
+  injectSlowEnglish();
+  const sequentialStart = Date.now();
+  await scraper.scrapeMultipleTerms(terms);
+  const sequentialMs = Date.now() - sequentialStart;
+
+  injectSlowEnglish();
+  const parallelStart = Date.now();
+  await scraper.scrapeMultipleTerms(terms, { parallel: true });
+  const parallelMs = Date.now() - parallelStart;
+
+  assert(sequentialMs >= 800, 'Test 2.3: Sequential terms wait for each slow department in turn');
+  assert(parallelMs < sequentialMs - 200, 'Test 2.4: Shared queue overlaps the slow departments of both terms');
+
+  // Test Suite 3: Canary guards the whole run
+  console.log('\n📋 Test Suite 3: Canary\n');
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { applicablePeriod: '2025-1', deptCode: 'DISCS' }, times: Infinity });
+  server.requests.length = 0;
+  const aborted = await scraper.scrapeMultipleTerms(terms, { parallel: true });
+  assertEquals(new Set(scheduleRequests().map(r => r.params.deptCode)).size, 1, 'Test 3.1: Failing canary stops every term');
+  assert(aborted.every(r => r.departments.every(d => d.status === 'failed')), 'Test 3.2: Every department of every term reported as failed');
+} finally {
+  await server.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
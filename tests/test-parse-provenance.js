@@ -0,0 +1,161 @@
+/**
+ * Test suite for parse-provenance module
+ *
+ * Tests the _parse block carried on scraped schedule records (raw cells,
+ * warnings for defaulted or unreadable values, parser version, page hash),
+ * the per-department warning report and parse_warnings in transformScheduleData
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  SCHEDULE_PARSER_VERSION,
+  PARSE_WARNINGS,
+  hashPage,
+  summarizeParseWarnings,
+  writeParseWarnings
+} from '../src/parse-provenance.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const scheduleHtml = (rows) => `<table>
+  <tr>
+    <td class="text04">Subject Code</td><td class="text04">Section</td><td class="text04">Course Title</td>
+    <td class="text04">Units</td><td class="text04">Time</td><td class="text04">Room</td>
+    <td class="text04">Instructor</td><td class="text04">Max No</td><td class="text04">Free Slots</td>
+    <td class="text04">Remarks</td>
+  </tr>
+  ${rows.map(cells => `<tr>${cells.map(cell => `<td class="text02">${cell}</td>`).join('')}</tr>`).join('\n  ')}
+</table>`;
+
+const html = scheduleHtml([
+  ['CSCI 21', 'A', 'INTRODUCTION TO PROGRAMMING I', '3', 'MWF 08:00-09:00', 'F-227', 'DOE, JANE', '40', '5', '-'],
+  ['CSCI 199', 'B', 'SPECIAL TOPICS', 'TBA', 'MWF 08:00-09:00', 'F-228', 'SMITH, JOHN', 'N/A', '5', '-'],
+  ['CSCI 22', 'C', 'INTRODUCTION TO PROGRAMMING II', '3', 'MWF 10:00-11:00', 'F-229', 'CRUZ, ANA', '30', '35', '-'],
+  ['CSCI 30', 'D', 'DATA STRUCTURES', '3', 'SOMETIME 10:00', 'F-230', 'TBA', '30', '--', '-']
+]);
+const codes = course => course._parse.warnings.map(w => w.code);
+
+const scraper = new AISISScraper('test_user', 'test_pass');
+
+// Test Suite 1: _parse block on parsed records
+console.log('\n📋 Test Suite 1: Parse Block\n');
+
+delete process.env.AISIS_PARSE_PROVENANCE;
+const courses = scraper._parseCourses(html, 'DISCS');
+const [clean, defaulted, oversubscribed, garbled] = courses;
+
+assertEquals(clean._parse.warnings, [], 'Test 1.1: Clean row has no warnings');
+assertEquals(
+  [clean._parse.raw_cells.subject_code, clean._parse.raw_cells.units, clean._parse.raw_cells.max_capacity],
+  ['CSCI 21', '3', '40'],
+  'Test 1.2: Raw cell texts kept by column'
+);
+assertEquals(clean._parse.parser_version, SCHEDULE_PARSER_VERSION, 'Test 1.3: Parser version recorded');
+assertEquals(clean._parse.page_hash, hashPage(html), 'Test 1.4: Page hash is the hash of the results page');
+assert(/^[0-9a-f]{64}$/.test(clean._parse.page_hash), 'Test 1.5: Page hash is SHA-256 hex');
+
+// Test Suite 2: Warnings
+console.log('\n📋 Test Suite 2: Warnings\n');
+
+assertEquals(defaulted.units, 3, 'Test 2.1: Unreadable units still default to 3');
+assertEquals(
+  defaulted._parse.warnings,
+  [{ code: 'defaulted_units', field: 'units', raw: 'TBA' }, { code: 'unparsable_capacity', field: 'max_capacity', raw: 'N/A' }],
+  'Test 2.2: Defaulted units and unparsable capacity flagged with their cell text'
+);
+assertEquals([oversubscribed.enrolled_count, codes(oversubscribed)], [-5, ['negative_enrollment']], 'Test 2.3: Negative enrollment flagged');
+assertEquals(codes(garbled), ['unparsable_free_slots', 'unparsed_time'], 'Test 2.4: Unreadable free slots and time flagged');
+assert(courses.flatMap(codes).every(code => PARSE_WARNINGS[code]), 'Test 2.5: Every warning code is described in PARSE_WARNINGS');
+
+process.env.AISIS_PARSE_PROVENANCE = 'false';
+assert(scraper._parseCourses(html, 'DISCS').every(course => !('_parse' in course)), 'Test 2.6: AISIS_PARSE_PROVENANCE=false leaves the block off');
+delete process.env.AISIS_PARSE_PROVENANCE;
+
+// Test Suite 3: Warning report
+console.log('\n📋 Test Suite 3: Warning Report\n');
+
+{
+  const math = scraper._parseCourses(scheduleHtml([
+    ['MATH 10', 'A', 'MATHEMATICS IN THE MODERN WORLD', 'TBA', 'MWF 08:00-09:00', 'SEC-A201', 'REYES, PEDRO', '40', '5', '-']
+  ]), 'MA');
+  const legacy = { department: 'MA', subject_code: 'MATH 20', section: 'A' };
+  const report = summarizeParseWarnings('2025-1', [...courses, ...math, legacy]);
+
+  assertEquals([report.records, report.unchecked, report.with_warnings], [6, 1, 4], 'Test 3.1: Records counted, legacy records unchecked');
+  assertEquals(
+    report.by_code,
+    { defaulted_units: 2, unparsable_capacity: 1, negative_enrollment: 1, unparsable_free_slots: 1, unparsed_time: 1 },
+    'Test 3.2: Warnings counted by code'
+  );
+  assertEquals(report.departments.DISCS, { records: 4, with_warnings: 3, by_code: { defaulted_units: 1, unparsable_capacity: 1, negative_enrollment: 1, unparsable_free_slots: 1, unparsed_time: 1 } }, 'Test 3.3: Warnings counted per department');
+  assertEquals(report.departments.MA, { records: 2, with_warnings: 1, by_code: { defaulted_units: 1 } }, 'Test 3.4: Each department reported separately');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-parse-warnings-'));
+  try {
+    const reportPath = writeParseWarnings(report, workDir);
+    assertEquals(path.basename(reportPath), 'parse-warnings-2025-1.json', 'Test 3.5: Report written per term');
+    assertEquals(JSON.parse(fs.readFileSync(reportPath, 'utf-8')).with_warnings, 4, 'Test 3.6: Report holds the counts');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Test Suite 4: transformScheduleData
+console.log('\n📋 Test Suite 4: Transform Integration\n');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'https://test.supabase.co';
+const supabase = new SupabaseManager('test-token');
+const [transformedDefaulted, transformedClean] = supabase.transformScheduleData(
+  [defaulted, clean].map(course => ({ ...course, term_code: '2025-1' }))
+);
+assertEquals(transformedDefaulted.parse_warnings, ['defaulted_units', 'unparsable_capacity'], 'Test 4.1: parse_warnings lists warning codes');
+assertEquals(transformedClean.parse_warnings, [], 'Test 4.2: Clean record has no parse_warnings');
+assert(!('_parse' in transformedClean), 'Test 4.3: _parse block not sent to the database');
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,230 @@
+/**
+ * Test suite for the adaptive rate limiter and work queue
+ *
+ * Tests token-bucket pacing, backoff on errors and slow responses, speed-up on
+ * fast responses, environment configuration, and work-queue scheduling
+ */
+
+import { AdaptiveRateLimiter, getRateLimitConfig, runWorkQueue } from '../src/rate-limiter.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+/**
+ * Limiter on a fake clock; sleeps are recorded, the clock only moves when a test advances it
+ */
+function createLimiter(options = {}) {
+  const clock = { now: 0, slept: [] };
+  const limiter = new AdaptiveRateLimiter({
+    now: () => clock.now,
+    sleep: async ms => { clock.slept.push(ms); },
+    ...options
+  });
+  return { limiter, clock };
+}
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Test Suite 1: Token bucket
+console.log('\n📋 Test Suite 1: Token bucket\n');
+
+{
+  const { limiter, clock } = createLimiter({ concurrency: 2, initialRate: 2 });
+  await limiter.acquire();
+  await limiter.acquire();
+  assertEquals(clock.slept, [], 'Test 1.1: One request per worker starts without waiting');
+
+  await limiter.acquire();
+  await limiter.acquire();
+  assertEquals(clock.slept, [500, 1000], 'Test 1.2: Further requests queue behind each other at the current rate');
+
+  clock.now += 10000;
+  clock.slept.length = 0;
+  await limiter.acquire();
+  await limiter.acquire();
+  await limiter.acquire();
+  assertEquals(clock.slept, [500], 'Test 1.3: Idle time refills the bucket only up to capacity');
+}
+
+// Test Suite 2: Adapting the rate
+console.log('\n📋 Test Suite 2: Adapting the rate\n');
+
+{
+  const { limiter, clock } = createLimiter({ initialRate: 4, minRate: 1, maxRate: 5, decreaseCooldownMs: 2000 });
+
+  limiter.recordResult({ latencyMs: 300, error: true, reason: 'HTTP 503' });
+  assertEquals(limiter.rate, 2, 'Test 2.1: Error halves the rate');
+
+  limiter.recordResult({ latencyMs: 300, error: true, reason: 'HTTP 503' });
+  assertEquals(limiter.rate, 2, 'Test 2.2: Errors within the cooldown count as one slowdown');
+
+  clock.now += 2000;
+  limiter.recordResult({ error: true, reason: 'network error' });
+  clock.now += 2000;
+  limiter.recordResult({ error: true, reason: 'network error' });
+  assertEquals(limiter.rate, 1, 'Test 2.3: Rate never drops below minRate');
+
+  clock.now += 2000;
+  limiter.recordResult({ latencyMs: 8000 });
+  assertEquals(limiter.rate, 1, 'Test 2.4: Slow response at minRate stays at minRate');
+
+  // Let the smoothed error rate settle before speeding up
+  for (let i = 0; i < 30; i++) {
+    limiter.recordResult({ latencyMs: 2000 });
+  }
+  assertEquals(limiter.rate, 1, 'Test 2.5: Normal responses leave the rate unchanged');
+
+  clock.now += 2000;
+  for (let i = 0; i < 30; i++) {
+    limiter.recordResult({ latencyMs: 200 });
+  }
+  assertEquals(limiter.rate, 5, 'Test 2.6: Fast responses speed up to maxRate');
+
+  clock.now += 2000;
+  limiter.recordResult({ latencyMs: 6000 });
+  assertEquals(limiter.rate, 4, 'Test 2.7: Slow response trims the rate by 20%');
+
+  const requestsBefore = limiter.getStats().requests;
+  clock.now += 2000;
+  limiter.reportError('curriculum session bleed');
+  const stats = limiter.getStats();
+  assertEquals(stats.rate, 2, 'Test 2.8: reportError slows down');
+  assertEquals(stats.requests, requestsBefore, 'Test 2.9: reportError does not count a request');
+  assertEquals(stats.slowdowns, 4, 'Test 2.10: Slowdowns counted in stats');
+}
+
+{
+  const { limiter, clock } = createLimiter({ initialRate: 4 });
+  limiter.recordResult({ error: true });
+  for (let i = 0; i < 3; i++) {
+    limiter.recordResult({ latencyMs: 200 });
+  }
+  assertEquals(limiter.rate, 2, 'Test 2.11: No speed-up within the cooldown after a slowdown');
+
+  clock.now += 2000;
+  limiter.recordResult({ latencyMs: 200 });
+  assertEquals(limiter.rate, 2.25, 'Test 2.12: Speeds up again once the cooldown has passed');
+}
+
+// Test Suite 3: Configuration
+console.log('\n📋 Test Suite 3: Configuration\n');
+
+delete process.env.AISIS_CONCURRENCY;
+delete process.env.AISIS_RATE_LIMIT;
+delete process.env.AISIS_RATE_MIN;
+delete process.env.AISIS_RATE_MAX;
+assertEquals(getRateLimitConfig(), { concurrency: 8, initialRate: 4, minRate: 0.5, maxRate: 10 }, 'Test 3.1: Defaults');
+
+process.env.AISIS_CONCURRENCY = '80';
+process.env.AISIS_RATE_LIMIT = '20';
+process.env.AISIS_RATE_MAX = '6';
+assertEquals(getRateLimitConfig(), { concurrency: 50, initialRate: 6, minRate: 0.5, maxRate: 6 }, 'Test 3.2: Concurrency and starting rate clamped');
+
+process.env.AISIS_CONCURRENCY = '0';
+process.env.AISIS_RATE_LIMIT = 'fast';
+process.env.AISIS_RATE_MIN = '2';
+process.env.AISIS_RATE_MAX = '1';
+assertEquals(getRateLimitConfig(), { concurrency: 1, initialRate: 2, minRate: 2, maxRate: 2 }, 'Test 3.3: Invalid values fall back, maxRate never below minRate');
+
+delete process.env.AISIS_CONCURRENCY;
+delete process.env.AISIS_RATE_LIMIT;
+delete process.env.AISIS_RATE_MIN;
+delete process.env.AISIS_RATE_MAX;
+
+// Test Suite 4: Work queue
+console.log('\n📋 Test Suite 4: Work queue\n');
+
+{
+  const started = [];
+  const durations = { PE: 60, MA: 5, EN: 5, HI: 5, DISCS: 5 };
+  const results = await runWorkQueue(Object.keys(durations), async (dept, index) => {
+    started.push(dept);
+    await delay(durations[dept]);
+    return `${index}:${dept}`;
+  }, { concurrency: 2 });
+
+  assertEquals(results, ['0:PE', '1:MA', '2:EN', '3:HI', '4:DISCS'], 'Test 4.1: Results returned in item order');
+  assertEquals(started, ['PE', 'MA', 'EN', 'HI', 'DISCS'], 'Test 4.2: Every item started once, in order');
+}
+
+{
+  const finished = [];
+  await runWorkQueue(['PE', 'MA', 'EN', 'HI'], async dept => {
+    await delay(dept === 'PE' ? 60 : 5);
+    finished.push(dept);
+  }, { concurrency: 2 });
+  assertEquals(finished, ['MA', 'EN', 'HI', 'PE'], 'Test 4.3: Slow item does not hold up the other worker');
+}
+
+{
+  let active = 0;
+  let maxActive = 0;
+  await runWorkQueue(Array.from({ length: 10 }, (_, i) => i), async () => {
+    active++;
+    maxActive = Math.max(maxActive, active);
+    await delay(2);
+    active--;
+  }, { concurrency: 3 });
+  assertEquals(maxActive, 3, 'Test 4.4: Never more than concurrency items in flight');
+}
+
+{
+  const started = [];
+  let queueError = null;
+  try {
+    await runWorkQueue(['A', 'B', 'C', 'D', 'E'], async item => {
+      started.push(item);
+      await delay(item === 'B' ? 5 : 30);
+      if (item === 'B') throw new Error('boom');
+    }, { concurrency: 2 });
+  } catch (error) {
+    queueError = error;
+  }
+  assert(queueError && queueError.message === 'boom', 'Test 4.5: Worker error is rethrown');
+  assertEquals(started, ['A', 'B'], 'Test 4.6: No new items start after a failure');
+}
+
+assertEquals(await runWorkQueue([], async () => 1, { concurrency: 4 }), [], 'Test 4.7: Empty queue resolves immediately');
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,176 @@
+/**
+ * Test suite for remarks-parser module
+ *
+ * Tests interpretation of the AISIS Remarks column into typed annotations
+ * (restrictions, reserved seats, cross-listings, dissolved sections), keeping
+ * unrecognized text, and the per-term coverage report
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  interpretRemarks,
+  summarizeRemarkCoverage,
+  writeRemarkCoverage
+} from '../src/remarks-parser.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const types = (remarks) => interpretRemarks(remarks).map(a => a.type);
+
+// Test Suite 1: Annotation rules
+console.log('\n📋 Test Suite 1: Annotation Rules\n');
+
+assertEquals(
+  interpretRemarks('FOR BS ME STUDENTS ONLY'),
+  [{ type: 'restriction', programs: ['BS ME'], year_levels: [], excluded: false, raw: 'FOR BS ME STUDENTS ONLY' }],
+  'Test 1.1: Program restriction'
+);
+assertEquals(interpretRemarks('For 3rd year ME majors only')[0].year_levels, [3], 'Test 1.2: Year-level restriction');
+assertEquals(interpretRemarks('Not open to BS MIS')[0].excluded, true, 'Test 1.3: Exclusion marked as excluded');
+assertEquals(
+  interpretRemarks('10 slots reserved for BS CS freshmen').map(({ type, programs, year_levels, seats }) => ({ type, programs, year_levels, seats })),
+  [{ type: 'reserved', programs: ['BS CS'], year_levels: [1], seats: 10 }],
+  'Test 1.4: Reserved seats with program, year level and count'
+);
+assertEquals(types('RESERVED FOR BS ME ONLY'), ['reserved'], 'Test 1.5: Reserved block is not also a restriction');
+assertEquals(interpretRemarks('Cross-listed with ME 101')[0].with, 'ME 101', 'Test 1.6: Cross-listing');
+assertEquals(interpretRemarks('Same as THEO 11.03i')[0].with, 'THEO 11.03i', 'Test 1.7: Equivalent course keeps its code as written');
+assertEquals(interpretRemarks('Cross-listed w/ ECE 101, ECE 102').map(a => a.with), ['ECE 101', 'ECE 102'], 'Test 1.8: One crosslist annotation per course');
+assertEquals(types('DISSOLVED'), ['dissolved'], 'Test 1.9: Dissolved section');
+assertEquals(types('Section cancelled'), ['dissolved'], 'Test 1.10: Cancelled section counts as dissolved');
+
+// Test Suite 2: Clauses and unrecognized text
+console.log('\n📋 Test Suite 2: Clauses and Unrecognized Text\n');
+
+assertEquals(types('FOR BS ME STUDENTS ONLY; CROSS-LISTED WITH ME 101'), ['restriction', 'crosslist'], 'Test 2.1: Semicolons separate clauses');
+assertEquals(types('DISSOLVED\nSee dept for details'), ['dissolved', 'unrecognized'], 'Test 2.2: Line breaks separate clauses');
+assertEquals(
+  interpretRemarks('See dept for details'),
+  [{ type: 'unrecognized', raw: 'See dept for details' }],
+  'Test 2.3: Unrecognized text kept'
+);
+assertEquals(types('ONSITE ONLY'), ['unrecognized'], 'Test 2.4: "ONLY" without an audience is not a restriction');
+assertEquals([interpretRemarks('-'), interpretRemarks(''), interpretRemarks(null)], [[], [], []], 'Test 2.5: Blank remarks give no annotations');
+
+// Test Suite 3: Coverage report
+console.log('\n📋 Test Suite 3: Coverage Report\n');
+
+{
+  const courses = [
+    { remarks: 'DISSOLVED' },
+    { remarks: 'FOR BS ME STUDENTS ONLY; See dept' },
+    { remarks: 'See dept' },
+    { remarks: 'See dept' },
+    { remarks: '-' },
+    { remarks: '', remark_annotations: [{ type: 'crosslist', with: 'ME 101', raw: 'SAME AS ME 101' }] }
+  ];
+  const coverage = summarizeRemarkCoverage('2025-1', courses);
+
+  assertEquals(
+    [coverage.sections, coverage.with_remarks, coverage.recognized, coverage.partially_recognized, coverage.unrecognized],
+    [6, 5, 2, 1, 2],
+    'Test 3.1: Sections counted by how much of their remarks was recognized'
+  );
+  assertEquals(coverage.coverage_percent, 40, 'Test 3.2: Coverage is the share of fully recognized sections');
+  assertEquals(coverage.by_type, { dissolved: 1, restriction: 1, unrecognized: 3, crosslist: 1 }, 'Test 3.3: Annotations counted by type');
+  assertEquals(coverage.top_unrecognized, [{ text: 'See dept', count: 3 }], 'Test 3.4: Most common unrecognized text listed');
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-remarks-'));
+  try {
+    const reportPath = writeRemarkCoverage(coverage, workDir);
+    assertEquals(path.basename(reportPath), 'remarks-coverage-2025-1.json', 'Test 3.5: Report written per term');
+    assertEquals(JSON.parse(fs.readFileSync(reportPath, 'utf-8')).recognized, 2, 'Test 3.6: Report holds the coverage');
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Test Suite 4: Integration with _parseCourses and transformScheduleData
+console.log('\n📋 Test Suite 4: Scraper Integration\n');
+
+const scraper = new AISISScraper('test_user', 'test_pass');
+const english = scraper._parseCourses(fs.readFileSync(path.join(__dirname, 'fixtures', 'english-2025-1-sample.html'), 'utf-8'), 'EN');
+const collaboratory = english.find(c => c.remarks.startsWith('*Learning Collaboratory'));
+assertEquals(collaboratory.remark_annotations.map(a => a.type), ['unrecognized'], 'Test 4.1: remark_annotations attached to parsed course');
+assert(english.every(c => c.remarks !== '-' || c.remark_annotations.length === 0), 'Test 4.2: "-" remarks give no annotations');
+
+const brHtml = `<table>
+  <tr>
+    <td class="text04">Subject Code</td><td class="text04">Section</td><td class="text04">Course Title</td>
+    <td class="text04">Units</td><td class="text04">Time</td><td class="text04">Room</td>
+    <td class="text04">Instructor</td><td class="text04">Max No</td><td class="text04">Free Slots</td>
+    <td class="text04">Remarks</td>
+  </tr>
+  <tr>
+    <td class="text02">ME 101</td><td class="text02">A</td><td class="text02">STATICS</td>
+    <td class="text02">3</td><td class="text02">MWF 0800-0900</td><td class="text02">SEC-C301</td>
+    <td class="text02">REYES, PEDRO</td><td class="text02">40</td><td class="text02">5</td>
+    <td class="text02">FOR BS ME STUDENTS ONLY<br>CROSS-LISTED WITH ECE 101</td>
+  </tr>
+</table>`;
+const [statics] = scraper._parseCourses(brHtml, 'ME');
+assertEquals(statics.remarks, 'FOR BS ME STUDENTS ONLY CROSS-LISTED WITH ECE 101', 'Test 4.3: remarks string unchanged');
+assertEquals(statics.remark_annotations.map(a => a.type), ['restriction', 'crosslist'], 'Test 4.4: <br> separates remarks clauses');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'https://test.supabase.co';
+const supabase = new SupabaseManager('test-token');
+const [transformed] = supabase.transformScheduleData([{ ...statics, term_code: '2025-1' }]);
+assertEquals(transformed.remark_annotations, statics.remark_annotations, 'Test 4.5: transformScheduleData adds remark_annotations');
+
+const [legacy] = supabase.transformScheduleData([{
+  subject_code: 'MATH 10', section: 'A', department: 'MA', term_code: '2025-1',
+  time_pattern: 'MWF 0800-0900', remarks: 'DISSOLVED'
+}]);
+assertEquals(legacy.remark_annotations.map(a => a.type), ['dissolved'], 'Test 4.6: Records without annotations are parsed from remarks');
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
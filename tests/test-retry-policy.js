@@ -0,0 +1,245 @@
+/**
+ * Test suite for retry policies
+ *
+ * Tests backoff, jitter and retryable errors of a policy, loading profiles
+ * from defaults, the AISIS_RETRY_CONFIG file and AISIS_RETRY_<PROFILE>_<FIELD>
+ * variables, plus the scraper (mock AISIS server) and Supabase ingest
+ * (local HTTP server) following their profiles
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+import { RetryPolicy, DEFAULT_RETRY_POLICIES, getRetryPolicies } from '../src/retry-policy.js';
+import { SchemaDriftError, HttpStatusError, LoginFailedError } from '../src/errors.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+async function captureError(fn) {
+  try {
+    await fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const noJitter = (name, overrides = {}) => new RetryPolicy(name, { ...DEFAULT_RETRY_POLICIES[name], jitter: 0, ...overrides });
+
+// Test Suite 1: Backoff and retryable errors
+console.log('\n📋 Test Suite 1: Backoff and retryable errors\n');
+
+{
+  const department = noJitter('department', { maxDelayMs: 5000 });
+  assertEquals([1, 2, 3, 4].map(retry => department.delayMs(retry)), [1000, 2000, 4000, 5000], 'Test 1.1: Exponential backoff capped at maxDelayMs');
+
+  const low = new RetryPolicy('department', DEFAULT_RETRY_POLICIES.department, { random: () => 0 });
+  const high = new RetryPolicy('department', DEFAULT_RETRY_POLICIES.department, { random: () => 0.999999 });
+  assertEquals([low.delayMs(2), high.delayMs(2)], [1600, 2400], 'Test 1.2: Jitter spreads the delay by ±20%');
+
+  assert(!department.isRetryable(new SchemaDriftError('drift')), 'Test 1.3: Excluded code not retried');
+  assert(department.isRetryable(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), 'Test 1.4: * matches network errors');
+
+  const ingest = noJitter('ingest');
+  assertEquals(
+    [503, 524, 400].map(status => ingest.isRetryable(new HttpStatusError(`HTTP ${status}`, { status }))),
+    [true, true, false],
+    'Test 1.5: retryStatuses limits which HTTP statuses are retried'
+  );
+
+  const httpOnly = noJitter('department', { retryOn: ['HTTP_STATUS'] });
+  assertEquals([httpOnly.isRetryable(new HttpStatusError('HTTP 502', { status: 502 })), httpOnly.isRetryable(new Error('x'))], [true, false], 'Test 1.6: Explicit code list retries only those codes');
+}
+
+// Test Suite 2: Running an operation
+console.log('\n📋 Test Suite 2: Running an operation\n');
+
+{
+  const delays = [];
+  const policy = noJitter('curriculum');
+  const attempts = [];
+  const result = await policy.run(async attempt => {
+    attempts.push(attempt);
+    if (attempt < 3) throw new HttpStatusError('HTTP 503', { status: 503 });
+    return 'ok';
+  }, { delay: async ms => { delays.push(ms); } });
+  assertEquals([result, attempts, delays], ['ok', [1, 2, 3], [2000, 4000]], 'Test 2.1: Retried with backoff until it succeeds');
+
+  let calls = 0;
+  const exhausted = await captureError(() => policy.run(async () => {
+    calls++;
+    throw new HttpStatusError(`HTTP 50${calls}`, { status: 500 + calls });
+  }, { delay: async () => {} }));
+  assertEquals([calls, exhausted.message], [3, 'HTTP 503'], 'Test 2.2: Last error thrown once attempts run out');
+
+  calls = 0;
+  const rejected = await captureError(() => noJitter('login').run(async () => {
+    calls++;
+    throw new LoginFailedError('Invalid username or password');
+  }, { delay: async () => {} }));
+  assert(calls === 1 && rejected instanceof LoginFailedError, 'Test 2.3: Non-retryable error thrown without retrying');
+
+  const retries = [];
+  await policy.with({ attempts: 2 }).run(async attempt => {
+    if (attempt === 1) throw new Error('flaky');
+  }, { delay: async () => {}, onRetry: (error, attempt, delayMs) => retries.push([error.message, attempt, delayMs]) });
+  assertEquals(retries, [['flaky', 1, 2000]], 'Test 2.4: onRetry gets the error, attempt and delay');
+}
+
+// Test Suite 3: Configuration
+console.log('\n📋 Test Suite 3: Configuration\n');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-retry-policy-'));
+
+{
+  const defaults = getRetryPolicies({ env: {} });
+  assertEquals(Object.keys(defaults), ['login', 'discovery', 'department', 'curriculum', 'ingest'], 'Test 3.1: One policy per profile');
+  assertEquals([defaults.department.attempts, defaults.curriculum.baseDelayMs, defaults.ingest.attempts], [3, 2000, 6], 'Test 3.2: Defaults keep the previous attempts and backoff');
+
+  const configFile = path.join(workDir, 'retry.json');
+  fs.writeFileSync(configFile, JSON.stringify({ department: { attempts: 5, jitter: 0 }, curriculum: { timeoutMs: 45000 } }));
+  const fromFile = getRetryPolicies({ env: { AISIS_RETRY_CONFIG: configFile } });
+  assertEquals([fromFile.department.attempts, fromFile.department.jitter, fromFile.curriculum.timeoutMs], [5, 0, 45000], 'Test 3.3: Config file overrides fields per profile');
+  assertEquals(fromFile.department.baseDelayMs, 1000, 'Test 3.4: Fields missing from the file keep their defaults');
+
+  const fromEnv = getRetryPolicies({
+    env: {
+      AISIS_RETRY_CONFIG: configFile,
+      AISIS_RETRY_DEPARTMENT_ATTEMPTS: '4',
+      AISIS_RETRY_DEPARTMENT_RETRY_ON: 'HTTP_STATUS, UNKNOWN',
+      AISIS_RETRY_INGEST_RETRY_STATUSES: '503,429',
+      AISIS_RETRY_LOGIN_TIMEOUT_MS: '5000'
+    }
+  });
+  assertEquals(
+    [fromEnv.department.attempts, fromEnv.department.jitter, fromEnv.department.retryOn, fromEnv.ingest.retryStatuses, fromEnv.login.timeoutMs],
+    [4, 0, ['HTTP_STATUS', 'UNKNOWN'], [503, 429], 5000],
+    'Test 3.5: Environment variables override the config file'
+  );
+
+  const invalid = getRetryPolicies({ env: { AISIS_RETRY_DISCOVERY_ATTEMPTS: '0', AISIS_RETRY_DISCOVERY_JITTER: '2', AISIS_RETRY_CONFIG: path.join(workDir, 'missing.json') } });
+  assertEquals([invalid.discovery.attempts, invalid.discovery.jitter], [2, 0.2], 'Test 3.6: Invalid values and unreadable config file fall back to defaults');
+}
+
+// Test Suite 4: Scraper (mock AISIS)
+console.log('\n📋 Test Suite 4: Scraper\n');
+
+delete process.env.FAST_MODE;
+delete process.env.AISIS_TRANSPORT;
+delete process.env.AISIS_SHARD_DEPARTMENTS;
+process.env.AISIS_DEPARTMENTS = 'DISCS';
+
+const server = new MockAisisServer();
+await server.start();
+const posts = pathname => server.requests.filter(r => r.method === 'POST' && r.path === pathname);
+
+try {
+  const retryPolicies = getRetryPolicies({ env: {} });
+  retryPolicies.department = retryPolicies.department.with({ timeoutMs: 150 });
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url, retryPolicies });
+  scraper.sessionStore.dir = path.join(workDir, 'sessions');
+  scraper._delay = async () => {};
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/login.do', method: 'POST' });
+  assert(await scraper.login(), 'Test 4.1: Login retried after a 5xx');
+  assertEquals(posts('/j_aisis/login.do').length, 2, 'Test 4.2: Login request sent twice');
+
+  server.inject({ type: 'slow', delayMs: 400, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'DISCS' } });
+  await scraper.scrapeSchedule('2025-1', { canary: null });
+  const summary = JSON.parse(fs.readFileSync('logs/schedule_summary-2025-1.json', 'utf-8'));
+  assertEquals([summary.departments.DISCS.status, summary.departments.DISCS.attempts], ['success', 2], 'Test 4.3: Department request times out at the profile timeout and is retried');
+
+  scraper.retryPolicies.department = scraper.retryPolicies.department.with({ attempts: 1 });
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { deptCode: 'DISCS' } });
+  const single = await scraper.scrapeSchedule('2025-1', { canary: null });
+  assertEquals(single.departments[0].status, 'failed', 'Test 4.4: Department profile attempts respected by the job runner');
+  server.clearFailures();
+
+  server.inject({ type: 'http_error', status: 502, path: '/j_aisis/J_VOFC.do', method: 'POST', match: { degCode: 'BS CS_2024_1' } });
+  server.requests.length = 0;
+  const html = await scraper._scrapeDegreeWithValidation('BS CS_2024_1', 'BS Computer Science (2024-1)');
+  assert(html.includes('BS Computer Science') && posts('/j_aisis/J_VOFC.do').length === 2, 'Test 4.5: Curriculum HTTP error retried by the curriculum profile');
+} finally {
+  delete process.env.AISIS_DEPARTMENTS;
+  await server.stop();
+}
+
+// Test Suite 5: Supabase ingest (local HTTP server)
+console.log('\n📋 Test Suite 5: Supabase ingest\n');
+
+{
+  const statuses = [];
+  const ingest = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const status = statuses.shift() || 200;
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(status === 200 ? JSON.stringify({ inserted: 1, total: 1 }) : JSON.stringify({ error: 'unavailable' }));
+    });
+  });
+  await new Promise(resolve => ingest.listen(0, '127.0.0.1', resolve));
+  const supabase = new SupabaseManager('test-token', `http://127.0.0.1:${ingest.address().port}`);
+  supabase.retryPolicy = supabase.retryPolicy.with({ baseDelayMs: 1, jitter: 0 });
+  const record = [{ subject_code: 'CSCI 21', section: 'A' }];
+
+  try {
+    statuses.push(503, 522);
+    assertEquals(await supabase.sendRequest('schedules', record, '2025-1'), true, 'Test 5.1: Retryable statuses retried until the request succeeds');
+    assertEquals(statuses.length, 0, 'Test 5.2: Both failures consumed');
+
+    statuses.push(400, 503);
+    assertEquals(await supabase.sendRequest('schedules', record, '2025-1'), false, 'Test 5.3: Status outside retryStatuses fails without retrying');
+    assertEquals(statuses, [503], 'Test 5.4: Only one request sent');
+  } finally {
+    await new Promise(resolve => ingest.close(resolve));
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
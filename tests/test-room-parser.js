@@ -0,0 +1,144 @@
+/**
+ * Test suite for room-parser module
+ *
+ * Tests parsing of the AISIS Room column into building code and room number,
+ * virtual/TBA classification, multi-room sections and the building registry
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import { parseRoom, parseRooms } from '../src/room-parser.js';
+import { BUILDINGS, getBuildingName } from '../src/buildings.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SupabaseManager } from '../src/supabase.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const split = (room) => [room.type, room.building_code, room.room_number];
+
+// Test Suite 1: Building registry
+console.log('\n📋 Test Suite 1: Building Registry\n');
+
+assertEquals(getBuildingName('ctc'), BUILDINGS.CTC, 'Test 1.1: Building codes looked up case-insensitively');
+assertEquals(getBuildingName('XYZ'), null, 'Test 1.2: Unregistered code has no name');
+assert(Object.keys(BUILDINGS).every(code => code === code.toUpperCase()), 'Test 1.3: Registry codes are uppercase');
+
+// Test Suite 2: Single rooms
+console.log('\n📋 Test Suite 2: Room Parsing\n');
+
+assertEquals(
+  parseRoom('CTC-304'),
+  { raw: 'CTC-304', type: 'physical', building_code: 'CTC', building_name: BUILDINGS.CTC, room_number: '304' },
+  'Test 2.1: Building code split from room number'
+);
+assertEquals(split(parseRoom('SEC-A118A')), ['physical', 'SEC-A', '118A'], 'Test 2.2: Longest building code wins');
+assertEquals(split(parseRoom('F302')), ['physical', 'F', '302'], 'Test 2.3: Building code without a dash');
+assertEquals(split(parseRoom('Field')), ['other', null, null], 'Test 2.4: Building code must end at a dash, space or digit');
+assertEquals(split(parseRoom('GYM-01')), ['physical', 'GYM', '01'], 'Test 2.5: Unregistered building code still split');
+assertEquals(parseRoom('GYM-01').building_name, null, 'Test 2.6: Unregistered building has no name');
+assertEquals(split(parseRoom('Room 213')), ['physical', null, '213'], 'Test 2.7: Room number without a building');
+assertEquals(split(parseRoom('ONLINE')), ['virtual', null, null], 'Test 2.8: ONLINE is a virtual room');
+assertEquals(split(parseRoom('Zoom')), ['virtual', null, null], 'Test 2.9: Meeting platforms are virtual rooms');
+assertEquals(split(parseRoom('TBA')), ['tba', null, null], 'Test 2.10: TBA kept apart from virtual rooms');
+assertEquals(split(parseRoom('EN DEPT')), ['other', null, null], 'Test 2.11: Other places kept as other');
+assertEquals(parseRoom('  '), null, 'Test 2.12: Empty room gives nothing');
+
+// Test Suite 3: Multiple rooms
+console.log('\n📋 Test Suite 3: Multiple Rooms\n');
+
+assertEquals(parseRooms('CTC-304\nSEC-A201').map(split), [['physical', 'CTC', '304'], ['physical', 'SEC-A', '201']], 'Test 3.1: One room per line');
+assertEquals(parseRooms('CTC-304 / ONLINE').map(r => r.type), ['physical', 'virtual'], 'Test 3.2: Slash-separated rooms keep meeting order');
+assertEquals(parseRooms('CTC-304; TBA').map(r => r.type), ['physical', 'tba'], 'Test 3.3: TBA next to a room kept as its own entry');
+assertEquals(parseRooms(''), [], 'Test 3.4: Empty cell gives no rooms');
+
+// Test Suite 4: Integration with _parseCourses and transformScheduleData
+console.log('\n📋 Test Suite 4: Scraper Integration\n');
+
+const scraper = new AISISScraper('test_user', 'test_pass');
+const courses = scraper._parseCourses(fs.readFileSync(join(__dirname, 'fixtures', 'aisis-schedule-edge-cases.html'), 'utf-8'), 'ENLL');
+
+const engg202 = courses.find(c => c.subject_code === 'ENGG 202');
+assertEquals(engg202.room, 'ONLINE', 'Test 4.1: room string unchanged');
+assertEquals(engg202.rooms.map(r => r.type), ['virtual'], 'Test 4.2: rooms attached to parsed course');
+
+const engg303 = courses.find(c => c.subject_code === 'ENGG 303');
+assertEquals(split(engg303.rooms[0]), ['physical', 'SEC-B', '105'], 'Test 4.3: Building and room parsed from fixture');
+
+const brHtml = `<table>
+  <tr>
+    <td class="text04">Subject Code</td><td class="text04">Section</td><td class="text04">Course Title</td>
+    <td class="text04">Units</td><td class="text04">Time</td><td class="text04">Room</td>
+    <td class="text04">Instructor</td><td class="text04">Max No</td><td class="text04">Lang</td>
+    <td class="text04">Level</td><td class="text04">Free Slots</td><td class="text04">Remarks</td>
+    <td class="text04">S</td><td class="text04">P</td>
+  </tr>
+  <tr>
+    <td class="text02">CHEM 10</td><td class="text02">A</td><td class="text02">GENERAL CHEMISTRY</td>
+    <td class="text02">3</td><td class="text02">M 08:00-10:00<br>W 13:00-15:00</td><td class="text02">SEC-C301<br>TBA</td>
+    <td class="text02">REYES, PEDRO</td><td class="text02">40</td><td class="text02">ENG</td>
+    <td class="text02">U</td><td class="text02">5</td><td class="text02">-</td>
+    <td class="text02">N</td><td class="text02">N</td>
+  </tr>
+</table>`;
+const [chem] = scraper._parseCourses(brHtml, 'CH');
+assertEquals(chem.room, 'TBA', 'Test 4.4: room string still collapses to TBA');
+assertEquals(chem.rooms.map(split), [['physical', 'SEC-C', '301'], ['tba', null, null]], 'Test 4.5: <br> separates per-meeting rooms');
+
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'https://test.supabase.co';
+const supabase = new SupabaseManager('test-token');
+const [transformed] = supabase.transformScheduleData([{ ...engg303, term_code: '2025-1' }]);
+assertEquals([transformed.room, transformed.rooms], [engg303.room, engg303.rooms], 'Test 4.6: transformScheduleData keeps room and adds rooms');
+
+const [legacy] = supabase.transformScheduleData([{
+  subject_code: 'MATH 10', section: 'A', department: 'MA', term_code: '2025-1',
+  time_pattern: 'MWF 0800-0900', room: 'CTC-304'
+}]);
+assertEquals(legacy.rooms.map(split), [['physical', 'CTC', '304']], 'Test 4.7: Records without rooms are parsed from the room string');
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
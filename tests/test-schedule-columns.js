@@ -0,0 +1,210 @@
+/**
+ * Test suite for schedule-columns module
+ *
+ * Tests header-driven column mapping of the AISIS schedule table:
+ * reordered columns, missing/renamed headers (schema drift), and the
+ * legacy 14-column fallback for tables without a header row
+ */
+
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+import {
+  normalizeHeaderText,
+  isScheduleHeaderRow,
+  buildColumnMap,
+  legacyColumnMap,
+  mapRowCells,
+  LEGACY_COLUMN_ORDER
+} from '../src/schedule-columns.js';
+import { AISISScraper } from '../src/scraper.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+function captureError(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Build a schedule table from a header row and data rows
+ * (headerClass 'text04' styles the header like AISIS does)
+ */
+function buildTableHtml(headers, rows, headerClass = 'text02') {
+  const toRow = (cells, cellClass = 'text02') => `<tr>${cells.map(c => `<td class="${cellClass}">${c}</td>`).join('')}</tr>`;
+  const header = headers ? toRow(headers, headerClass) : '';
+  return `<html><body><table class="needspadding">${header}${rows.map(row => toRow(row)).join('')}</table></body></html>`;
+}
+
+const STANDARD_HEADERS = [
+  'Subject Code', 'Section', 'Course Title', 'Units', 'Time', 'Room', 'Instructor',
+  'Max No', 'Lang', 'Level', 'Free Slots', 'Remarks', 'S', 'P'
+];
+
+// Test Suite 1: Header normalization and detection
+console.log('\n📋 Test Suite 1: Header Detection\n');
+
+assertEquals(normalizeHeaderText(' Max  No. '), 'MAX NO', 'Test 1.1: Header text is normalized');
+assert(isScheduleHeaderRow(STANDARD_HEADERS), 'Test 1.2: Standard header row detected');
+assert(
+  !isScheduleHeaderRow(['MATH 10', 'A', 'MATHEMATICS', '3', 'MWF 08:00-09:00', 'SEC-A', 'SMITH', '40', 'ENG', 'U', '10', '', '', '']),
+  'Test 1.3: Data row is not a header row'
+);
+assert(isScheduleHeaderRow(['Course', 'Section', 'Title', 'Units', 'Time', 'Room']), 'Test 1.4: Header detected when its first label is renamed');
+assert(!isScheduleHeaderRow(['MATH 10', 'A', 'TIME', 'ROOM', 'SCHEDULE', 'RM', 'X', 'Y', 'Z', 'W', 'V']), 'Test 1.5: Row with only a few labels among its cells is not a header');
+
+// Test Suite 2: Column map construction
+console.log('\n📋 Test Suite 2: Column Map\n');
+
+const standardMap = buildColumnMap(STANDARD_HEADERS);
+assertEquals(standardMap.columns, legacyColumnMap().columns, 'Test 2.1: Standard headers map to legacy positions');
+assertEquals(standardMap.cellCount, 14, 'Test 2.2: Cell count taken from header row');
+assertEquals(LEGACY_COLUMN_ORDER.length, 14, 'Test 2.3: Legacy layout has 14 columns');
+
+const shortMap = buildColumnMap(['Subject Code', 'Section', 'Title', 'Units', 'Time', 'Room', 'Instructor', 'Max', 'Free']);
+const shortRow = mapRowCells(['MATH 10', 'A', 'MATHEMATICS', '3', 'TBA', 'TBA', 'SMITH', '40', '5'], shortMap);
+assertEquals(shortRow.free_slots, '5', 'Test 2.4: Columns resolved without optional headers');
+assertEquals(shortRow.remarks, '', 'Test 2.5: Absent optional column maps to empty string');
+
+const missingError = captureError(() => buildColumnMap(STANDARD_HEADERS.filter(h => h !== 'Free Slots')));
+assertEquals(missingError && missingError.code, 'SCHEMA_DRIFT', 'Test 2.6: Missing required column is schema drift');
+assert(missingError && missingError.message.includes('free_slots'), 'Test 2.7: Drift error names the missing column');
+
+const renamedHeaders = STANDARD_HEADERS.map(h => (h === 'Instructor' ? 'Teacher' : h));
+const renamedError = captureError(() => buildColumnMap(renamedHeaders));
+assertEquals(renamedError && renamedError.code, 'SCHEMA_DRIFT', 'Test 2.8: Unknown header is schema drift');
+assertEquals(renamedError && renamedError.headers, renamedHeaders, 'Test 2.9: Drift error carries the headers seen');
+assert(renamedError && renamedError.message.includes('"Teacher"'), 'Test 2.10: Drift message lists the unknown header');
+
+const duplicateError = captureError(() => buildColumnMap([...STANDARD_HEADERS, 'Remarks']));
+assertEquals(duplicateError && duplicateError.code, 'SCHEMA_DRIFT', 'Test 2.11: Duplicate header is schema drift');
+
+// Test Suite 3: _parseCourses with header rows
+console.log('\n📋 Test Suite 3: Scraper Parsing\n');
+
+const scraper = new AISISScraper('test_user', 'test_pass');
+
+// Time and Room swapped, Free Slots moved ahead of Max
+const reorderedHeaders = [
+  'Subject Code', 'Section', 'Course Title', 'Units', 'Room', 'Time', 'Instructor',
+  'Free Slots', 'Max No', 'Lang', 'Level', 'Remarks', 'S', 'P'
+];
+const reorderedHtml = buildTableHtml(reorderedHeaders, [
+  ['MATH 10', 'A', 'MATHEMATICS IN THE MODERN WORLD', '3', 'SEC-A 201', 'MWF 08:00-09:00', 'SMITH, JOHN', '12', '40', 'ENG', 'U', '', '', ''],
+  ['MATH 21', 'B', 'CALCULUS I', '3', 'TBA', 'T-TH 09:30-11:00 (FULLY ONLINE)', 'DOE, JANE', '0', '35', 'ENG', 'U', '', '', '']
+]);
+const reordered = scraper._parseCourses(reorderedHtml, 'MA');
+assertEquals(reordered.length, 2, 'Test 3.1: Reordered table parses both rows');
+assertEquals(reordered[0].room, 'SEC-A 201', 'Test 3.2: Room read from its header position');
+assertEquals(reordered[0].time_pattern, 'MWF 08:00-09:00', 'Test 3.3: Time read from its header position');
+assertEquals(
+  [reordered[0].max_capacity, reordered[0].available_slots, reordered[0].enrolled_count],
+  [40, 12, 28],
+  'Test 3.4: Capacity columns resolved by header'
+);
+assertEquals(reordered[1].delivery_mode, 'online', 'Test 3.5: Meetings parsed from remapped Time column');
+
+const driftHtml = buildTableHtml(renamedHeaders, [
+  ['MATH 10', 'A', 'MATHEMATICS IN THE MODERN WORLD', '3', 'MWF 08:00-09:00', 'SEC-A 201', 'SMITH, JOHN', '40', 'ENG', 'U', '12', '', '', '']
+]);
+const driftError = captureError(() => scraper._parseCourses(driftHtml, 'MA'));
+assertEquals(driftError && driftError.code, 'SCHEMA_DRIFT', 'Test 3.6: _parseCourses throws schema drift on unknown header');
+assert(driftError && driftError.message.startsWith('MA: '), 'Test 3.7: Drift error is prefixed with the department');
+
+const headerless = scraper._parseCourses(buildTableHtml(null, [
+  ['MATH 10', 'A', 'MATHEMATICS IN THE MODERN WORLD', '3', 'MWF 08:00-09:00', 'SEC-A 201', 'SMITH, JOHN', '40', 'ENG', 'U', '12', '', '', '']
+]), 'MA');
+assertEquals(headerless[0].room, 'SEC-A 201', 'Test 3.8: Table without header row uses legacy layout');
+
+const mathRow = ['MATH 10', 'A', 'MATHEMATICS IN THE MODERN WORLD', '3', 'MWF 08:00-09:00', 'SEC-A 201', 'SMITH, JOHN', '40', 'ENG', 'U', '12', '', '', ''];
+
+const renamedFirstError = captureError(() => scraper._parseCourses(buildTableHtml(['Course No', ...STANDARD_HEADERS.slice(1)], [mathRow], 'text04'), 'MA'));
+assertEquals(renamedFirstError && renamedFirstError.code, 'SCHEMA_DRIFT', 'Test 3.11: Renamed first header is schema drift, not the legacy layout');
+
+const leadingColumnError = captureError(() => scraper._parseCourses(buildTableHtml(['No', ...STANDARD_HEADERS], [['1', ...mathRow]], 'text04'), 'MA'));
+assert(leadingColumnError && leadingColumnError.message.includes('"No"'), 'Test 3.12: Added leading column is schema drift naming the header');
+
+const styledHeader = scraper._parseCourses(buildTableHtml(reorderedHeaders, [
+  ['MATH 10', 'A', 'MATHEMATICS IN THE MODERN WORLD', '3', 'SEC-A 201', 'MWF 08:00-09:00', 'SMITH, JOHN', '12', '40', 'ENG', 'U', '', '', '']
+], 'text04'), 'MA');
+assertEquals([styledHeader[0].room, styledHeader[0].instructor], ['SEC-A 201', 'SMITH, JOHN'], 'Test 3.13: Header-styled header row maps reordered columns');
+
+const shortRowError = captureError(() => scraper._parseCourses(buildTableHtml(STANDARD_HEADERS, [mathRow, mathRow.slice(0, 12)], 'text04'), 'MA'));
+assertEquals(shortRowError && shortRowError.code, 'SCHEMA_DRIFT', 'Test 3.14: Row with a different cell count than the header is schema drift');
+assert(shortRowError && shortRowError.message.startsWith('MA: '), 'Test 3.15: Cell count drift error is prefixed with the department');
+
+const captioned = scraper._parseCourses(
+  `<html><body><table class="needspadding"><tr><td class="text04">Schedule of Classes</td></tr></table>${buildTableHtml(STANDARD_HEADERS, [mathRow], 'text04')}</body></html>`,
+  'MA'
+);
+assertEquals(captioned.length, 1, 'Test 3.16: Single header-styled caption cell is not taken as the header');
+
+// Without table.needspadding every <tr> is scanned, including the search form's label rows
+const formLabels = '<table><tr><td class="text04">Academic Period</td><td class="text04">Department</td><td class="text04">Subject</td></tr></table>';
+const unpadded = scraper._parseCourses(
+  `<html><body>${formLabels}${buildTableHtml(STANDARD_HEADERS, [mathRow], 'text04').replace(' class="needspadding"', '')}</body></html>`,
+  'MA'
+);
+assertEquals([unpadded.length, unpadded[0] && unpadded[0].room], [1, 'SEC-A 201'], 'Test 3.17: Form label rows outside table.needspadding are not taken as the header');
+
+const unpaddedDrift = captureError(() => scraper._parseCourses(
+  `<html><body>${buildTableHtml(renamedHeaders, [mathRow], 'text04').replace(' class="needspadding"', '')}</body></html>`,
+  'MA'
+));
+assertEquals(unpaddedDrift && unpaddedDrift.code, 'SCHEMA_DRIFT', 'Test 3.18: A recognizable header outside table.needspadding still reports drift');
+
+const peHtml = fs.readFileSync(join(__dirname, 'fixtures', 'aisis-schedule-pe-mixed.html'), 'utf-8');
+const peCourses = scraper._parseCourses(peHtml, 'PE');
+assert(peCourses.length > 0, 'Test 3.9: Fixture with header row still parses');
+assert(!peCourses.some(c => c.subject_code === 'Subject Code'), 'Test 3.10: Header row is not emitted as a course');
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -113,9 +113,11 @@ const validScheduleHtml = fs.readFileSync('tests/fixtures/aisis-schedule-edge-ca
 // Store original login method for restoration
 const originalLogin = scraper.login;
 
-// Test 4: Login page detection triggers re-auth and retry (success case)
+// Test 4: A login page is recovered by _request, which re-logs in and replays (success case)
 console.log('\nTest 4: Login page detection triggers re-auth and retry (success case)');
 
+const originalSendThrottled = scraper._sendThrottled;
+
 {
   // Test-local state for isolation
   let test4RequestCount = 0;
@@ -123,21 +125,16 @@ console.log('\nTest 4: Login page detection triggers re-auth and retry (success
   
   // Initialize test state at the beginning
   scraper.loggedIn = true;
+  scraper._request = originalRequest;
   
-  // Mock _request: first returns login page, second returns valid schedule
-  scraper._request = async (url, options) => {
+  // Mock the network: first send returns login page, second returns valid schedule
+  scraper._sendThrottled = async (url, options) => {
     test4RequestCount++;
-    if (test4RequestCount === 1) {
-      return {
-        ok: true,
-        text: async () => loginPageHtml
-      };
-    } else {
-      return {
-        ok: true,
-        text: async () => validScheduleHtml
-      };
-    }
+    const html = test4RequestCount === 1 ? loginPageHtml : validScheduleHtml;
+    return {
+      response: { ok: true, text: async () => html },
+      html
+    };
   };
   
   // Mock login method to track re-authentication
@@ -149,7 +146,7 @@ console.log('\nTest 4: Login page detection triggers re-auth and retry (success
   
   try {
     courses = await scraper._scrapeDepartment('2025-1', 'INTAC');
-    if (courses.length === 6 && test4LoginCalled) {
+    if (courses.length === 6 && test4LoginCalled && test4RequestCount === 2) {
       console.log('   ✅ Test 4 passed: Re-auth triggered and retry succeeded');
       console.log(`      - Login was called: ${test4LoginCalled}`);
       console.log(`      - Total requests: ${test4RequestCount}`);
@@ -158,7 +155,7 @@ console.log('\nTest 4: Login page detection triggers re-auth and retry (success
       console.log('   ❌ Test 4 failed: Re-auth was not triggered');
       process.exit(1);
     } else {
-      console.log(`   ❌ Test 4 failed: Expected 6 courses, got ${courses.length}`);
+      console.log(`   ❌ Test 4 failed: Expected 6 courses from 2 requests, got ${courses.length} from ${test4RequestCount}`);
       process.exit(1);
     }
   } catch (error) {
@@ -167,8 +164,8 @@ console.log('\nTest 4: Login page detection triggers re-auth and retry (success
   }
 }
 
-// Test 5: Login page detection throws after max retries (failure case)
-console.log('\nTest 5: Login page detection throws after max retries (failure case)');
+// Test 5: A login page still returned after _request's replay fails at once (failure case)
+console.log('\nTest 5: Login page after re-auth throws SessionExpiredError without re-authenticating again');
 
 {
   // Test-local state for isolation
@@ -178,7 +175,7 @@ console.log('\nTest 5: Login page detection throws after max retries (failure ca
   // Initialize test state at the beginning
   scraper.loggedIn = true;
   
-  // Mock _request: both requests return login page (simulating persistent auth failure)
+  // Mock _request: returns the login page, as if its own re-login and replay did not help
   scraper._request = async (url, options) => {
     test5RequestCount++;
     return {
@@ -199,13 +196,13 @@ console.log('\nTest 5: Login page detection throws after max retries (failure ca
     console.log('   ❌ Test 5 failed: Expected error but got success');
     process.exit(1);
   } catch (error) {
-    if (error.message.includes('INTAC') && error.message.includes('login page')) {
-      console.log('   ✅ Test 5 passed: Error thrown after persistent login page');
+    if (error.code === 'SESSION_EXPIRED' && error.message.includes('INTAC') && !test5LoginCalled && test5RequestCount === 1) {
+      console.log('   ✅ Test 5 passed: SessionExpiredError thrown straight away');
       console.log(`      - Error message: "${error.message}"`);
       console.log(`      - Login was called: ${test5LoginCalled}`);
       console.log(`      - Total requests: ${test5RequestCount}`);
     } else {
-      console.log(`   ❌ Test 5 failed: Unexpected error message: ${error.message}`);
+      console.log(`   ❌ Test 5 failed: ${error.code} after ${test5RequestCount} request(s), login called: ${test5LoginCalled} - ${error.message}`);
       process.exit(1);
     }
   }
@@ -213,6 +210,7 @@ console.log('\nTest 5: Login page detection throws after max retries (failure ca
 
 // Restore original methods
 scraper._request = originalRequest;
+scraper._sendThrottled = originalSendThrottled;
 scraper.login = originalLogin;
 
 console.log('\n✅ All integration tests passed!');
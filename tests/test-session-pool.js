@@ -0,0 +1,152 @@
+/**
+ * Test suite for the curriculum session pool
+ *
+ * Tests pool size configuration, acquire/release, a pool shrinking when a
+ * session can't log in, and curriculum scraping against the mock AISIS server
+ * with one session per worker and mismatches reported per session
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SessionStore } from '../src/session-store.js';
+import { SessionPool, getSessionPoolSize, DEFAULT_SESSION_POOL_SIZE } from '../src/session-pool.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+// Test Suite 1: Configuration
+console.log('\n📋 Test Suite 1: Configuration\n');
+
+delete process.env.AISIS_SESSION_POOL_SIZE;
+assertEquals(getSessionPoolSize(), DEFAULT_SESSION_POOL_SIZE, 'Test 1.1: No pool by default');
+process.env.AISIS_SESSION_POOL_SIZE = '6';
+assertEquals(getSessionPoolSize(), 6, 'Test 1.2: Pool size read from AISIS_SESSION_POOL_SIZE');
+process.env.AISIS_SESSION_POOL_SIZE = '40';
+assertEquals(getSessionPoolSize(), DEFAULT_SESSION_POOL_SIZE, 'Test 1.3: Out-of-range size falls back to default');
+delete process.env.AISIS_SESSION_POOL_SIZE;
+
+// Test Suite 2: Acquire and release
+console.log('\n📋 Test Suite 2: Acquire and release\n');
+
+{
+  const fakeSession = ok => ({ curriculumMismatches: 0, init: async () => {}, login: async () => ok });
+  const logins = [true, false, true];
+  const pool = new SessionPool({ main: fakeSession(true), size: 4, createSession: () => fakeSession(logins.shift()) });
+
+  assertEquals(await pool.open(), 3, 'Test 2.1: Session that fails to log in is left out');
+  assertEquals(pool.sessions.map(s => s.sessionLabel), ['session-1', 'session-2', 'session-4'], 'Test 2.2: Sessions keep their labels');
+
+  const taken = [await pool.acquire(), await pool.acquire(), await pool.acquire()];
+  assertEquals(new Set(taken).size, 3, 'Test 2.3: Each acquire gets a different session');
+
+  let waited = null;
+  const pending = pool.acquire().then(session => { waited = session; });
+  await Promise.resolve();
+  assertEquals(waited, null, 'Test 2.4: Acquire waits while every session is in use');
+  pool.release(taken[1]);
+  await pending;
+  assert(waited === taken[1], 'Test 2.5: Released session goes to the waiting worker');
+
+  taken[1].curriculumMismatches = 2;
+  assertEquals(pool.getStats()[1], { session: 'session-2', programs: 2, mismatches: 2 }, 'Test 2.6: Programs and mismatches counted per session');
+}
+
+// Test Suite 3: Curriculum scraping (mock AISIS)
+console.log('\n📋 Test Suite 3: Curriculum scraping\n');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-pool-'));
+delete process.env.AISIS_TRANSPORT;
+delete process.env.CURRICULUM_LIMIT;
+delete process.env.CURRICULUM_SAMPLE;
+process.env.AISIS_CONCURRENCY = '8';
+process.env.AISIS_SESSION_POOL_SIZE = '4';
+
+const server = new MockAisisServer();
+await server.start();
+
+try {
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, {
+    baseUrl: server.url,
+    sessionStore: new SessionStore({ dir: path.join(workDir, 'sessions'), secret: null })
+  });
+  scraper._delay = async () => {};
+
+  // Keep the extra sessions the pool creates so their counters can be checked
+  const pooled = [];
+  const createPooledSession = scraper._createPooledSession.bind(scraper);
+  scraper._createPooledSession = label => {
+    const session = createPooledSession(label);
+    pooled.push(session);
+    return session;
+  };
+
+  await scraper.login();
+  server.inject({ type: 'session_bleed', path: '/j_aisis/J_VOFC.do', method: 'POST', match: { degCode: 'AB EC_2024_1' } });
+  server.requests.length = 0;
+  const curricula = await scraper.scrapeCurriculum();
+
+  assertEquals(curricula.map(c => c.degCode), ['BS CS_2024_1', 'AB EC_2024_1'], 'Test 3.1: Every program scraped');
+  assertEquals([server.loginCount, pooled.length], [2, 1], 'Test 3.2: Pool capped at one session per program');
+
+  const posts = server.requests.filter(r => r.path === '/j_aisis/J_VOFC.do' && r.method === 'POST');
+  const sessionsByProgram = {};
+  for (const { params, sessionId } of posts) {
+    (sessionsByProgram[params.degCode] ||= new Set()).add(sessionId);
+  }
+  const [csSessions, ecSessions] = [sessionsByProgram['BS CS_2024_1'], sessionsByProgram['AB EC_2024_1']];
+  assert(csSessions.size === 1 && ecSessions.size === 1 && [...csSessions][0] !== [...ecSessions][0], 'Test 3.3: Concurrent programs use different sessions');
+  assertEquals(ecSessions.has(pooled[0].cookieJar.getCookiesSync(server.url)[0].value), true, 'Test 3.4: Second program ran on session-2');
+  assertEquals([scraper.curriculumMismatches, pooled[0].curriculumMismatches], [0, 1], 'Test 3.5: Mismatch attributed to the session that produced it');
+  assertEquals(fs.readdirSync(path.join(workDir, 'sessions')).length, 2, 'Test 3.6: Each session saved to its own file');
+} finally {
+  await server.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+  delete process.env.AISIS_CONCURRENCY;
+  delete process.env.AISIS_SESSION_POOL_SIZE;
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,187 @@
+/**
+ * Test suite for automatic session recovery in AISISScraper._request
+ *
+ * Simulates an AISIS session expiring mid-run by mocking the raw transport
+ * (_send) and login(), and checks that requests are replayed after a single
+ * shared re-login, and that the per-run re-login cap is enforced
+ */
+
+import fs from 'fs';
+import { AISISScraper } from '../src/scraper.js';
+
+const { Response } = await import('node-fetch');
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const loginPageHtml = fs.readFileSync('tests/fixtures/aisis-login-page.html', 'utf8');
+const scheduleHtml = fs.readFileSync('tests/fixtures/aisis-schedule-edge-cases.html', 'utf8');
+
+/**
+ * Create a scraper whose transport serves the login page until login() is called
+ * The session stays valid for `validLogins` logins, after which login() fails
+ */
+function createExpiringScraper({ maxRelogins = 3, loginDelayMs = 20, validLogins = Infinity } = {}) {
+  const scraper = new AISISScraper('test_user', 'test_pass');
+  scraper.maxRelogins = maxRelogins;
+  scraper.loggedIn = true;
+
+  const state = { sessionValid: false, sent: [], logins: 0 };
+
+  scraper._send = async (url, options = {}) => {
+    state.sent.push({ url, body: options.body });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    return new Response(state.sessionValid ? scheduleHtml : loginPageHtml, { status: 200 });
+  };
+
+  scraper.login = async () => {
+    state.logins++;
+    await new Promise(resolve => setTimeout(resolve, loginDelayMs));
+    if (state.logins > validLogins) {
+      return false;
+    }
+    state.sessionValid = true;
+    scraper.loggedIn = true;
+    return true;
+  };
+
+  return { scraper, state };
+}
+
+// Test Suite 1: Single request replay
+console.log('\n📋 Test Suite 1: Transparent Replay\n');
+
+{
+  const { scraper, state } = createExpiringScraper();
+  const response = await scraper._request('https://aisis.ateneo.edu/j_aisis/J_VCSC.do', {
+    method: 'POST',
+    body: 'command=displayResults&deptCode=MA'
+  });
+  const html = await response.text();
+
+  assert(!html.includes('Sign in'), 'Test 1.1: Caller receives the replayed page, not the login page');
+  assertEquals(state.logins, 1, 'Test 1.2: Exactly one re-login performed');
+  assertEquals(state.sent.length, 2, 'Test 1.3: Request sent once and replayed once');
+  assertEquals(state.sent[1].body, state.sent[0].body, 'Test 1.4: Replay uses the same request body');
+  assertEquals(scraper.reloginCount, 1, 'Test 1.5: Re-login counted against the run cap');
+}
+
+// Test Suite 2: Concurrent workers share one re-login
+console.log('\n📋 Test Suite 2: Single-Flight Re-Login\n');
+
+{
+  const { scraper, state } = createExpiringScraper();
+  const responses = await Promise.all(
+    ['MA', 'EN', 'PE', 'HI', 'SA'].map(dept =>
+      scraper._request('https://aisis.ateneo.edu/j_aisis/J_VCSC.do', {
+        method: 'POST',
+        body: `deptCode=${dept}`
+      }).then(r => r.text())
+    )
+  );
+
+  assertEquals(state.logins, 1, 'Test 2.1: Five concurrent expired requests trigger one login');
+  assert(responses.every(html => !html.includes('Sign in')), 'Test 2.2: All workers get replayed pages');
+  assertEquals(scraper.reloginCount, 1, 'Test 2.3: Shared re-login counted once');
+
+  // A request started while the re-login is in flight waits for it instead of using the stale session
+  state.sessionValid = false;
+  const first = scraper._request('https://aisis.ateneo.edu/j_aisis/J_VCSC.do', { method: 'POST', body: 'deptCode=MA' });
+  await new Promise(resolve => setTimeout(resolve, 10));
+  const sentBefore = state.sent.length;
+  const second = scraper._request('https://aisis.ateneo.edu/j_aisis/J_VCSC.do', { method: 'POST', body: 'deptCode=EN' });
+  await Promise.all([first, second]);
+  const secondSends = state.sent.slice(sentBefore).filter(entry => entry.body === 'deptCode=EN');
+  assertEquals(secondSends.length, 1, 'Test 2.4: Request issued during re-login is paused, not sent with stale cookies');
+}
+
+// Test Suite 3: Re-login cap and failures
+console.log('\n📋 Test Suite 3: Re-Login Cap\n');
+
+{
+  const { scraper, state } = createExpiringScraper({ maxRelogins: 1 });
+  await scraper._request('https://aisis.ateneo.edu/j_aisis/J_VMCS.do');
+  state.sessionValid = false;
+
+  let capError = null;
+  try {
+    await scraper._request('https://aisis.ateneo.edu/j_aisis/J_VMCS.do');
+  } catch (error) {
+    capError = error;
+  }
+  assert(capError !== null, 'Test 3.1: Exceeding the re-login cap throws');
+  assert(capError && capError.message.includes('re-login limit'), 'Test 3.2: Error explains the re-login cap');
+  assertEquals(state.logins, 1, 'Test 3.3: No login attempted beyond the cap');
+}
+
+{
+  const { scraper } = createExpiringScraper({ validLogins: 0 });
+  let loginError = null;
+  try {
+    await scraper._request('https://aisis.ateneo.edu/j_aisis/J_VMCS.do');
+  } catch (error) {
+    loginError = error;
+  }
+  assert(loginError && loginError.message.includes('re-login failed'), 'Test 3.4: Rejected re-login surfaces a session error');
+}
+
+{
+  const { scraper, state } = createExpiringScraper();
+  const response = await scraper._request('https://aisis.ateneo.edu/j_aisis/J_VMCS.do', { skipSessionRecovery: true });
+  const html = await response.text();
+  assert(html.includes('Sign in'), 'Test 3.5: skipSessionRecovery returns the raw login page');
+  assertEquals(state.logins, 0, 'Test 3.6: skipSessionRecovery never re-logs in');
+}
+
+// Test Suite 4: Department scrape across an expired session
+console.log('\n📋 Test Suite 4: Department Scrape\n');
+
+{
+  const { scraper, state } = createExpiringScraper();
+  const courses = await scraper._scrapeDepartment('2025-1', 'INTAC');
+  assert(courses.length > 0, 'Test 4.1: Department scrape succeeds after mid-run expiry');
+  assertEquals(state.logins, 1, 'Test 4.2: Department scrape needed one re-login');
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,168 @@
+/**
+ * Test suite for the per-account session store
+ *
+ * Tests per-username files, owner-only permissions, expiry, AES-GCM
+ * encryption (wrong secret, tampering, plaintext migration), plus two
+ * scrapers on different accounts keeping their own sessions against the
+ * mock AISIS server
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { SessionStore, getSessionTtlMs, DEFAULT_SESSION_TTL_MS } from '../src/session-store.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-sessions-'));
+const jar = user => ({ version: 'tough-cookie@test', cookies: [{ key: 'JSESSIONID', value: `session-of-${user}` }] });
+const mode = file => fs.statSync(file).mode & 0o777;
+
+// Test Suite 1: Plaintext store
+console.log('\n📋 Test Suite 1: Per-account files\n');
+
+{
+  const clock = { now: 0 };
+  const store = new SessionStore({ dir: path.join(workDir, 'plain'), secret: null, ttlMs: 1000, now: () => clock.now });
+
+  const saved = store.save('alice', jar('alice'));
+  store.save('bob', jar('bob'));
+  assert(store.fileFor('alice') !== store.fileFor('bob'), 'Test 1.1: Each account gets its own file');
+  assert(!saved.file.includes('alice'), 'Test 1.2: File name does not reveal the username');
+  assertEquals([store.load('alice').jar, store.load('bob').jar], [jar('alice'), jar('bob')], 'Test 1.3: Accounts load their own jar');
+  assertEquals([mode(saved.file), mode(store.dir)], [0o600, 0o700], 'Test 1.4: File and directory readable by the owner only');
+  assertEquals(saved.expires_at, new Date(1000).toISOString(), 'Test 1.5: Expiry recorded');
+
+  fs.copyFileSync(store.fileFor('bob'), store.fileFor('alice'));
+  assertEquals(store.load('alice'), null, 'Test 1.6: Another account\'s session file is not used');
+
+  store.save('alice', jar('alice'));
+  clock.now = 1000;
+  assertEquals(store.load('alice'), null, 'Test 1.7: Expired session ignored');
+
+  store.clear('alice');
+  assert(!fs.existsSync(store.fileFor('alice')), 'Test 1.8: clear() removes the session file');
+  assertEquals(fs.readdirSync(store.dir).filter(f => f.endsWith('.tmp')), [], 'Test 1.9: No temp files left behind');
+}
+
+// Test Suite 2: Encryption
+console.log('\n📋 Test Suite 2: Encryption\n');
+
+{
+  const dir = path.join(workDir, 'encrypted');
+  const store = new SessionStore({ dir, secret: 'correct horse battery staple' });
+  store.save('alice', jar('alice'));
+  const raw = fs.readFileSync(store.fileFor('alice'), 'utf-8');
+
+  assert(!raw.includes('session-of-alice') && JSON.parse(raw).cipher === 'aes-256-gcm', 'Test 2.1: Cookies not stored in plaintext');
+  assertEquals(store.load('alice').jar, jar('alice'), 'Test 2.2: Same secret decrypts the jar');
+  assertEquals(new SessionStore({ dir, secret: 'wrong' }).load('alice'), null, 'Test 2.3: Wrong secret loads nothing');
+  assertEquals(new SessionStore({ dir, secret: null }).load('alice'), null, 'Test 2.4: Encrypted file ignored without a secret');
+
+  const record = JSON.parse(raw);
+  record.expires_at = new Date(Date.now() + 10 * DEFAULT_SESSION_TTL_MS).toISOString();
+  fs.writeFileSync(store.fileFor('alice'), JSON.stringify(record));
+  assertEquals(store.load('alice'), null, 'Test 2.5: Edited expiry fails authentication');
+
+  const plain = new SessionStore({ dir, secret: null });
+  plain.save('carol', jar('carol'));
+  assertEquals(store.load('carol').encrypted, false, 'Test 2.6: Plaintext session still loads once a secret is set');
+  store.save('carol', store.load('carol').jar);
+  assert(!fs.readFileSync(store.fileFor('carol'), 'utf-8').includes('session-of-carol'), 'Test 2.7: Next save encrypts it');
+}
+
+// Test Suite 3: Configuration
+console.log('\n📋 Test Suite 3: Configuration\n');
+
+delete process.env.AISIS_SESSION_TTL_MS;
+assertEquals(getSessionTtlMs(), DEFAULT_SESSION_TTL_MS, 'Test 3.1: Default TTL is 6 hours');
+process.env.AISIS_SESSION_TTL_MS = 'later';
+assertEquals(getSessionTtlMs(), DEFAULT_SESSION_TTL_MS, 'Test 3.2: Invalid TTL falls back to default');
+delete process.env.AISIS_SESSION_TTL_MS;
+
+// Test Suite 4: Scrapers sharing a runner (mock AISIS)
+console.log('\n📋 Test Suite 4: Scrapers sharing a runner\n');
+
+delete process.env.AISIS_TRANSPORT;
+const servers = [new MockAisisServer(), new MockAisisServer({ username: 'otheruser', password: 'otherpass' })];
+for (const server of servers) {
+  await server.start();
+}
+
+try {
+  const dir = path.join(workDir, 'runner');
+  const createScraper = (server, username, password) => {
+    const scraper = new AISISScraper(username, password, {
+      baseUrl: server.url,
+      sessionStore: new SessionStore({ dir, secret: 'runner-secret' })
+    });
+    scraper._delay = async () => {};
+    return scraper;
+  };
+  const sessionId = scraper => scraper.cookieJar.getCookiesSync(scraper.baseUrl).map(c => c.value).join(';');
+
+  const first = createScraper(servers[0], MOCK_USERNAME, MOCK_PASSWORD);
+  const second = createScraper(servers[1], 'otheruser', 'otherpass');
+  await first.init();
+  await second.init();
+  await first.login();
+  await second.login();
+  assertEquals(fs.readdirSync(dir).length, 2, 'Test 4.1: Two accounts saved to two files');
+
+  const resumed = createScraper(servers[0], MOCK_USERNAME, MOCK_PASSWORD);
+  await resumed.init();
+  assert(await resumed.login(), 'Test 4.2: Restarted scraper reuses its saved session');
+  assertEquals(servers[0].loginCount, 1, 'Test 4.3: No new login request');
+  assert(sessionId(resumed) === sessionId(first) && sessionId(resumed) !== sessionId(second), 'Test 4.4: Session belongs to the same account');
+} finally {
+  for (const server of servers) {
+    await server.stop();
+  }
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,180 @@
+/**
+ * Test suite for subject-level sharding of departments
+ *
+ * Tests merging and cross-checking subject shards, plus the scraper scraping
+ * a department one subject at a time (AISIS_SHARD_DEPARTMENTS and the retry
+ * fallback after a subjCode=ALL page timed out or was truncated) against the
+ * mock AISIS server
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { MockAisisServer, MOCK_USERNAME, MOCK_PASSWORD, defaultMockData, renderScheduleHtml } from './mock-aisis-server.js';
+import { AISISScraper } from '../src/scraper.js';
+import { getShardedDepartments, isPageSizeFailure, mergeSubjectShards, crossCheckShards } from '../src/subject-shards.js';
+import { RequestTimeoutError, TruncatedPageError, HttpStatusError, AisisErrorPageError } from '../src/errors.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const section = (subject_code, sectionCode) => ({ subject_code, section: sectionCode });
+const keys = courses => courses.map(c => `${c.subject_code} ${c.section}`);
+
+// Test Suite 1: Merging and cross-checking
+console.log('\n📋 Test Suite 1: Merging and cross-checking\n');
+
+{
+  process.env.AISIS_SHARD_DEPARTMENTS = ' MA, PE ,,';
+  assertEquals([...getShardedDepartments()], ['MA', 'PE'], 'Test 1.1: AISIS_SHARD_DEPARTMENTS parsed');
+  delete process.env.AISIS_SHARD_DEPARTMENTS;
+  assertEquals(getShardedDepartments().size, 0, 'Test 1.2: No departments sharded by default');
+
+  const { courses, duplicates } = mergeSubjectShards([
+    [section('CSCI 21', 'A'), section('CSCI 21', 'B')],
+    [section('CSCI 21', 'A'), section('ITMGT 25', 'A')]
+  ]);
+  assertEquals(keys(courses), ['CSCI 21 A', 'CSCI 21 B', 'ITMGT 25 A'], 'Test 1.3: Shards merged in subject order');
+  assertEquals(duplicates, 1, 'Test 1.4: Duplicate (subject_code, section) dropped');
+
+  const check = crossCheckShards(courses, [section('CSCI 21', 'A'), section('CSCI 21', 'B'), section('CSCI 199', 'A')]);
+  assertEquals([check.matched, keys(check.missing), keys(check.extra)], [false, ['CSCI 199 A'], ['ITMGT 25 A']], 'Test 1.5: Cross-check reports sections missing from either side');
+  assert(crossCheckShards(courses, [...courses].reverse()).matched, 'Test 1.6: Same sections in any order match');
+
+  assertEquals(
+    [new RequestTimeoutError('t'), new TruncatedPageError('t'), new HttpStatusError('t', { status: 504 })].map(isPageSizeFailure),
+    [true, true, true],
+    'Test 1.7: Timeouts, gateway timeouts and truncated pages are page-size failures'
+  );
+  assertEquals(
+    [new HttpStatusError('t', { status: 503 }), new AisisErrorPageError('t'), new Error('ECONNRESET'), null].map(isPageSizeFailure),
+    [false, false, false, false],
+    'Test 1.8: Other failures are not'
+  );
+}
+
+// Test Suite 2: Scraper sharding (mock AISIS)
+console.log('\n📋 Test Suite 2: Scraper sharding\n');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-subject-shards-'));
+delete process.env.FAST_MODE;
+delete process.env.AISIS_TRANSPORT;
+process.env.AISIS_DEPARTMENTS = 'DISCS';
+
+const data = defaultMockData();
+data.schedules['2025-1'].DISCS = renderScheduleHtml([
+  ['CSCI 21', 'A', 'INTRODUCTION TO PROGRAMMING I', '3', 'MWF 08:00-09:00', 'F-227', 'DOE, JANE', '40', 'ENG', 'U', '5', '', '', ''],
+  ['CSCI 22', 'B', 'INTRODUCTION TO PROGRAMMING II', '3', 'T-TH 09:30-11:00', 'F-228', 'SMITH, JOHN', '40', 'ENG', 'U', '0', '', '', ''],
+  ['ITMGT 25', 'C', 'IT FOR MANAGEMENT', '3', 'MWF 10:00-11:00', 'F-229', 'CRUZ, ANA', '40', 'ENG', 'U', '10', '', '', ''],
+  ['ISCS 30', 'D', 'SYSTEMS ANALYSIS', '3', 'TBA (~)', 'TBA', 'TBA', '30', 'ENG', 'U', '30', '', '', '']
+]);
+
+const server = new MockAisisServer({ data });
+await server.start();
+const postedSubjects = () => server.requests
+  .filter(r => r.method === 'POST' && r.path === '/j_aisis/J_VCSC.do' && r.params.command === 'displayResults')
+  .map(r => r.params.subjCode);
+
+try {
+  const scraper = new AISISScraper(MOCK_USERNAME, MOCK_PASSWORD, { baseUrl: server.url });
+  scraper.sessionStore.dir = path.join(workDir, 'sessions');
+  scraper._delay = async () => {};
+  await scraper.login();
+
+  const unsharded = await scraper.scrapeSchedule('2025-1');
+
+  assertEquals(await scraper._discoverSubjects('2025-1', 'DISCS'), ['CSCI', 'ITMGT', 'ISCS'], 'Test 2.1: Subjects discovered from the subjCode dropdown');
+
+  scraper.shardedDepartments = new Set(['DISCS']);
+  server.requests.length = 0;
+  const sharded = await scraper.scrapeSchedule('2025-1');
+  assertEquals(postedSubjects(), ['CSCI', 'ITMGT', 'ISCS', 'ALL'], 'Test 2.2: Sharded department fetched per subject, then ALL to cross-check');
+  assertEquals(keys(sharded.courses).sort(), keys(unsharded.courses).sort(), 'Test 2.3: Sharded result matches the subjCode=ALL result');
+
+  // Two 503s fail the subject's first two attempts; its third succeeds
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { subjCode: 'ITMGT' }, times: 2 });
+  server.requests.length = 0;
+  const recovered = await scraper.scrapeSchedule('2025-1');
+  const summary = JSON.parse(fs.readFileSync('logs/schedule_summary-2025-1.json', 'utf-8'));
+  assertEquals(postedSubjects().filter(s => s === 'CSCI').length, 1, 'Test 2.4: Failing subject retried without refetching the others');
+  assertEquals([recovered.courses.length, summary.departments.DISCS.attempts], [4, 1], 'Test 2.5: Department succeeds on its first attempt');
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { subjCode: 'ALL' }, times: Infinity });
+  const uncrossed = await scraper.scrapeSchedule('2025-1');
+  assertEquals(uncrossed.departments[0].status, 'success', 'Test 2.6: Failing ALL cross-check does not fail a sharded department');
+
+  scraper.shardedDepartments = new Set();
+  server.requests.length = 0;
+  const unavailable = await scraper.scrapeSchedule('2025-1');
+  assertEquals([unavailable.departments[0].status, postedSubjects().every(s => s === 'ALL')], ['failed', true], 'Test 2.7: Retries after a 503 refetch ALL instead of falling back to subjects');
+  server.clearFailures();
+
+  server.inject({ type: 'truncated', path: '/j_aisis/J_VCSC.do', method: 'POST', match: { subjCode: 'ALL' } });
+  server.requests.length = 0;
+  const fallback = await scraper.scrapeSchedule('2025-1');
+  const fallbackSummary = JSON.parse(fs.readFileSync('logs/schedule_summary-2025-1.json', 'utf-8'));
+  assertEquals([fallback.courses.length, fallbackSummary.departments.DISCS.attempts], [4, 2], 'Test 2.8: Retry after a truncated ALL page falls back to subjects');
+  assertEquals(postedSubjects(), ['ALL', 'CSCI', 'ITMGT', 'ISCS'], 'Test 2.9: Fallback does not cross-check against the failing ALL fetch');
+
+  const departmentTimeout = scraper.retryPolicies.department.timeoutMs;
+  scraper.retryPolicies.department.timeoutMs = 200;
+  server.inject({ type: 'slow', delayMs: 500, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { subjCode: 'ALL' } });
+  server.requests.length = 0;
+  const slow = await scraper.scrapeSchedule('2025-1');
+  scraper.retryPolicies.department.timeoutMs = departmentTimeout;
+  assertEquals([slow.courses.length, postedSubjects()], [4, ['ALL', 'CSCI', 'ITMGT', 'ISCS']], 'Test 2.10: Retry after a timed-out ALL page falls back to subjects');
+
+  server.inject({ type: 'http_error', status: 503, path: '/j_aisis/J_VCSC.do', method: 'POST', match: { subjCode: 'ISCS' }, times: Infinity });
+  scraper.shardedDepartments = new Set(['DISCS']);
+  const failed = await scraper.scrapeSchedule('2025-1', { canary: null });
+  assertEquals(failed.departments[0].status, 'failed', 'Test 2.11: Department fails when a subject keeps failing');
+  const failedSummary = JSON.parse(fs.readFileSync('logs/schedule_summary-2025-1.json', 'utf-8'));
+  assert(failedSummary.departments.DISCS.error.includes('1/3 subject(s) failed - ISCS'), 'Test 2.12: Error names the failing subject');
+} finally {
+  delete process.env.AISIS_DEPARTMENTS;
+  await server.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
@@ -0,0 +1,223 @@
+/**
+ * Test suite for the record/replay HTTP transport
+ *
+ * Records a scrape against a stubbed AISIS fetch, checks that credentials and
+ * session cookies are stripped from the cassette, then replays login, term and
+ * department discovery, schedule and curriculum scraping with no network
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  sanitizeRequestBody,
+  createTransport,
+  RecordTransport,
+  ReplayTransport
+} from '../src/transport.js';
+import { AISISScraper } from '../src/scraper.js';
+
+const { Response, Headers } = await import('node-fetch');
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+const USERNAME = 'student2025';
+const PASSWORD = 'correct-horse-battery';
+const SESSION_ID = 'SESSION-SECRET-1234';
+
+const scheduleHtml = fs.readFileSync('tests/fixtures/aisis-schedule-edge-cases.html', 'utf8');
+
+const scheduleOfClassesHtml = `
+<html><body>
+<form action="J_VCSC.do" method="post">
+  <select name="applicablePeriod">
+    <option value="2025-0">2025-0 Intersession</option>
+    <option value="2025-1" selected>2025-1 First Semester</option>
+    <option value="2025-2">2025-2 Second Semester</option>
+  </select>
+  <select name="deptCode">
+    <option value="ALL">All Departments</option>
+    <option value="EN">English</option>
+    <option value="MA">Mathematics</option>
+  </select>
+</form>
+</body></html>`;
+
+const curriculumFormHtml = `
+<html><body>
+<select name="degCode">
+  <option value="BS CS_2024_1">BS Computer Science (2024-1)</option>
+</select>
+</body></html>`;
+
+const curriculumHtml = `
+<html><body>
+<table>
+  <tr><td class="header06">BS Computer Science (2024-1)</td></tr>
+  <tr><td class="text04">First Year</td></tr>
+  <tr><td class="text02">CSCI 21</td><td class="text02">Introduction to Programming I</td><td class="text02">3</td></tr>
+</table>
+</body></html>`;
+
+/**
+ * Stand-in for node-fetch talking to AISIS
+ */
+async function stubAisisFetch(url, options = {}) {
+  const { pathname } = new URL(url);
+  const method = options.method || 'GET';
+  const cookie = (options.headers && options.headers.Cookie) || '';
+  const html = (body, extraHeaders = []) => {
+    const headers = new Headers({ 'Content-Type': 'text/html' });
+    for (const [name, value] of extraHeaders) headers.append(name, value);
+    return new Response(body, { status: 200, headers });
+  };
+
+  if (pathname === '/j_aisis/login.do' && method === 'POST') {
+    const params = new URLSearchParams(options.body);
+    if (params.get('userName') === USERNAME && params.get('password') === PASSWORD) {
+      return html(`<html>User Identified As ${USERNAME}</html>`, [
+        ['Set-Cookie', `JSESSIONID=${SESSION_ID}; Path=/; HttpOnly`]
+      ]);
+    }
+    return html('<html>Invalid username or password. Sign in</html>');
+  }
+
+  if (!cookie.includes(SESSION_ID)) {
+    return html('<html><form action="login.do">Sign in Username: Password:</form></html>');
+  }
+
+  if (pathname === '/j_aisis/J_VMCS.do') return html(`<html>User Identified As ${USERNAME}</html>`);
+  if (pathname === '/j_aisis/J_VCSC.do' && method === 'GET') return html(scheduleOfClassesHtml);
+  if (pathname === '/j_aisis/J_VCSC.do' && method === 'POST') {
+    const dept = new URLSearchParams(options.body).get('deptCode');
+    return html(dept === 'EN' ? scheduleHtml : 'Sorry. There are no results for your search criteria');
+  }
+  if (pathname === '/j_aisis/J_VOFC.do' && method === 'GET') return html(curriculumFormHtml);
+  if (pathname === '/j_aisis/J_VOFC.do' && method === 'POST') return html(curriculumHtml);
+
+  return new Response('Not found', { status: 404 });
+}
+
+/**
+ * Run login + discovery + schedule + curriculum with a given transport
+ */
+async function runScrape(transport, username, password, workDir) {
+  const scraper = new AISISScraper(username, password, { transport });
+  scraper.sessionStore.dir = path.join(workDir, `sessions-${transport.mode}`);
+  scraper._delay = async () => {};
+
+  const loginSuccess = await scraper.login();
+  const terms = await scraper.getAvailableTerms();
+  const schedule = await scraper.scrapeSchedule('2025-1');
+  const curricula = await scraper.scrapeCurriculum();
+
+  return { loginSuccess, terms, schedule, curricula };
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-transport-'));
+const cassetteDir = path.join(workDir, 'cassette');
+
+process.env.FAST_MODE = 'true';
+
+// Test Suite 1: Request sanitization
+console.log('\n📋 Test Suite 1: Sanitization\n');
+
+const sanitized = sanitizeRequestBody(`userName=${USERNAME}&password=${PASSWORD}&command=login&rnd=r1234`);
+assert(!sanitized.includes(USERNAME) && !sanitized.includes(PASSWORD), 'Test 1.1: Credentials stripped from login body');
+assert(sanitized.includes('command=login'), 'Test 1.2: Non-secret fields kept');
+assertEquals(sanitizeRequestBody(undefined), '', 'Test 1.3: Missing body sanitizes to empty string');
+assert(createTransport('live').mode === 'live', 'Test 1.4: live transport created');
+
+let invalidModeError = null;
+try {
+  createTransport('tape');
+} catch (error) {
+  invalidModeError = error;
+}
+assert(invalidModeError !== null, 'Test 1.5: Unknown transport mode throws');
+
+// Test Suite 2: Recording
+console.log('\n📋 Test Suite 2: Record\n');
+
+const recorder = new RecordTransport(cassetteDir, { redact: [USERNAME, PASSWORD], fetchImpl: stubAisisFetch });
+const recorded = await runScrape(recorder, USERNAME, PASSWORD, workDir);
+
+assert(recorded.loginSuccess, 'Test 2.1: Login succeeds while recording');
+assertEquals(recorded.schedule.courses.length, 6, 'Test 2.2: Schedule scraped while recording');
+
+const cassetteFiles = fs.readdirSync(cassetteDir);
+const cassetteText = cassetteFiles.map(f => fs.readFileSync(path.join(cassetteDir, f), 'utf8')).join('\n');
+assert(cassetteFiles.length > 0, 'Test 2.3: Interactions written to cassette directory');
+assert(!cassetteText.includes(PASSWORD), 'Test 2.4: Password never written to cassette');
+assert(!cassetteText.includes(USERNAME), 'Test 2.5: Username never written to cassette');
+assert(!cassetteText.includes(SESSION_ID), 'Test 2.6: Session cookie value never written to cassette');
+assert(cassetteText.includes('JSESSIONID='), 'Test 2.7: Session cookie name kept for replay');
+
+// Test Suite 3: Replay
+console.log('\n📋 Test Suite 3: Replay\n');
+
+const replayer = new ReplayTransport(cassetteDir);
+const replayed = await runScrape(replayer, 'someone-else', 'not-the-password', workDir);
+
+assert(replayed.loginSuccess, 'Test 3.1: Login replays from cassette with different credentials');
+assertEquals(replayed.terms, recorded.terms, 'Test 3.2: getAvailableTerms replays identically');
+assertEquals(replayed.schedule, recorded.schedule, 'Test 3.3: scrapeSchedule replays identically');
+assertEquals(
+  replayed.curricula.map(c => c.html),
+  recorded.curricula.map(c => c.html),
+  'Test 3.4: scrapeCurriculum replays identically'
+);
+
+let missingError = null;
+try {
+  await replayer.send('https://aisis.ateneo.edu/j_aisis/J_VIPS.do', { method: 'GET' });
+} catch (error) {
+  missingError = error;
+}
+assert(missingError && missingError.message.includes('No recorded response'), 'Test 3.5: Unrecorded request fails clearly');
+
+fs.rmSync(workDir, { recursive: true, force: true });
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}
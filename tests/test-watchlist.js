@@ -0,0 +1,368 @@
+/**
+ * Test suite for watchlist notifications
+ *
+ * Tests watch matching, opened-section detection across runs, and each
+ * notification channel against local stand-in HTTP and SMTP servers
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import net from 'net';
+import { Watchlist, watchMatches, resolveEnvPlaceholders } from '../src/watchlist.js';
+import { WebhookChannel, ChatWebhookChannel, SmtpChannel, createChannel } from '../src/notify-channels.js';
+
+// Test counter
+let testsRun = 0;
+let testsPassed = 0;
+let testsFailed = 0;
+
+function assert(condition, message) {
+  testsRun++;
+  if (condition) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    testsFailed++;
+  }
+}
+
+function assertEquals(actual, expected, message) {
+  testsRun++;
+  if (JSON.stringify(actual) === JSON.stringify(expected)) {
+    console.log(`✅ ${message}`);
+    testsPassed++;
+  } else {
+    console.error(`❌ ${message}`);
+    console.error(`   Expected: ${JSON.stringify(expected)}`);
+    console.error(`   Actual: ${JSON.stringify(actual)}`);
+    testsFailed++;
+  }
+}
+
+function course(subjectCode, section, availableSlots) {
+  return {
+    department: 'DISCS',
+    subject_code: subjectCode,
+    section,
+    course_title: 'SAMPLE COURSE',
+    instructor: 'DOE, JANE',
+    time_pattern: 'MWF 0800-0900',
+    max_capacity: 40,
+    available_slots: availableSlots
+  };
+}
+
+/**
+ * Stand-in HTTP server recording JSON POST bodies
+ */
+async function startHttpStandIn(status = 200) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ path: req.url, body: JSON.parse(body) });
+      res.writeHead(status);
+      res.end(status === 200 ? 'ok' : 'error');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+/**
+ * Stand-in SMTP server recording the envelope and message
+ */
+async function startSmtpStandIn() {
+  const received = [];
+  const server = net.createServer(socket => {
+    const session = { commands: [], data: '' };
+    let inData = false;
+    let buffer = '';
+    socket.write('220 localhost ESMTP stand-in\r\n');
+
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let index;
+      while ((index = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            received.push(session);
+            socket.write('250 OK queued\r\n');
+          } else {
+            session.data += `${line}\n`;
+          }
+          continue;
+        }
+
+        session.commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') socket.write('250-localhost\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        else if (verb === 'AUTH') socket.write('235 Authenticated\r\n');
+        else if (verb === 'MAIL' || verb === 'RCPT') socket.write('250 OK\r\n');
+        else if (verb === 'DATA') { inData = true; socket.write('354 End data with <CR><LF>.<CR><LF>\r\n'); }
+        else if (verb === 'QUIT') { socket.write('221 Bye\r\n'); socket.end(); }
+        else socket.write('502 Not implemented\r\n');
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, port: server.address().port };
+}
+
+/**
+ * Stand-in SMTP server that accepts connections and then goes quiet: at once
+ * (a TLS handshake never completes), or after agreeing to STARTTLS
+ */
+async function startSilentSmtpStandIn({ starttls = false } = {}) {
+  const server = net.createServer(socket => {
+    socket.on('error', () => {});
+    if (!starttls) {
+      // Read (and ignore) the ClientHello so the client closing the connection is seen
+      socket.resume();
+      return;
+    }
+
+    socket.write('220 localhost ESMTP stand-in\r\n');
+    socket.on('data', chunk => {
+      const verb = chunk.toString('utf8').split(' ')[0].trim().toUpperCase();
+      if (verb === 'EHLO') socket.write('250-localhost\r\n250 STARTTLS\r\n');
+      else if (verb === 'STARTTLS') socket.write('220 Ready to start TLS\r\n');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, port: server.address().port };
+}
+
+/**
+ * Send through an SMTP channel, returning the error it failed with (or null)
+ */
+async function sendError(channel, events) {
+  try {
+    await channel.send(events);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'aisis-watchlist-'));
+const stateFile = path.join(workDir, 'watchlist-state.json');
+
+// Test Suite 1: Config and matching
+console.log('\n📋 Test Suite 1: Config and matching\n');
+
+assert(watchMatches({ term: '2025-1', subject_code: 'CSCI 21', section: 'A' }, '2025-1', course('CSCI 21', 'A', 0)), 'Test 1.1: Section watch matches');
+assert(!watchMatches({ term: '2025-1', subject_code: 'CSCI 21', section: 'A' }, '2025-2', course('CSCI 21', 'A', 0)), 'Test 1.2: Section watch is term-specific');
+assert(watchMatches({ subject_code: 'MATH 10' }, '2025-2', course('MATH 10', 'K', 0)), 'Test 1.3: Subject watch matches any section and term');
+
+process.env.TEST_WATCHLIST_URL = 'https://hooks.example.com/abc';
+assertEquals(
+  resolveEnvPlaceholders({ channels: [{ url: '${TEST_WATCHLIST_URL}' }] }),
+  { channels: [{ url: 'https://hooks.example.com/abc' }] },
+  'Test 1.4: ${NAME} placeholders resolved from environment'
+);
+
+let configError = null;
+try {
+  new Watchlist({ watches: [{ section: 'A' }] }, { stateFile, channels: [] });
+} catch (error) {
+  configError = error;
+}
+assert(configError && configError.message.includes('subject_code'), 'Test 1.5: Watch without subject_code is rejected');
+
+let channelError = null;
+try {
+  createChannel({ type: 'pager' });
+} catch (error) {
+  channelError = error;
+}
+assert(channelError && channelError.message.includes('Invalid watchlist channel type'), 'Test 1.6: Unknown channel type is rejected');
+
+const configPath = path.join(workDir, 'watchlist.json');
+assertEquals(Watchlist.load(configPath), null, 'Test 1.7: Missing config disables the watchlist');
+
+// Test Suite 2: Detecting opened sections across runs
+console.log('\n📋 Test Suite 2: Detection\n');
+
+const sent = [];
+const recordingChannel = { name: 'recorder', send: async events => { sent.push(events); } };
+const watchlist = new Watchlist(
+  { watches: [{ term: '2025-1', subject_code: 'CSCI 21', section: 'A' }, { subject_code: 'MATH 10' }] },
+  { stateFile, channels: [recordingChannel] }
+);
+
+const firstRun = await watchlist.process([
+  { term: '2025-1', scheduleData: [course('CSCI 21', 'A', 0), course('CSCI 21', 'B', 0), course('MATH 10', 'K', 0), course('MATH 10', 'L', 2)] }
+]);
+assertEquals(firstRun.events.length, 0, 'Test 2.1: First sighting never alerts');
+
+const secondRun = await watchlist.process([
+  { term: '2025-1', scheduleData: [course('CSCI 21', 'A', 3), course('CSCI 21', 'B', 5), course('MATH 10', 'K', 1), course('MATH 10', 'L', 4)] }
+]);
+assertEquals(secondRun.events.map(e => `${e.subject_code} ${e.section}`), ['CSCI 21 A', 'MATH 10 K'], 'Test 2.2: Only watched full sections that opened alert');
+assertEquals(secondRun.events[0].previous_available_slots, 0, 'Test 2.3: Event carries previous availability');
+assertEquals(sent.length, 1, 'Test 2.4: Channel receives one batch per run');
+
+const thirdRun = await watchlist.process([
+  { term: '2025-1', scheduleData: [course('CSCI 21', 'A', 2)] }
+]);
+assertEquals(thirdRun.events.length, 0, 'Test 2.5: Section that stays open does not alert again');
+
+// Failed channel keeps the alert pending so it is retried
+const flakyState = path.join(workDir, 'flaky-state.json');
+let failNext = true;
+const flakyChannel = {
+  name: 'flaky',
+  send: async () => {
+    if (failNext) { failNext = false; throw new Error('boom'); }
+  }
+};
+const flakyWatchlist = new Watchlist({ watches: [{ subject_code: 'CSCI 21' }] }, { stateFile: flakyState, channels: [flakyChannel] });
+await flakyWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 0)] }]);
+const failedRun = await flakyWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 1)] }]);
+const retriedRun = await flakyWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 1)] }]);
+assertEquals(failedRun.failedChannels, ['flaky'], 'Test 2.6: Channel failure reported, run continues');
+assertEquals(retriedRun.events.length, 1, 'Test 2.7: Failed alert is retried on the next run');
+assertEquals(retriedRun.failedChannels, [], 'Test 2.8: Retried alert delivered');
+const afterRetry = await flakyWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 1)] }]);
+assertEquals(afterRetry.events.length, 0, 'Test 2.9: Delivered alert is not sent again');
+
+// Only the channel that failed is retried
+const splitState = path.join(workDir, 'split-state.json');
+const steadySent = [];
+const steadyChannel = { name: 'webhook', send: async batch => { steadySent.push(batch); } };
+let splitFails = true;
+const splitSent = [];
+const splitChannel = {
+  name: 'smtp',
+  send: async batch => {
+    if (splitFails) throw new Error('boom');
+    splitSent.push(batch);
+  }
+};
+const splitWatchlist = new Watchlist({ watches: [{ subject_code: 'CSCI 21' }] }, { stateFile: splitState, channels: [steadyChannel, splitChannel] });
+await splitWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 0), course('CSCI 21', 'B', 0)] }]);
+const splitRun = await splitWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 2), course('CSCI 21', 'B', 0)] }]);
+assertEquals(splitRun.failedChannels, ['smtp'], 'Test 2.10: Only the failing channel reported');
+const pendingEntry = Object.values(JSON.parse(fs.readFileSync(splitState, 'utf-8')).pending)[0];
+assertEquals(pendingEntry.notified, { webhook: true }, 'Test 2.11: State records which channels got the alert');
+
+splitFails = false;
+await splitWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 2), course('CSCI 21', 'B', 3)] }]);
+assertEquals(steadySent.map(batch => batch.map(e => e.section)), [['A'], ['B']], 'Test 2.12: Channel that delivered only gets new alerts');
+assertEquals(splitSent.map(batch => batch.map(e => e.section)), [['A', 'B']], 'Test 2.13: Failed channel gets the earlier alert with the new one');
+assertEquals(JSON.parse(fs.readFileSync(splitState, 'utf-8')).pending, {}, 'Test 2.14: Delivered alerts leave the state');
+
+// A pending alert is dropped once its section is full again
+splitFails = true;
+await splitWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 0)] }]);
+await splitWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 4)] }]);
+const refilledRun = await splitWatchlist.process([{ term: '2025-1', scheduleData: [course('CSCI 21', 'A', 0)] }]);
+assertEquals(refilledRun.events.length, 0, 'Test 2.15: Pending alert dropped when the section is full again');
+
+// Test Suite 3: Channels against stand-in servers
+console.log('\n📋 Test Suite 3: Channels\n');
+
+const events = secondRun.events;
+const httpStandIn = await startHttpStandIn();
+const smtpStandIn = await startSmtpStandIn();
+const failingStandIn = await startHttpStandIn(500);
+const silentStandIn = await startSilentSmtpStandIn();
+const stalledStartTlsStandIn = await startSilentSmtpStandIn({ starttls: true });
+
+try {
+  await new WebhookChannel({ url: `${httpStandIn.url}/hook`, headers: { Authorization: 'Bearer t' } }).send(events);
+  const webhookBody = httpStandIn.received[0].body;
+  assertEquals(webhookBody.type, 'watchlist.sections_opened', 'Test 3.1: Webhook payload type');
+  assertEquals(webhookBody.events.length, 2, 'Test 3.2: Webhook payload carries all events');
+
+  await new ChatWebhookChannel({ url: `${httpStandIn.url}/discord`, flavor: 'discord' }).send(events);
+  await new ChatWebhookChannel({ url: `${httpStandIn.url}/slack`, flavor: 'slack' }).send(events);
+  const discord = httpStandIn.received.find(r => r.path === '/discord').body;
+  const slack = httpStandIn.received.find(r => r.path === '/slack').body;
+  assert(discord.content && discord.content.includes('CSCI 21 A (2025-1) opened: 3/40 slots free'), 'Test 3.3: Discord payload uses content');
+  assert(slack.text && slack.text.includes('MATH 10 K'), 'Test 3.4: Slack payload uses text');
+
+  const manyEvents = Array.from({ length: 100 }, () => events[0]);
+  const longPayload = new ChatWebhookChannel({ url: 'http://unused', flavor: 'discord' }).buildPayload(manyEvents);
+  assert(longPayload.content.length <= 2000, 'Test 3.5: Discord message truncated to 2000 characters');
+
+  let httpError = null;
+  try {
+    await new WebhookChannel({ url: failingStandIn.url }).send(events);
+  } catch (error) {
+    httpError = error;
+  }
+  assert(httpError && httpError.message.startsWith('HTTP 500'), 'Test 3.6: Non-2xx webhook response throws');
+
+  await new SmtpChannel({
+    host: '127.0.0.1',
+    port: smtpStandIn.port,
+    username: 'alerts',
+    password: 'secret',
+    allowInsecureAuth: true,
+    from: 'alerts@example.com',
+    to: ['a@example.com', 'b@example.com']
+  }).send(events);
+  const mail = smtpStandIn.received[0];
+  assert(mail.commands.includes(`AUTH PLAIN ${Buffer.from('\0alerts\0secret').toString('base64')}`), 'Test 3.7: SMTP authenticates with AUTH PLAIN');
+  assertEquals(mail.commands.filter(c => c.startsWith('RCPT TO')).length, 2, 'Test 3.8: SMTP sends to every recipient');
+  assert(mail.data.includes('Subject: [AISIS] 2 watched sections opened up'), 'Test 3.9: SMTP message has subject');
+  assert(mail.data.includes('CSCI 21 A (2025-1) opened'), 'Test 3.10: SMTP message lists opened sections');
+
+  let insecureError = null;
+  try {
+    await new SmtpChannel({
+      host: '127.0.0.1',
+      port: smtpStandIn.port,
+      username: 'alerts',
+      password: 'secret',
+      from: 'alerts@example.com',
+      to: 'a@example.com'
+    }).send(events);
+  } catch (error) {
+    insecureError = error;
+  }
+  assert(insecureError && insecureError.message.includes('refusing to send credentials'), 'Test 3.11: SMTP refuses AUTH without TLS');
+  assertEquals(smtpStandIn.received.length, 1, 'Test 3.12: No message sent after the refusal');
+
+  const smtpOptions = { host: '127.0.0.1', from: 'alerts@example.com', to: 'a@example.com', timeoutMs: 200 };
+  const handshakeError = await sendError(new SmtpChannel({ ...smtpOptions, port: silentStandIn.port, secure: true }), events);
+  assert(handshakeError && handshakeError.message.includes('TLS handshake timed out after 200ms'), 'Test 3.13: SMTP gives up on a TLS handshake that never completes');
+
+  const startTlsError = await sendError(new SmtpChannel({ ...smtpOptions, port: stalledStartTlsStandIn.port }), events);
+  assert(startTlsError && startTlsError.message.includes('TLS handshake timed out after 200ms'), 'Test 3.14: SMTP gives up on a STARTTLS upgrade that stalls');
+} finally {
+  await new Promise(resolve => httpStandIn.server.close(resolve));
+  await new Promise(resolve => failingStandIn.server.close(resolve));
+  await new Promise(resolve => smtpStandIn.server.close(resolve));
+  await new Promise(resolve => silentStandIn.server.close(resolve));
+  await new Promise(resolve => stalledStartTlsStandIn.server.close(resolve));
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+// Print summary
+console.log('\n═══════════════════════════════════════════════════════');
+console.log('📊 Test Summary');
+console.log('═══════════════════════════════════════════════════════');
+console.log(`Total tests: ${testsRun}`);
+console.log(`✅ Passed: ${testsPassed}`);
+console.log(`❌ Failed: ${testsFailed}`);
+console.log('═══════════════════════════════════════════════════════\n');
+
+if (testsFailed === 0) {
+  console.log('✅ All tests passed!');
+  process.exit(0);
+} else {
+  console.error(`❌ ${testsFailed} test(s) failed`);
+  process.exit(1);
+}